@@ -13,7 +13,7 @@ require('dotenv').config();
 // ENVIRONMENT VALIDATION
 // ============================================
 const requiredEnvVars = ['DATABASE_URL'];
-const optionalButWarnEnvVars = ['BREVO_API_KEY', 'REDIS_URL'];
+const optionalButWarnEnvVars = ['BREVO_API_KEY', 'REDIS_URL', 'JWT_SECRET'];
 
 requiredEnvVars.forEach(key => {
   if (!process.env[key]) {
@@ -31,6 +31,15 @@ optionalButWarnEnvVars.forEach(key => {
 // Initialize Express app
 const app = express();
 
+// Behind nginx / a load balancer req.ip is the proxy's address unless Express trusts it
+// TRUST_PROXY: hop count (e.g. 1), "true", or addresses/subnets (e.g. "loopback, 10.0.0.0/8")
+const trustProxy = (process.env.TRUST_PROXY || '').trim();
+if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', parseInt(trustProxy));
+} else if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+}
+
 // Initialize Prisma client
 const { prisma, disconnectPrisma } = require('./lib/prisma');
 
@@ -83,7 +92,7 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin || '*');
   }
   
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400'); // Cache preflight for 24 hours
@@ -102,6 +111,8 @@ prisma.$connect()
     const { cache } = require('./lib/cache');
     await cache.invalidateSettings();
     log.info('Settings cache cleared');
+    // Create the first admin account on a fresh install
+    await require('./services/AuthService').ensureBootstrapAdmin();
   })
   .catch(err => log.error({ error: err.message }, 'PostgreSQL connection error'));
 
@@ -112,6 +123,7 @@ require('./events/handlers');
 const emailWorker = require('./workers/emailWorker');
 const followupWorker = require('./workers/followupWorker');
 const analyticsWorker = require('./workers/analyticsWorker');
+const importWorker = require('./workers/importWorker');
 const CronService = require('./services/CronService');
 
 log.info('Workers initialized');
@@ -119,8 +131,9 @@ log.info('Workers initialized');
 // Initialize Cron Service
 CronService.init();
 
-// Rate limiting middleware
+// Rate limiting middleware (API keys are verified first so only real keys bypass the IP limit)
 const { apiLimiter } = require('./middleware/rateLimiter');
+const { identifyApiKey } = require('./middleware/auth');
 
 // Inngest integration for durable workflows
 const { serve } = require('inngest/express');
@@ -137,10 +150,10 @@ app.use(
 
 // Routes - with rate limiting
 const routes = require('./routes');
-app.use('/api', apiLimiter, routes);
+app.use('/api', identifyApiKey, apiLimiter, routes);
 
 // Import queues for metrics
-const { emailSendQueue, followupQueue, analyticsQueue } = require('./queues/emailQueues');
+const { emailSendQueue, followupQueue, analyticsQueue, importQueue } = require('./queues/emailQueues');
 const redisConnection = require('./config/redis');
 const { AppError } = require('./lib/errors');
 
@@ -168,15 +181,17 @@ app.get('/health', async (req, res) => {
   // Get queue metrics
   let queueMetrics = {};
   try {
-    const [emailCounts, followupCounts, analyticsCounts] = await Promise.all([
+    const [emailCounts, followupCounts, analyticsCounts, importCounts] = await Promise.all([
       emailSendQueue.getJobCounts(),
       followupQueue.getJobCounts(),
-      analyticsQueue.getJobCounts()
+      analyticsQueue.getJobCounts(),
+      importQueue.getJobCounts()
     ]);
     queueMetrics = {
       emailSend: emailCounts,
       followup: followupCounts,
-      analytics: analyticsCounts
+      analytics: analyticsCounts,
+      import: importCounts
     };
   } catch (e) {
     queueMetrics = { error: 'Failed to fetch queue metrics' };
@@ -197,7 +212,8 @@ app.get('/health', async (req, res) => {
     workers: {
       email: emailWorker.isRunning() ? 'running' : 'stopped',
       followup: followupWorker.isRunning() ? 'running' : 'stopped',
-      analytics: analyticsWorker.isRunning() ? 'running' : 'stopped'
+      analytics: analyticsWorker.isRunning() ? 'running' : 'stopped',
+      import: importWorker.isRunning() ? 'running' : 'stopped'
     },
     queues: queueMetrics,
     memory: {
@@ -289,6 +305,7 @@ const shutdown = async (signal) => {
   await emailWorker.close();
   await followupWorker.close();
   await analyticsWorker.close();
+  await importWorker.close();
   
   await disconnectPrisma();
   
@@ -3,6 +3,7 @@
 
 const AnalyticsService = require('../services/AnalyticsService');
 const AnalyticsPollingService = require('../services/AnalyticsPollingService');
+const ABTestService = require('../services/ABTestService');
 const moment = require('moment');
 const { prisma } = require('../lib/prisma');
 const { LeadRepository } = require('../repositories');
@@ -46,7 +47,11 @@ class AnalyticsController {
         summary: {
           ...summary,
           clickRate: summary.emailsSent > 0 ? ((summary.emailsClicked / summary.emailsSent) * 100).toFixed(1) : 0
-        }
+        },
+        // ?includeMachine=true - opens/clicks flagged as machine (excluded from the counts above)
+        ...(req.query.includeMachine === 'true' && {
+          machine: await AnalyticsService.getMachineEventStats(start, end, summary.emailsDelivered)
+        })
       });
     } catch (error) {
       console.error('Get summary error:', error);
@@ -166,7 +171,7 @@ class AnalyticsController {
         });
       }
 
-      const result = await AnalyticsPollingService.pollBrevoEvents();
+      const result = await AnalyticsPollingService.pollEvents();
       const freshStats = await AnalyticsPollingService.rebuildAnalyticsFromJobs();
       
       res.status(200).json({
@@ -243,6 +248,10 @@ class AnalyticsController {
           conditional: byType.Conditional?.pending || 0,
         },
         rates: unified.rates,
+        // ?includeMachine=true - opens/clicks flagged as machine (excluded from the counts above)
+        ...(req.query.includeMachine === 'true' && {
+          machine: await AnalyticsService.getMachineEventStats(start, end, t.delivered)
+        }),
       });
     } catch (error) {
       console.error('Get detailed breakdown error:', error);
@@ -502,6 +511,71 @@ class AnalyticsController {
       res.status(500).json({ error: error.message });
     }
   }
+
+  /**
+   * GET /api/analytics/ab-tests
+   * All running and decided A/B tests with per-variant results
+   */
+  async getAbTests(req, res) {
+    try {
+      const tests = await ABTestService.findTests();
+      const results = await Promise.all(tests.map(test => this._withStats(test)));
+      res.status(200).json({ tests: results });
+    } catch (error) {
+      console.error('Get A/B tests error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/analytics/ab-tests/:testKey
+   */
+  async getAbTest(req, res) {
+    try {
+      const test = await ABTestService.findTest(req.params.testKey);
+      if (!test) {
+        return res.status(404).json({ error: 'A/B test not found' });
+      }
+      res.status(200).json(await this._withStats(test));
+    } catch (error) {
+      console.error('Get A/B test error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/analytics/ab-tests/:testKey/promote
+   * Manually promote a variant (it gets all traffic and becomes the template)
+   */
+  async promoteAbVariant(req, res) {
+    try {
+      const test = await ABTestService.findTest(req.params.testKey);
+      if (!test) {
+        return res.status(404).json({ error: 'A/B test not found' });
+      }
+      if (!test.variants.some(v => v.id === req.body.variantId)) {
+        return res.status(400).json({ error: `Variant "${req.body.variantId}" is not part of this test` });
+      }
+
+      const promoted = await ABTestService.promoteVariant(
+        test.testKey,
+        req.body.variantId,
+        req.user?.email || 'system'
+      );
+      res.status(200).json({
+        message: `Variant ${req.body.variantId} promoted`,
+        test: await this._withStats(promoted)
+      });
+    } catch (error) {
+      console.error('Promote A/B variant error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async _withStats(test) {
+    const results = await AnalyticsService.getVariantStats(test.testKey, test.variants, test.abTest.metric || 'opened');
+    return { ...test, results };
+  }
 }
 
 module.exports = new AnalyticsController();
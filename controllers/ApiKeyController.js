@@ -0,0 +1,102 @@
+// controllers/ApiKeyController.js
+// Admin management of API keys for machine clients
+
+const { ApiKeyRepository } = require('../repositories');
+const ApiKeyService = require('../services/ApiKeyService');
+
+class ApiKeyController {
+
+  /**
+   * GET /api/api-keys
+   * Lists keys with usage (the key itself is never returned again)
+   */
+  async getAll(req, res) {
+    try {
+      const keys = await ApiKeyRepository.findAll();
+      res.status(200).json(keys.map(k => this._toResponse(k)));
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/api-keys/scopes
+   */
+  async getScopes(req, res) {
+    res.status(200).json({ scopes: ApiKeyService.SCOPES, wildcard: '*' });
+  }
+
+  /**
+   * POST /api/api-keys
+   * Returns the plaintext key once
+   */
+  async create(req, res) {
+    try {
+      const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+      const invalid = ApiKeyService.findInvalidScopes(scopes);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: `Unknown scopes: ${invalid.join(', ')}`,
+          validScopes: ApiKeyService.SCOPES
+        });
+      }
+
+      const { key, prefix, keyHash } = ApiKeyService.generateKey();
+      const apiKey = await ApiKeyRepository.create({
+        name,
+        prefix,
+        keyHash,
+        scopes,
+        rateLimitPerMinute,
+        expiresAt,
+        createdBy: req.user?.email
+      });
+      console.log(`[ApiKeys] ${req.user?.email} created key "${apiKey.name}" (${scopes.join(', ')})`);
+
+      res.status(201).json({
+        message: 'API key created. Store it now - it will not be shown again.',
+        key,
+        apiKey: this._toResponse(apiKey)
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/api-keys/:id
+   * Revokes the key (kept for usage history)
+   */
+  async revoke(req, res) {
+    try {
+      const existing = await ApiKeyRepository.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+      if (existing.revokedAt) {
+        return res.status(400).json({ error: 'API key is already revoked' });
+      }
+
+      const apiKey = await ApiKeyRepository.revoke(existing.id);
+      console.log(`[ApiKeys] ${req.user?.email} revoked key "${apiKey.name}"`);
+
+      res.status(200).json({
+        message: 'API key revoked',
+        apiKey: this._toResponse(apiKey)
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  _toResponse(apiKey) {
+    const { keyHash, ...rest } = apiKey;
+    return rest;
+  }
+}
+
+module.exports = new ApiKeyController();
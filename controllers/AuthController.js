@@ -0,0 +1,93 @@
+// controllers/AuthController.js
+// Login and session endpoints for dashboard users
+
+const { UserRepository } = require('../repositories');
+const AuthService = require('../services/AuthService');
+
+class AuthController {
+
+  /**
+   * POST /api/auth/login
+   * Exchange email + password for a session token
+   */
+  async login(req, res) {
+    try {
+      const { email, password } = req.body;
+      const session = await AuthService.login(email, password);
+
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid email or password', code: 'UNAUTHORIZED' });
+      }
+
+      console.log(`[Auth] ${session.user.email} logged in`);
+      res.status(200).json(session);
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/auth/me
+   */
+  async me(req, res) {
+    res.status(200).json(AuthService.toPublicUser(req.user));
+  }
+
+  /**
+   * POST /api/auth/stream-ticket
+   * Short-lived ticket for GET /api/stream?ticket= (EventSource can't send the session token)
+   */
+  async streamTicket(req, res) {
+    try {
+      res.status(200).json(AuthService.issueStreamTicket(req.user));
+    } catch (error) {
+      console.error('Stream ticket error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/auth/logout
+   * Revokes every token issued to the current user
+   */
+  async logout(req, res) {
+    try {
+      await UserRepository.revokeTokens(req.user.id);
+      res.status(200).json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/auth/change-password
+   * Returns a fresh token since the old ones are revoked
+   */
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const record = await UserRepository.findByEmailWithPassword(req.user.email);
+      const valid = record && await AuthService.verifyPassword(currentPassword, record.passwordHash);
+      if (!valid) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+
+      const user = await UserRepository.update(req.user.id, {
+        passwordHash: await AuthService.hashPassword(newPassword)
+      });
+
+      res.status(200).json({
+        message: 'Password changed',
+        token: AuthService.issueToken(user)
+      });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new AuthController();
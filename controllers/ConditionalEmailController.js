@@ -3,6 +3,7 @@
 
 const ConditionalEmailRepository = require('../repositories/ConditionalEmailRepository');
 const ConditionalEmailService = require('../services/ConditionalEmailService');
+const SenderIdentityService = require('../services/SenderIdentityService');
 
 class ConditionalEmailController {
   
@@ -60,7 +61,10 @@ class ConditionalEmailController {
         templateId,
         cancelPending,
         priority,
-        enabled
+        enabled,
+        variants,
+        abTest,
+        senderIdentityId
       } = req.body;
       
       // Validate required fields
@@ -78,6 +82,11 @@ class ConditionalEmailController {
         });
       }
       
+      const identityError = await SenderIdentityService.checkAssignable(senderIdentityId || null);
+      if (identityError) {
+        return res.status(400).json({ error: identityError });
+      }
+      
       const conditional = await ConditionalEmailRepository.create({
         name,
         description,
@@ -87,7 +96,10 @@ class ConditionalEmailController {
         templateId: templateId || null,
         cancelPending: cancelPending !== false,
         priority: parseInt(priority) || 10,
-        enabled: enabled !== false
+        enabled: enabled !== false,
+        variants,
+        abTest,
+        senderIdentityId
       });
       
       console.log(`[ConditionalEmail] Created: ${name} (trigger: ${triggerEvent} on ${triggerStep})`);
@@ -114,6 +126,11 @@ class ConditionalEmailController {
         return res.status(404).json({ error: 'Conditional email not found' });
       }
       
+      const identityError = await SenderIdentityService.checkAssignable(updateData.senderIdentityId || null);
+      if (identityError) {
+        return res.status(400).json({ error: identityError });
+      }
+      
       const conditional = await ConditionalEmailRepository.update(id, updateData);
       
       console.log(`[ConditionalEmail] Updated: ${conditional.name}`);
@@ -10,6 +10,7 @@ const SchedulingRulesService = require('../services/SchedulingRulesService');
 const RulebookService = require('../services/RulebookService');
 const EmailSchedulerService = require('../services/EmailSchedulerService');
 const SmartDelayService = require('../services/SmartDelayService');
+const SenderIdentityService = require('../services/SenderIdentityService');
 
 class EmailJobController {
   // Get all email jobs with pagination and filters
@@ -300,7 +301,10 @@ class EmailJobController {
         newRetryCount, // Properly incremented retry count
         oldJob.templateId,
         null, // condition
-        { skipDuplicateCheck: true }, // Allow retry even if old job exists
+        {
+          skipDuplicateCheck: true, // Allow retry even if old job exists
+          senderIdentity: (await SenderIdentityService.resolveForJob(oldJob, lead))?.identity || null,
+        },
       );
 
       if (!newJob) {
@@ -799,9 +803,9 @@ class EmailJobController {
             });
             
             // Resume paused followup jobs
-            const { SettingsRepository } = require('../repositories');
-            const settings = await SettingsRepository.getSettings();
-            const followupNames = (settings?.followups || [])
+            const { SequenceRepository } = require('../repositories');
+            const steps = await SequenceRepository.getStepsForLead(lead);
+            const followupNames = steps
               .filter(f => f.enabled && !f.name.toLowerCase().includes('initial'))
               .map(f => f.name);
             
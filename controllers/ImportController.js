@@ -0,0 +1,187 @@
+// controllers/ImportController.js
+// Background lead imports: progress, error reports, resume and column mapping presets
+
+const { ImportJobRepository, ImportMappingPresetRepository } = require('../repositories');
+const LeadImportService = require('../services/LeadImportService');
+
+class ImportController {
+
+  /**
+   * GET /api/imports
+   */
+  async getAll(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const importJobs = await ImportJobRepository.findAll({ limit });
+      res.status(200).json(importJobs);
+    } catch (error) {
+      console.error('Get imports error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/imports/:id
+   */
+  async getById(req, res) {
+    try {
+      const importJob = await ImportJobRepository.findById(req.params.id);
+      if (!importJob) {
+        return res.status(404).json({ error: 'Import not found' });
+      }
+      res.status(200).json(importJob);
+    } catch (error) {
+      console.error('Get import error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/imports/:id/errors.csv
+   * Rejected rows with their original columns and the reasons
+   */
+  async downloadErrors(req, res) {
+    try {
+      const importJob = await ImportJobRepository.findById(req.params.id);
+      if (!importJob) {
+        return res.status(404).json({ error: 'Import not found' });
+      }
+
+      const csv = await LeadImportService.buildErrorReport(importJob.id);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="import-${importJob.id}-errors.csv"`);
+      res.status(200).send(csv);
+    } catch (error) {
+      console.error('Download import errors error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/imports/:id/resume
+   * Re-queue a failed import - it continues from its last checkpoint
+   */
+  async resume(req, res) {
+    try {
+      const importJob = await ImportJobRepository.findById(req.params.id);
+      if (!importJob) {
+        return res.status(404).json({ error: 'Import not found' });
+      }
+      if (importJob.status === 'completed') {
+        return res.status(400).json({ error: 'Import is already completed' });
+      }
+
+      const updated = await ImportJobRepository.update(importJob.id, {
+        status: 'queued',
+        lastError: null
+      });
+      await LeadImportService.enqueueImportJob(importJob.id);
+      console.log(`[LeadImport] ${req.user?.email} resumed import ${importJob.id} at row ${importJob.processedRows + 1}`);
+
+      res.status(200).json({
+        message: 'Import resumed',
+        importJob: updated
+      });
+    } catch (error) {
+      console.error('Resume import error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // ==========================================
+  // MAPPING PRESETS
+  // ==========================================
+
+  /**
+   * GET /api/imports/mappings
+   */
+  async getMappingPresets(req, res) {
+    try {
+      const presets = await ImportMappingPresetRepository.findAll();
+      res.status(200).json(presets);
+    } catch (error) {
+      console.error('Get mapping presets error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/imports/mappings
+   */
+  async createMappingPreset(req, res) {
+    try {
+      const { name, mapping } = req.body;
+
+      const errors = LeadImportService.validateColumnMapping(mapping);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid column mapping', details: errors });
+      }
+      if (await ImportMappingPresetRepository.findByName(name)) {
+        return res.status(409).json({ error: `Mapping preset "${name}" already exists` });
+      }
+
+      const preset = await ImportMappingPresetRepository.create({
+        name,
+        mapping,
+        createdBy: req.user?.email
+      });
+      res.status(201).json(preset);
+    } catch (error) {
+      console.error('Create mapping preset error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * PUT /api/imports/mappings/:id
+   */
+  async updateMappingPreset(req, res) {
+    try {
+      const { name, mapping } = req.body;
+
+      const existing = await ImportMappingPresetRepository.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Mapping preset not found' });
+      }
+      if (mapping) {
+        const errors = LeadImportService.validateColumnMapping(mapping);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid column mapping', details: errors });
+        }
+      }
+      if (name && name !== existing.name && await ImportMappingPresetRepository.findByName(name)) {
+        return res.status(409).json({ error: `Mapping preset "${name}" already exists` });
+      }
+
+      const preset = await ImportMappingPresetRepository.update(existing.id, { name, mapping });
+      res.status(200).json({
+        message: 'Mapping preset updated successfully',
+        preset
+      });
+    } catch (error) {
+      console.error('Update mapping preset error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/imports/mappings/:id
+   */
+  async deleteMappingPreset(req, res) {
+    try {
+      const existing = await ImportMappingPresetRepository.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Mapping preset not found' });
+      }
+
+      await ImportMappingPresetRepository.delete(existing.id);
+      res.status(200).json({ message: 'Mapping preset deleted' });
+    } catch (error) {
+      console.error('Delete mapping preset error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new ImportController();
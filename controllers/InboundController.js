@@ -0,0 +1,66 @@
+// controllers/InboundController.js
+// Inbound-parse webhook (public - providers post parsed replies here)
+//
+// Every request must carry INBOUND_WEBHOOK_SECRET - a forged "reply" would otherwise stop a
+// lead's sequence. Providers that can't set headers (Mailgun routes, SendGrid inbound parse,
+// Brevo inbound) put it in the URL: /api/webhooks/inbound/<secret> or ?token=<secret>; others
+// may send an X-Webhook-Token header. Without the secret configured the endpoint is disabled
+// (503). Responses carry counts only, never which addresses are leads.
+
+const crypto = require('crypto');
+const InboundReplyService = require('../services/InboundReplyService');
+
+class InboundController {
+
+  /**
+   * Secret check - mounted before the multipart parser so unauthenticated uploads are never buffered
+   */
+  authorize(req, res, next) {
+    if (!process.env.INBOUND_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: 'Inbound webhook is not configured' });
+    }
+    if (!this._isAuthorized(req)) {
+      return res.status(401).json({ error: 'Invalid inbound webhook token' });
+    }
+    next();
+  }
+
+  /**
+   * POST /api/webhooks/inbound[/:token]
+   * JSON, urlencoded or multipart (attachments are ignored)
+   */
+  async handleInbound(req, res) {
+    try {
+      const results = await InboundReplyService.processPayload(req.body);
+      const count = (status) => results.filter(result => result.status === status).length;
+
+      // A message that failed (DB/Redis error) must be retried - the rest are deduped on the retry
+      if (count('error') > 0) {
+        return res.status(500).json({ error: 'Inbound processing failed', failed: count('error') });
+      }
+
+      // Unmatched mail still gets a 200 - not worth a provider retry
+      res.status(200).json({
+        message: 'Inbound received',
+        replied: count('replied'),
+        autoReplied: count('auto_replied'),
+        unmatched: count('unmatched')
+      });
+    } catch (error) {
+      console.error('Inbound webhook error:', error);
+      res.status(500).json({ error: 'Inbound processing failed' });
+    }
+  }
+
+  _isAuthorized(req) {
+    const secret = process.env.INBOUND_WEBHOOK_SECRET;
+    if (!secret) return false;
+
+    const token = req.params.token || req.query.token || req.get('x-webhook-token') || '';
+    const provided = Buffer.from(String(token));
+    const expected = Buffer.from(secret);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+}
+
+module.exports = new InboundController();
@@ -3,7 +3,7 @@ const multer = require("multer");
 const LeadImportService = require("../services/LeadImportService");
 const EmailSchedulerService = require("../services/EmailSchedulerService");
 const RulebookService = require("../services/RulebookService");
-const { LeadRepository, EmailJobRepository } = require("../repositories");
+const { LeadRepository, EmailJobRepository, UserRepository } = require("../repositories");
 const { prisma } = require("../lib/prisma");
 
 // Configure multer for file upload
@@ -33,45 +33,180 @@ class LeadController {
           .json({ error: 'No file uploaded. Ensure form-data key is "file".' });
       }
 
+      // Optional: enroll imported leads in a named sequence
+      const sequenceId = await this._resolveSequenceId(req.body.sequenceId);
+      if (sequenceId === undefined) {
+        return res.status(404).json({ error: "Sequence not found" });
+      }
+
+      // Optional column mapping: inline JSON ("mapping") or a saved preset ("mappingPresetId")
+      const mapping = await LeadImportService.resolveColumnMapping({
+        mapping: req.body.mapping,
+        mappingPresetId: req.body.mappingPresetId,
+      });
+
+      // What to do with emails that already exist (default: report as failed)
+      const onConflict = req.body.onConflict || req.query.onConflict || "error";
+      if (!["skip", "update", "error"].includes(onConflict)) {
+        return res
+          .status(400)
+          .json({ error: "onConflict must be one of: skip, update, error" });
+      }
+
       const fileType = req.file.mimetype === "text/csv" ? "csv" : "xlsx";
-      const results = await LeadImportService.importLeads(
+
+      // Dry run: full pipeline, nothing written, report returned inline
+      if (req.query.dryRun === "true") {
+        const report = await LeadImportService.dryRunImport(
+          req.file.buffer,
+          fileType,
+          { sequenceId, mapping, onConflict },
+        );
+        return res.status(200).json({
+          message: "Dry run completed - nothing was written",
+          dryRun: true,
+          ...report,
+        });
+      }
+
+      // Rows are processed in the background - poll /api/imports/:id
+      // or listen for import:progress on the websocket
+      const importJob = await LeadImportService.createImportJob(
         req.file.buffer,
         fileType,
+        {
+          fileName: req.file.originalname,
+          sequenceId,
+          mapping,
+          onConflict,
+          createdBy: req.user?.email,
+        },
       );
 
-      // Auto-schedule emails for the newly imported leads
-      let schedulingResults = { scheduled: 0, failed: 0, errors: [] };
-      if (results.leads && results.leads.length > 0) {
-        try {
-          // Extract IDs from the lead objects returned by importLeads
-          const leadIds = results.leads.map((l) => l.id.toString());
-          schedulingResults =
-            await EmailSchedulerService.scheduleEmailsForLeads(leadIds);
-        } catch (scheduleError) {
-          console.error("Auto-scheduling failed:", scheduleError);
-          // We don't fail the whole request, but we report the error
-          schedulingResults.errors.push({
-            error: "Auto-scheduling failed",
-            details: scheduleError.message,
-          });
-        }
+      res.status(202).json({
+        message: "Lead import queued",
+        importJob,
+      });
+    } catch (error) {
+      // Bad mapping / missing required columns
+      if (error.isOperational) {
+        return res.status(error.statusCode).json(error.toJSON());
+      }
+      console.error("Upload leads error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/leads
+   * Create a single lead through the import pipeline (validation, timezone, LeadCreated)
+   * onConflict: 'error' (409, default), 'skip' or 'update' when the email already exists
+   */
+  async createLead(req, res) {
+    try {
+      const { sequenceId: requestedSequenceId, onConflict, ...row } = req.body;
+
+      const sequenceId = await this._resolveSequenceId(requestedSequenceId);
+      if (sequenceId === undefined) {
+        return res.status(404).json({ error: "Sequence not found" });
       }
 
+      const outcome = await LeadImportService.importRow(row, {
+        sequenceId,
+        onConflict,
+      });
+
+      if (outcome.status === "failed") {
+        return res
+          .status(400)
+          .json({ error: "Validation failed", details: outcome.errors });
+      }
+      if (outcome.status === "conflict") {
+        return res.status(409).json({
+          error: "Email already exists",
+          leadId: outcome.lead.id,
+        });
+      }
+      if (outcome.status === "skipped") {
+        return res.status(200).json({
+          message: "Lead already exists, skipped",
+          status: outcome.status,
+          lead: outcome.lead,
+        });
+      }
+      if (outcome.status === "updated") {
+        return res.status(200).json({
+          message: "Lead updated successfully",
+          status: outcome.status,
+          lead: outcome.lead,
+        });
+      }
+
+      const schedulingResults =
+        await LeadImportService.scheduleImportedLeads([outcome.lead]);
+
+      res.status(201).json({
+        message: "Lead created successfully",
+        status: outcome.status,
+        lead: outcome.lead,
+        scheduling: schedulingResults,
+      });
+    } catch (error) {
+      console.error("Create lead error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/leads/bulk
+   * Create many leads from a JSON array - same pipeline and response shape as upload-leads
+   */
+  async bulkCreateLeads(req, res) {
+    try {
+      const { leads, onConflict } = req.body;
+
+      const sequenceId = await this._resolveSequenceId(req.body.sequenceId);
+      if (sequenceId === undefined) {
+        return res.status(404).json({ error: "Sequence not found" });
+      }
+
+      const results = await LeadImportService.importRows(leads, {
+        sequenceId,
+        onConflict,
+      });
+
+      const schedulingResults =
+        await LeadImportService.scheduleImportedLeads(results.leads);
+
       res.status(200).json({
         message: "Lead import and scheduling completed",
         import: {
           success: results.success,
+          updated: results.updated,
+          skipped: results.skipped,
           failed: results.failed,
           errors: results.errors.slice(0, 10),
         },
         scheduling: schedulingResults,
       });
     } catch (error) {
-      console.error("Upload leads error:", error);
+      console.error("Bulk create leads error:", error);
       res.status(500).json({ error: error.message });
     }
   }
 
+  /**
+   * Resolve an optional sequenceId from a request
+   * @returns {Promise<number|null|undefined>} null when not given, undefined when not found
+   */
+  async _resolveSequenceId(sequenceId) {
+    if (!sequenceId) return null;
+
+    const { SequenceRepository } = require("../repositories");
+    const sequence = await SequenceRepository.findById(sequenceId);
+    return sequence ? sequence.id : undefined;
+  }
+
   async scheduleEmails(req, res) {
     try {
       const { leadIds, filter } = req.body;
@@ -197,6 +332,25 @@ class LeadController {
       const updates = {};
       if (name) updates.name = name;
       if (email) updates.email = email.toLowerCase().trim();
+      if (req.body.ownerId !== undefined) {
+        // Owner's sender identity is used when the lead's sequence sets none
+        if (req.body.ownerId !== null) {
+          if (!(await UserRepository.findById(req.body.ownerId))) {
+            return res.status(400).json({ error: `User ${req.body.ownerId} not found` });
+          }
+        }
+        updates.ownerId = req.body.ownerId;
+      }
+      if (req.body.customFields) {
+        // Merge; a null value removes the field
+        const customFields = { ...(lead.customFields || {}) };
+        for (const [key, value] of Object.entries(req.body.customFields)) {
+          const fieldKey = LeadImportService.toFieldKey(key);
+          if (value === null) delete customFields[fieldKey];
+          else customFields[fieldKey] = value;
+        }
+        updates.customFields = customFields;
+      }
 
       let locationChanged = false;
       if (country && country !== lead.country) {
@@ -331,9 +485,9 @@ class LeadController {
           .json({ message: "Followups already paused", lead });
       }
 
-      const { SettingsRepository } = require("../repositories");
-      const settings = await SettingsRepository.getSettings();
-      const followupNames = (settings?.followups || [])
+      const { SequenceRepository } = require("../repositories");
+      const steps = await SequenceRepository.getStepsForLead(lead);
+      const followupNames = steps
         .filter((f) => f.enabled && !f.name.toLowerCase().includes("initial"))
         .map((f) => f.name);
 
@@ -466,9 +620,9 @@ class LeadController {
       });
       if (!lead) return res.status(404).json({ error: "Lead not found" });
 
-      const { SettingsRepository } = require("../repositories");
-      const settings = await SettingsRepository.getSettings();
-      const followupSettings = (settings?.followups || []).filter(
+      const { SequenceRepository } = require("../repositories");
+      const steps = await SequenceRepository.getStepsForLead(lead);
+      const followupSettings = steps.filter(
         (f) => f.enabled && !f.name.toLowerCase().includes("initial"),
       );
       const followupNames = followupSettings.map((f) => f.name);
@@ -815,12 +969,11 @@ class LeadController {
         (s) => s !== stepName,
       );
 
-      const { SettingsRepository: SR } = require("../repositories");
-      const settings = await SR.getSettings();
-      const allFollowups =
-        settings?.followups
-          ?.filter((f) => f.enabled)
-          .sort((a, b) => a.order - b.order) || [];
+      const { SequenceRepository } = require("../repositories");
+      const steps = await SequenceRepository.getStepsForLead(lead);
+      const allFollowups = steps
+        .filter((f) => f.enabled)
+        .sort((a, b) => a.order - b.order);
 
       const revertedStepOrder =
         allFollowups.find((f) => f.name === stepName)?.order || 0;
@@ -0,0 +1,162 @@
+// controllers/PreferenceController.js
+// Public preference center (no auth - the signed unsubscribe token is the credential)
+// Serves an HTML page to browsers and JSON to API clients (Accept / Content-Type: application/json)
+
+const UnsubscribeService = require('../services/UnsubscribeService');
+const PreferenceService = require('../services/PreferenceService');
+const { escapeHtml, renderPage } = require('../lib/publicPage');
+
+const SNOOZE_OPTIONS = [1, 2, 4, 8, 12];
+
+class PreferenceController {
+
+  /**
+   * GET /api/preferences/:token
+   */
+  async get(req, res) {
+    const wantsJson = req.accepts(['html', 'json']) === 'json';
+    try {
+      const resolved = await UnsubscribeService.resolve(req.params.token);
+      if (!resolved) {
+        return wantsJson
+          ? res.status(404).json({ error: 'Invalid preferences token' })
+          : this._message(res, 404, 'Link not valid', 'This preferences link is invalid or no longer active.');
+      }
+
+      const { lead } = resolved;
+      if (wantsJson) {
+        return res.status(200).json(this._toJson(lead));
+      }
+      if (lead.terminalState === 'unsubscribed') {
+        return this._message(res, 200, 'Unsubscribed', `${lead.email} is unsubscribed and will not receive any emails from us.`);
+      }
+
+      res.status(200).type('html').send(renderPage('Email preferences', this._form(lead, req.originalUrl)));
+    } catch (error) {
+      console.error('Get preferences error:', error);
+      wantsJson
+        ? res.status(500).json({ error: error.message })
+        : this._message(res, 500, 'Something went wrong', 'Please try again later.');
+    }
+  }
+
+  /**
+   * POST /api/preferences/:token
+   * JSON: { optOut?: string[], frequency?, snoozeWeeks? }
+   * Form: receive (checked categories), frequency, snoozeWeeks
+   */
+  async update(req, res) {
+    const isJson = req.is('application/json');
+    try {
+      const resolved = await UnsubscribeService.resolve(req.params.token);
+      if (!resolved) {
+        return isJson
+          ? res.status(404).json({ error: 'Invalid preferences token' })
+          : this._message(res, 404, 'Link not valid', 'This preferences link is invalid or no longer active.');
+      }
+
+      const { lead } = resolved;
+      if (lead.terminalState === 'unsubscribed') {
+        return isJson
+          ? res.status(409).json({ error: 'Lead is unsubscribed' })
+          : this._message(res, 409, 'Unsubscribed', `${lead.email} is unsubscribed and will not receive any emails from us.`);
+      }
+
+      const updates = isJson ? req.body : this._fromForm(req.body);
+      const preferences = await PreferenceService.update(lead, updates, 'preference_center');
+
+      if (isJson) {
+        return res.status(200).json(this._toJson({ ...lead, emailPreferences: preferences }));
+      }
+      this._message(res, 200, 'Preferences saved', this._summary(preferences), { href: req.originalUrl, label: 'Change again' });
+    } catch (error) {
+      const status = error.isOperational ? error.statusCode : 500;
+      if (status === 500) console.error('Update preferences error:', error);
+      isJson
+        ? res.status(status).json({ error: error.message })
+        : this._message(res, status, status === 500 ? 'Something went wrong' : 'Could not save', status === 500 ? 'Please try again later.' : error.message);
+    }
+  }
+
+  _toJson(lead) {
+    return {
+      email: lead.email,
+      unsubscribed: lead.terminalState === 'unsubscribed',
+      preferences: PreferenceService.getPreferences(lead),
+      categories: PreferenceService.getCategories(),
+      frequencies: PreferenceService.getFrequencies()
+    };
+  }
+
+  // Unchecked categories are opted out; an empty snooze select leaves the snooze as it is
+  _fromForm(body = {}) {
+    const receive = [].concat(body.receive || []);
+    return {
+      optOut: Object.keys(PreferenceService.getCategories()).filter(category => !receive.includes(category)),
+      frequency: body.frequency,
+      snoozeWeeks: body.snoozeWeeks
+    };
+  }
+
+  _form(lead, action) {
+    const preferences = PreferenceService.getPreferences(lead);
+    const categories = Object.entries(PreferenceService.getCategories())
+      .map(([key, label]) => `<label><input type="checkbox" name="receive" value="${escapeHtml(key)}"${preferences.optOut.includes(key) ? '' : ' checked'}> ${escapeHtml(label)}</label>`)
+      .join('\n        ');
+    const frequencies = PreferenceService.getFrequencies()
+      .map(frequency => `<option value="${escapeHtml(frequency)}"${frequency === preferences.frequency ? ' selected' : ''}>${escapeHtml(this._frequencyLabel(frequency))}</option>`)
+      .join('');
+    const snoozeOptions = SNOOZE_OPTIONS
+      .map(weeks => `<option value="${weeks}">Pause for ${weeks} week${weeks > 1 ? 's' : ''}</option>`)
+      .join('');
+    const snoozeNote = preferences.snoozedUntil
+      ? `<p>Emails are paused until ${escapeHtml(new Date(preferences.snoozedUntil).toDateString())}.</p>`
+      : '';
+
+    return `<p>Choose what ${escapeHtml(lead.email)} receives from us.</p>
+    ${snoozeNote}
+    <form class="preferences" method="post" action="${escapeHtml(action)}">
+      <fieldset>
+        <legend>Emails I want</legend>
+        ${categories}
+      </fieldset>
+      <fieldset>
+        <legend>How often</legend>
+        <select name="frequency">${frequencies}</select>
+      </fieldset>
+      <fieldset>
+        <legend>Take a break</legend>
+        <select name="snoozeWeeks"><option value="">${preferences.snoozedUntil ? 'Keep current pause' : 'No pause'}</option>${preferences.snoozedUntil ? '<option value="0">Resume now</option>' : ''}${snoozeOptions}</select>
+      </fieldset>
+      <button type="submit">Save preferences</button>
+    </form>
+    <p><a href="${escapeHtml(action.replace('/preferences/', '/unsubscribe/'))}">Unsubscribe from all emails</a></p>`;
+  }
+
+  _summary(preferences) {
+    const categories = PreferenceService.getCategories();
+    const receiving = Object.keys(categories).filter(category => !preferences.optOut.includes(category));
+    const parts = [
+      receiving.length > 0
+        ? `You'll receive: ${receiving.map(category => categories[category].toLowerCase()).join(', ')}.`
+        : 'You won\'t receive any of these emails.',
+      preferences.frequency !== 'normal' && `At most ${this._frequencyLabel(preferences.frequency).toLowerCase()}.`,
+      preferences.snoozedUntil && `Paused until ${new Date(preferences.snoozedUntil).toDateString()}.`
+    ];
+    return parts.filter(Boolean).join(' ');
+  }
+
+  _frequencyLabel(frequency) {
+    return { normal: 'As usual', weekly: 'Once a week', monthly: 'Once a month' }[frequency] || frequency;
+  }
+
+  _message(res, status, title, message, link = null) {
+    const body = [
+      `<p>${escapeHtml(message)}</p>`,
+      link && `<p><a href="${escapeHtml(link.href)}">${escapeHtml(link.label)}</a></p>`
+    ].filter(Boolean).join('\n    ');
+    res.status(status).type('html').send(renderPage(title, body));
+  }
+}
+
+module.exports = new PreferenceController();
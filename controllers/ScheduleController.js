@@ -3,7 +3,7 @@
 
 const moment = require('moment-timezone');
 const { prisma } = require('../lib/prisma');
-const { SettingsRepository } = require('../repositories');
+const { SettingsRepository, SenderIdentityRepository } = require('../repositories');
 const RateLimitService = require('../services/RateLimitService');
 const RulebookService = require('../services/RulebookService');
 
@@ -152,7 +152,9 @@ class ScheduleController {
           windowMinutes,
           businessHours: '24 Hours (Global View)'
         },
-        slots
+        slots,
+        // Sender identity limits count per UTC day
+        senders: await this._getSenderCapacities(queryDate.format('YYYY-MM-DD'))
       });
 
     } catch (error) {
@@ -161,6 +163,54 @@ class ScheduleController {
     }
   }
 
+  /**
+   * GET /api/schedule/warmup?days=14
+   * Warm-up capacity left per sender identity for each of the next N UTC days
+   */
+  async getWarmup(req, res) {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+      const identities = (await SenderIdentityRepository.findAll())
+        .filter(identity => identity.active && identity.warmup);
+
+      const senders = [];
+      for (const identity of identities) {
+        const schedule = [];
+        for (let i = 0; i < days; i++) {
+          const date = moment.utc().startOf('day').add(i, 'days').toDate();
+          schedule.push(await RateLimitService.getSenderCapacity(identity, date));
+        }
+        senders.push({
+          id: identity.id,
+          name: identity.name,
+          fromEmail: identity.fromEmail,
+          dailyCap: identity.dailyCap,
+          warmup: identity.warmup,
+          days: schedule
+        });
+      }
+
+      res.status(200).json({ days, senders });
+    } catch (error) {
+      console.error('Get warm-up schedule error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Active identities with a daily cap or warm-up, and what is left of it on a UTC date
+   */
+  async _getSenderCapacities(date) {
+    const identities = (await SenderIdentityRepository.findAll())
+      .filter(identity => identity.active && (identity.dailyCap || identity.warmup));
+
+    return Promise.all(identities.map(async (identity) => ({
+      id: identity.id,
+      name: identity.name,
+      ...(await RateLimitService.getSenderCapacity(identity, moment.utc(date).toDate()))
+    })));
+  }
+
   // Get available timezones based on existing jobs
   async getTimezones(req, res) {
     try {
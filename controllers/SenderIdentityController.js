@@ -0,0 +1,152 @@
+// controllers/SenderIdentityController.js
+// Sender identities - from address, reply-to, signature, daily cap and warm-up ramp
+// Assigned on sequences, conditional emails and users (lead owners)
+
+const { SenderIdentityRepository, TemplatePartialRepository } = require('../repositories');
+const SenderIdentityService = require('../services/SenderIdentityService');
+
+class SenderIdentityController {
+
+  /**
+   * GET /api/sender-identities
+   */
+  async getAll(req, res) {
+    try {
+      const identities = await SenderIdentityRepository.findAll();
+      res.status(200).json(identities);
+    } catch (error) {
+      console.error('Get sender identities error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/sender-identities/:id
+   * Includes today's sends against the daily cap and today's warm-up capacity
+   */
+  async getById(req, res) {
+    try {
+      const identity = await SenderIdentityRepository.findById(req.params.id);
+      if (!identity) {
+        return res.status(404).json({ error: 'Sender identity not found' });
+      }
+
+      res.status(200).json({
+        ...identity,
+        today: await SenderIdentityService.getDailyUsage(identity),
+        capacity: await SenderIdentityService.getDayCapacity(identity)
+      });
+    } catch (error) {
+      console.error('Get sender identity error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/sender-identities
+   */
+  async create(req, res) {
+    try {
+      if (await SenderIdentityRepository.findByName(req.body.name)) {
+        return res.status(409).json({ error: `Sender identity "${req.body.name}" already exists` });
+      }
+
+      const partialError = await this._checkSignaturePartial(req.body.signaturePartial);
+      if (partialError) {
+        return res.status(400).json({ error: partialError });
+      }
+
+      const warmupError = this._normalizeWarmup(req.body, req.body.dailyCap);
+      if (warmupError) {
+        return res.status(400).json({ error: warmupError });
+      }
+
+      const identity = await SenderIdentityRepository.create(req.body, req.user?.email);
+      console.log(`[SenderIdentity] Created: ${identity.name} <${identity.fromEmail}>`);
+
+      res.status(201).json(identity);
+    } catch (error) {
+      console.error('Create sender identity error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * PUT /api/sender-identities/:id
+   */
+  async update(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await SenderIdentityRepository.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Sender identity not found' });
+      }
+
+      if (req.body.name && req.body.name !== existing.name && await SenderIdentityRepository.findByName(req.body.name)) {
+        return res.status(409).json({ error: `Sender identity "${req.body.name}" already exists` });
+      }
+
+      const partialError = await this._checkSignaturePartial(req.body.signaturePartial);
+      if (partialError) {
+        return res.status(400).json({ error: partialError });
+      }
+
+      const warmupError = this._normalizeWarmup(
+        req.body,
+        req.body.dailyCap !== undefined ? req.body.dailyCap : existing.dailyCap
+      );
+      if (warmupError) {
+        return res.status(400).json({ error: warmupError });
+      }
+
+      const identity = await SenderIdentityRepository.update(id, req.body, req.user?.email);
+      console.log(`[SenderIdentity] Updated: ${identity.name}`);
+
+      res.status(200).json(identity);
+    } catch (error) {
+      console.error('Update sender identity error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/sender-identities/:id
+   * Sequences, conditional emails and users using it fall back to the next identity in line
+   */
+  async delete(req, res) {
+    try {
+      const { id } = req.params;
+      if (!(await SenderIdentityRepository.findById(id))) {
+        return res.status(404).json({ error: 'Sender identity not found' });
+      }
+
+      await SenderIdentityRepository.delete(id);
+      res.status(200).json({ message: 'Sender identity deleted' });
+    } catch (error) {
+      console.error('Delete sender identity error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Fill in warm-up defaults on the request body
+   * @returns {string|null} Error message, or null when valid (or no warmup given)
+   */
+  _normalizeWarmup(body, dailyCap) {
+    if (!body.warmup) return null;
+    try {
+      body.warmup = SenderIdentityService.normalizeWarmup(body.warmup, dailyCap);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  async _checkSignaturePartial(name) {
+    if (!name) return null;
+    const partial = await TemplatePartialRepository.findByName(name);
+    return partial ? null : `Unknown signature partial "${name}"`;
+  }
+}
+
+module.exports = new SenderIdentityController();
@@ -0,0 +1,248 @@
+// controllers/SequenceController.js
+// API controller for named followup sequences
+
+const { SequenceRepository } = require('../repositories');
+const EmailSchedulerService = require('../services/EmailSchedulerService');
+const SenderIdentityService = require('../services/SenderIdentityService');
+
+class SequenceController {
+
+  /**
+   * GET /api/sequences
+   * List all sequences with enrolled lead counts
+   */
+  async getAll(req, res) {
+    try {
+      const sequences = await SequenceRepository.findAll();
+      res.status(200).json(sequences);
+    } catch (error) {
+      console.error('Get sequences error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/sequences/:id
+   */
+  async getById(req, res) {
+    try {
+      const sequence = await SequenceRepository.findById(req.params.id);
+      if (!sequence) {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+
+      const leadCount = await SequenceRepository.countLeads(sequence.id);
+      res.status(200).json({ ...sequence, leadCount });
+    } catch (error) {
+      console.error('Get sequence error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/sequences
+   */
+  async create(req, res) {
+    try {
+      const existing = await SequenceRepository.findByName(req.body.name);
+      if (existing) {
+        return res.status(409).json({ error: `Sequence "${req.body.name}" already exists` });
+      }
+
+      const identityError = await SenderIdentityService.checkAssignable(req.body.senderIdentityId);
+      if (identityError) {
+        return res.status(400).json({ error: identityError });
+      }
+
+      const sequence = await SequenceRepository.create(req.body);
+      console.log(`[Sequence] Created: ${sequence.name} (${sequence.steps.length} steps)`);
+
+      res.status(201).json(sequence);
+    } catch (error) {
+      console.error('Create sequence error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * PUT /api/sequences/:id
+   * Replaces name/description/enabled and (optionally) the full step list
+   */
+  async update(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await SequenceRepository.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+
+      if (req.body.name && req.body.name.toLowerCase() !== existing.name.toLowerCase()) {
+        const nameTaken = await SequenceRepository.findByName(req.body.name);
+        if (nameTaken) {
+          return res.status(409).json({ error: `Sequence "${req.body.name}" already exists` });
+        }
+      }
+
+      const identityError = await SenderIdentityService.checkAssignable(req.body.senderIdentityId);
+      if (identityError) {
+        return res.status(400).json({ error: identityError });
+      }
+
+      const sequence = await SequenceRepository.update(id, req.body);
+      console.log(`[Sequence] Updated: ${sequence.name}`);
+
+      res.status(200).json({
+        message: 'Sequence updated successfully',
+        sequence
+      });
+    } catch (error) {
+      console.error('Update sequence error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/sequences/:id
+   * Enrolled leads fall back to the global followups
+   */
+  async delete(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await SequenceRepository.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+
+      const leadCount = await SequenceRepository.countLeads(id);
+      await SequenceRepository.delete(id);
+      console.log(`[Sequence] Deleted: ${existing.name} (${leadCount} leads moved to global followups)`);
+
+      res.status(200).json({
+        message: 'Sequence deleted',
+        detachedLeads: leadCount
+      });
+    } catch (error) {
+      console.error('Delete sequence error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/sequences/:id/steps
+   * Append a step and schedule it for leads that already completed the sequence
+   */
+  async addStep(req, res) {
+    try {
+      const { id } = req.params;
+
+      const sequence = await SequenceRepository.findById(id);
+      if (!sequence) {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+
+      const maxOrder = sequence.steps.reduce((max, s) => Math.max(max, s.order || 0), -1);
+      const steps = [...sequence.steps, { ...req.body, order: maxOrder + 1 }];
+      const updated = await SequenceRepository.update(id, { steps });
+
+      // In a branching sequence a new step is only reached once a branch points to it
+      const scheduleResult = SequenceRepository.isBranching(updated.steps)
+        ? { scheduled: 0, checked: 0 }
+        : await EmailSchedulerService.scheduleNewFollowupForCompletedLeads(
+          req.body.name,
+          sequence.id
+        );
+
+      res.status(201).json({
+        message: `Step added successfully. Scheduled for ${scheduleResult.scheduled} completed leads.`,
+        sequence: updated,
+        autoScheduled: scheduleResult
+      });
+    } catch (error) {
+      console.error('Add sequence step error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/sequences/:id/steps/:stepId
+   */
+  async deleteStep(req, res) {
+    try {
+      const { id, stepId } = req.params;
+
+      const sequence = await SequenceRepository.findById(id);
+      if (!sequence) {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+
+      const removed = sequence.steps.find(s => s.id === stepId || s.name === stepId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Step not found' });
+      }
+
+      // Branches pointing at the removed step are dropped with it
+      const steps = sequence.steps
+        .filter(s => s.id !== removed.id)
+        .map(s => (s.branches
+          ? { ...s, branches: s.branches.filter(b => b.goTo !== removed.id) }
+          : s));
+
+      const updated = await SequenceRepository.update(id, { steps });
+      res.status(200).json({
+        message: 'Step deleted successfully',
+        sequence: updated
+      });
+    } catch (error) {
+      console.error('Delete sequence step error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/sequences/:id/enroll
+   * Move leads into this sequence. Pending followups from their previous
+   * chain are cancelled and the next step is scheduled from the new one.
+   */
+  async enroll(req, res) {
+    try {
+      const { id } = req.params;
+      const { leadIds, scheduleNext } = req.body;
+
+      const sequence = await SequenceRepository.findById(id);
+      if (!sequence) {
+        return res.status(404).json({ error: 'Sequence not found' });
+      }
+
+      const result = await EmailSchedulerService.enrollLeads(sequence, leadIds, scheduleNext);
+      res.status(200).json({
+        message: `Enrolled ${result.enrolled} leads in "${sequence.name}"`,
+        ...result
+      });
+    } catch (error) {
+      console.error('Enroll sequence error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/sequences/unenroll
+   * Detach leads from their sequence (back to global followups)
+   */
+  async unenroll(req, res) {
+    try {
+      const { leadIds, scheduleNext } = req.body;
+      const result = await EmailSchedulerService.enrollLeads(null, leadIds, scheduleNext);
+      res.status(200).json({
+        message: `Moved ${result.enrolled} leads to the global followups`,
+        ...result
+      });
+    } catch (error) {
+      console.error('Unenroll sequence error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new SequenceController();
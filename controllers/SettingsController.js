@@ -9,9 +9,16 @@ require('dotenv').config();
 
 class SettingsController {
   // Get current settings
+  // Brevo API key is only returned to admins
   async getSettings(req, res) {
     try {
       const settings = await SettingsRepository.getSettings();
+      if (req.user?.role !== 'admin' && settings.brevo?.apiKey) {
+        return res.status(200).json({
+          ...settings,
+          brevo: { ...settings.brevo, apiKey: '********' }
+        });
+      }
       res.status(200).json(settings);
     } catch (error) {
       console.error('Get settings error:', error);
@@ -23,16 +30,30 @@ class SettingsController {
   async updateSettings(req, res) {
     try {
       const { rateLimit, businessHours, retry, brevo, smartSendTime, reporting } = req.body;
+      const isAdmin = req.user?.role === 'admin';
+
+      // Brevo credentials are admin only - non-admins may echo back the (masked) current values
+      if (brevo && !isAdmin) {
+        const current = (await SettingsRepository.getSettings()).brevo || {};
+        const changed = ['apiKey', 'fromEmail', 'fromName'].some(key =>
+          brevo[key] !== undefined &&
+          brevo[key] !== current[key] &&
+          !(key === 'apiKey' && brevo[key] === '********')
+        );
+        if (changed) {
+          return res.status(403).json({ error: 'Only admins can change Brevo credentials', code: 'FORBIDDEN' });
+        }
+      }
       
       const updates = {};
       if (rateLimit) updates.rateLimit = rateLimit;
       if (businessHours) updates.businessHours = businessHours;
       if (retry) updates.retry = retry;
-      if (brevo) updates.brevo = brevo;
+      if (brevo && isAdmin) updates.brevo = brevo;
       if (smartSendTime) updates.smartSendTime = smartSendTime;
       if (reporting) updates.reporting = reporting;
       
-      const settings = await SettingsRepository.updateSettings(updates);
+      const settings = await SettingsRepository.updateSettings(updates, req.user?.email);
       res.status(200).json({
         message: 'Settings updated successfully',
         settings
@@ -74,7 +95,7 @@ class SettingsController {
         order: maxOrder + 1
       });
       
-      const updated = await SettingsRepository.updateSettings({ followups });
+      const updated = await SettingsRepository.updateSettings({ followups }, req.user?.email);
       
       // Auto-schedule this new followup for leads that have completed their sequence
       const EmailSchedulerService = require('../services/EmailSchedulerService');
@@ -95,7 +116,7 @@ class SettingsController {
   async updateFollowup(req, res) {
     try {
       const { id } = req.params;
-      const { name, delayDays, enabled, order, templateId, condition } = req.body;
+      const { name, delayDays, enabled, order, templateId, condition, variants, abTest } = req.body;
 
       const settings = await SettingsRepository.getSettings();
       const followups = settings.followups || [];
@@ -128,9 +149,31 @@ class SettingsController {
         }
         if (condition.skipIfNotMet !== undefined) followup.condition.skipIfNotMet = condition.skipIfNotMet;
       }
+
+      // A/B test variants (an empty list ends the test)
+      if (variants !== undefined || abTest !== undefined) {
+        const ABTestService = require('../services/ABTestService');
+        try {
+          const normalizedVariants = ABTestService.normalizeVariants(
+            variants !== undefined ? variants : followup.variants
+          );
+          const normalizedAbTest = ABTestService.normalizeAbTest(
+            abTest !== undefined ? abTest : followup.abTest,
+            normalizedVariants
+          );
+          delete followup.variants;
+          delete followup.abTest;
+          if (normalizedVariants) {
+            followup.variants = normalizedVariants;
+            followup.abTest = normalizedAbTest;
+          }
+        } catch (validationError) {
+          return res.status(400).json({ error: validationError.message });
+        }
+      }
       
       followups[followupIndex] = followup;
-      const updated = await SettingsRepository.updateSettings({ followups });
+      const updated = await SettingsRepository.updateSettings({ followups }, req.user?.email);
       
       res.status(200).json({
         message: 'Followup updated successfully',
@@ -167,7 +210,7 @@ class SettingsController {
       }
 
       followups.splice(followupIndex, 1);
-      const updated = await SettingsRepository.updateSettings({ followups });
+      const updated = await SettingsRepository.updateSettings({ followups }, req.user?.email);
       
       res.status(200).json({
         message: 'Followup deleted successfully',
@@ -195,7 +238,7 @@ class SettingsController {
       });
       
       followups.sort((a, b) => a.order - b.order);
-      const updated = await SettingsRepository.updateSettings({ followups });
+      const updated = await SettingsRepository.updateSettings({ followups }, req.user?.email);
       
       res.status(200).json({
         message: 'Followups reordered successfully',
@@ -304,7 +347,7 @@ class SettingsController {
       }
       
       pausedDates.push(pauseDate);
-      const updated = await SettingsRepository.updateSettings({ pausedDates });
+      const updated = await SettingsRepository.updateSettings({ pausedDates }, req.user?.email);
       
       // CRITICAL: Move all jobs scheduled for this paused date to next working day
       const { prisma } = require('../lib/prisma');
@@ -402,7 +445,7 @@ class SettingsController {
         return res.status(404).json({ error: 'Date was not paused' });
       }
       
-      const updated = await SettingsRepository.updateSettings({ pausedDates: filteredDates });
+      const updated = await SettingsRepository.updateSettings({ pausedDates: filteredDates }, req.user?.email);
       
       res.status(200).json({
         message: `Date ${unpauseDate.toDateString()} unpaused successfully`,
@@ -435,7 +478,7 @@ class SettingsController {
       const businessHours = settings.businessHours || {};
       businessHours.weekendDays = weekendDays;
       
-      const updated = await SettingsRepository.updateSettings({ businessHours });
+      const updated = await SettingsRepository.updateSettings({ businessHours }, req.user?.email);
       
       res.status(200).json({
         message: 'Weekend days updated successfully',
@@ -502,49 +545,269 @@ class SettingsController {
   // Test Brevo API connection
   async testBrevoConnection(req, res) {
     try {
-      const { apiKey } = req.body;
-      
-      let keyToTest = apiKey;
-      if (!keyToTest) {
-        const settings = await SettingsRepository.getSettings();
-        keyToTest = settings.brevo?.apiKey || process.env.BREVO_API_KEY;
-      }
-      
-      if (!keyToTest) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'No API key provided or configured' 
-        });
+      const EmailProviderService = require('../services/EmailProviderService');
+      const result = await EmailProviderService.verifyCredentials('brevo', { apiKey: req.body.apiKey });
+
+      if (!result.ok) {
+        return res.status(400).json({ success: false, error: result.error });
       }
-      
-      const response = await axios.get(
-        'https://api.brevo.com/v3/account',
-        {
-          headers: {
-            'api-key': keyToTest,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
       res.status(200).json({
         success: true,
         account: {
-          email: response.data.email,
-          firstName: response.data.firstName,
-          lastName: response.data.lastName,
-          plan: response.data.plan?.[0]?.type || 'Unknown'
+          email: result.details.email,
+          firstName: result.details.firstName,
+          lastName: result.details.lastName,
+          plan: result.details.plan
         }
       });
     } catch (error) {
-      console.error('Brevo connection test failed:', error.response?.data || error.message);
+      console.error('Brevo connection test failed:', error.message);
       res.status(400).json({
         success: false,
-        error: error.response?.data?.message || error.message
+        error: error.message
       });
     }
   }
 
+  // List email providers (active one is set with EMAIL_PROVIDER)
+  async getEmailProviders(req, res) {
+    try {
+      const EmailProviderService = require('../services/EmailProviderService');
+      res.status(200).json({ providers: await EmailProviderService.list() });
+    } catch (error) {
+      console.error('Get email providers error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Verify a provider's credentials (body may carry unsaved credentials to test)
+  async verifyEmailProvider(req, res) {
+    try {
+      const EmailProviderService = require('../services/EmailProviderService');
+      if (!EmailProviderService.names().includes(req.params.name)) {
+        return res.status(404).json({ error: `Unknown email provider "${req.params.name}"` });
+      }
+
+      const result = await EmailProviderService.verifyCredentials(req.params.name, req.body || {});
+      res.status(result.ok ? 200 : 400).json({ provider: req.params.name, ...result });
+    } catch (error) {
+      console.error('Verify email provider error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Close a provider's circuit breaker so sends go back to it immediately
+  async resetEmailProviderCircuit(req, res) {
+    try {
+      const EmailProviderService = require('../services/EmailProviderService');
+      if (!EmailProviderService.names().includes(req.params.name)) {
+        return res.status(404).json({ error: `Unknown email provider "${req.params.name}"` });
+      }
+
+      const circuit = EmailProviderService.resetCircuit(req.params.name);
+      res.status(200).json({ provider: req.params.name, circuit });
+    } catch (error) {
+      console.error('Reset provider circuit error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // ========================================
+  // GLOBAL SEND HALT (kill switch)
+  // ========================================
+
+  // Current halt state
+  async getSendHalt(req, res) {
+    try {
+      const SendHaltService = require('../services/SendHaltService');
+      res.status(200).json(await SendHaltService.getState());
+    } catch (error) {
+      console.error('Get send halt error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Halt all sending - body: { reason, resumeAt? }
+  async haltSending(req, res) {
+    try {
+      const SendHaltService = require('../services/SendHaltService');
+      if (await SendHaltService.isHalted()) {
+        return res.status(409).json({ error: 'Sending is already halted' });
+      }
+
+      const state = await SendHaltService.halt(req.body, req.user?.email);
+      res.status(200).json(state);
+    } catch (error) {
+      console.error('Halt sending error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Resume sending before the auto-resume time
+  async resumeSending(req, res) {
+    try {
+      const SendHaltService = require('../services/SendHaltService');
+      if (!(await SendHaltService.isHalted())) {
+        return res.status(409).json({ error: 'Sending is not halted' });
+      }
+
+      const state = await SendHaltService.resume(req.user?.email);
+      res.status(200).json(state);
+    } catch (error) {
+      console.error('Resume sending error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Per-recipient-domain throttles with usage in the current window and UTC day
+  async getDomainThrottles(req, res) {
+    try {
+      const RateLimitService = require('../services/RateLimitService');
+      const { domainThrottles = [] } = await SettingsRepository.getSettings();
+
+      const usage = [];
+      for (const throttle of domainThrottles.filter(t => t.domain !== '*')) {
+        usage.push(await RateLimitService.getDomainCapacity(`@${throttle.domain}`, Date.now()));
+      }
+
+      res.status(200).json({ throttles: domainThrottles, usage });
+    } catch (error) {
+      console.error('Get domain throttles error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Replace the per-recipient-domain throttles
+  async updateDomainThrottles(req, res) {
+    try {
+      const RateLimitService = require('../services/RateLimitService');
+      const throttles = req.body.throttles.map(({ domain, perWindow = null, perDay = null }) => ({ domain, perWindow, perDay }));
+
+      const settings = await SettingsRepository.updateSettings({ domainThrottles: throttles }, req.user?.email);
+      RateLimitService.invalidateCache();
+
+      res.status(200).json({ throttles: settings.domainThrottles });
+    } catch (error) {
+      console.error('Update domain throttles error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // ========================================
+  // DELIVERABILITY GUARD (bounce/complaint circuit breaker)
+  // ========================================
+
+  // Thresholds, current overall rates and open pauses
+  async getDeliverabilityGuard(req, res) {
+    try {
+      const DeliverabilityGuardService = require('../services/DeliverabilityGuardService');
+      const config = await DeliverabilityGuardService.getConfig();
+
+      res.status(200).json({
+        config,
+        rates: await DeliverabilityGuardService.getRates(null, config),
+        pauses: await DeliverabilityGuardService.listPauses({ active: true })
+      });
+    } catch (error) {
+      console.error('Get deliverability guard error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Update thresholds - body: { enabled?, windowHours?, minSent?, hardBounceRate?, complaintRate?, perSender? }
+  async updateDeliverabilityGuard(req, res) {
+    try {
+      const DeliverabilityGuardService = require('../services/DeliverabilityGuardService');
+      const config = await DeliverabilityGuardService.updateConfig(req.body, req.user?.email);
+      res.status(200).json({ config });
+    } catch (error) {
+      console.error('Update deliverability guard error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Pause history - ?active=true for open pauses only
+  async getSendingPauses(req, res) {
+    try {
+      const DeliverabilityGuardService = require('../services/DeliverabilityGuardService');
+      const pauses = await DeliverabilityGuardService.listPauses({ active: req.query.active === 'true' });
+      res.status(200).json(pauses);
+    } catch (error) {
+      console.error('Get sending pauses error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Acknowledge a pause so sending resumes for its scope - body: { note? }
+  async acknowledgeSendingPause(req, res) {
+    try {
+      const DeliverabilityGuardService = require('../services/DeliverabilityGuardService');
+      const pause = await DeliverabilityGuardService.acknowledge(req.params.id, req.user?.email, req.body?.note || null);
+      if (!pause) {
+        return res.status(404).json({ error: 'Sending pause not found' });
+      }
+
+      res.status(200).json(pause);
+    } catch (error) {
+      console.error('Acknowledge sending pause error:', error);
+      res.status(409).json({ error: error.message });
+    }
+  }
+
+  // ========================================
+  // FIRST-PARTY TRACKING (open pixel + click redirect)
+  // ========================================
+
+  async getTracking(req, res) {
+    try {
+      const TrackingService = require('../services/TrackingService');
+      const config = await TrackingService.getConfig();
+      // Links can only be built with a public URL - tracking stays inactive without it
+      res.status(200).json({ config, active: config.enabled && !!process.env.PUBLIC_BASE_URL });
+    } catch (error) {
+      console.error('Get tracking error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Update tracking - body: { enabled?, opens?, clicks? }
+  async updateTracking(req, res) {
+    try {
+      const TrackingService = require('../services/TrackingService');
+      const config = await TrackingService.updateConfig(req.body, req.user?.email);
+      res.status(200).json({ config, active: config.enabled && !!process.env.PUBLIC_BASE_URL });
+    } catch (error) {
+      console.error('Update tracking error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // ========================================
+  // MACHINE OPEN/CLICK CLASSIFIER
+  // ========================================
+
+  async getMachineEventFilter(req, res) {
+    try {
+      const MachineEventService = require('../services/MachineEventService');
+      res.status(200).json({ config: await MachineEventService.getConfig() });
+    } catch (error) {
+      console.error('Get machine event filter error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Update classifier - body: { enabled?, userAgents?, ipRanges?, minSecondsAfterDelivery?: { opened?, clicked? } }
+  async updateMachineEventFilter(req, res) {
+    try {
+      const MachineEventService = require('../services/MachineEventService');
+      const config = await MachineEventService.updateConfig(req.body, req.user?.email);
+      res.status(200).json({ config });
+    } catch (error) {
+      console.error('Update machine event filter error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   // ========================================
   // RULEBOOK MANAGEMENT
   // ========================================
@@ -569,7 +832,7 @@ class SettingsController {
         return res.status(400).json({ error: 'No updates provided' });
       }
 
-      const rulebook = await SettingsRepository.updateRulebook(updates);
+      const rulebook = await SettingsRepository.updateRulebook(updates, req.user?.email);
       res.status(200).json({
         message: 'Rulebook updated successfully',
         rulebook
@@ -583,7 +846,7 @@ class SettingsController {
   // Reset rulebook to defaults
   async resetRulebook(req, res) {
     try {
-      const rulebook = await SettingsRepository.resetRulebook();
+      const rulebook = await SettingsRepository.resetRulebook(req.user?.email);
       res.status(200).json({
         message: 'Rulebook reset to defaults',
         rulebook
@@ -0,0 +1,132 @@
+// controllers/SuppressionController.js
+// Global suppression list - exact addresses, domains and wildcard patterns that are never mailed
+
+const { SuppressionRepository } = require('../repositories');
+const SuppressionService = require('../services/SuppressionService');
+
+class SuppressionController {
+
+  /**
+   * GET /api/suppressions
+   * Query: type, source, search, page, limit
+   */
+  async getAll(req, res) {
+    try {
+      const result = await SuppressionRepository.findMany({
+        type: req.query.type,
+        source: req.query.source,
+        search: req.query.search,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500)
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Get suppressions error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/suppressions/check?email=
+   * The entry suppressing an address (null when it can be mailed)
+   */
+  async check(req, res) {
+    try {
+      if (!req.query.email) {
+        return res.status(400).json({ error: 'email is required' });
+      }
+
+      const entry = await SuppressionService.check(req.query.email);
+      res.status(200).json({ email: req.query.email, suppressed: !!entry, entry });
+    } catch (error) {
+      console.error('Check suppression error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/suppressions
+   * Body: { type?, value, reason? } - type is inferred from the value when omitted
+   */
+  async create(req, res) {
+    try {
+      const { entry, created } = await SuppressionService.add(
+        { ...req.body, source: 'manual' },
+        req.user?.email
+      );
+      if (!created) {
+        return res.status(409).json({ error: `${entry.value} is already suppressed`, entry });
+      }
+
+      res.status(201).json(entry);
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json(error.toJSON());
+      }
+      console.error('Create suppression error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/suppressions/import
+   * CSV/XLSX upload (form-data "file") or JSON { entries: [{ type?, value, reason? }] }
+   * Columns: value (or email/domain/pattern), type, reason, source
+   */
+  async importEntries(req, res) {
+    try {
+      let rows = req.body?.entries;
+      if (req.file) {
+        const LeadImportService = require('../services/LeadImportService');
+        const fileType = req.file.mimetype === 'text/csv' ? 'csv' : 'xlsx';
+        rows = await LeadImportService.parseFile(req.file.buffer, fileType);
+      }
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ error: 'Upload a file (form-data key "file") or send { entries: [...] }' });
+      }
+
+      const results = await SuppressionService.importEntries(rows, req.user?.email);
+      res.status(200).json(results);
+    } catch (error) {
+      console.error('Import suppressions error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * GET /api/suppressions/export.csv
+   */
+  async exportCsv(req, res) {
+    try {
+      const csv = await SuppressionService.exportCsv();
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="suppression-list.csv"');
+      res.status(200).send(csv);
+    } catch (error) {
+      console.error('Export suppressions error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/suppressions/:id
+   * The address can be mailed again (leads in a terminal state stay blocked)
+   */
+  async delete(req, res) {
+    try {
+      if (!(await SuppressionRepository.findById(req.params.id))) {
+        return res.status(404).json({ error: 'Suppression entry not found' });
+      }
+
+      const entry = await SuppressionRepository.delete(req.params.id);
+      console.log(`[Suppression] ${entry.value} removed by ${req.user?.email}`);
+      res.status(200).json({ message: 'Suppression entry deleted' });
+    } catch (error) {
+      console.error('Delete suppression error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new SuppressionController();
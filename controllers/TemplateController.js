@@ -1,7 +1,9 @@
 // controllers/TemplateController.js
 // Template controller using Prisma
 
-const { TemplateRepository } = require('../repositories');
+const { TemplateRepository, TemplatePartialRepository, SenderIdentityRepository } = require('../repositories');
+const TemplateRenderService = require('../services/TemplateRenderService');
+const TemplateVersionService = require('../services/TemplateVersionService');
 
 class TemplateController {
   // Get all templates
@@ -33,12 +35,16 @@ class TemplateController {
   async createTemplate(req, res) {
     try {
       const { name, subject, body, variables } = req.body;
+      const syntaxError = this._checkSyntax({ subject, body }) || await this._checkPartials({ subject, body });
+      if (syntaxError) {
+        return res.status(400).json({ error: syntaxError });
+      }
       const template = await TemplateRepository.create({
         name,
         subject,
         body,
         variables
-      });
+      }, req.user?.email);
       res.status(201).json(template);
     } catch (error) {
       console.error('Error creating template:', error);
@@ -49,9 +55,15 @@ class TemplateController {
   // Update template
   async updateTemplate(req, res) {
     try {
+      const syntaxError = this._checkSyntax(req.body) || await this._checkPartials(req.body);
+      if (syntaxError) {
+        return res.status(400).json({ error: syntaxError });
+      }
+      // Content changes create a new immutable version
       const template = await TemplateRepository.update(
         parseInt(req.params.id),
-        req.body
+        req.body,
+        req.user?.email
       );
       if (!template) {
         return res.status(404).json({ error: 'Template not found' });
@@ -76,6 +88,284 @@ class TemplateController {
       res.status(500).json({ error: 'Failed to delete template' });
     }
   }
+
+  // List versions (newest first)
+  async getVersions(req, res) {
+    try {
+      const versions = await TemplateRepository.findVersions(parseInt(req.params.id));
+      if (!versions) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      res.status(200).json(versions);
+    } catch (error) {
+      console.error('Error fetching template versions:', error);
+      res.status(500).json({ error: 'Failed to fetch template versions' });
+    }
+  }
+
+  // Get a single version
+  async getVersion(req, res) {
+    try {
+      const version = await TemplateRepository.findVersion(parseInt(req.params.id), req.params.version);
+      if (!version) {
+        return res.status(404).json({ error: 'Template version not found' });
+      }
+      res.status(200).json(version);
+    } catch (error) {
+      console.error('Error fetching template version:', error);
+      res.status(500).json({ error: 'Failed to fetch template version' });
+    }
+  }
+
+  // Diff two versions: GET /:id/diff?from=1&to=3 (to defaults to the current version)
+  async diffVersions(req, res) {
+    try {
+      const templateId = parseInt(req.params.id);
+      const template = await TemplateRepository.findById(templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const from = parseInt(req.query.from);
+      const to = req.query.to ? parseInt(req.query.to) : template.version;
+      if (isNaN(from) || isNaN(to)) {
+        return res.status(400).json({ error: 'from and to must be version numbers' });
+      }
+
+      const [fromVersion, toVersion] = await Promise.all([
+        TemplateRepository.findVersion(templateId, from),
+        TemplateRepository.findVersion(templateId, to)
+      ]);
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({ error: `Template version ${!fromVersion ? from : to} not found` });
+      }
+
+      res.status(200).json(TemplateVersionService.diffVersions(fromVersion, toVersion));
+    } catch (error) {
+      console.error('Error diffing template versions:', error);
+      res.status(500).json({ error: 'Failed to diff template versions' });
+    }
+  }
+
+  // Restore an old version (saved as a new version)
+  async restoreVersion(req, res) {
+    try {
+      const template = await TemplateRepository.restoreVersion(
+        parseInt(req.params.id),
+        req.params.version,
+        req.user?.email
+      );
+      if (!template) {
+        return res.status(404).json({ error: 'Template version not found' });
+      }
+      res.status(200).json({
+        message: `Restored version ${req.params.version} as version ${template.version}`,
+        template
+      });
+    } catch (error) {
+      console.error('Error restoring template version:', error);
+      res.status(500).json({ error: 'Failed to restore template version' });
+    }
+  }
+
+  // ==========================================
+  // PARTIALS ({{> name}})
+  // ==========================================
+
+  // List partials
+  async getPartials(req, res) {
+    try {
+      const partials = await TemplatePartialRepository.findAll();
+      res.status(200).json(partials);
+    } catch (error) {
+      console.error('Error fetching partials:', error);
+      res.status(500).json({ error: 'Failed to fetch partials' });
+    }
+  }
+
+  // Get single partial
+  async getPartial(req, res) {
+    try {
+      const partial = await TemplatePartialRepository.findByName(req.params.name);
+      if (!partial) {
+        return res.status(404).json({ error: 'Partial not found' });
+      }
+      res.status(200).json(partial);
+    } catch (error) {
+      console.error('Error fetching partial:', error);
+      res.status(500).json({ error: 'Failed to fetch partial' });
+    }
+  }
+
+  // Create partial
+  async createPartial(req, res) {
+    try {
+      const { name, description, body } = req.body;
+      if (await TemplatePartialRepository.findByName(name)) {
+        return res.status(409).json({ error: `Partial "${name}" already exists` });
+      }
+
+      const bodyError = await this._checkPartialBody(name, body);
+      if (bodyError) {
+        return res.status(400).json({ error: bodyError });
+      }
+
+      const partial = await TemplatePartialRepository.create({ name, description, body }, req.user?.email);
+      res.status(201).json(partial);
+    } catch (error) {
+      console.error('Error creating partial:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  // Update partial - takes effect on every template that includes it
+  async updatePartial(req, res) {
+    try {
+      const { name } = req.params;
+      if (!(await TemplatePartialRepository.findByName(name))) {
+        return res.status(404).json({ error: 'Partial not found' });
+      }
+
+      if (req.body.body !== undefined) {
+        const bodyError = await this._checkPartialBody(name, req.body.body);
+        if (bodyError) {
+          return res.status(400).json({ error: bodyError });
+        }
+      }
+
+      const partial = await TemplatePartialRepository.update(name, req.body, req.user?.email);
+      res.status(200).json(partial);
+    } catch (error) {
+      console.error('Error updating partial:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  // Delete partial (refused while templates or other partials include it)
+  async deletePartial(req, res) {
+    try {
+      const { name } = req.params;
+      if (!(await TemplatePartialRepository.findByName(name))) {
+        return res.status(404).json({ error: 'Partial not found' });
+      }
+
+      const usage = await this._findPartialUsage(name);
+      if (usage.templates.length > 0 || usage.partials.length > 0 || usage.senderIdentities.length > 0) {
+        return res.status(409).json({ error: `Partial "${name}" is still in use`, usage });
+      }
+
+      await TemplatePartialRepository.delete(name);
+      res.status(200).json({ message: 'Partial deleted' });
+    } catch (error) {
+      console.error('Error deleting partial:', error);
+      res.status(500).json({ error: 'Failed to delete partial' });
+    }
+  }
+
+  // Templates (and partials) that include a partial, directly or through another partial
+  async getPartialUsage(req, res) {
+    try {
+      const { name } = req.params;
+      if (!(await TemplatePartialRepository.findByName(name))) {
+        return res.status(404).json({ error: 'Partial not found' });
+      }
+      res.status(200).json(await this._findPartialUsage(name));
+    } catch (error) {
+      console.error('Error fetching partial usage:', error);
+      res.status(500).json({ error: 'Failed to fetch partial usage' });
+    }
+  }
+
+  /**
+   * @returns {Promise<{partial, templates: [{id, name, via}], partials: [{name, via}], senderIdentities: [{id, name}]}>}
+   *   via: [] for a direct include, otherwise the partials it is included through
+   *   senderIdentities use it as their signature
+   */
+  async _findPartialUsage(name) {
+    const [templates, partials, identities] = await Promise.all([
+      TemplateRepository.findAll(),
+      TemplatePartialRepository.findAll(),
+      SenderIdentityRepository.findAll()
+    ]);
+
+    const includes = new Map(partials.map(p => [p.name, TemplateRenderService.findPartials(p.body)]));
+
+    // Path of partials from `from` down to the one including `name` ([] = direct, null = not used)
+    const pathTo = (directNames, seen = new Set()) => {
+      if (directNames.includes(name)) return [];
+      for (const child of directNames) {
+        if (seen.has(child)) continue;
+        seen.add(child);
+        const rest = pathTo(includes.get(child) || [], seen);
+        if (rest) return [child, ...rest];
+      }
+      return null;
+    };
+
+    const usedByTemplates = [];
+    for (const template of templates) {
+      const via = pathTo(TemplateRenderService.findPartials(`${template.subject}\n${template.body}`));
+      if (via) usedByTemplates.push({ id: template.id, name: template.name, via });
+    }
+
+    const usedByPartials = [];
+    for (const partial of partials) {
+      if (partial.name === name) continue;
+      const via = pathTo(includes.get(partial.name), new Set([partial.name]));
+      if (via) usedByPartials.push({ name: partial.name, via });
+    }
+
+    const usedBySenders = identities
+      .filter(identity => identity.signaturePartial === name)
+      .map(identity => ({ id: identity.id, name: identity.name }));
+
+    return { partial: name, templates: usedByTemplates, partials: usedByPartials, senderIdentities: usedBySenders };
+  }
+
+  // Reject templates the renderer can't parse (unclosed {{#if}}, unknown filter...)
+  _checkSyntax({ subject, body }) {
+    for (const [field, text] of Object.entries({ subject, body })) {
+      const error = text ? TemplateRenderService.validate(text) : null;
+      if (error) return `Template ${field}: ${error}`;
+    }
+    return null;
+  }
+
+  // Reject includes of partials that don't exist
+  async _checkPartials({ subject, body }) {
+    const names = TemplateRenderService.findPartials(`${subject || ''}\n${body || ''}`);
+    if (names.length === 0) return null;
+
+    const partials = await TemplatePartialRepository.getBodies();
+    const missing = names.filter(n => partials[n] === undefined);
+    return missing.length > 0
+      ? `Unknown partial${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`
+      : null;
+  }
+
+  // Partial bodies follow template syntax, may only include existing partials and must not include themselves
+  async _checkPartialBody(name, body) {
+    const syntaxError = TemplateRenderService.validate(body);
+    if (syntaxError) return `Partial body: ${syntaxError}`;
+
+    const partials = await TemplatePartialRepository.getBodies();
+    const missing = TemplateRenderService.findPartials(body).filter(n => n !== name && partials[n] === undefined);
+    if (missing.length > 0) return `Unknown partial${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`;
+
+    // Include cycles (a > b > a) would only fail at send time
+    const bodies = { ...partials, [name]: body };
+    const visit = (current, path) => {
+      for (const child of TemplateRenderService.findPartials(bodies[current])) {
+        if (child === name) return [...path, child];
+        if (path.includes(child)) continue;
+        const cycle = visit(child, [...path, child]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+    const cycle = visit(name, [name]);
+    return cycle ? `Partial "${name}" would include itself (${cycle.join(' > ')})` : null;
+  }
 }
 
 module.exports = new TemplateController();
@@ -4,7 +4,8 @@
 const { prisma } = require('../lib/prisma');
 const redisConnection = require('../config/redis');
 const BrevoEmailService = require('../services/BrevoEmailService');
-const { SettingsRepository, EmailJobRepository, LeadRepository } = require('../repositories');
+const TemplateRenderService = require('../services/TemplateRenderService');
+const { SettingsRepository, EmailJobRepository, LeadRepository, TemplatePartialRepository } = require('../repositories');
 const EventBus = require('../events/EventBus');
 
 class TestingController {
@@ -78,7 +79,7 @@ class TestingController {
    */
   async previewTemplate(req, res) {
     try {
-      const { templateId, leadData = {} } = req.body;
+      const { templateId, leadId, leadData = {} } = req.body;
       
       if (!templateId) {
         return res.status(400).json({ error: 'templateId is required' });
@@ -92,40 +93,47 @@ class TestingController {
         return res.status(404).json({ error: 'Template not found' });
       }
       
-      // Build variable replacements
-      const mockLead = {
-        name: leadData.name || 'John Doe',
-        email: leadData.email || 'john@example.com',
-        company: leadData.company || 'Acme Corp',
-        city: leadData.city || 'New York',
-        country: leadData.country || 'USA',
-        position: leadData.position || 'CEO',
-        ...leadData
+      // Preview against a real lead, or mock data (leadData overrides either)
+      let baseLead = {
+        name: 'John Doe',
+        email: 'john@example.com',
+        city: 'New York',
+        country: 'USA',
+        customFields: { company: 'Acme Corp', position: 'CEO' }
       };
-      
-      const firstName = mockLead.name.split(' ')[0] || '';
-      const lastName = mockLead.name.split(' ').slice(1).join(' ') || '';
-      
-      let renderedSubject = template.subject || '';
-      let renderedBody = template.body || '';
-      
-      const replacements = {
-        '{{name}}': mockLead.name,
-        '{{firstName}}': firstName,
-        '{{lastName}}': lastName,
-        '{{email}}': mockLead.email,
-        '{{company}}': mockLead.company,
-        '{{companyName}}': mockLead.company,
-        '{{city}}': mockLead.city,
-        '{{country}}': mockLead.country,
-        '{{position}}': mockLead.position,
-        '{{title}}': mockLead.position
+      if (leadId) {
+        const lead = await LeadRepository.findById(leadId);
+        if (!lead) {
+          return res.status(404).json({ error: 'Lead not found' });
+        }
+        baseLead = lead;
+      }
+
+      // Top-level extras in leadData (company, position...) are treated as custom fields
+      const { name, email, city, country, timezone, tags, customFields = {}, ...extraFields } = leadData;
+      const previewLead = {
+        ...baseLead,
+        ...(name && { name }),
+        ...(email && { email }),
+        ...(city && { city }),
+        ...(country && { country }),
+        ...(timezone && { timezone }),
+        ...(tags && { tags }),
+        customFields: { ...(baseLead.customFields || {}), ...extraFields, ...customFields }
       };
       
-      for (const [variable, value] of Object.entries(replacements)) {
-        const regex = new RegExp(variable.replace(/[{}]/g, '\\$&'), 'gi');
-        renderedSubject = renderedSubject.replace(regex, value);
-        renderedBody = renderedBody.replace(regex, value);
+      const variables = TemplateRenderService.buildLeadContext(previewLead);
+      const partials = await TemplatePartialRepository.getBodies();
+      
+      let rendered;
+      try {
+        rendered = TemplateRenderService.renderEmail(
+          { subject: template.subject || '', body: template.body || '' },
+          variables,
+          { partials }
+        );
+      } catch (renderError) {
+        return res.status(400).json({ error: `Template error: ${renderError.message}` });
       }
       
       res.json({
@@ -137,11 +145,11 @@ class TestingController {
           originalBody: template.body
         },
         rendered: {
-          subject: renderedSubject,
-          body: renderedBody
+          subject: rendered.subject,
+          body: rendered.htmlContent
         },
-        variables: replacements,
-        leadData: mockLead
+        variables,
+        leadData: previewLead
       });
     } catch (error) {
       console.error('[DevMode] Preview template error:', error);
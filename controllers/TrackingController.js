@@ -0,0 +1,53 @@
+// controllers/TrackingController.js
+// First-party open pixel and click redirect (no auth - the signed token is the credential)
+//
+// Recording never blocks the response: the pixel is always served and a valid click always
+// redirects, even when the event can't be stored
+
+const TrackingService = require('../services/TrackingService');
+const { renderPage } = require('../lib/publicPage');
+
+class TrackingController {
+
+  /**
+   * GET /api/t/o/:token
+   */
+  async open(req, res) {
+    const verified = TrackingService.verifyToken(req.params.token, 'o');
+    if (verified) {
+      try {
+        await TrackingService.recordOpen(verified, this._client(req));
+      } catch (error) {
+        console.error('Track open error:', error);
+      }
+    }
+
+    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    res.status(200).type('gif').send(TrackingService.getPixel());
+  }
+
+  /**
+   * GET /api/t/c/:token
+   */
+  async click(req, res) {
+    const verified = TrackingService.verifyToken(req.params.token, 'c');
+    if (!verified?.url) {
+      return res.status(404).type('html').send(renderPage('Link not valid', '<p>This link is invalid or no longer active.</p>'));
+    }
+
+    try {
+      await TrackingService.recordClick(verified, this._client(req));
+    } catch (error) {
+      console.error('Track click error:', error);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, verified.url);
+  }
+
+  _client(req) {
+    return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+  }
+}
+
+module.exports = new TrackingController();
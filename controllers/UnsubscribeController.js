@@ -0,0 +1,78 @@
+// controllers/UnsubscribeController.js
+// Public unsubscribe page and RFC 8058 one-click unsubscribe (no auth - the signed token is the credential)
+//
+// GET only shows a confirmation page: link scanners and previews fetch URLs from emails,
+// so nothing changes until the page's form (or the mail client's one-click POST) is submitted
+
+const UnsubscribeService = require('../services/UnsubscribeService');
+const { escapeHtml, renderPage } = require('../lib/publicPage');
+
+class UnsubscribeController {
+
+  /**
+   * GET /api/unsubscribe/:token
+   */
+  async showPage(req, res) {
+    try {
+      const resolved = await UnsubscribeService.resolve(req.params.token);
+      if (!resolved) {
+        return this._page(res, 404, 'Link not valid', 'This unsubscribe link is invalid or no longer active.');
+      }
+
+      if (resolved.lead.terminalState === 'unsubscribed') {
+        return this._page(res, 200, 'Already unsubscribed', `${resolved.lead.email} will not receive any more emails from us.`);
+      }
+
+      this._page(res, 200, 'Unsubscribe', `Stop all emails to ${resolved.lead.email}?`, {
+        action: req.originalUrl,
+        label: 'Unsubscribe',
+        // Softer option: fewer emails or certain kinds only
+        alternative: { href: req.originalUrl.replace('/unsubscribe/', '/preferences/'), label: 'Rather get fewer emails? Manage your preferences' }
+      });
+    } catch (error) {
+      console.error('Unsubscribe page error:', error);
+      this._page(res, 500, 'Something went wrong', 'Please try again later.');
+    }
+  }
+
+  /**
+   * POST /api/unsubscribe/:token
+   * One-click from the mail client (body: List-Unsubscribe=One-Click) or the confirmation form
+   */
+  async unsubscribe(req, res) {
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    try {
+      const result = await UnsubscribeService.unsubscribe(req.params.token, oneClick ? 'one_click' : 'link');
+
+      if (result.status === 'invalid') {
+        return oneClick
+          ? res.status(404).json({ error: 'Invalid unsubscribe token' })
+          : this._page(res, 404, 'Link not valid', 'This unsubscribe link is invalid or no longer active.');
+      }
+
+      if (oneClick) {
+        return res.status(200).json({ status: result.status });
+      }
+      this._page(res, 200, 'Unsubscribed', `${result.lead.email} has been unsubscribed and will not receive any more emails from us.`);
+    } catch (error) {
+      console.error('Unsubscribe error:', error);
+      oneClick
+        ? res.status(500).json({ error: 'Unsubscribe failed' })
+        : this._page(res, 500, 'Something went wrong', 'Please try again later.');
+    }
+  }
+
+  /**
+   * Page with a message (optionally a confirm button posting back to the same URL)
+   */
+  _page(res, status, title, message, form = null) {
+    const body = [
+      `<p>${escapeHtml(message)}</p>`,
+      form && `<form method="post" action="${escapeHtml(form.action)}"><button type="submit">${escapeHtml(form.label)}</button></form>`,
+      form?.alternative && `<p><a href="${escapeHtml(form.alternative.href)}">${escapeHtml(form.alternative.label)}</a></p>`
+    ].filter(Boolean).join('\n    ');
+    res.status(status).type('html').send(renderPage(title, body));
+  }
+}
+
+module.exports = new UnsubscribeController();
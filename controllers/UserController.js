@@ -0,0 +1,133 @@
+// controllers/UserController.js
+// Admin management of dashboard user accounts
+
+const { UserRepository } = require('../repositories');
+const AuthService = require('../services/AuthService');
+const SenderIdentityService = require('../services/SenderIdentityService');
+
+class UserController {
+
+  /**
+   * GET /api/users
+   */
+  async getAll(req, res) {
+    try {
+      const users = await UserRepository.findAll();
+      res.status(200).json(users.map(u => ({
+        ...AuthService.toPublicUser(u),
+        active: u.active,
+        senderIdentityId: u.senderIdentityId,
+        createdAt: u.createdAt
+      })));
+    } catch (error) {
+      console.error('Get users error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/users
+   */
+  async create(req, res) {
+    try {
+      const { email, name, password, role } = req.body;
+
+      const existing = await UserRepository.findByEmailWithPassword(email);
+      if (existing) {
+        return res.status(409).json({ error: `User ${email} already exists` });
+      }
+
+      const user = await UserRepository.create({
+        email,
+        name,
+        role,
+        passwordHash: await AuthService.hashPassword(password)
+      });
+      console.log(`[Users] ${req.user.email} created ${user.email} (${user.role})`);
+
+      res.status(201).json(AuthService.toPublicUser(user));
+    } catch (error) {
+      console.error('Create user error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * PUT /api/users/:id
+   * Role, active flag or password changes revoke the user's sessions
+   */
+  async update(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, role, active, password, senderIdentityId } = req.body;
+
+      const existing = await UserRepository.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const losesAdmin = existing.role === 'admin' &&
+        ((role && role !== 'admin') || active === false);
+      if (losesAdmin && await this._isLastAdmin(existing)) {
+        return res.status(400).json({ error: 'Cannot demote or deactivate the last active admin' });
+      }
+
+      const identityError = await SenderIdentityService.checkAssignable(senderIdentityId);
+      if (identityError) {
+        return res.status(400).json({ error: identityError });
+      }
+
+      const updates = { name, role, active, senderIdentityId };
+      if (password) {
+        updates.passwordHash = await AuthService.hashPassword(password);
+      }
+
+      const user = await UserRepository.update(id, updates);
+      console.log(`[Users] ${req.user.email} updated ${user.email}`);
+
+      res.status(200).json({
+        message: 'User updated successfully',
+        user: { ...AuthService.toPublicUser(user), active: user.active, senderIdentityId: user.senderIdentityId }
+      });
+    } catch (error) {
+      console.error('Update user error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/users/:id
+   */
+  async delete(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await UserRepository.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (existing.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+      if (existing.role === 'admin' && await this._isLastAdmin(existing)) {
+        return res.status(400).json({ error: 'Cannot delete the last active admin' });
+      }
+
+      await UserRepository.delete(id);
+      console.log(`[Users] ${req.user.email} deleted ${existing.email}`);
+
+      res.status(200).json({ message: 'User deleted' });
+    } catch (error) {
+      console.error('Delete user error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async _isLastAdmin(user) {
+    if (user.role !== 'admin' || !user.active) return false;
+    const activeAdmins = await UserRepository.count({ role: 'admin', active: true });
+    return activeAdmins <= 1;
+  }
+}
+
+module.exports = new UserController();
@@ -2,30 +2,69 @@
 const { analyticsQueue } = require('../queues/emailQueues');
 const { loggers } = require('../lib/logger');
 const ingestService = require('../lib/ingest');
+const EmailProviderService = require('../services/EmailProviderService');
 
 const log = loggers.webhook || loggers.default;
 
 class WebhookController {
+  /**
+   * Legacy Brevo webhook (POST /brevo/webhook)
+   * Same BREVO_WEBHOOK_SECRET check as /webhooks/brevo
+   */
   async handleBrevoWebhook(req, res) {
-    try {
-      const events = req.body;
+    if (!this._authorize('brevo', req, res)) return;
+    return this._ingest('brevo', req.body, res);
+  }
+
+  /**
+   * Webhooks from any provider (POST /webhooks/:provider)
+   * Events are normalized per provider so AnalyticsService.handleEvent sees one shape
+   */
+  async handleProviderWebhook(req, res) {
+    const provider = (req.params.provider || '').toLowerCase();
+    if (!EmailProviderService.names().includes(provider)) {
+      return res.status(404).json({ error: `Unknown email provider "${req.params.provider}"` });
+    }
+
+    if (!this._authorize(provider, req, res)) return;
+    return this._ingest(provider, req.body, res);
+  }
 
-      // Brevo sends events as an array or single object
-      const eventArray = Array.isArray(events) ? events : [events];
+  /**
+   * Require the provider's <NAME>_WEBHOOK_SECRET - forged bounces and complaints would
+   * otherwise kill leads, fill the suppression list and trip the deliverability guard
+   * Answers 503 (not configured) or 401 itself; returns true when the request may proceed
+   */
+  _authorize(provider, req, res) {
+    const verified = EmailProviderService.verifyWebhookAuth(provider, req.headers);
+    if (verified === null) {
+      res.status(503).json({ error: `Webhook secret is not configured for provider "${provider}"` });
+      return false;
+    }
+    if (!verified) {
+      res.status(401).json({ error: 'Invalid webhook token' });
+      return false;
+    }
+    return true;
+  }
+
+  async _ingest(provider, payload, res) {
+    try {
+      const eventArray = EmailProviderService.normalizeWebhook(provider, payload);
       
       let processed = 0;
       let skipped = 0;
 
       for (const event of eventArray) {
         // Use ingest service for deduplication
-        const messageId = event['message-id'] || event.messageId;
+        const messageId = event.messageId;
         const eventType = event.event;
         
         if (messageId && eventType) {
           const dedupKey = ingestService.getWebhookEventKey(messageId, eventType);
           
           if (ingestService.isDuplicate(dedupKey)) {
-            log.debug({ messageId, eventType }, 'Duplicate webhook event, skipping');
+            log.debug({ provider, messageId, eventType }, 'Duplicate webhook event, skipping');
             skipped++;
             continue;
           }
@@ -36,25 +75,26 @@ class WebhookController {
         // Queue analytics processing
         await analyticsQueue.add('process-webhook', {
           eventType: eventType,
-          eventData: event
+          eventData: event,
+          provider
         });
         
         processed++;
       }
 
-      log.info({ processed, skipped, total: eventArray.length }, 'Webhook batch processed');
+      log.info({ provider, processed, skipped, total: eventArray.length }, 'Webhook batch processed');
 
       // Always return 200 to acknowledge receipt
       res.status(200).json({ message: 'Webhook received', processed, skipped });
     } catch (error) {
-      log.error({ error: error.message }, 'Webhook processing error');
+      log.error({ provider, error: error.message }, 'Webhook processing error');
       // Still return 200 to prevent retries for malformed data
       res.status(200).json({ message: 'Webhook processed with errors' });
     }
   }
 
   async verifyWebhook(req, res) {
-    // Brevo webhook verification endpoint
+    // Webhook verification endpoint (Brevo and other providers ping with GET)
     res.status(200).send('Webhook endpoint verified');
   }
 }
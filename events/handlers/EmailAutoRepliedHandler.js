@@ -0,0 +1,37 @@
+// events/handlers/EmailAutoRepliedHandler.js
+// Handles: auto_replied events (auto-replies and out-of-office matched by InboundReplyService)
+// Not engagement - recorded in the lead's history only, followups carry on as scheduled
+
+const EventBus = require('../EventBus');
+const { LeadRepository } = require('../../repositories');
+
+EventBus.on('EmailAutoReplied', async (payload) => {
+  try {
+    const { emailJobId, leadId, eventData } = payload;
+
+    const lead = await LeadRepository.findById(leadId);
+    if (!lead) {
+      console.warn(`[AutoRepliedHandler] Lead ${leadId} not found.`);
+      return;
+    }
+
+    await LeadRepository.addEvent(
+      leadId,
+      'auto_replied',
+      {
+        ...eventData,
+        source: 'EmailAutoRepliedHandler',
+        timestamp: payload.timestamp
+      },
+      payload.type || null,
+      emailJobId
+    );
+
+    console.log(`[AutoRepliedHandler] Recorded ${eventData?.kind || 'auto_reply'} from ${lead.email} - sequence continues`);
+
+  } catch (error) {
+    console.error('[AutoRepliedHandler] Error handling EmailAutoReplied event:', error);
+  }
+});
+
+console.log('[AutoRepliedHandler] Registered EmailAutoReplied handler');
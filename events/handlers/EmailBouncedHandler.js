@@ -155,9 +155,27 @@ EventBus.on("EmailBounced", async (payload) => {
           status: statusToSet,
           failedAt: new Date(),
           lastError: reason,
+          // Keeps "dead" hard bounces countable (DeliverabilityGuardService)
+          ...(isHardBounce && {
+            metadata: { ...(emailJob.metadata || {}), bounceType: "hard" },
+          }),
         },
       });
 
+      if (isHardBounce) {
+        // The address doesn't exist - never mail it again, even from a re-imported lead
+        const SuppressionService = require("../../services/SuppressionService");
+        await SuppressionService.suppressAddress(
+          emailJob.email,
+          eventData?.reason || "Hard bounce",
+          "hard_bounce",
+        );
+
+        // Pause sending if hard bounces spiked (overall or for this job's sender identity)
+        const DeliverabilityGuardService = require("../../services/DeliverabilityGuardService");
+        await DeliverabilityGuardService.evaluate("hard_bounce", emailJob);
+      }
+
       // If dead mail, update lead terminal state and cancel all pending jobs
       if (shouldMarkDead) {
         await prisma.lead.update({
@@ -23,6 +23,13 @@ EventBus.on('EmailComplaint', async (payload) => {
           lastError: eventData?.reason || 'Lead filed spam complaint'
         }
       });
+
+      // Pause sending if complaints spiked (overall or for this job's sender identity)
+      const DeliverabilityGuardService = require('../../services/DeliverabilityGuardService');
+      await DeliverabilityGuardService.evaluate('complaint', await prisma.emailJob.findUnique({
+        where: { id: parseInt(emailJobId) },
+        select: { senderIdentityId: true }
+      }));
     }
 
     // 2. Get the lead
@@ -43,6 +50,10 @@ EventBus.on('EmailComplaint', async (payload) => {
       }
     });
 
+    // Keep the address suppressed even if the lead is deleted and re-imported
+    const SuppressionService = require('../../services/SuppressionService');
+    await SuppressionService.suppressAddress(lead.email, eventData?.reason || 'Spam complaint', 'complaint');
+
     // 4. Cancel ALL pending/scheduled emails for this lead (critical compliance)
     const cancelResult = await prisma.emailJob.updateMany({
       where: { 
@@ -0,0 +1,106 @@
+// events/handlers/EmailRepliedHandler.js
+// Handles: replied events (human reply matched by InboundReplyService)
+// Runs the rulebook's "replied" actions - by default stop automated mails, mark the lead replied, notify
+
+const EventBus = require('../EventBus');
+const { prisma } = require('../../lib/prisma');
+const { LeadRepository } = require('../../repositories');
+const RulebookService = require('../../services/RulebookService');
+const NotificationService = require('../../services/NotificationService');
+
+EventBus.on('EmailReplied', async (payload) => {
+  try {
+    console.log('[RepliedHandler] Replied event received:', payload);
+
+    const { emailJobId, leadId, eventData } = payload;
+
+    const lead = await LeadRepository.findById(leadId);
+    if (!lead) {
+      console.warn(`[RepliedHandler] Lead ${leadId} not found.`);
+      return;
+    }
+
+    // Load the configured rulebook so edited actions apply
+    await RulebookService.getRulebook();
+    const category = RulebookService.getEventCategory('replied');
+    const actions = RulebookService.getEventActions('replied');
+
+    // 1. Cancel pending automated mails (manual mails are kept - a person wrote them)
+    let cancelledJobs = 0;
+    if (actions.includes('cancelFollowups')) {
+      const cancelResult = await prisma.emailJob.updateMany({
+        where: {
+          leadId: parseInt(leadId),
+          // Waiting (active) and paused-behind-a-conditional (cancellable) jobs
+          status: { in: [...new Set([...RulebookService.getActiveStatuses(), ...RulebookService.getCancellableStatuses()])] },
+          category: { notIn: category.keepMailTypes || [] }
+        },
+        data: {
+          status: 'cancelled',
+          cancellationReason: 'Lead replied',
+          lastError: 'Lead replied - automated mails stopped'
+        }
+      });
+      cancelledJobs = cancelResult.count;
+      console.log(`[RepliedHandler] Cancelled ${cancelledJobs} pending jobs for lead ${leadId}`);
+    }
+
+    // 2. Mark the lead replied (repliedAt keeps the scheduler from queueing new mails)
+    if (actions.includes('setRepliedStatus') && lead.status !== 'converted') {
+      await prisma.lead.update({
+        where: { id: parseInt(leadId) },
+        data: {
+          status: 'replied',
+          repliedAt: lead.repliedAt || new Date()
+        }
+      });
+    }
+
+    // 3. Score
+    if (actions.includes('incrementScore')) {
+      const scoreDelta = RulebookService.getEventScoreAdjustment('replied');
+      if (scoreDelta) {
+        await LeadRepository.updateScore(leadId, scoreDelta);
+      }
+    }
+
+    // 4. Lead history
+    await LeadRepository.addEvent(
+      leadId,
+      'replied',
+      {
+        ...eventData,
+        cancelledJobs,
+        source: 'EmailRepliedHandler',
+        timestamp: payload.timestamp
+      },
+      payload.type || null,
+      emailJobId
+    );
+
+    // 5. Notify - someone should answer
+    if (actions.includes('notify')) {
+      await NotificationService.createNotification({
+        type: 'success',
+        message: `${lead.name || lead.email} replied`,
+        details: [
+          eventData?.subject && `"${eventData.subject}"`,
+          cancelledJobs > 0 && `${cancelledJobs} pending email(s) cancelled`
+        ].filter(Boolean).join(' - ') || null,
+        metadata: {
+          event: 'replied',
+          leadId: lead.id,
+          emailJobId: emailJobId || null,
+          messageId: eventData?.messageId || null
+        }
+      });
+    }
+
+    console.log(`[RepliedHandler] Lead ${lead.email} replied, actions: ${actions.join(', ')}`);
+
+  } catch (error) {
+    console.error('[RepliedHandler] Error handling EmailReplied event:', error);
+  }
+});
+
+console.log('[RepliedHandler] Registered EmailReplied handler');
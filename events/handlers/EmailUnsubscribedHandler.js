@@ -43,12 +43,17 @@ EventBus.on('EmailUnsubscribed', async (payload) => {
       }
     });
 
+    // Keep the address suppressed even if the lead is deleted and re-imported
+    const SuppressionService = require('../../services/SuppressionService');
+    await SuppressionService.suppressAddress(lead.email, eventData?.reason || 'Unsubscribed', 'unsubscribe');
+
     // 4. Cancel ALL pending/scheduled emails for this lead (compliance requirement)
     const cancelResult = await prisma.emailJob.updateMany({
       where: { 
         leadId: parseInt(leadId),
         status: { in: RulebookService.getActiveStatuses() },
-        NOT: { id: parseInt(emailJobId) } // Don't update the triggering job again
+        // Don't update the triggering job again (unsubscribe links may carry no job)
+        ...(emailJobId && { NOT: { id: parseInt(emailJobId) } })
       },
       data: { 
         status: 'cancelled',
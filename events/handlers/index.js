@@ -15,4 +15,8 @@ require('./NotificationHandler');
 require('./EmailComplaintHandler');
 require('./EmailUnsubscribedHandler');
 
+// Inbound replies (InboundReplyService)
+require('./EmailRepliedHandler');
+require('./EmailAutoRepliedHandler');
+
 module.exports = require('../EventBus');
\ No newline at end of file
@@ -2,7 +2,7 @@
 // Durable workflow functions for followups, conditionals, and lead lifecycle
 
 const { inngest, EVENTS } = require('../client');
-const { EmailJobRepository, LeadRepository, SettingsRepository } = require('../../repositories');
+const { EmailJobRepository, LeadRepository, SequenceRepository } = require('../../repositories');
 const EmailSchedulerService = require('../../services/EmailSchedulerService');
 const ConditionalEmailService = require('../../services/ConditionalEmailService');
 const RulebookService = require('../../services/RulebookService');
@@ -36,12 +36,12 @@ const scheduleFollowups = inngest.createFunction(
       return l;
     });
     
-    // Step 2: Get settings and followup sequence
-    const settings = await step.run('get-settings', async () => {
-      return await SettingsRepository.getSettings();
+    // Step 2: Get the lead's followup sequence (global followups when not enrolled)
+    const steps = await step.run('get-sequence', async () => {
+      return await SequenceRepository.getStepsForLead(lead);
     });
     
-    const sequence = settings.followups
+    const sequence = steps
       .filter(f => f.enabled && !f.globallySkipped)
       .sort((a, b) => a.order - b.order);
     
@@ -181,8 +181,9 @@ const onLeadCreated = inngest.createFunction(
     
     // Step 2: Schedule initial email
     const initialJob = await step.run('schedule-initial', async () => {
-      const settings = await SettingsRepository.getSettings();
-      const initialStep = settings.followups.find(f => 
+      const lead = await LeadRepository.findById(leadId);
+      const steps = await SequenceRepository.getStepsForLead(lead);
+      const initialStep = steps.find(f => 
         f.name.toLowerCase().includes('initial') && f.enabled
       );
       
@@ -0,0 +1,37 @@
+// lib/publicPage.js
+// Minimal standalone HTML pages for public, lead-facing routes (unsubscribe, preference center)
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Full HTML document around already-escaped body markup
+ * @param {string} title - Plain text (escaped here)
+ * @param {string} body - HTML (escape interpolated values with escapeHtml)
+ */
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; margin: 0; padding: 64px 16px; color: #222; }
+    main { max-width: 440px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; text-align: center; }
+    form.preferences { text-align: left; }
+    fieldset { border: 0; padding: 0; margin: 0 0 20px; }
+    legend { font-weight: 600; margin-bottom: 8px; }
+    label { display: block; margin: 6px 0; }
+    select { font-size: 15px; padding: 6px; }
+    button { background: #222; color: #fff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`;
+
+module.exports = { escapeHtml, renderPage };
@@ -6,6 +6,10 @@ const { Server } = require('socket.io');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const Redis = require('ioredis');
 
+// Rooms clients may subscribe to (plus lead:<id>)
+const ROOMS = ['leads', 'jobs', 'notifications', 'analytics', 'schedule', 'imports', 'queue'];
+const LEAD_ROOM = /^lead:\d+$/;
+
 class WebSocketService {
   constructor() {
     this.io = null;
@@ -42,8 +46,12 @@ class WebSocketService {
       // Schedule events
       SCHEDULE_UPDATE: 'schedule:update',
       
+      // Import events
+      IMPORT_PROGRESS: 'import:progress',
+      
       // System events
-      QUEUE_UPDATE: 'queue:update'
+      QUEUE_UPDATE: 'queue:update',
+      SEND_HALT_CHANGED: 'system:send_halt'
     };
     
     // Cache for preventing duplicate emits
@@ -105,6 +113,9 @@ class WebSocketService {
       console.warn('[WebSocket] Redis adapter failed, running in single-instance mode:', error.message);
     }
 
+    // Same credentials as the REST API and SSE stream
+    this.io.use((socket, next) => this._authenticate(socket, next));
+
     // Setup connection handlers
     this._setupConnectionHandlers();
     
@@ -114,6 +125,34 @@ class WebSocketService {
     return this.io;
   }
 
+  /**
+   * Handshake check: a session token (auth.token) or a stream ticket (auth.ticket)
+   */
+  async _authenticate(socket, next) {
+    const AuthService = require('../services/AuthService');
+    const { token, ticket } = socket.handshake.auth || {};
+
+    try {
+      let user = null;
+      if (typeof token === 'string' && token) {
+        user = await AuthService.verifyToken(token);
+      } else if (typeof ticket === 'string' && ticket) {
+        user = await AuthService.verifyStreamTicket(ticket);
+      }
+      if (!user) return next(new Error('Unauthorized'));
+
+      socket.data.userId = user.id;
+      next();
+    } catch (error) {
+      console.error('[WebSocket] Authentication error:', error.message);
+      next(new Error('Unauthorized'));
+    }
+  }
+
+  _isKnownRoom(room) {
+    return typeof room === 'string' && (ROOMS.includes(room) || LEAD_ROOM.test(room));
+  }
+
   /**
    * Setup connection event handlers
    */
@@ -124,8 +163,9 @@ class WebSocketService {
       // Join rooms based on subscription requests
       socket.on('subscribe', (rooms) => {
         if (Array.isArray(rooms)) {
-          rooms.forEach(room => socket.join(room));
-          console.log(`[WebSocket] ${socket.id} joined rooms:`, rooms);
+          const known = rooms.filter(room => this._isKnownRoom(room));
+          known.forEach(room => socket.join(room));
+          console.log(`[WebSocket] ${socket.id} joined rooms:`, known);
         }
       });
       
@@ -137,7 +177,8 @@ class WebSocketService {
       
       // Subscribe to specific lead updates
       socket.on('subscribe:lead', (leadId) => {
-        socket.join(`lead:${leadId}`);
+        const room = `lead:${leadId}`;
+        if (this._isKnownRoom(room)) socket.join(room);
       });
       
       // Subscribe to job updates
@@ -155,6 +196,11 @@ class WebSocketService {
         socket.join('notifications');
       });
       
+      // Subscribe to lead import progress
+      socket.on('subscribe:imports', () => {
+        socket.join('imports');
+      });
+      
       socket.on('disconnect', (reason) => {
         console.log(`[WebSocket] Client disconnected: ${socket.id}, reason: ${reason}`);
       });
@@ -295,6 +341,14 @@ class WebSocketService {
     this.emit(this.EVENTS.SCHEDULE_UPDATE, { slots }, 'schedule');
   }
 
+  // ==========================================
+  // IMPORT EVENTS
+  // ==========================================
+  
+  emitImportProgress(importJob) {
+    this.emit(this.EVENTS.IMPORT_PROGRESS, { importJob }, 'imports');
+  }
+
   // ==========================================
   // QUEUE EVENTS
   // ==========================================
@@ -303,6 +357,15 @@ class WebSocketService {
     this.emit(this.EVENTS.QUEUE_UPDATE, { queueStats }, 'queue');
   }
 
+  // ==========================================
+  // SYSTEM EVENTS
+  // ==========================================
+
+  // Global kill switch - every client, not just a room
+  emitSendHaltChanged(sendHalt) {
+    this.emit(this.EVENTS.SEND_HALT_CHANGED, { sendHalt });
+  }
+
   /**
    * Get connection statistics
    */
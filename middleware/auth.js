@@ -0,0 +1,177 @@
+// middleware/auth.js
+// Authentication and role-based access control
+// Roles: admin (everything), operator (day-to-day writes), viewer (read-only)
+// Machine clients authenticate with an API key (X-API-Key) limited by its scopes
+
+const AuthService = require('../services/AuthService');
+const ApiKeyService = require('../services/ApiKeyService');
+const { ApiKeyRepository } = require('../repositories');
+
+const ROLES = ['admin', 'operator', 'viewer'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Extract a bearer token from the Authorization header
+ * Never from the query string - URLs end up in access logs and browser history
+ */
+const getToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+/**
+ * Require a valid session token (users only, no API keys)
+ * Attaches the user to req.user
+ */
+const authenticateSession = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHORIZED' });
+    }
+
+    const user = await AuthService.verifyToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token', code: 'UNAUTHORIZED' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('[Auth] Authentication error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Require a stream ticket (?ticket=, from POST /api/auth/stream-ticket)
+ * For EventSource, which cannot send an Authorization header
+ */
+const authenticateStream = async (req, res, next) => {
+  try {
+    const user = req.query.ticket ? await AuthService.verifyStreamTicket(String(req.query.ticket)) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired stream ticket', code: 'UNAUTHORIZED' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('[Auth] Stream authentication error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Verify an X-API-Key header before the global rate limiter (app.js)
+ * Sets req.apiKey for valid keys so apiLimiter can leave them to their per-key quota;
+ * invalid keys stay IP-limited and are refused by authenticate. Only an IP that keeps
+ * sending unknown keys is rejected here, before its keys cost a database lookup.
+ */
+const identifyApiKey = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+  if (!key) return next();
+
+  try {
+    if (await ApiKeyService.isLookupBlocked(req.ip)) {
+      return res.status(429).json({ error: 'Too many invalid API keys, please slow down', retryAfter: 60 });
+    }
+
+    const apiKey = await ApiKeyService.verifyKey(key);
+    if (apiKey) {
+      req.apiKey = apiKey;
+    } else {
+      await ApiKeyService.recordLookupMiss(req.ip);
+    }
+  } catch (error) {
+    console.error('[Auth] API key lookup error:', error.message);
+  }
+  next();
+};
+
+/**
+ * Require a valid session token or API key
+ * API key requests get req.apiKey and a pseudo user with the 'api_key' role
+ */
+const authenticate = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+  if (!key) {
+    return authenticateSession(req, res, next);
+  }
+
+  try {
+    const apiKey = req.apiKey || await ApiKeyService.verifyKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key', code: 'UNAUTHORIZED' });
+    }
+
+    req.apiKey = apiKey;
+    req.user = {
+      id: null,
+      email: `api-key:${apiKey.name}`,
+      name: apiKey.name,
+      role: 'api_key'
+    };
+
+    // Best-effort usage tracking - don't hold the request
+    ApiKeyRepository.recordUsage(apiKey.id);
+    next();
+  } catch (error) {
+    console.error('[Auth] API key authentication error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * API keys may only reach routes covered by their scopes
+ * Session users pass through (roles apply instead)
+ */
+const requireApiKeyScope = (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  const scope = ApiKeyService.getRequiredScope(req.method, req.path);
+  if (!scope) {
+    return res.status(403).json({ error: 'This route is not available to API keys', code: 'FORBIDDEN' });
+  }
+  if (!ApiKeyService.hasScope(req.apiKey, scope)) {
+    return res.status(403).json({ error: `API key is missing scope '${scope}'`, code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+/**
+ * Only allow the given roles
+ * Usage: router.use(requireRole('admin'))
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions', code: 'FORBIDDEN' });
+    }
+    next();
+  };
+};
+
+/**
+ * Viewers may only read
+ */
+const readOnlyForViewers = (req, res, next) => {
+  if (req.user?.role === 'viewer' && !READ_METHODS.includes(req.method)) {
+    return res.status(403).json({ error: 'Viewers have read-only access', code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  authenticate,
+  authenticateSession,
+  authenticateStream,
+  identifyApiKey,
+  requireApiKeyScope,
+  requireRole,
+  readOnlyForViewers
+};
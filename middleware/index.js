@@ -1,14 +1,27 @@
 // middleware/index.js
 // Central export for all middleware
 
-const { apiLimiter, strictLimiter, uploadLimiter } = require('./rateLimiter');
+const { apiLimiter, strictLimiter, uploadLimiter, authLimiter, apiKeyLimiter } = require('./rateLimiter');
 const { validateBody, validateQuery, validateParams, schemas } = require('./validate');
+const { ROLES, authenticate, authenticateSession, authenticateStream, identifyApiKey, requireApiKeyScope, requireRole, readOnlyForViewers } = require('./auth');
 
 module.exports = {
   // Rate limiting
   apiLimiter,
   strictLimiter,
   uploadLimiter,
+  authLimiter,
+  apiKeyLimiter,
+  
+  // Authentication & roles
+  ROLES,
+  authenticate,
+  authenticateSession,
+  authenticateStream,
+  identifyApiKey,
+  requireApiKeyScope,
+  requireRole,
+  readOnlyForViewers,
   
   // Validation
   validateBody,
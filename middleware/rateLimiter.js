@@ -26,7 +26,8 @@ const apiLimiter = rateLimit({
   },
   skip: (req) => {
     // Skip rate limiting for health checks and webhooks
-    return req.path === '/health' || req.path.startsWith('/api/webhooks');
+    // Verified API keys (identifyApiKey runs first) are limited per key by apiKeyLimiter instead
+    return req.path === '/health' || req.path.startsWith('/api/webhooks') || !!req.apiKey;
   }
 });
 
@@ -69,8 +70,55 @@ const uploadLimiter = rateLimit({
   }
 });
 
+/**
+ * Login rate limiter
+ * - 10 attempts per 15 minutes per IP (slows down password guessing)
+ */
+const authLimiter = rateLimit({
+  store: new RedisStore({
+    sendCommand: (...args) => redisConnection.call(...args),
+    prefix: 'leadflow:rl:auth:'
+  }),
+  windowMs: 15 * 60 * 1000,  // 15 minute window
+  max: 10,                    // 10 attempts per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { 
+    error: 'Too many login attempts, please try again later',
+    retryAfter: 900 
+  }
+});
+
+/**
+ * Per API key limiter
+ * - Quota comes from the key (rateLimitPerMinute)
+ * - Must run after authentication (needs req.apiKey); session users are skipped
+ */
+const apiKeyLimiter = rateLimit({
+  store: new RedisStore({
+    sendCommand: (...args) => redisConnection.call(...args),
+    prefix: 'leadflow:rl:key:'
+  }),
+  windowMs: 60 * 1000,  // 1 minute window
+  max: (req) => req.apiKey?.rateLimitPerMinute || 60,
+  keyGenerator: (req) => `key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.apiKey,
+  handler: (req, res, next, options) => {
+    const { ApiKeyRepository } = require('../repositories');
+    ApiKeyRepository.recordThrottled(req.apiKey.id);
+    res.status(options.statusCode).json({
+      error: 'API key quota exceeded',
+      retryAfter: 60
+    });
+  }
+});
+
 module.exports = {
   apiLimiter,
   strictLimiter,
-  uploadLimiter
+  uploadLimiter,
+  authLimiter,
+  apiKeyLimiter
 };
@@ -4,19 +4,103 @@
 
 const Joi = require('joi');
 
+/**
+ * A branch (edge) leaving a sequence step
+ * goTo references a later step by id or name; null/omitted stops the sequence
+ */
+const sequenceBranch = Joi.object({
+  id: Joi.string().max(100),
+  when: Joi.string().valid('always', 'opened', 'not_opened', 'clicked', 'not_clicked').required(),
+  goTo: Joi.string().max(255).allow(null),
+  delayDays: Joi.number().integer().min(0).allow(null),
+  templateId: Joi.number().integer().positive().allow(null),
+  notify: Joi.boolean().default(false)
+});
+
+/**
+ * A/B test variants of a step or conditional email (weights are relative)
+ */
+const abVariant = Joi.object({
+  id: Joi.string().max(20),
+  templateId: Joi.number().integer().positive().required(),
+  weight: Joi.number().min(0).default(1)
+});
+
+const abTest = Joi.object({
+  autoPromoteAfter: Joi.number().integer().min(1).allow(null),
+  metric: Joi.string().valid('opened', 'clicked').default('opened'),
+  winnerVariantId: Joi.string().max(20).allow(null),
+  promotedAt: Joi.date().iso().allow(null),
+  promotedBy: Joi.string().max(255).allow(null)
+});
+
+/**
+ * A single sequence step (same shape as Settings.followups entries)
+ */
+const sequenceStep = Joi.object({
+  id: Joi.string().max(100),
+  name: Joi.string().required().max(255).trim(),
+  delayDays: Joi.number().integer().min(0).required(),
+  enabled: Joi.boolean().default(true),
+  order: Joi.number().integer().min(0),
+  templateId: Joi.number().integer().positive().allow(null),
+  condition: Joi.object().unknown(true).allow(null),
+  branches: Joi.array().items(sequenceBranch),
+  variants: Joi.array().items(abVariant).max(10),
+  abTest: abTest.allow(null)
+});
+
+/**
+ * Lead custom fields - flat key/value pairs usable as template variables
+ */
+const customFieldValue = Joi.alternatives().try(Joi.string().max(2000), Joi.number(), Joi.boolean());
+const customFields = Joi.object().pattern(Joi.string().max(100), customFieldValue);
+
+/**
+ * Import column mapping - { "Spreadsheet Column": "email" | "customKey" | null (ignore) }
+ */
+const columnMapping = Joi.object().pattern(Joi.string().max(255), Joi.string().max(100).allow(null));
+
+/**
+ * Sender identity warm-up ramp - defaults filled in by SenderIdentityService.normalizeWarmup
+ */
+const senderWarmup = Joi.object({
+  startDate: Joi.date().iso(),
+  startVolume: Joi.number().integer().min(1),
+  curve: Joi.string().valid('linear', 'exponential'),
+  step: Joi.number().positive(),
+  targetCap: Joi.number().integer().min(1)
+}).allow(null);
+
 /**
  * Validation schemas for API endpoints
  * Add new schemas here as needed
  */
 const schemas = {
   // Lead endpoints
+  // Required fields, email format and timezone are checked by LeadImportService (same rules as file import)
   createLead: Joi.object({
-    name: Joi.string().required().max(255).trim(),
-    email: Joi.string().email().required().lowercase().trim(),
+    name: Joi.string().max(255).allow('', null),
+    email: Joi.string().max(255).allow('', null),
     country: Joi.string().max(100).allow('', null),
     city: Joi.string().max(100).allow('', null),
-    timezone: Joi.string().max(50).default('UTC'),
-    tags: Joi.array().items(Joi.string().max(50)).default([])
+    tags: Joi.array().items(Joi.string().max(50)).default([]),
+    customFields: customFields,
+    sequenceId: Joi.number().integer().positive().allow(null),
+    onConflict: Joi.string().valid('skip', 'update', 'error').default('error')
+  }),
+
+  bulkCreateLeads: Joi.object({
+    leads: Joi.array().items(Joi.object({
+      name: Joi.any(),
+      email: Joi.any(),
+      country: Joi.any(),
+      city: Joi.any(),
+      tags: Joi.array().items(Joi.string().max(50)),
+      customFields: customFields
+    })).min(1).max(1000).required(),
+    sequenceId: Joi.number().integer().positive().allow(null),
+    onConflict: Joi.string().valid('skip', 'update', 'error').default('error')
   }),
 
   updateLead: Joi.object({
@@ -26,7 +110,9 @@ const schemas = {
     city: Joi.string().max(100).allow('', null),
     timezone: Joi.string().max(50),
     tags: Joi.array().items(Joi.string().max(50)),
-    status: Joi.string().max(100)
+    customFields: Joi.object().pattern(Joi.string().max(100), customFieldValue.allow(null)), // null removes a field
+    status: Joi.string().max(100),
+    ownerId: Joi.number().integer().positive().allow(null)
   }).min(1), // At least one field required
 
   // Email job endpoints
@@ -55,6 +141,63 @@ const schemas = {
     retrySoftBounceDelayHrs: Joi.number().integer().min(1).max(72)
   }),
 
+  // Global send halt
+  haltSending: Joi.object({
+    reason: Joi.string().required().max(500).trim(),
+    resumeAt: Joi.date().iso().greater('now').allow(null)
+  }),
+
+  // Per-recipient-domain throttles ("*" = default for every other domain)
+  updateDomainThrottles: Joi.object({
+    throttles: Joi.array().items(Joi.object({
+      domain: Joi.alternatives().try(
+        Joi.string().valid('*'),
+        Joi.string().domain().lowercase().trim()
+      ).required(),
+      perWindow: Joi.number().integer().min(1).allow(null),
+      perDay: Joi.number().integer().min(1).allow(null)
+    }).or('perWindow', 'perDay')).unique('domain').required()
+  }),
+
+  // Bounce/complaint circuit breaker thresholds (rates are fractions: 0.05 = 5%)
+  updateDeliverabilityGuard: Joi.object({
+    enabled: Joi.boolean(),
+    windowHours: Joi.number().integer().min(1).max(168),
+    minSent: Joi.number().integer().min(1),
+    hardBounceRate: Joi.number().greater(0).max(1),
+    complaintRate: Joi.number().greater(0).max(1),
+    perSender: Joi.boolean()
+  }).min(1),
+
+  // First-party open/click tracking
+  updateTracking: Joi.object({
+    enabled: Joi.boolean(),
+    opens: Joi.boolean(),
+    clicks: Joi.boolean()
+  }).min(1),
+
+  acknowledgeSendingPause: Joi.object({
+    note: Joi.string().max(500).trim().allow('', null)
+  }),
+
+  // Machine open/click classifier
+  updateMachineEventFilter: Joi.object({
+    enabled: Joi.boolean(),
+    userAgents: Joi.boolean(),
+    ipRanges: Joi.boolean(),
+    minSecondsAfterDelivery: Joi.object({
+      opened: Joi.number().min(0).max(3600),
+      clicked: Joi.number().min(0).max(3600)
+    }).min(1)
+  }).min(1),
+
+  // Global suppression list (type is inferred from the value when omitted)
+  createSuppression: Joi.object({
+    type: Joi.string().valid('exact', 'domain', 'wildcard'),
+    value: Joi.string().required().max(320).trim(),
+    reason: Joi.string().max(500).trim().allow('')
+  }),
+
   // Template endpoints
   createTemplate: Joi.object({
     name: Joi.string().required().max(255).trim(),
@@ -64,6 +207,115 @@ const schemas = {
     isDefault: Joi.boolean().default(false)
   }),
 
+  createPartial: Joi.object({
+    name: Joi.string().required().max(100).pattern(/^[A-Za-z0-9_-]+$/)
+      .messages({ 'string.pattern.base': 'Partial name may only contain letters, numbers, - and _' }),
+    description: Joi.string().max(500).allow('', null),
+    body: Joi.string().required().max(100000)
+  }),
+
+  updatePartial: Joi.object({
+    description: Joi.string().max(500).allow('', null),
+    body: Joi.string().max(100000)
+  }).min(1),
+
+  // Sequence endpoints
+  createSequence: Joi.object({
+    name: Joi.string().required().max(255).trim(),
+    description: Joi.string().max(1000).allow('', null),
+    enabled: Joi.boolean().default(true),
+    steps: Joi.array().items(sequenceStep).default([]),
+    senderIdentityId: Joi.number().integer().positive().allow(null)
+  }),
+
+  updateSequence: Joi.object({
+    name: Joi.string().max(255).trim(),
+    description: Joi.string().max(1000).allow('', null),
+    enabled: Joi.boolean(),
+    steps: Joi.array().items(sequenceStep),
+    senderIdentityId: Joi.number().integer().positive().allow(null)
+  }).min(1),
+
+  addSequenceStep: sequenceStep,
+
+  enrollSequence: Joi.object({
+    leadIds: Joi.array().items(Joi.number().integer().positive()).min(1).required(),
+    scheduleNext: Joi.boolean().default(true)
+  }),
+
+  // Sender identities (signaturePartial must name an existing TemplatePartial - checked in the controller)
+  createSenderIdentity: Joi.object({
+    name: Joi.string().required().max(100).trim(),
+    fromEmail: Joi.string().email().required().lowercase().trim(),
+    fromName: Joi.string().required().max(255).trim(),
+    replyTo: Joi.string().email().lowercase().trim().allow('', null),
+    signaturePartial: Joi.string().max(100).allow('', null),
+    dailyCap: Joi.number().integer().min(1).allow(null),
+    warmup: senderWarmup,
+    active: Joi.boolean().default(true)
+  }),
+
+  updateSenderIdentity: Joi.object({
+    name: Joi.string().max(100).trim(),
+    fromEmail: Joi.string().email().lowercase().trim(),
+    fromName: Joi.string().max(255).trim(),
+    replyTo: Joi.string().email().lowercase().trim().allow('', null),
+    signaturePartial: Joi.string().max(100).allow('', null),
+    dailyCap: Joi.number().integer().min(1).allow(null),
+    warmup: senderWarmup,
+    active: Joi.boolean()
+  }).min(1),
+
+  // A/B tests
+  promoteVariant: Joi.object({
+    variantId: Joi.string().required().max(20)
+  }),
+
+  // Import mapping presets
+  createMappingPreset: Joi.object({
+    name: Joi.string().required().max(100).trim(),
+    mapping: columnMapping.min(1).required()
+  }),
+
+  updateMappingPreset: Joi.object({
+    name: Joi.string().max(100).trim(),
+    mapping: columnMapping.min(1)
+  }).min(1),
+
+  // Auth & user endpoints
+  login: Joi.object({
+    email: Joi.string().email().required().lowercase().trim(),
+    password: Joi.string().required().max(200)
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required().max(200),
+    newPassword: Joi.string().min(8).max(200).required()
+  }),
+
+  createUser: Joi.object({
+    email: Joi.string().email().required().lowercase().trim(),
+    name: Joi.string().max(255).trim().allow('', null),
+    password: Joi.string().min(8).max(200).required(),
+    role: Joi.string().valid('admin', 'operator', 'viewer').default('viewer')
+  }),
+
+  updateUser: Joi.object({
+    name: Joi.string().max(255).trim().allow('', null),
+    role: Joi.string().valid('admin', 'operator', 'viewer'),
+    active: Joi.boolean(),
+    password: Joi.string().min(8).max(200),
+    senderIdentityId: Joi.number().integer().positive().allow(null)
+  }).min(1),
+
+  // API keys (scopes are checked against ApiKeyService.SCOPES in the controller)
+  createApiKey: Joi.object({
+    name: Joi.string().required().max(255).trim(),
+    scopes: Joi.array().items(Joi.string().max(100)).min(1).required(),
+    rateLimitPerMinute: Joi.number().integer().min(1).max(10000).default(60),
+    expiresAt: Joi.date().greater('now').allow(null)
+  }),
+
   // Pagination query params
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1),
@@ -75,6 +327,18 @@ const schemas = {
   // ID param validation
   idParam: Joi.object({
     id: Joi.number().integer().positive().required()
+  }),
+
+  // Sequence step routes (/sequences/:id/steps/:stepId - step id or name)
+  sequenceStepParams: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    stepId: Joi.string().trim().min(1).max(200).required()
+  }),
+
+  // Template version routes (/templates/:id/versions/:version)
+  templateVersionParams: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    version: Joi.number().integer().positive().required()
   })
 };
 
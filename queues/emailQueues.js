@@ -56,8 +56,28 @@ const analyticsQueue = new Queue('analytics-queue', {
   }
 });
 
+// Lead import queue (one job per ImportJob, progress is checkpointed in the database)
+const importQueue = new Queue('lead-import-queue', {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 30000
+    },
+    removeOnComplete: {
+      count: 200,
+      age: 7 * 24 * 3600
+    },
+    removeOnFail: {
+      count: 500
+    }
+  }
+});
+
 module.exports = {
   emailSendQueue,
   followupQueue,
-  analyticsQueue
+  analyticsQueue,
+  importQueue
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+// repositories/ApiKeyRepository.js
+// Data access layer for machine-client API keys
+
+const { prisma } = require('../lib/prisma');
+const { cache } = require('../lib/cache');
+
+// Cache TTL: 5 minutes (keys are resolved on every API key request)
+const API_KEY_CACHE_TTL = 300;
+// Unknown hashes are cached briefly so a repeated bad key doesn't reach Postgres every time
+const API_KEY_MISS_TTL = 60;
+
+class ApiKeyRepository {
+
+  /**
+   * Get all keys (newest first)
+   */
+  async findAll() {
+    const keys = await prisma.apiKey.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+    return keys.map(k => this._transform(k));
+  }
+
+  async findById(id) {
+    const parsedId = parseInt(id);
+    if (isNaN(parsedId)) return null;
+
+    const key = await prisma.apiKey.findUnique({ where: { id: parsedId } });
+    return key ? this._transform(key) : null;
+  }
+
+  /**
+   * Find key by hash (CACHED - 5 min TTL, misses 1 min)
+   */
+  async findByHash(keyHash) {
+    const cached = await cache.get('api_keys', keyHash);
+    if (cached) return cached.missing ? null : cached;
+
+    const key = await prisma.apiKey.findUnique({ where: { keyHash } });
+    if (!key) {
+      await cache.set('api_keys', keyHash, { missing: true }, API_KEY_MISS_TTL);
+      return null;
+    }
+
+    const transformed = this._transform(key);
+    await cache.set('api_keys', keyHash, transformed, API_KEY_CACHE_TTL);
+    return transformed;
+  }
+
+  /**
+   * Create a key
+   * @param {Object} data - { name, prefix, keyHash, scopes, rateLimitPerMinute, expiresAt, createdBy }
+   */
+  async create(data) {
+    const key = await prisma.apiKey.create({
+      data: {
+        name: data.name.trim(),
+        prefix: data.prefix,
+        keyHash: data.keyHash,
+        scopes: data.scopes || [],
+        rateLimitPerMinute: data.rateLimitPerMinute || 60,
+        expiresAt: data.expiresAt || null,
+        createdBy: data.createdBy || null
+      }
+    });
+    await cache.del('api_keys', key.keyHash);
+    return this._transform(key);
+  }
+
+  /**
+   * Revoke a key - takes effect immediately
+   */
+  async revoke(id) {
+    const key = await prisma.apiKey.update({
+      where: { id: parseInt(id) },
+      data: { revokedAt: new Date() }
+    });
+    await cache.del('api_keys', key.keyHash);
+    return this._transform(key);
+  }
+
+  /**
+   * Record a request made with a key (best-effort, not awaited by callers)
+   */
+  async recordUsage(id) {
+    try {
+      await prisma.apiKey.update({
+        where: { id: parseInt(id) },
+        data: {
+          lastUsedAt: new Date(),
+          requestCount: { increment: 1 }
+        }
+      });
+    } catch (error) {
+      console.error(`[ApiKeyRepository] Failed to record usage for key ${id}:`, error.message);
+    }
+  }
+
+  /**
+   * Record a request rejected by the key's quota
+   */
+  async recordThrottled(id) {
+    try {
+      await prisma.apiKey.update({
+        where: { id: parseInt(id) },
+        data: { throttledCount: { increment: 1 } }
+      });
+    } catch (error) {
+      console.error(`[ApiKeyRepository] Failed to record throttle for key ${id}:`, error.message);
+    }
+  }
+
+  _transform(key) {
+    return {
+      id: key.id,
+      name: key.name,
+      prefix: key.prefix,
+      keyHash: key.keyHash,
+      scopes: key.scopes || [],
+      rateLimitPerMinute: key.rateLimitPerMinute,
+      lastUsedAt: key.lastUsedAt,
+      requestCount: key.requestCount,
+      throttledCount: key.throttledCount,
+      expiresAt: key.expiresAt,
+      revokedAt: key.revokedAt,
+      createdBy: key.createdBy,
+      createdAt: key.createdAt
+    };
+  }
+}
+
+module.exports = new ApiKeyRepository();
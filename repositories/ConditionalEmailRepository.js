@@ -2,6 +2,7 @@
 // Repository for managing conditional emails and their jobs
 
 const { prisma } = require('../lib/prisma');
+const { Prisma } = require('@prisma/client');
 const RulebookService = require('../services/RulebookService');
 
 class ConditionalEmailRepository {
@@ -101,7 +102,9 @@ class ConditionalEmailRepository {
         templateId: templateId,
         cancelPending: data.cancelPending !== false, // Default true
         priority: data.priority || 10,
-        enabled: data.enabled !== false // Default true
+        enabled: data.enabled !== false, // Default true
+        senderIdentityId: data.senderIdentityId ? parseInt(data.senderIdentityId) : null,
+        ...this._abTestData(data.variants, data.abTest)
       },
       include: { template: true }
     });
@@ -129,6 +132,18 @@ class ConditionalEmailRepository {
     if (data.cancelPending !== undefined) updateData.cancelPending = data.cancelPending;
     if (data.priority !== undefined) updateData.priority = data.priority;
     if (data.enabled !== undefined) updateData.enabled = data.enabled;
+    if (data.senderIdentityId !== undefined) {
+      updateData.senderIdentityId = data.senderIdentityId ? parseInt(data.senderIdentityId) : null;
+    }
+    if (data.variants !== undefined) {
+      Object.assign(updateData, this._abTestData(data.variants, data.abTest));
+    } else if (data.abTest !== undefined) {
+      const current = await prisma.conditionalEmail.findUnique({
+        where: { id: parseInt(id) },
+        select: { variants: true }
+      });
+      Object.assign(updateData, this._abTestData(current?.variants, data.abTest));
+    }
     
     return prisma.conditionalEmail.update({
       where: { id: parseInt(id) },
@@ -137,6 +152,18 @@ class ConditionalEmailRepository {
     });
   }
   
+  /**
+   * Normalized A/B test columns (Prisma.DbNull clears them when there are no variants)
+   */
+  _abTestData(variants, abTest) {
+    const ABTestService = require('../services/ABTestService');
+    const normalized = ABTestService.normalizeVariants(variants);
+    return {
+      variants: normalized || Prisma.DbNull,
+      abTest: normalized ? ABTestService.normalizeAbTest(abTest, normalized) : Prisma.DbNull
+    };
+  }
+  
   /**
    * Delete a conditional email
    */
@@ -94,11 +94,13 @@ class EmailJobRepository {
       else if (t.includes('conditional')) category = 'conditional';
       else if (t.includes('manual')) category = 'manual';
     }
+    const RateLimitService = require('../services/RateLimitService');
     return prisma.emailJob.create({
       data: {
         category,
         leadId: parseInt(data.leadId),
         email: data.email,
+        recipientDomain: RateLimitService.getRecipientDomain(data.email),
         type: data.type,
         scheduledFor: data.scheduledFor,
         status: data.status || 'pending',
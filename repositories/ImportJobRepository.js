@@ -0,0 +1,157 @@
+// repositories/ImportJobRepository.js
+// Data access layer for background lead imports and their row errors
+
+const { prisma } = require('../lib/prisma');
+
+// Everything except the stored rows (can be tens of thousands of entries)
+const SUMMARY_SELECT = {
+  id: true,
+  status: true,
+  fileName: true,
+  options: true,
+  totalRows: true,
+  processedRows: true,
+  successCount: true,
+  updatedCount: true,
+  skippedCount: true,
+  failedCount: true,
+  scheduledCount: true,
+  lastError: true,
+  createdBy: true,
+  startedAt: true,
+  completedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+class ImportJobRepository {
+
+  /**
+   * Get recent imports (newest first)
+   */
+  async findAll({ limit = 50 } = {}) {
+    const jobs = await prisma.importJob.findMany({
+      select: SUMMARY_SELECT,
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+    return jobs.map(j => this._transform(j));
+  }
+
+  async findById(id) {
+    const parsedId = parseInt(id);
+    if (isNaN(parsedId)) return null;
+
+    const job = await prisma.importJob.findUnique({
+      where: { id: parsedId },
+      select: SUMMARY_SELECT
+    });
+    return job ? this._transform(job) : null;
+  }
+
+  /**
+   * Get the stored rows for processing
+   */
+  async findRows(id) {
+    const job = await prisma.importJob.findUnique({
+      where: { id: parseInt(id) },
+      select: { rows: true }
+    });
+    return job ? job.rows : [];
+  }
+
+  /**
+   * Imports a worker should pick up again after a restart
+   */
+  async findResumable() {
+    const jobs = await prisma.importJob.findMany({
+      where: { status: { in: ['queued', 'processing'] } },
+      select: SUMMARY_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+    return jobs.map(j => this._transform(j));
+  }
+
+  /**
+   * Create an import
+   * @param {Object} data - { fileName, rows, options, createdBy }
+   */
+  async create(data) {
+    const job = await prisma.importJob.create({
+      data: {
+        fileName: data.fileName || null,
+        rows: data.rows,
+        options: data.options || {},
+        totalRows: data.rows.length,
+        createdBy: data.createdBy || null
+      },
+      select: SUMMARY_SELECT
+    });
+    return this._transform(job);
+  }
+
+  async update(id, data) {
+    const job = await prisma.importJob.update({
+      where: { id: parseInt(id) },
+      data,
+      select: SUMMARY_SELECT
+    });
+    return this._transform(job);
+  }
+
+  /**
+   * Checkpoint processed rows: row errors, counters and the resume position in one transaction
+   * @param {Object} batch - { processedRows, success, updated, skipped, failed, scheduled, rowErrors: [{ rowNumber, data, errors }] }
+   */
+  async recordBatch(id, batch) {
+    const importJobId = parseInt(id);
+
+    const [, job] = await prisma.$transaction([
+      prisma.importRowError.createMany({
+        data: batch.rowErrors.map(e => ({
+          importJobId,
+          rowNumber: e.rowNumber,
+          data: e.data,
+          errors: e.errors
+        })),
+        skipDuplicates: true
+      }),
+      prisma.importJob.update({
+        where: { id: importJobId },
+        data: {
+          processedRows: batch.processedRows,
+          successCount: { increment: batch.success },
+          updatedCount: { increment: batch.updated },
+          skippedCount: { increment: batch.skipped },
+          failedCount: { increment: batch.failed },
+          scheduledCount: { increment: batch.scheduled }
+        },
+        select: SUMMARY_SELECT
+      })
+    ]);
+
+    return this._transform(job);
+  }
+
+  /**
+   * Row errors in file order
+   */
+  async findRowErrors(id) {
+    return prisma.importRowError.findMany({
+      where: { importJobId: parseInt(id) },
+      orderBy: { rowNumber: 'asc' }
+    });
+  }
+
+  _transform(job) {
+    return {
+      ...job,
+      options: job.options || {},
+      progress: job.totalRows > 0
+        ? Math.round((job.processedRows / job.totalRows) * 100)
+        : 100
+    };
+  }
+}
+
+module.exports = new ImportJobRepository();
@@ -0,0 +1,57 @@
+// repositories/ImportMappingPresetRepository.js
+// Data access layer for saved import column mappings
+
+const { prisma } = require('../lib/prisma');
+
+class ImportMappingPresetRepository {
+
+  async findAll() {
+    return prisma.importMappingPreset.findMany({
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async findById(id) {
+    const parsedId = parseInt(id);
+    if (isNaN(parsedId)) return null;
+
+    return prisma.importMappingPreset.findUnique({ where: { id: parsedId } });
+  }
+
+  async findByName(name) {
+    return prisma.importMappingPreset.findUnique({ where: { name: name.trim() } });
+  }
+
+  /**
+   * Create a preset
+   * @param {Object} data - { name, mapping, createdBy }
+   */
+  async create(data) {
+    return prisma.importMappingPreset.create({
+      data: {
+        name: data.name.trim(),
+        mapping: data.mapping,
+        createdBy: data.createdBy || null
+      }
+    });
+  }
+
+  async update(id, data) {
+    const updates = {};
+    if (data.name !== undefined) updates.name = data.name.trim();
+    if (data.mapping !== undefined) updates.mapping = data.mapping;
+
+    return prisma.importMappingPreset.update({
+      where: { id: parseInt(id) },
+      data: updates
+    });
+  }
+
+  async delete(id) {
+    return prisma.importMappingPreset.delete({
+      where: { id: parseInt(id) }
+    });
+  }
+}
+
+module.exports = new ImportMappingPresetRepository();
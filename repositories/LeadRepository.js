@@ -35,6 +35,24 @@ class LeadRepository {
     });
   }
 
+  /**
+   * Find leads by a list of emails (one query per 1000 instead of one per row)
+   * @returns {Promise<Map<string, Object>>} Keyed by normalized email
+   */
+  async findByEmails(emails) {
+    const normalized = [...new Set(emails.map(e => e.toLowerCase().trim()))];
+    const byEmail = new Map();
+
+    // Chunked to keep the IN list reasonable for whole-file lookups
+    for (let i = 0; i < normalized.length; i += 1000) {
+      const leads = await prisma.lead.findMany({
+        where: { email: { in: normalized.slice(i, i + 1000) } }
+      });
+      for (const lead of leads) byEmail.set(lead.email, lead);
+    }
+    return byEmail;
+  }
+
   /**
    * Find leads with pagination and filtering
    */
@@ -192,6 +210,9 @@ class LeadRepository {
         status: data.status || 'pending',
         queueStatus: data.queueStatus || 'pending',
         tags: data.tags || [],
+        customFields: data.customFields || {},
+        sequenceId: data.sequenceId ? parseInt(data.sequenceId) : null,
+        importJobId: data.importJobId || null,
         emailSchedule: {
           create: {
             initialStatus: 'pending',
@@ -259,7 +280,10 @@ class LeadRepository {
       });
       
       // Check if this exact event already exists (deduplication)
-      const duplicateEvent = existingEvents.find(e => e.event === event);
+      // Clicks on different links of the same email are separate events
+      const isSameEvent = (e) => e.event === event &&
+        (!['clicked', 'machine_clicked'].includes(event) || !details.link || e.details?.link === details.link);
+      const duplicateEvent = existingEvents.find(isSameEvent);
       if (duplicateEvent) {
         console.log(`[LeadRepository] Skipping duplicate event: ${event} for job ${emailJobId}`);
         return duplicateEvent; // Return existing event, don't create new
@@ -268,6 +292,7 @@ class LeadRepository {
       // Check if a higher-ranked event already exists (event progression)
       const newEventRank = eventHierarchy[event] || 0;
       const higherEventExists = existingEvents.some(e => {
+        if (e.event === 'clicked' && event === 'clicked') return false; // Another link (see above)
         const existingRank = eventHierarchy[e.event] || 0;
         // Don't add lower events if higher ones exist (e.g., don't add 'sent' if 'delivered' exists)
         return existingRank >= newEventRank && existingRank > 0 && newEventRank > 0;
@@ -0,0 +1,378 @@
+// repositories/SequenceRepository.js
+// Data access layer for named followup sequences
+// Leads without a sequence fall back to the global followups in Settings
+
+const { prisma } = require('../lib/prisma');
+const { cache } = require('../lib/cache');
+const SettingsRepository = require('./SettingsRepository');
+
+// Cache TTL: 30 minutes (sequences are read on every scheduling pass)
+const SEQUENCE_CACHE_TTL = 1800;
+
+// Engagement conditions a branch can be taken on
+const BRANCH_CONDITIONS = ['always', 'opened', 'not_opened', 'clicked', 'not_clicked'];
+
+class SequenceRepository {
+
+  /**
+   * Get all sequences with enrolled lead counts
+   */
+  async findAll() {
+    const sequences = await prisma.sequence.findMany({
+      include: {
+        _count: { select: { leads: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return sequences.map(s => this._transform(s));
+  }
+
+  /**
+   * Find sequence by ID (CACHED - 30 min TTL)
+   */
+  async findById(id) {
+    const parsedId = parseInt(id);
+    if (isNaN(parsedId)) return null;
+
+    const cached = await cache.get('sequences', parsedId);
+    if (cached) return cached;
+
+    const sequence = await prisma.sequence.findUnique({
+      where: { id: parsedId }
+    });
+    if (!sequence) return null;
+
+    const transformed = this._transform(sequence);
+    await cache.set('sequences', parsedId, transformed, SEQUENCE_CACHE_TTL);
+    return transformed;
+  }
+
+  /**
+   * Find sequence by name (case-insensitive)
+   */
+  async findByName(name) {
+    const sequence = await prisma.sequence.findFirst({
+      where: { name: { equals: name, mode: 'insensitive' } }
+    });
+    return sequence ? this._transform(sequence) : null;
+  }
+
+  /**
+   * Invalidate cache for a single sequence
+   */
+  async invalidateCache(id) {
+    await cache.del('sequences', parseInt(id));
+  }
+
+  /**
+   * Create a new sequence
+   */
+  async create(data) {
+    const sequence = await prisma.sequence.create({
+      data: {
+        name: data.name.trim(),
+        description: data.description || null,
+        steps: this.normalizeSteps(data.steps || []),
+        enabled: data.enabled !== false,
+        senderIdentityId: data.senderIdentityId || null
+      }
+    });
+
+    return this._transform(sequence);
+  }
+
+  /**
+   * Update a sequence
+   * Pending jobs of enrolled leads are synced with updated step templates
+   */
+  async update(id, data) {
+    const updateData = {};
+
+    if (data.name !== undefined) updateData.name = data.name.trim();
+    if (data.description !== undefined) updateData.description = data.description;
+    if (data.enabled !== undefined) updateData.enabled = data.enabled;
+    if (data.steps !== undefined) updateData.steps = this.normalizeSteps(data.steps);
+    if (data.senderIdentityId !== undefined) updateData.senderIdentityId = data.senderIdentityId;
+
+    const sequence = await prisma.sequence.update({
+      where: { id: parseInt(id) },
+      data: updateData
+    });
+
+    await this.invalidateCache(id);
+
+    if (updateData.steps) {
+      await this._syncPendingJobTemplates(sequence.id, updateData.steps);
+    }
+
+    return this._transform(sequence);
+  }
+
+  /**
+   * Delete a sequence
+   * Enrolled leads are detached (onDelete: SetNull) and fall back to global followups
+   */
+  async delete(id) {
+    const result = await prisma.sequence.delete({
+      where: { id: parseInt(id) }
+    });
+
+    await this.invalidateCache(id);
+    return result;
+  }
+
+  /**
+   * Count leads enrolled in a sequence
+   */
+  async countLeads(id) {
+    return prisma.lead.count({
+      where: { sequenceId: parseInt(id) }
+    });
+  }
+
+  /**
+   * Enroll leads in a sequence (null detaches them back to global followups)
+   */
+  async enrollLeads(sequenceId, leadIds) {
+    return prisma.lead.updateMany({
+      where: { id: { in: leadIds.map(id => parseInt(id)) } },
+      data: { sequenceId: sequenceId ? parseInt(sequenceId) : null }
+    });
+  }
+
+  /**
+   * Resolve the sequence a lead follows
+   * @param {Object} lead - Lead with sequenceId
+   * @returns {Promise<{sequenceId: number|null, name: string, enabled: boolean, steps: Array}>}
+   */
+  async getSequenceForLead(lead) {
+    if (lead?.sequenceId) {
+      const sequence = await this.findById(lead.sequenceId);
+      if (sequence) {
+        return {
+          sequenceId: sequence.id,
+          name: sequence.name,
+          enabled: sequence.enabled,
+          steps: sequence.steps,
+          senderIdentityId: sequence.senderIdentityId || null
+        };
+      }
+      console.warn(`[SequenceRepository] Sequence ${lead.sequenceId} not found for lead ${lead.id}, using global followups`);
+    }
+
+    const settings = await SettingsRepository.getSettings();
+    return {
+      sequenceId: null,
+      name: 'Default',
+      enabled: true,
+      steps: settings.followups || [],
+      senderIdentityId: null
+    };
+  }
+
+  /**
+   * Get the steps (followups) a lead follows
+   */
+  async getStepsForLead(lead) {
+    const sequence = await this.getSequenceForLead(lead);
+    return sequence.steps;
+  }
+
+  /**
+   * Normalize steps to the followup shape used by the scheduler
+   * Ensures ids, integer delays and contiguous order
+   */
+  normalizeSteps(steps) {
+    const parsed = typeof steps === 'string' ? JSON.parse(steps) : steps;
+    if (!Array.isArray(parsed)) {
+      throw new Error('Sequence steps must be an array');
+    }
+
+    const ABTestService = require('../services/ABTestService');
+    const names = new Set();
+    const normalized = parsed
+      .map((step, index) => ({ ...step, order: step.order !== undefined ? parseInt(step.order) : index }))
+      .sort((a, b) => a.order - b.order)
+      .map((step, index) => {
+        if (!step.name || !step.name.trim()) {
+          throw new Error(`Step ${index + 1} is missing a name`);
+        }
+        const name = step.name.trim();
+        if (names.has(name.toLowerCase())) {
+          throw new Error(`Duplicate step name "${name}" in sequence`);
+        }
+        names.add(name.toLowerCase());
+
+        let variants;
+        let abTest;
+        try {
+          variants = ABTestService.normalizeVariants(step.variants);
+          abTest = ABTestService.normalizeAbTest(step.abTest, variants);
+        } catch (error) {
+          throw new Error(`Step "${name}": ${error.message}`);
+        }
+
+        return {
+          id: step.id || `step_${Date.now()}_${index}`,
+          name,
+          delayDays: parseInt(step.delayDays) || 0,
+          enabled: step.enabled !== false,
+          order: index,
+          templateId: step.templateId || null,
+          condition: step.condition || { type: 'always' },
+          ...(Array.isArray(step.branches) && step.branches.length > 0 && { branches: step.branches }),
+          ...(variants && { variants, abTest })
+        };
+      });
+
+    return this._normalizeBranches(normalized);
+  }
+
+  /**
+   * Check whether a step list is a branching graph (any step has branches)
+   */
+  isBranching(steps) {
+    return Array.isArray(steps) && steps.some(s => Array.isArray(s.branches) && s.branches.length > 0);
+  }
+
+  /**
+   * Check whether the sequence a lead follows is branching
+   */
+  async isBranchingForLead(lead) {
+    if (!lead?.sequenceId) return false;
+    const sequence = await this.findById(lead.sequenceId);
+    return !!sequence && this.isBranching(sequence.steps);
+  }
+
+  /**
+   * Resolve branch targets to step ids
+   * Edges may only point forward (to a higher order) so the graph stays acyclic
+   */
+  _normalizeBranches(steps) {
+    const findStep = (ref) => {
+      const key = String(ref).toLowerCase();
+      return steps.find(s => s.id === ref || s.name.toLowerCase() === key);
+    };
+
+    return steps.map(step => {
+      if (!step.branches) return step;
+
+      const branches = step.branches.map((branch, index) => {
+        if (!BRANCH_CONDITIONS.includes(branch.when)) {
+          throw new Error(`Step "${step.name}" has a branch with unknown condition "${branch.when}"`);
+        }
+
+        let goTo = null;
+        if (branch.goTo) {
+          const target = findStep(branch.goTo);
+          if (!target) {
+            throw new Error(`Step "${step.name}" branches to unknown step "${branch.goTo}"`);
+          }
+          if (target.order <= step.order) {
+            throw new Error(`Step "${step.name}" can only branch to a later step (got "${target.name}")`);
+          }
+          goTo = target.id;
+        }
+
+        return {
+          id: branch.id || `${step.id}_branch_${index}`,
+          when: branch.when,
+          goTo,
+          delayDays: branch.delayDays !== undefined && branch.delayDays !== null
+            ? parseInt(branch.delayDays)
+            : null,
+          templateId: branch.templateId || null,
+          notify: branch.notify === true
+        };
+      });
+
+      return { ...step, branches };
+    });
+  }
+
+  /**
+   * Template for a step, honouring the template override of the branch that led to it
+   * @param {Array} steps - Sequence steps
+   * @param {string} type - Step name (EmailJob.type)
+   * @param {string|null} branchId - EmailJob.metadata.branch.branchId
+   */
+  resolveStepTemplateId(steps, type, branchId = null) {
+    const step = steps.find(s => s.name === type);
+    if (branchId) {
+      for (const s of steps) {
+        const branch = (s.branches || []).find(b => b.id === branchId);
+        if (branch?.templateId) return branch.templateId;
+      }
+    }
+    return step?.templateId || null;
+  }
+
+  /**
+   * Update templateId on pending jobs of enrolled leads (best-effort)
+   */
+  async _syncPendingJobTemplates(sequenceId, steps) {
+    const pendingStatuses = ['pending', 'queued', 'scheduled', 'rescheduled', 'deferred'];
+
+    try {
+      for (const step of steps) {
+        // Jobs reached through a branch with its own template are resolved one by one
+        const hasBranchTemplates = steps.some(s =>
+          (s.branches || []).some(b => b.goTo === step.id && b.templateId)
+        );
+
+        if (hasBranchTemplates) {
+          const jobs = await prisma.emailJob.findMany({
+            where: { type: step.name, lead: { sequenceId }, status: { in: pendingStatuses } },
+            select: { id: true, metadata: true }
+          });
+          for (const job of jobs) {
+            await prisma.emailJob.update({
+              where: { id: job.id },
+              data: { templateId: this.resolveStepTemplateId(steps, step.name, job.metadata?.branch?.branchId) }
+            });
+          }
+          continue;
+        }
+
+        const result = await prisma.emailJob.updateMany({
+          where: {
+            type: step.name,
+            lead: { sequenceId },
+            status: { in: pendingStatuses }
+          },
+          data: { templateId: step.templateId || null }
+        });
+
+        if (result.count > 0) {
+          console.log(`[SequenceRepository] Updated ${result.count} pending "${step.name}" jobs in sequence ${sequenceId}`);
+        }
+      }
+    } catch (error) {
+      console.error(`[SequenceRepository] Error syncing pending jobs for sequence ${sequenceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Parse JSON steps and flatten counts
+   */
+  _transform(sequence) {
+    const steps = typeof sequence.steps === 'string'
+      ? JSON.parse(sequence.steps)
+      : (sequence.steps || []);
+
+    return {
+      id: sequence.id,
+      name: sequence.name,
+      description: sequence.description,
+      enabled: sequence.enabled,
+      steps: [...steps].sort((a, b) => a.order - b.order),
+      senderIdentityId: sequence.senderIdentityId ?? null,
+      ...(sequence._count && { leadCount: sequence._count.leads }),
+      createdAt: sequence.createdAt,
+      updatedAt: sequence.updatedAt
+    };
+  }
+}
+
+module.exports = new SequenceRepository();
@@ -61,9 +61,10 @@ class SettingsRepository {
 
   /**
    * Update settings
+   * @param {string} updatedBy - Email of the user making the change ('system' for automated updates)
    */
-  async updateSettings(updates) {
-    const data = {};
+  async updateSettings(updates, updatedBy = "system") {
+    const data = { updatedBy };
 
     if (updates.rateLimit) {
       if (updates.rateLimit.emailsPerWindow !== undefined) {
@@ -74,6 +75,10 @@ class SettingsRepository {
       }
     }
 
+    if (updates.domainThrottles !== undefined) {
+      data.domainThrottles = updates.domainThrottles;
+    }
+
     if (updates.businessHours) {
       if (updates.businessHours.startHour !== undefined) {
         data.businessHoursStart = updates.businessHours.startHour;
@@ -132,6 +137,22 @@ class SettingsRepository {
       data.followups = JSON.stringify(updates.followups);
     }
 
+    if (updates.sendHalt !== undefined) {
+      data.sendHalt = updates.sendHalt;
+    }
+
+    if (updates.deliverabilityGuard !== undefined) {
+      data.deliverabilityGuard = updates.deliverabilityGuard;
+    }
+
+    if (updates.tracking !== undefined) {
+      data.tracking = updates.tracking;
+    }
+
+    if (updates.machineEventFilter !== undefined) {
+      data.machineEventFilter = updates.machineEventFilter;
+    }
+
     // Handle pausedDates updates - CRITICAL: This was missing and causing paused dates to never be saved!
     if (updates.pausedDates !== undefined) {
       data.pausedDates = updates.pausedDates;
@@ -157,9 +178,11 @@ class SettingsRepository {
           if (!followup.name) continue;
 
           // Update all pending jobs of this type with the new templateId
+          // (global-followup leads only - sequence steps may share the name but have their own template)
           const updateResult = await prisma.emailJob.updateMany({
             where: {
               type: followup.name,
+              lead: { sequenceId: null },
               status: {
                 in: [
                   "pending",
@@ -346,6 +369,7 @@ class SettingsRepository {
         emailsPerWindow: settings.rateLimitEmailsPerWindow,
         windowMinutes: settings.rateLimitWindowMinutes
       },
+      domainThrottles: settings.domainThrottles || [],
       businessHours: {
         startHour: settings.businessHoursStart,
         endHour: settings.businessHoursEnd,
@@ -365,6 +389,10 @@ class SettingsRepository {
         ? JSON.parse(settings.smartSendTime)
         : (settings.smartSendTime || DEFAULT_SMART_SEND_TIME),
       pausedDates: settings.pausedDates || [],
+      sendHalt: settings.sendHalt || null,
+      deliverabilityGuard: settings.deliverabilityGuard || null,
+      tracking: settings.tracking || null,
+      machineEventFilter: settings.machineEventFilter || null,
       retry: {
         maxAttempts: settings.retryMaxAttempts,
         softBounceDelayHours: settings.retrySoftBounceDelayHrs
@@ -401,17 +429,17 @@ class SettingsRepository {
   /**
    * Update rulebook configuration
    */
-  async updateRulebook(updates) {
+  async updateRulebook(updates, updatedBy = 'system') {
     const RulebookService = require('../services/RulebookService');
-    return RulebookService.updateRulebook(updates);
+    return RulebookService.updateRulebook(updates, updatedBy);
   }
 
   /**
    * Reset rulebook to defaults
    */
-  async resetRulebook() {
+  async resetRulebook(updatedBy = 'system') {
     const RulebookService = require('../services/RulebookService');
-    return RulebookService.resetRulebook();
+    return RulebookService.resetRulebook(updatedBy);
   }
 
   /**
@@ -0,0 +1,133 @@
+// repositories/SuppressionRepository.js
+// Data access layer for the global suppression list
+// OPTIMIZED: Wildcard patterns are cached for the send path (10 min TTL) - exact and domain entries use the index
+
+const { prisma } = require('../lib/prisma');
+const { cache } = require('../lib/cache');
+
+const WILDCARD_CACHE_TTL = 600;
+
+class SuppressionRepository {
+
+  /**
+   * Exact entries for the address and domain entries for its domain or any parent domain
+   * @param {string} email - Lowercased address
+   * @param {string[]} domains - e.g. ['mail.acme.com', 'acme.com']
+   */
+  async findExactOrDomain(email, domains) {
+    return prisma.suppressionEntry.findMany({
+      where: {
+        OR: [
+          { type: 'exact', value: email },
+          { type: 'domain', value: { in: domains } }
+        ]
+      }
+    });
+  }
+
+  /**
+   * All wildcard entries (CACHED - 10 min TTL)
+   */
+  async findWildcards() {
+    const cached = await cache.get('suppression', 'wildcards');
+    if (cached) return cached;
+
+    const entries = await prisma.suppressionEntry.findMany({
+      where: { type: 'wildcard' },
+      orderBy: { id: 'asc' }
+    });
+    await cache.set('suppression', 'wildcards', entries, WILDCARD_CACHE_TTL);
+    return entries;
+  }
+
+  async invalidateCache() {
+    await cache.del('suppression', 'wildcards');
+  }
+
+  /**
+   * Entries with pagination
+   * @param {Object} filters - { type, source, search, page, limit }
+   */
+  async findMany({ type, source, search, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (type) where.type = type;
+    if (source) where.source = source;
+    if (search) where.value = { contains: search.toLowerCase() };
+
+    const [entries, total] = await Promise.all([
+      prisma.suppressionEntry.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.suppressionEntry.count({ where })
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Every entry, oldest first (export)
+   */
+  async findAll() {
+    return prisma.suppressionEntry.findMany({
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  async findById(id) {
+    const parsedId = parseInt(id);
+    if (isNaN(parsedId)) return null;
+
+    return prisma.suppressionEntry.findUnique({ where: { id: parsedId } });
+  }
+
+  async findByValue(type, value) {
+    return prisma.suppressionEntry.findUnique({
+      where: { type_value: { type, value } }
+    });
+  }
+
+  /**
+   * Create an entry - an existing entry for the same type/value is kept as it was
+   * @param {Object} data - { type, value, reason, source, createdBy }
+   * @returns {Promise<{entry: Object, created: boolean}>}
+   */
+  async add(data) {
+    const existing = await this.findByValue(data.type, data.value);
+    if (existing) return { entry: existing, created: false };
+
+    const entry = await prisma.suppressionEntry.create({
+      data: {
+        type: data.type,
+        value: data.value,
+        reason: data.reason,
+        source: data.source,
+        createdBy: data.createdBy || null
+      }
+    });
+
+    if (entry.type === 'wildcard') await this.invalidateCache();
+    return { entry, created: true };
+  }
+
+  async delete(id) {
+    const entry = await prisma.suppressionEntry.delete({
+      where: { id: parseInt(id) }
+    });
+
+    if (entry.type === 'wildcard') await this.invalidateCache();
+    return entry;
+  }
+}
+
+module.exports = new SuppressionRepository();
@@ -0,0 +1,91 @@
+// repositories/TemplatePartialRepository.js
+// Data access layer for template partials ({{> name}} snippets)
+// OPTIMIZED: Partial bodies are cached for the send path (30 min TTL)
+
+const { prisma } = require('../lib/prisma');
+const { cache } = require('../lib/cache');
+
+const PARTIAL_CACHE_TTL = 1800;
+
+class TemplatePartialRepository {
+
+  async findAll() {
+    return prisma.templatePartial.findMany({
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async findByName(name) {
+    return prisma.templatePartial.findUnique({
+      where: { name }
+    });
+  }
+
+  /**
+   * All partial bodies by name, as the renderer expects them (CACHED)
+   * @returns {Promise<Object>} { [name]: body }
+   */
+  async getBodies() {
+    const cached = await cache.get('template_partials', 'bodies');
+    if (cached) return cached;
+
+    const partials = await prisma.templatePartial.findMany({
+      select: { name: true, body: true }
+    });
+    const bodies = Object.fromEntries(partials.map(p => [p.name, p.body]));
+
+    await cache.set('template_partials', 'bodies', bodies, PARTIAL_CACHE_TTL);
+    return bodies;
+  }
+
+  async invalidateCache() {
+    await cache.del('template_partials', 'bodies');
+  }
+
+  /**
+   * Create a partial
+   * @param {Object} data - { name, description, body }
+   */
+  async create(data, createdBy = null) {
+    const partial = await prisma.templatePartial.create({
+      data: {
+        name: data.name,
+        description: data.description || null,
+        body: data.body,
+        createdBy,
+        updatedBy: createdBy
+      }
+    });
+
+    await this.invalidateCache();
+    return partial;
+  }
+
+  /**
+   * Update a partial's body/description (the name is how templates reference it, so it is fixed)
+   */
+  async update(name, data, updatedBy = null) {
+    const updates = { updatedBy };
+    if (data.description !== undefined) updates.description = data.description;
+    if (data.body !== undefined) updates.body = data.body;
+
+    const partial = await prisma.templatePartial.update({
+      where: { name },
+      data: updates
+    });
+
+    await this.invalidateCache();
+    return partial;
+  }
+
+  async delete(name) {
+    const result = await prisma.templatePartial.delete({
+      where: { name }
+    });
+
+    await this.invalidateCache();
+    return result;
+  }
+}
+
+module.exports = new TemplatePartialRepository();
@@ -8,6 +8,9 @@ const { cache } = require('../lib/cache');
 // Cache TTL: 30 minutes for templates (rarely change)
 const TEMPLATE_CACHE_TTL = 1800;
 
+// Fields captured in each immutable version - changing any of them creates a new version
+const VERSIONED_FIELDS = ['name', 'subject', 'body', 'variables'];
+
 class TemplateRepository {
 
   /**
@@ -51,17 +54,23 @@ class TemplateRepository {
   }
 
   /**
-   * Create a new template
+   * Create a new template (and its version 1)
    */
-  async create(data) {
-    const template = await prisma.emailTemplate.create({
-      data: {
-        name: data.name,
-        subject: data.subject,
-        body: data.body,
-        variables: data.variables || [],
-        isDefault: data.isDefault || false
-      }
+  async create(data, createdBy = null) {
+    const template = await prisma.$transaction(async (tx) => {
+      const created = await tx.emailTemplate.create({
+        data: {
+          name: data.name,
+          subject: data.subject,
+          body: data.body,
+          variables: data.variables || [],
+          isDefault: data.isDefault || false
+        }
+      });
+      await tx.emailTemplateVersion.create({
+        data: this._versionData(created, { createdBy })
+      });
+      return created;
     });
     
     // Invalidate cache after mutation
@@ -71,21 +80,121 @@ class TemplateRepository {
 
   /**
    * Update a template
+   * Content changes (name, subject, body, variables) bump the version and store a snapshot;
+   * other changes (isDefault) update in place
+   * @param {Object} options - { restoredFrom } - set when restoring an old version
+   * @returns {Promise<Object|null>} null if the template doesn't exist
    */
-  async update(id, data) {
-    const template = await prisma.emailTemplate.update({
-      where: { id: parseInt(id) },
-      data: {
-        ...data,
-        updatedAt: new Date()
+  async update(id, data, createdBy = null, options = {}) {
+    const updates = {};
+    for (const field of [...VERSIONED_FIELDS, 'isDefault']) {
+      if (data[field] !== undefined) updates[field] = data[field];
+    }
+
+    const template = await prisma.$transaction(async (tx) => {
+      // Lock the row and read the current version inside the transaction, so concurrent
+      // edits get consecutive versions instead of colliding on (templateId, version)
+      await tx.$queryRaw`SELECT id FROM email_templates WHERE id = ${parseInt(id)} FOR UPDATE`;
+      const current = await tx.emailTemplate.findUnique({ where: { id: parseInt(id) } });
+      if (!current) return null;
+
+      const contentChanged = VERSIONED_FIELDS.some(field =>
+        updates[field] !== undefined && JSON.stringify(updates[field]) !== JSON.stringify(current[field])
+      );
+      if (!contentChanged) {
+        return tx.emailTemplate.update({
+          where: { id: current.id },
+          data: { ...updates, updatedAt: new Date() }
+        });
       }
+
+      // Templates created before versioning get their current content snapshotted first
+      await this._ensureSnapshot(tx, current);
+
+      const updated = await tx.emailTemplate.update({
+        where: { id: current.id },
+        data: {
+          ...updates,
+          version: current.version + 1,
+          updatedAt: new Date()
+        }
+      });
+      await tx.emailTemplateVersion.create({
+        data: this._versionData(updated, { createdBy, restoredFrom: options.restoredFrom })
+      });
+      return updated;
     });
-    
+    if (!template) return null;
+
     // Invalidate cache after mutation
     await this.invalidateCache();
     return template;
   }
 
+  /**
+   * List a template's versions (newest first)
+   */
+  async findVersions(templateId) {
+    const template = await this.findById(templateId);
+    if (!template) return null;
+
+    await this._ensureSnapshot(prisma, template);
+    return prisma.emailTemplateVersion.findMany({
+      where: { templateId: template.id },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  /**
+   * Get one version of a template
+   */
+  async findVersion(templateId, version) {
+    const template = await this.findById(templateId);
+    if (!template) return null;
+
+    await this._ensureSnapshot(prisma, template);
+    return prisma.emailTemplateVersion.findUnique({
+      where: {
+        templateId_version: { templateId: template.id, version: parseInt(version) }
+      }
+    });
+  }
+
+  /**
+   * Make an old version current again (as a new version - history is never rewritten)
+   */
+  async restoreVersion(templateId, version, createdBy = null) {
+    const snapshot = await this.findVersion(templateId, version);
+    if (!snapshot) return null;
+
+    const data = {};
+    for (const field of VERSIONED_FIELDS) data[field] = snapshot[field];
+    return this.update(templateId, data, createdBy, { restoredFrom: snapshot.version });
+  }
+
+  async _ensureSnapshot(client, template) {
+    await client.emailTemplateVersion.upsert({
+      where: {
+        templateId_version: { templateId: template.id, version: template.version }
+      },
+      update: {},
+      create: this._versionData(template)
+    });
+  }
+
+  _versionData(template, { createdBy = null, restoredFrom = null } = {}) {
+    return {
+      templateId: template.id,
+      version: template.version,
+      name: template.name,
+      subject: template.subject,
+      body: template.body,
+      variables: template.variables || [],
+      restoredFrom: restoredFrom || null,
+      createdBy: createdBy || null
+    };
+  }
+
   /**
    * Delete a template
    */
@@ -0,0 +1,159 @@
+// repositories/UserRepository.js
+// Data access layer for dashboard user accounts
+
+const { prisma } = require('../lib/prisma');
+const { cache } = require('../lib/cache');
+
+// Cache TTL: 5 minutes (users are resolved on every authenticated request)
+const USER_CACHE_TTL = 300;
+
+class UserRepository {
+
+  /**
+   * Get all users (without password hashes)
+   */
+  async findAll() {
+    const users = await prisma.user.findMany({
+      orderBy: { createdAt: 'asc' }
+    });
+    return users.map(u => this._transform(u));
+  }
+
+  /**
+   * Find user by ID (CACHED - 5 min TTL)
+   */
+  async findById(id) {
+    const parsedId = parseInt(id);
+    if (isNaN(parsedId)) return null;
+
+    const cached = await cache.get('users', parsedId);
+    if (cached) return cached;
+
+    const user = await prisma.user.findUnique({
+      where: { id: parsedId }
+    });
+    if (!user) return null;
+
+    const transformed = this._transform(user);
+    await cache.set('users', parsedId, transformed, USER_CACHE_TTL);
+    return transformed;
+  }
+
+  /**
+   * Find user by email including the password hash (login only)
+   */
+  async findByEmailWithPassword(email) {
+    return prisma.user.findUnique({
+      where: { email: email.toLowerCase().trim() }
+    });
+  }
+
+  /**
+   * Count users (optionally by role)
+   */
+  async count(where = {}) {
+    return prisma.user.count({ where });
+  }
+
+  /**
+   * Invalidate cache for a single user
+   */
+  async invalidateCache(id) {
+    await cache.del('users', parseInt(id));
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { email, name, passwordHash, role }
+   */
+  async create(data) {
+    const user = await prisma.user.create({
+      data: {
+        email: data.email.toLowerCase().trim(),
+        name: data.name || null,
+        passwordHash: data.passwordHash,
+        role: data.role || 'viewer',
+        active: data.active !== false
+      }
+    });
+    return this._transform(user);
+  }
+
+  /**
+   * Update a user
+   * Changing role, active flag or password revokes all issued tokens
+   */
+  async update(id, data) {
+    const updateData = {};
+
+    if (data.name !== undefined) updateData.name = data.name;
+    if (data.role !== undefined) updateData.role = data.role;
+    if (data.active !== undefined) updateData.active = data.active;
+    if (data.passwordHash !== undefined) updateData.passwordHash = data.passwordHash;
+    if (data.senderIdentityId !== undefined) updateData.senderIdentityId = data.senderIdentityId;
+
+    if (data.role !== undefined || data.active !== undefined || data.passwordHash !== undefined) {
+      updateData.tokenVersion = { increment: 1 };
+    }
+
+    const user = await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: updateData
+    });
+
+    await this.invalidateCache(id);
+    return this._transform(user);
+  }
+
+  /**
+   * Revoke all tokens issued to a user (logout everywhere)
+   */
+  async revokeTokens(id) {
+    await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: { tokenVersion: { increment: 1 } }
+    });
+    await this.invalidateCache(id);
+  }
+
+  /**
+   * Record a successful login
+   */
+  async touchLastLogin(id) {
+    await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: { lastLoginAt: new Date() }
+    });
+  }
+
+  /**
+   * Delete a user
+   */
+  async delete(id) {
+    const result = await prisma.user.delete({
+      where: { id: parseInt(id) }
+    });
+    await this.invalidateCache(id);
+    return result;
+  }
+
+  /**
+   * Strip the password hash
+   */
+  _transform(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      active: user.active,
+      tokenVersion: user.tokenVersion,
+      lastLoginAt: user.lastLoginAt,
+      senderIdentityId: user.senderIdentityId ?? null,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    };
+  }
+}
+
+module.exports = new UserRepository();
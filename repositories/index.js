@@ -5,14 +5,30 @@ const LeadRepository = require('./LeadRepository');
 const EmailJobRepository = require('./EmailJobRepository');
 const SettingsRepository = require('./SettingsRepository');
 const TemplateRepository = require('./TemplateRepository');
+const TemplatePartialRepository = require('./TemplatePartialRepository');
+const SenderIdentityRepository = require('./SenderIdentityRepository');
 const EventStoreRepository = require('./EventStoreRepository');
 const NotificationRepository = require('./NotificationRepository');
+const SequenceRepository = require('./SequenceRepository');
+const UserRepository = require('./UserRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const ImportJobRepository = require('./ImportJobRepository');
+const ImportMappingPresetRepository = require('./ImportMappingPresetRepository');
+const SuppressionRepository = require('./SuppressionRepository');
 
 module.exports = {
   LeadRepository,
   EmailJobRepository,
   SettingsRepository,
   TemplateRepository,
+  TemplatePartialRepository,
+  SenderIdentityRepository,
   EventStoreRepository,
-  NotificationRepository
+  NotificationRepository,
+  SequenceRepository,
+  UserRepository,
+  ApiKeyRepository,
+  ImportJobRepository,
+  ImportMappingPresetRepository,
+  SuppressionRepository
 };
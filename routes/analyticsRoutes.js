@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const AnalyticsController = require('../controllers/AnalyticsController');
+const { validateBody } = require('../middleware/validate');
 
 router.get('/summary', AnalyticsController.getSummary.bind(AnalyticsController));
 router.get('/dashboard', AnalyticsController.getDashboardStats.bind(AnalyticsController));
@@ -14,4 +15,9 @@ router.get('/hierarchy', AnalyticsController.getHierarchicalAnalytics.bind(Analy
 router.get('/recent-activity', AnalyticsController.getRecentActivity.bind(AnalyticsController));
 router.post('/sync', AnalyticsController.syncFromBrevo.bind(AnalyticsController));
 
+// A/B tests (testKey e.g. "sequence:3:step_1", URL-encoded)
+router.get('/ab-tests', AnalyticsController.getAbTests.bind(AnalyticsController));
+router.get('/ab-tests/:testKey', AnalyticsController.getAbTest.bind(AnalyticsController));
+router.post('/ab-tests/:testKey/promote', validateBody('promoteVariant'), AnalyticsController.promoteAbVariant.bind(AnalyticsController));
+
 module.exports = router;
@@ -0,0 +1,14 @@
+// routes/apiKeyRoutes.js
+// API key management (admin only - enforced where mounted)
+
+const express = require('express');
+const router = express.Router();
+const ApiKeyController = require('../controllers/ApiKeyController');
+const { validateBody, validateParams } = require('../middleware/validate');
+
+router.get('/', ApiKeyController.getAll.bind(ApiKeyController));
+router.get('/scopes', ApiKeyController.getScopes.bind(ApiKeyController));
+router.post('/', validateBody('createApiKey'), ApiKeyController.create.bind(ApiKeyController));
+router.delete('/:id', validateParams('idParam'), ApiKeyController.revoke.bind(ApiKeyController));
+
+module.exports = router;
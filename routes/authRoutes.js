@@ -0,0 +1,20 @@
+// routes/authRoutes.js
+// Login and session routes
+
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/AuthController');
+const { authenticateSession } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { validateBody } = require('../middleware/validate');
+
+// Public
+router.post('/login', authLimiter, validateBody('login'), AuthController.login.bind(AuthController));
+
+// Signed-in user (session tokens only)
+router.get('/me', authenticateSession, AuthController.me.bind(AuthController));
+router.post('/logout', authenticateSession, AuthController.logout.bind(AuthController));
+router.post('/stream-ticket', authenticateSession, AuthController.streamTicket.bind(AuthController));
+router.post('/change-password', authenticateSession, validateBody('changePassword'), AuthController.changePassword.bind(AuthController));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/importRoutes.js
+// Background lead import routes (files are uploaded via /leads/upload-leads)
+
+const express = require('express');
+const router = express.Router();
+const ImportController = require('../controllers/ImportController');
+const { validateBody, validateParams } = require('../middleware/validate');
+
+// Column mapping presets (before /:id)
+router.get('/mappings', ImportController.getMappingPresets.bind(ImportController));
+router.post('/mappings', validateBody('createMappingPreset'), ImportController.createMappingPreset.bind(ImportController));
+router.put('/mappings/:id', validateParams('idParam'), validateBody('updateMappingPreset'), ImportController.updateMappingPreset.bind(ImportController));
+router.delete('/mappings/:id', validateParams('idParam'), ImportController.deleteMappingPreset.bind(ImportController));
+
+// Imports
+router.get('/', ImportController.getAll.bind(ImportController));
+router.get('/:id', validateParams('idParam'), ImportController.getById.bind(ImportController));
+router.get('/:id/errors.csv', validateParams('idParam'), ImportController.downloadErrors.bind(ImportController));
+router.post('/:id/resume', validateParams('idParam'), ImportController.resume.bind(ImportController));
+
+module.exports = router;
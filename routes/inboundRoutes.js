@@ -0,0 +1,28 @@
+// routes/inboundRoutes.js
+// Public inbound-parse webhook (replies) - INBOUND_WEBHOOK_SECRET in the URL or a header instead of auth
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const InboundController = require('../controllers/InboundController');
+
+// Multipart bodies (SendGrid inbound parse) - attachments are buffered and ignored
+const parseMultipart = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: 10,
+    fields: 100,
+    parts: 110
+  }
+}).any();
+
+// The secret may be the last path segment, for providers that only take a URL
+router.post(
+  ['/', '/:token'],
+  InboundController.authorize.bind(InboundController),
+  parseMultipart,
+  InboundController.handleInbound.bind(InboundController)
+);
+
+module.exports = router;
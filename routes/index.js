@@ -15,6 +15,9 @@ const emailJobRoutes = require('./emailJobRoutes');
 const tagRoutes = require('./tagRoutes');
 const settingsRoutes = require('./settingsRoutes');
 const scheduleRoutes = require('./scheduleRoutes');
+const sequenceRoutes = require('./sequenceRoutes');
+const importRoutes = require('./importRoutes');
+const suppressionRoutes = require('./suppressionRoutes');
 
 // Analytics & monitoring
 const analyticsRoutes = require('./analyticsRoutes');
@@ -22,48 +25,56 @@ const terminalStatesRoutes = require('./terminalStatesRoutes');
 
 // External integrations
 const webhookRoutes = require('./webhookRoutes');
+const inboundRoutes = require('./inboundRoutes');
 const templateRoutes = require('./templateRoutes');
+const senderIdentityRoutes = require('./senderIdentityRoutes');
 const conditionalEmailRoutes = require('./conditionalEmailRoutes');
+const unsubscribeRoutes = require('./unsubscribeRoutes');
+const preferenceRoutes = require('./preferenceRoutes');
+const trackingRoutes = require('./trackingRoutes');
 
 // System routes
 const notificationRoutes = require('./notificationRoutes');
 const devRoutes = require('./devRoutes');
 
+// Accounts
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+
+const { authenticate, authenticateStream, requireApiKeyScope, requireRole, readOnlyForViewers } = require('../middleware/auth');
+const { apiKeyLimiter } = require('../middleware/rateLimiter');
+
 // Rate limit controller (standalone)
 const RateLimitController = require('../controllers/RateLimitController');
 
+// Provider webhooks (standalone, public)
+const WebhookController = require('../controllers/WebhookController');
+
 // ============================================
 // MOUNT ROUTES
 // ============================================
 
-// Core business
-router.use('/leads', leadRoutes);
-router.use('/email-jobs', emailJobRoutes);
-router.use('/tags', tagRoutes);
-router.use('/settings', settingsRoutes);
-router.use('/schedule', scheduleRoutes);
-
-// Analytics & monitoring
-router.use('/analytics', analyticsRoutes);
-router.use('/terminal-states', terminalStatesRoutes);
-
-// External integrations - webhook at /brevo for Brevo compatibility
+// Public - provider webhooks (external), login, unsubscribe/preference links and tracking
+// /brevo/webhook is kept for existing Brevo configurations; /webhooks/:provider serves every provider
+// (both check the provider's <NAME>_WEBHOOK_SECRET - see WebhookController)
 router.use('/brevo', webhookRoutes);
-router.use('/templates', templateRoutes);
-router.use('/conditional-emails', conditionalEmailRoutes);
-
-// System
-router.use('/notifications', notificationRoutes);
-router.use('/dev', devRoutes);
-
-// Standalone routes
-router.get('/rate-limits', RateLimitController.getRateLimitStatus.bind(RateLimitController));
-router.get('/config', RateLimitController.getConfig.bind(RateLimitController));
+// Inbound-parse replies (before /webhooks/:provider, which would take "inbound" as a provider)
+router.use('/webhooks/inbound', inboundRoutes);
+router.post('/webhooks/:provider', WebhookController.handleProviderWebhook.bind(WebhookController));
+router.get('/webhooks/:provider', WebhookController.verifyWebhook.bind(WebhookController));
+router.use('/auth', authRoutes);
+// Unsubscribe and preference center links in emails (signed token instead of auth)
+router.use('/unsubscribe', unsubscribeRoutes);
+router.use('/preferences', preferenceRoutes);
+// First-party open pixel and click redirect (when Settings.tracking is enabled)
+router.use('/t', trackingRoutes);
 
 // ============================================
 // REAL-TIME STREAM (SSE)
 // ============================================
-router.get('/stream', (req, res) => {
+// EventSource can't send headers - authenticated with a short-lived ?ticket= (POST /auth/stream-ticket)
+router.get('/stream', authenticateStream, (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -80,4 +91,42 @@ router.get('/stream', (req, res) => {
   });
 });
 
+// Everything below requires a signed-in user or an API key
+// API keys are limited to their scopes and their own quota
+router.use(authenticate, requireApiKeyScope, apiKeyLimiter);
+
+// Per-user system routes (viewers can mark read / register devices)
+router.use('/notifications', notificationRoutes);
+
+// Viewers only get read access from here on
+router.use(readOnlyForViewers);
+
+// Admin only
+router.use('/users', requireRole('admin'), userRoutes);
+router.use('/api-keys', requireRole('admin'), apiKeyRoutes);
+router.use('/dev', requireRole('admin'), devRoutes);
+
+// Core business
+router.use('/leads', leadRoutes);
+router.use('/email-jobs', emailJobRoutes);
+router.use('/tags', tagRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/schedule', scheduleRoutes);
+router.use('/sequences', sequenceRoutes);
+router.use('/imports', importRoutes);
+router.use('/suppressions', suppressionRoutes);
+
+// Analytics & monitoring
+router.use('/analytics', analyticsRoutes);
+router.use('/terminal-states', terminalStatesRoutes);
+
+// External integrations (webhook at /brevo is mounted above, before auth)
+router.use('/templates', templateRoutes);
+router.use('/sender-identities', senderIdentityRoutes);
+router.use('/conditional-emails', conditionalEmailRoutes);
+
+// Standalone routes
+router.get('/rate-limits', RateLimitController.getRateLimitStatus.bind(RateLimitController));
+router.get('/config', RateLimitController.getConfig.bind(RateLimitController));
+
 module.exports = router;
\ No newline at end of file
@@ -8,6 +8,8 @@ const { validateBody, validateParams } = require('../middleware/validate');
 
 // Lead CRUD
 router.post('/upload-leads', upload.single('file'), leadController.uploadLeads.bind(leadController));
+router.post('/', validateBody('createLead'), leadController.createLead.bind(leadController));
+router.post('/bulk', validateBody('bulkCreateLeads'), leadController.bulkCreateLeads.bind(leadController));
 router.get('/', leadController.getLeads.bind(leadController));
 router.get('/:id', validateParams('idParam'), async (req, res) => {
   try {
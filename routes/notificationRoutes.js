@@ -13,7 +13,9 @@ router.put('/read', NotificationController.markRead.bind(NotificationController)
 // Device tokens (FCM Push)
 router.post('/device-tokens', async (req, res) => {
   try {
-    const { userId = 'admin', token, platform = 'web' } = req.body;
+    const { token, platform = 'web' } = req.body;
+    // Tokens belong to the signed-in user
+    const userId = req.user ? String(req.user.id) : (req.body.userId || 'admin');
     if (!token) {
       return res.status(400).json({ error: 'Token is required' });
     }
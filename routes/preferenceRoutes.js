@@ -0,0 +1,11 @@
+// routes/preferenceRoutes.js
+// Public preference center routes (signed token, no auth) - linked via {{preferencesUrl}}
+
+const express = require('express');
+const router = express.Router();
+const PreferenceController = require('../controllers/PreferenceController');
+
+router.get('/:token', PreferenceController.get.bind(PreferenceController));
+router.post('/:token', PreferenceController.update.bind(PreferenceController));
+
+module.exports = router;
@@ -6,6 +6,7 @@ const router = express.Router();
 const scheduleController = require('../controllers/ScheduleController');
 
 router.get('/', scheduleController.getSchedule.bind(scheduleController));
+router.get('/warmup', scheduleController.getWarmup.bind(scheduleController));
 router.get('/timezones', scheduleController.getTimezones.bind(scheduleController));
 
 module.exports = router;
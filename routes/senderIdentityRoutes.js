@@ -0,0 +1,15 @@
+// routes/senderIdentityRoutes.js
+// Sender identity routes (from address, reply-to, signature, daily cap)
+
+const express = require('express');
+const router = express.Router();
+const SenderIdentityController = require('../controllers/SenderIdentityController');
+const { validateBody, validateParams } = require('../middleware/validate');
+
+router.get('/', SenderIdentityController.getAll.bind(SenderIdentityController));
+router.get('/:id', validateParams('idParam'), SenderIdentityController.getById.bind(SenderIdentityController));
+router.post('/', validateBody('createSenderIdentity'), SenderIdentityController.create.bind(SenderIdentityController));
+router.put('/:id', validateParams('idParam'), validateBody('updateSenderIdentity'), SenderIdentityController.update.bind(SenderIdentityController));
+router.delete('/:id', validateParams('idParam'), SenderIdentityController.delete.bind(SenderIdentityController));
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// routes/sequenceRoutes.js
+// Named followup sequence routes
+
+const express = require('express');
+const router = express.Router();
+const SequenceController = require('../controllers/SequenceController');
+const { validateBody, validateParams } = require('../middleware/validate');
+
+// Enrollment (must be before /:id)
+router.post('/unenroll', validateBody('enrollSequence'), SequenceController.unenroll.bind(SequenceController));
+
+// Sequence CRUD
+router.get('/', SequenceController.getAll.bind(SequenceController));
+router.get('/:id', validateParams('idParam'), SequenceController.getById.bind(SequenceController));
+router.post('/', validateBody('createSequence'), SequenceController.create.bind(SequenceController));
+router.put('/:id', validateParams('idParam'), validateBody('updateSequence'), SequenceController.update.bind(SequenceController));
+router.delete('/:id', validateParams('idParam'), SequenceController.delete.bind(SequenceController));
+
+// Steps
+router.post('/:id/steps', validateParams('idParam'), validateBody('addSequenceStep'), SequenceController.addStep.bind(SequenceController));
+router.delete('/:id/steps/:stepId', validateParams('sequenceStepParams'), SequenceController.deleteStep.bind(SequenceController));
+
+// Lead enrollment
+router.post('/:id/enroll', validateParams('idParam'), validateBody('enrollSequence'), SequenceController.enroll.bind(SequenceController));
+
+module.exports = router;
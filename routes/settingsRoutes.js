@@ -4,6 +4,8 @@
 const express = require('express');
 const router = express.Router();
 const SettingsController = require('../controllers/SettingsController');
+const { requireRole } = require('../middleware/auth');
+const { validateBody, validateParams } = require('../middleware/validate');
 
 // General settings
 router.get('/', SettingsController.getSettings.bind(SettingsController));
@@ -23,14 +25,42 @@ router.post('/unpause-date', SettingsController.unpauseDate.bind(SettingsControl
 router.post('/weekend-days', SettingsController.updateWeekendDays.bind(SettingsController));
 router.post('/reschedule-paused', SettingsController.reschedulePausedEmails.bind(SettingsController));
 
-// Brevo connection
-router.post('/test-brevo', SettingsController.testBrevoConnection.bind(SettingsController));
-router.post('/clear-logs', SettingsController.clearBrevoLogs.bind(SettingsController));
+// Brevo connection (admin only - uses the stored credentials)
+router.post('/test-brevo', requireRole('admin'), SettingsController.testBrevoConnection.bind(SettingsController));
+router.post('/clear-logs', requireRole('admin'), SettingsController.clearBrevoLogs.bind(SettingsController));
 
-// Rulebook
+// Email providers (Brevo, SMTP, local outbox)
+router.get('/providers', SettingsController.getEmailProviders.bind(SettingsController));
+router.post('/providers/:name/verify', requireRole('admin'), SettingsController.verifyEmailProvider.bind(SettingsController));
+router.post('/providers/:name/reset-circuit', requireRole('admin'), SettingsController.resetEmailProviderCircuit.bind(SettingsController));
+
+// Global send halt (kill switch) - admin only
+router.get('/send-halt', SettingsController.getSendHalt.bind(SettingsController));
+router.post('/send-halt', requireRole('admin'), validateBody('haltSending'), SettingsController.haltSending.bind(SettingsController));
+router.post('/send-halt/resume', requireRole('admin'), SettingsController.resumeSending.bind(SettingsController));
+
+// Per-recipient-domain throttles
+router.get('/domain-throttles', SettingsController.getDomainThrottles.bind(SettingsController));
+router.put('/domain-throttles', validateBody('updateDomainThrottles'), SettingsController.updateDomainThrottles.bind(SettingsController));
+
+// Bounce/complaint circuit breaker - pauses need an admin to acknowledge them
+router.get('/deliverability-guard', SettingsController.getDeliverabilityGuard.bind(SettingsController));
+router.put('/deliverability-guard', requireRole('admin'), validateBody('updateDeliverabilityGuard'), SettingsController.updateDeliverabilityGuard.bind(SettingsController));
+router.get('/deliverability-guard/pauses', SettingsController.getSendingPauses.bind(SettingsController));
+router.post('/deliverability-guard/pauses/:id/acknowledge', requireRole('admin'), validateParams('idParam'), validateBody('acknowledgeSendingPause'), SettingsController.acknowledgeSendingPause.bind(SettingsController));
+
+// First-party open/click tracking
+router.get('/tracking', SettingsController.getTracking.bind(SettingsController));
+router.put('/tracking', requireRole('admin'), validateBody('updateTracking'), SettingsController.updateTracking.bind(SettingsController));
+
+// Machine open/click classifier (Apple MPP, link scanners)
+router.get('/machine-events', SettingsController.getMachineEventFilter.bind(SettingsController));
+router.put('/machine-events', requireRole('admin'), validateBody('updateMachineEventFilter'), SettingsController.updateMachineEventFilter.bind(SettingsController));
+
+// Rulebook (editing is admin only)
 router.get('/rulebook', SettingsController.getRulebook.bind(SettingsController));
-router.put('/rulebook', SettingsController.updateRulebook.bind(SettingsController));
-router.post('/rulebook/reset', SettingsController.resetRulebook.bind(SettingsController));
+router.put('/rulebook', requireRole('admin'), SettingsController.updateRulebook.bind(SettingsController));
+router.post('/rulebook/reset', requireRole('admin'), SettingsController.resetRulebook.bind(SettingsController));
 router.get('/rulebook/defaults', SettingsController.getDefaultRulebook.bind(SettingsController));
 router.get('/rulebook/permissions', SettingsController.getMailTypePermissions.bind(SettingsController));
 
@@ -0,0 +1,19 @@
+// routes/suppressionRoutes.js
+// Global suppression list routes (removing entries is admin only)
+
+const express = require('express');
+const router = express.Router();
+const SuppressionController = require('../controllers/SuppressionController');
+const { upload } = require('../controllers/LeadController');
+const { requireRole } = require('../middleware/auth');
+const { validateBody, validateParams } = require('../middleware/validate');
+
+// Fixed paths before /:id
+router.get('/', SuppressionController.getAll.bind(SuppressionController));
+router.get('/check', SuppressionController.check.bind(SuppressionController));
+router.get('/export.csv', SuppressionController.exportCsv.bind(SuppressionController));
+router.post('/import', upload.single('file'), SuppressionController.importEntries.bind(SuppressionController));
+router.post('/', validateBody('createSuppression'), SuppressionController.create.bind(SuppressionController));
+router.delete('/:id', requireRole('admin'), validateParams('idParam'), SuppressionController.delete.bind(SuppressionController));
+
+module.exports = router;
@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const TemplateController = require('../controllers/TemplateController');
+const { validateBody, validateParams } = require('../middleware/validate');
 
-router.get('/', TemplateController.getAllTemplates);
-router.get('/:id', TemplateController.getTemplate);
-router.post('/', TemplateController.createTemplate);
-router.put('/:id', TemplateController.updateTemplate);
-router.delete('/:id', TemplateController.deleteTemplate);
+// Partials ({{> name}}) - registered before /:id
+router.get('/partials', TemplateController.getPartials.bind(TemplateController));
+router.post('/partials', validateBody('createPartial'), TemplateController.createPartial.bind(TemplateController));
+router.get('/partials/:name', TemplateController.getPartial.bind(TemplateController));
+router.put('/partials/:name', validateBody('updatePartial'), TemplateController.updatePartial.bind(TemplateController));
+router.delete('/partials/:name', TemplateController.deletePartial.bind(TemplateController));
+router.get('/partials/:name/usage', TemplateController.getPartialUsage.bind(TemplateController));
+
+router.get('/', TemplateController.getAllTemplates.bind(TemplateController));
+router.get('/:id', validateParams('idParam'), TemplateController.getTemplate.bind(TemplateController));
+router.post('/', TemplateController.createTemplate.bind(TemplateController));
+router.put('/:id', validateParams('idParam'), TemplateController.updateTemplate.bind(TemplateController));
+router.delete('/:id', validateParams('idParam'), TemplateController.deleteTemplate.bind(TemplateController));
+
+// Version history
+router.get('/:id/versions', validateParams('idParam'), TemplateController.getVersions.bind(TemplateController));
+router.get('/:id/versions/:version', validateParams('templateVersionParams'), TemplateController.getVersion.bind(TemplateController));
+router.get('/:id/diff', validateParams('idParam'), TemplateController.diffVersions.bind(TemplateController));
+router.post('/:id/versions/:version/restore', validateParams('templateVersionParams'), TemplateController.restoreVersion.bind(TemplateController));
 
 module.exports = router;
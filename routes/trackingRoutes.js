@@ -0,0 +1,11 @@
+// routes/trackingRoutes.js
+// Public first-party tracking routes (signed token, no auth) - added to emails by TrackingService
+
+const express = require('express');
+const router = express.Router();
+const TrackingController = require('../controllers/TrackingController');
+
+router.get('/o/:token', TrackingController.open.bind(TrackingController));
+router.get('/c/:token', TrackingController.click.bind(TrackingController));
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/unsubscribeRoutes.js
+// Public unsubscribe routes (signed token, no auth) - linked from List-Unsubscribe headers
+
+const express = require('express');
+const router = express.Router();
+const UnsubscribeController = require('../controllers/UnsubscribeController');
+
+router.get('/:token', UnsubscribeController.showPage.bind(UnsubscribeController));
+router.post('/:token', UnsubscribeController.unsubscribe.bind(UnsubscribeController));
+
+module.exports = router;
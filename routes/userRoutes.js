@@ -0,0 +1,14 @@
+// routes/userRoutes.js
+// User account management (admin only - enforced where mounted)
+
+const express = require('express');
+const router = express.Router();
+const UserController = require('../controllers/UserController');
+const { validateBody, validateParams } = require('../middleware/validate');
+
+router.get('/', UserController.getAll.bind(UserController));
+router.post('/', validateBody('createUser'), UserController.create.bind(UserController));
+router.put('/:id', validateParams('idParam'), validateBody('updateUser'), UserController.update.bind(UserController));
+router.delete('/:id', validateParams('idParam'), UserController.delete.bind(UserController));
+
+module.exports = router;
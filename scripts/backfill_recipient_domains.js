@@ -0,0 +1,26 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log('Backfilling recipient domains...');
+
+  // Per-domain throttling counts jobs by email_jobs.recipient_domain
+  // Domain = lower-cased part after the last "@"
+  const updated = await prisma.$executeRaw`
+    UPDATE email_jobs
+    SET recipient_domain = LOWER(SUBSTRING(email FROM '@([^@]*)$'))
+    WHERE recipient_domain IS NULL
+  `;
+  console.log(`Updated ${updated} email jobs`);
+
+  console.log('Done.');
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,306 @@
+// services/ABTestService.js
+// A/B tests of template variants on followup steps and conditional emails
+//
+// A step (sequence step or global followup) or a conditional email can carry:
+//   variants: [{ id, templateId, weight }]   - traffic split, weights are relative
+//   abTest:   { autoPromoteAfter, metric, winnerVariantId, promotedAt, promotedBy }
+//
+// Leads are assigned a variant deterministically (hash of lead + test), so a retried
+// job sends the same content. Once a winner is promoted it gets all traffic and
+// becomes the step's template.
+
+const crypto = require("crypto");
+const { Prisma } = require("@prisma/client");
+const { prisma } = require("../lib/prisma");
+const { SequenceRepository, SettingsRepository } = require("../repositories");
+const ConditionalEmailRepository = require("../repositories/ConditionalEmailRepository");
+
+// Engagement the winner is picked on
+const METRICS = ["opened", "clicked"];
+
+class ABTestService {
+  get METRICS() {
+    return METRICS;
+  }
+
+  /**
+   * Validate and fill in variant ids/weights
+   * @returns {Array|null} Normalized variants, or null when the step is not under test
+   * @throws {Error} On invalid variants
+   */
+  normalizeVariants(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) return null;
+    if (variants.length < 2) {
+      throw new Error("An A/B test needs at least two variants");
+    }
+
+    const ids = new Set();
+    const normalized = variants.map((variant, index) => {
+      const id = String(variant.id || String.fromCharCode(65 + index)).trim();
+      if (ids.has(id)) {
+        throw new Error(`Duplicate variant id "${id}"`);
+      }
+      ids.add(id);
+
+      const templateId = parseInt(variant.templateId);
+      if (isNaN(templateId)) {
+        throw new Error(`Variant "${id}" needs a template`);
+      }
+
+      const weight = variant.weight !== undefined && variant.weight !== null ? Number(variant.weight) : 1;
+      if (isNaN(weight) || weight < 0) {
+        throw new Error(`Variant "${id}" has an invalid weight`);
+      }
+
+      return { id, templateId, weight };
+    });
+
+    if (!normalized.some((v) => v.weight > 0)) {
+      throw new Error("At least one variant needs a weight above 0");
+    }
+    return normalized;
+  }
+
+  /**
+   * Normalize A/B test options (null when there are no variants)
+   */
+  normalizeAbTest(abTest, variants) {
+    if (!variants) return null;
+    const options = abTest || {};
+
+    const winnerVariantId = options.winnerVariantId || null;
+    if (winnerVariantId && !variants.some((v) => v.id === winnerVariantId)) {
+      throw new Error(`Winner "${winnerVariantId}" is not one of the variants`);
+    }
+
+    return {
+      autoPromoteAfter: options.autoPromoteAfter ? parseInt(options.autoPromoteAfter) : null,
+      metric: METRICS.includes(options.metric) ? options.metric : "opened",
+      winnerVariantId,
+      promotedAt: winnerVariantId ? options.promotedAt || new Date().toISOString() : null,
+      promotedBy: winnerVariantId ? options.promotedBy || null : null,
+    };
+  }
+
+  // ==========================================
+  // ASSIGNMENT
+  // ==========================================
+
+  testKeyForStep(sequenceId, step) {
+    return sequenceId
+      ? `sequence:${sequenceId}:${step.id}`
+      : `followups:${step.id || step.name}`;
+  }
+
+  testKeyForConditional(conditionalEmailId) {
+    return `conditional:${conditionalEmailId}`;
+  }
+
+  /**
+   * Pick a variant for a seed (promoted winner takes all traffic)
+   * @param {Object} config - { variants, abTest }
+   * @param {string} seed - Stable per lead and test
+   */
+  pickVariant(config, seed) {
+    const variants = config.variants || [];
+    const winnerId = config.abTest?.winnerVariantId;
+    if (winnerId) {
+      const winner = variants.find((v) => v.id === winnerId);
+      if (winner) return winner;
+    }
+
+    const total = variants.reduce((sum, v) => sum + (v.weight || 0), 0);
+    if (total <= 0) return null;
+
+    // First 32 bits of the hash as a fraction in [0, 1)
+    const hash = crypto.createHash("sha256").update(seed).digest();
+    let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+    for (const variant of variants) {
+      point -= variant.weight || 0;
+      if (point < 0) return variant;
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Resolve the variant an email job should send
+   * Branch template overrides win - the branch already chose the content
+   * @returns {Promise<{testKey: string, variant: Object}|null>}
+   */
+  async resolveVariant(emailJob, lead) {
+    let config;
+    let testKey;
+
+    if (emailJob.metadata?.conditionalEmailId) {
+      const conditional = await prisma.conditionalEmail.findUnique({
+        where: { id: parseInt(emailJob.metadata.conditionalEmailId) },
+        select: { id: true, variants: true, abTest: true },
+      });
+      if (!conditional?.variants) return null;
+
+      config = conditional;
+      testKey = this.testKeyForConditional(conditional.id);
+    } else {
+      const sequence = await SequenceRepository.getSequenceForLead(lead);
+      const step = sequence.steps.find((s) => s.name === emailJob.type);
+      if (!step?.variants) return null;
+
+      const branchId = emailJob.metadata?.branch?.branchId;
+      if (branchId) {
+        const branch = sequence.steps
+          .flatMap((s) => s.branches || [])
+          .find((b) => b.id === branchId);
+        if (branch?.templateId) return null;
+      }
+
+      config = step;
+      testKey = this.testKeyForStep(sequence.sequenceId, step);
+    }
+
+    const variant = this.pickVariant(config, `${testKey}:${lead.id}`);
+    return variant ? { testKey, variant } : null;
+  }
+
+  // ==========================================
+  // TESTS
+  // ==========================================
+
+  /**
+   * All steps and conditional emails with variants
+   * @returns {Promise<Array<{testKey, source, name, sequenceId?, sequenceName?, stepId?, conditionalEmailId?, variants, abTest}>>}
+   */
+  async findTests() {
+    const tests = [];
+
+    const settings = await SettingsRepository.getSettings();
+    for (const step of settings.followups || []) {
+      if (!step.variants) continue;
+      tests.push({
+        testKey: this.testKeyForStep(null, step),
+        source: "followups",
+        name: step.name,
+        stepId: step.id || step.name,
+        variants: step.variants,
+        abTest: step.abTest || {},
+      });
+    }
+
+    const sequences = await SequenceRepository.findAll();
+    for (const sequence of sequences) {
+      for (const step of sequence.steps) {
+        if (!step.variants) continue;
+        tests.push({
+          testKey: this.testKeyForStep(sequence.id, step),
+          source: "sequence",
+          name: step.name,
+          sequenceId: sequence.id,
+          sequenceName: sequence.name,
+          stepId: step.id,
+          variants: step.variants,
+          abTest: step.abTest || {},
+        });
+      }
+    }
+
+    const conditionals = await prisma.conditionalEmail.findMany({
+      where: { variants: { not: Prisma.DbNull } },
+      select: { id: true, name: true, variants: true, abTest: true },
+    });
+    for (const conditional of conditionals) {
+      if (!Array.isArray(conditional.variants)) continue;
+      tests.push({
+        testKey: this.testKeyForConditional(conditional.id),
+        source: "conditional",
+        name: `conditional:${conditional.name}`,
+        conditionalEmailId: conditional.id,
+        variants: conditional.variants,
+        abTest: conditional.abTest || {},
+      });
+    }
+
+    return tests;
+  }
+
+  async findTest(testKey) {
+    const tests = await this.findTests();
+    return tests.find((t) => t.testKey === testKey) || null;
+  }
+
+  /**
+   * Promote a variant: it gets all traffic and becomes the step's template
+   * @param {string} promotedBy - User email, or 'auto' for auto-promotion
+   */
+  async promoteVariant(testKey, variantId, promotedBy = "system") {
+    const test = await this.findTest(testKey);
+    if (!test) throw new Error(`A/B test "${testKey}" not found`);
+
+    const variant = test.variants.find((v) => v.id === variantId);
+    if (!variant) throw new Error(`Variant "${variantId}" not found in ${testKey}`);
+
+    const abTest = {
+      ...test.abTest,
+      winnerVariantId: variant.id,
+      promotedAt: new Date().toISOString(),
+      promotedBy,
+    };
+    const changes = { abTest, templateId: variant.templateId };
+
+    if (test.source === "conditional") {
+      await ConditionalEmailRepository.update(test.conditionalEmailId, changes);
+    } else if (test.source === "sequence") {
+      const sequence = await SequenceRepository.findById(test.sequenceId);
+      const steps = sequence.steps.map((s) => (s.id === test.stepId ? { ...s, ...changes } : s));
+      await SequenceRepository.update(test.sequenceId, { steps });
+    } else {
+      const settings = await SettingsRepository.getSettings();
+      const followups = (settings.followups || []).map((f) =>
+        (f.id || f.name) === test.stepId ? { ...f, ...changes } : f,
+      );
+      await SettingsRepository.updateSettings({ followups }, promotedBy);
+    }
+
+    console.log(`[ABTest] Promoted variant ${variant.id} of ${testKey} (${promotedBy})`);
+    return { ...test, abTest };
+  }
+
+  /**
+   * Auto-promote the leading variant of tests that reached their send threshold
+   * Called hourly by CronService
+   */
+  async evaluateAutoPromotions() {
+    const AnalyticsService = require("./AnalyticsService");
+    const promoted = [];
+
+    const tests = await this.findTests();
+    for (const test of tests) {
+      if (!test.abTest.autoPromoteAfter || test.abTest.winnerVariantId) continue;
+
+      try {
+        const stats = await AnalyticsService.getVariantStats(test.testKey, test.variants, test.abTest.metric);
+        if (stats.totalSent < test.abTest.autoPromoteAfter || !stats.leader) continue;
+
+        await this.promoteVariant(test.testKey, stats.leader, "auto");
+        promoted.push({ testKey: test.testKey, variantId: stats.leader });
+
+        const leader = stats.variants.find((v) => v.variantId === stats.leader);
+        const leaderRate = stats.metric === "clicked" ? leader.clickRate : leader.openRate;
+        const NotificationService = require("./NotificationService");
+        await NotificationService.createNotification({
+          type: "success",
+          message: `🏆 Variant ${stats.leader} won the A/B test on '${test.name}' (${leaderRate}% ${stats.metric})`,
+          details: stats.significant
+            ? "The difference is statistically significant."
+            : "The difference is not statistically significant yet.",
+          metadata: { event: "ab_test_promoted", testKey: test.testKey, variantId: stats.leader },
+        });
+      } catch (error) {
+        console.error(`[ABTest] Auto-promotion failed for ${test.testKey}:`, error.message);
+      }
+    }
+
+    return { evaluated: tests.length, promoted };
+  }
+}
+
+module.exports = new ABTestService();
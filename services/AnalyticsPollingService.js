@@ -1,68 +1,31 @@
 // services/AnalyticsPollingService.js
 // Analytics polling service using Prisma
-// Supports MOCK_BREVO_URL env var for testing with mock server
+// Events come from the active email provider (EmailProviderService)
 
-const axios = require('axios');
 const moment = require('moment-timezone');
 const { prisma } = require('../lib/prisma');
-const { SettingsRepository } = require('../repositories');
-require('dotenv').config();
+const EmailProviderService = require('./EmailProviderService');
 
 class AnalyticsPollingService {
-  constructor() {
-    // Use MOCK_BREVO_URL if set, otherwise use real Brevo API
-    // Mock URL needs /v3 appended since mock server routes are at /v3/*
-    this.baseUrl = process.env.MOCK_BREVO_URL 
-      ? `${process.env.MOCK_BREVO_URL}/v3`
-      : 'https://api.brevo.com/v3';
-    this.processedEvents = new Set();
-    this._cachedApiKey = null;
-    this._cacheTime = null;
-    this._cacheDurationMs = 60000; // 1 minute
-    
-    if (process.env.MOCK_BREVO_URL) {
-      console.log(`🧪 [AnalyticsPollingService] MOCK MODE: Using ${process.env.MOCK_BREVO_URL}`);
-    }
-  }
-  
-  /**
-   * Get Brevo API key from Settings DB with fallback to .env
-   */
-  async getApiKey() {
-    const now = Date.now();
-    if (this._cachedApiKey && this._cacheTime && (now - this._cacheTime) < this._cacheDurationMs) {
-      return this._cachedApiKey;
-    }
-    
-    try {
-      const settings = await SettingsRepository.getSettings();
-      this._cachedApiKey = settings.brevo?.apiKey || process.env.BREVO_API_KEY || '';
-      this._cacheTime = now;
-      return this._cachedApiKey;
-    } catch (error) {
-      console.error('Error loading API key from DB:', error.message);
-      return process.env.BREVO_API_KEY || '';
-    }
-  }
-
 
   /**
-   * Poll Brevo for ALL email events and update analytics directly
+   * Poll the active provider for ALL email events and update analytics directly
    */
-  async pollBrevoEvents() {
-    console.log('📊 Analytics Poll: Starting comprehensive event sync...');
+  async pollEvents() {
+    const provider = EmailProviderService.getActive();
+    console.log(`📊 Analytics Poll: Starting comprehensive event sync (${provider.name})...`);
     
     try {
       const events = await this.fetchAllRecentEvents();
       
-      console.log(`📊 Analytics Poll: Fetched ${events.length} events from Brevo`);
+      console.log(`📊 Analytics Poll: Fetched ${events.length} events from ${provider.name}`);
       
       let processed = 0;
       let updated = 0;
 
       for (const event of events) {
         try {
-          const wasUpdated = await this.processBrevoEvent(event);
+          const wasUpdated = await this.processEvent(event);
           processed++;
           if (wasUpdated) updated++;
         } catch (error) {
@@ -71,7 +34,7 @@ class AnalyticsPollingService {
       }
 
       console.log(`📊 Analytics Poll: Processed ${processed} events, Updated ${updated} records`);
-      return { fetched: events.length, processed, updated };
+      return { provider: provider.name, fetched: events.length, processed, updated };
     } catch (error) {
       console.error('Analytics Poll: Error:', error.message);
       throw error;
@@ -79,66 +42,19 @@ class AnalyticsPollingService {
   }
 
   /**
-   * Fetch all events from Brevo for the last 24 hours
+   * Fetch all events from the active provider for the last 24 hours
    */
   async fetchAllRecentEvents() {
-    const allEvents = [];
     const endDate = new Date();
     const startDate = new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-    const eventTypes = ['delivered', 'opened', 'uniqueOpened', 'clicks', 'hardBounces', 'softBounces', 'deferred', 'blocked', 'spam', 'requests', 'unsubscribed', 'error', 'invalid'];
-    
-    for (const eventType of eventTypes) {
-      try {
-        const events = await this.fetchEventsByType(eventType, startDate, endDate);
-        allEvents.push(...events);
-      } catch (error) {
-        console.log(`Analytics Poll: No ${eventType} events or error:`, error.message);
-      }
-    }
-
-    return allEvents;
-  }
-
-  /**
-   * Fetch events of a specific type from Brevo
-   */
-  async fetchEventsByType(eventType, startDate, endDate) {
-    try {
-      const apiKey = await this.getApiKey();
-      
-      const response = await axios.get(
-        `${this.baseUrl}/smtp/statistics/events`,
-        {
-          params: {
-            event: eventType,
-            startDate: startDate.toISOString().split('T')[0],
-            endDate: endDate.toISOString().split('T')[0],
-            limit: 500,
-            offset: 0
-          },
-          headers: {
-            'api-key': apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const events = response.data.events || [];
-      return events.map(e => ({ ...e, fetchedEventType: eventType }));
-    } catch (error) {
-      if (error.response?.status === 404 || error.response?.status === 400) {
-        return [];
-      }
-      throw error;
-    }
+    return EmailProviderService.fetchEvents({ startDate, endDate });
   }
 
 
   /**
-   * Process a single Brevo event and update analytics
+   * Process a single provider event and update analytics
    */
-  async processBrevoEvent(event) {
+  async processEvent(event) {
     const AnalyticsService = require('./AnalyticsService');
     return await AnalyticsService.handleEvent(event, 'poll');
   }
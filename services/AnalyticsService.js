@@ -6,6 +6,7 @@ const {
   LeadRepository,
   EmailJobRepository,
   EventStoreRepository,
+  SequenceRepository,
 } = require("../repositories");
 const { cache } = require("../lib/cache");
 const EventBus = require("../events/EventBus");
@@ -395,29 +396,18 @@ class AnalyticsService {
       return false;
     }
 
-    // 2. Idempotency Check using Prisma
-    const wasProcessed = await EventStoreRepository.wasProcessed(
-      messageId,
-      eventType,
-    );
-    if (wasProcessed) {
-      return false;
-    }
-
-    const marked = await EventStoreRepository.markProcessed(
-      messageId,
-      eventType,
-      eventDate,
-    );
-    if (!marked) {
-      return false; // Duplicate
-    }
-
-    // 3. Find the Source Email Job
+    // 2. Find the Source Email Job
     let emailJob = await prisma.emailJob.findFirst({
       where: { brevoMessageId: messageId },
     });
 
+    // First-party tracking events carry the job id
+    if (!emailJob && rawEvent.emailJobId) {
+      emailJob = await prisma.emailJob.findUnique({
+        where: { id: parseInt(rawEvent.emailJobId) },
+      });
+    }
+
     if (!emailJob) {
       // Fallback: match by email and timing
       emailJob = await prisma.emailJob.findFirst({
@@ -429,11 +419,64 @@ class AnalyticsService {
       });
     }
 
+    // Opens/clicks that look automated (Apple MPP, link scanners) are kept apart
+    let machine = null;
+    if (emailJob) {
+      const MachineEventService = require("./MachineEventService");
+      const classification = await MachineEventService.classify(
+        rawEvent,
+        eventType,
+        emailJob,
+      );
+      if (classification.machine) machine = classification;
+    }
+
+    // 3. Idempotency Check using Prisma
+    // Clicks are deduped per link, so every distinct link a lead clicks is recorded
+    // Machine events have their own keys - a prefetch must not swallow the recipient's real open
+    let dedupType =
+      eventType === "clicked" && rawEvent.link
+        ? `clicked:${rawEvent.link}`
+        : eventType;
+    if (machine) dedupType = `machine_${dedupType}`;
+
+    const wasProcessed = await EventStoreRepository.wasProcessed(
+      messageId,
+      dedupType,
+    );
+    if (wasProcessed) {
+      return false;
+    }
+
+    const marked = await EventStoreRepository.markProcessed(
+      messageId,
+      dedupType,
+      eventDate,
+    );
+    if (!marked) {
+      return false; // Duplicate
+    }
+
     if (!emailJob) {
       console.warn(`[Analytics] No matching Job for ${email} | ${messageId}`);
       return false;
     }
 
+    if (machine) {
+      return this._recordMachineEvent(
+        emailJob,
+        eventType,
+        rawEvent,
+        source,
+        eventDate,
+        machine.reasons,
+      );
+    }
+
+    // A click on another link of an already-clicked email is only recorded in the lead's
+    // history and the audit store - status, triggers, score and counters were handled by the first
+    const isRepeatClick = eventType === "clicked" && !!emailJob.clickedAt;
+
     // 4. Update EmailJob status
     const terminalStatuses = [
       "delivered",
@@ -447,10 +490,11 @@ class AnalyticsService {
       "unsubscribed",
     ];
     if (
-      terminalStatuses.includes(eventType) ||
-      !emailJob.status ||
-      emailJob.status === "sent" ||
-      emailJob.status === "queued"
+      !isRepeatClick &&
+      (terminalStatuses.includes(eventType) ||
+        !emailJob.status ||
+        emailJob.status === "sent" ||
+        emailJob.status === "queued")
     ) {
       const updateData = { status: eventType };
       if (rawEvent.reason) updateData.lastError = rawEvent.reason;
@@ -635,7 +679,11 @@ class AnalyticsService {
 
         // TRIGGER FOLLOWUPS: When delivered, schedule next followup
         // Followups are now a simple "no response" chain - conditions removed
-        if (["delivered"].includes(eventType)) {
+        // Branching sequences also pick their next step on opened/clicked
+        const isBranchEngagement =
+          ["opened", "unique_opened", "clicked"].includes(eventType) &&
+          (await SequenceRepository.isBranchingForLead(lead));
+        if (["delivered"].includes(eventType) || isBranchEngagement) {
           console.log(
             `[AnalyticsService] 📋 Triggering followup check for lead ${emailJob.leadId} after ${eventType}`,
           );
@@ -723,7 +771,7 @@ class AnalyticsService {
 
       // Update counters based on event
       const counterMap = { opened: "emailsOpened", clicked: "emailsClicked" };
-      if (counterMap[eventType]) {
+      if (counterMap[eventType] && !isRepeatClick) {
         await LeadRepository.incrementCounter(
           emailJob.leadId,
           counterMap[eventType],
@@ -733,7 +781,7 @@ class AnalyticsService {
 
       // Update score
       const scoreMap = { opened: 5, clicked: 15, hard_bounce: -20, spam: -30 };
-      if (scoreMap[eventType]) {
+      if (scoreMap[eventType] && !isRepeatClick) {
         await LeadRepository.updateScore(emailJob.leadId, scoreMap[eventType]);
       }
     }
@@ -765,6 +813,11 @@ class AnalyticsService {
       handlerName = "EmailFailed";
     }
 
+    if (isRepeatClick) {
+      await cache.invalidateAnalytics();
+      return true;
+    }
+
     await EventBus.emit(handlerName, {
       emailJobId: emailJob.id,
       leadId: emailJob.leadId,
@@ -781,6 +834,75 @@ class AnalyticsService {
     return true;
   }
 
+  /**
+   * Record a likely-machine open/click (MachineEventService) in the lead's history and the audit
+   * store only - no job status, counters, score, conditional triggers or handlers
+   */
+  async _recordMachineEvent(emailJob, eventType, rawEvent, source, eventDate, reasons) {
+    const machineEvent = `machine_${eventType === "unique_opened" ? "opened" : eventType}`;
+
+    await LeadRepository.addEvent(
+      emailJob.leadId,
+      machineEvent,
+      {
+        ...rawEvent,
+        source,
+        timestamp: eventDate,
+        machineReasons: reasons,
+      },
+      emailJob.type,
+      emailJob.id,
+    );
+
+    await EventStoreRepository.create({
+      eventType: machineEvent === "machine_opened" ? "EmailMachineOpened" : "EmailMachineClicked",
+      aggregateId: rawEvent.messageId,
+      aggregateType: "EmailJob",
+      payload: rawEvent,
+      metadata: { source, reasons },
+    });
+
+    console.log(
+      `[AnalyticsService] 🤖 ${eventType} for job ${emailJob.id} flagged as machine (${reasons.join(", ")})`,
+    );
+
+    await cache.invalidateAnalytics();
+    return true;
+  }
+
+  /**
+   * Jobs sent in the range whose only opens/clicks were flagged as machine events
+   * (the main counts and rates exclude them - this is what ?includeMachine=true adds back)
+   * @param {number} delivered - Delivered count of the same range, for the rates
+   */
+  async getMachineEventStats(startDate, endDate, delivered = 0) {
+    const result = await prisma.$queryRaw`
+      SELECT
+        COUNT(DISTINCT ej.id) FILTER (WHERE eh.event = 'machine_opened' AND ej.opened_at IS NULL) as opened,
+        COUNT(DISTINCT ej.id) FILTER (WHERE eh.event = 'machine_clicked' AND ej.clicked_at IS NULL) as clicked,
+        COUNT(*) FILTER (WHERE eh.event = 'machine_opened') as open_events,
+        COUNT(*) FILTER (WHERE eh.event = 'machine_clicked') as click_events
+      FROM event_history eh
+      JOIN email_jobs ej ON ej.id = eh.email_job_id
+      WHERE eh.event IN ('machine_opened', 'machine_clicked')
+        AND ej.sent_at >= ${startDate} AND ej.sent_at <= ${endDate}
+    `;
+
+    const r = result[0] || {};
+    const opened = Number(r.opened) || 0;
+    const clicked = Number(r.clicked) || 0;
+    return {
+      opened,
+      clicked,
+      openEvents: Number(r.open_events) || 0,
+      clickEvents: Number(r.click_events) || 0,
+      rates: {
+        openRate: delivered > 0 ? ((opened / delivered) * 100).toFixed(1) : "0.0",
+        clickRate: delivered > 0 ? ((clicked / delivered) * 100).toFixed(1) : "0.0",
+      },
+    };
+  }
+
   async processWebhookEvent(eventType, eventData) {
     return await this.handleEvent(eventData, "webhook");
   }
@@ -965,6 +1087,122 @@ class AnalyticsService {
     await cache.setDashboard(cacheKey, result);
     return result;
   }
+
+  /**
+   * A/B TEST RESULTS - delivered/open/click rates per variant
+   * Each variant is compared with the control (first variant) on the test metric
+   * using a two-proportion z-test; significant = p < 0.05
+   * @param {string} testKey - EmailJob.abTestKey
+   * @param {Array} variants - [{ id, templateId, weight }] from the step config
+   * @param {string} metric - 'opened' | 'clicked'
+   */
+  async getVariantStats(testKey, variants = [], metric = "opened") {
+    const rows = await prisma.$queryRaw`
+      SELECT
+        variant_id,
+        COUNT(*) as sent,
+        COUNT(*) FILTER (WHERE delivered_at IS NOT NULL) as delivered,
+        COUNT(*) FILTER (WHERE opened_at IS NOT NULL) as opened,
+        COUNT(*) FILTER (WHERE clicked_at IS NOT NULL) as clicked,
+        COUNT(*) FILTER (WHERE bounced_at IS NOT NULL) as bounced
+      FROM email_jobs
+      WHERE ab_test_key = ${testKey}
+        AND sent_at IS NOT NULL
+        AND status != 'rescheduled'
+      GROUP BY variant_id
+    `;
+
+    const countsById = new Map(rows.map((row) => [row.variant_id, row]));
+    const rate = (count, total) => (total > 0 ? ((count / total) * 100).toFixed(1) : 0);
+
+    const stats = variants.map((variant) => {
+      const row = countsById.get(variant.id) || {};
+      const sent = Number(row.sent || 0);
+      const delivered = Number(row.delivered || 0);
+      const opened = Number(row.opened || 0);
+      const clicked = Number(row.clicked || 0);
+
+      return {
+        variantId: variant.id,
+        templateId: variant.templateId,
+        weight: variant.weight,
+        sent,
+        delivered,
+        opened,
+        clicked,
+        bounced: Number(row.bounced || 0),
+        deliveryRate: rate(delivered, sent),
+        openRate: rate(opened, delivered),
+        clickRate: rate(clicked, delivered),
+      };
+    });
+
+    // Significance against the control, on the test metric (rates over delivered)
+    const control = stats[0];
+    for (const variant of stats) {
+      variant.isControl = variant === control;
+      if (variant.isControl) continue;
+
+      const test = this._twoProportionTest(
+        control[metric], control.delivered,
+        variant[metric], variant.delivered,
+      );
+      variant.lift = test.lift;
+      variant.pValue = test.pValue;
+      variant.significant = test.pValue !== null && test.pValue < 0.05;
+    }
+
+    // Leader: best metric rate with at least one delivery (ties -> no leader)
+    const ranked = stats
+      .filter((v) => v.delivered > 0)
+      .sort((a, b) => b[metric] / b.delivered - a[metric] / a.delivered);
+    const tied = ranked.length > 1 &&
+      ranked[0][metric] / ranked[0].delivered === ranked[1][metric] / ranked[1].delivered;
+    const leader = ranked.length > 0 && !tied ? ranked[0] : null;
+
+    return {
+      testKey,
+      metric,
+      totalSent: stats.reduce((sum, v) => sum + v.sent, 0),
+      variants: stats,
+      leader: leader ? leader.variantId : null,
+      // Leader beats the control significantly (or is the control and beats every challenger)
+      significant: !!leader && (leader.isControl
+        ? stats.filter((v) => !v.isControl).every((v) => v.significant)
+        : leader.significant),
+    };
+  }
+
+  /**
+   * Two-proportion z-test (two-sided)
+   * @returns {{lift: string|null, pValue: number|null}} lift in % relative to the control
+   */
+  _twoProportionTest(controlHits, controlTotal, variantHits, variantTotal) {
+    if (controlTotal === 0 || variantTotal === 0) return { lift: null, pValue: null };
+
+    const p1 = controlHits / controlTotal;
+    const p2 = variantHits / variantTotal;
+    const pooled = (controlHits + variantHits) / (controlTotal + variantTotal);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / controlTotal + 1 / variantTotal));
+
+    const lift = p1 > 0 ? (((p2 - p1) / p1) * 100).toFixed(1) : null;
+    if (se === 0) return { lift, pValue: 1 };
+
+    const z = Math.abs(p2 - p1) / se;
+    const pValue = 2 * (1 - this._normalCdf(z));
+    return { lift, pValue: Number(pValue.toFixed(4)) };
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz-Stegun erf approximation, error < 1.5e-7)
+   */
+  _normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
 }
 
 module.exports = new AnalyticsService();
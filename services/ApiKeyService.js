@@ -0,0 +1,134 @@
+// services/ApiKeyService.js
+// API key generation, verification and scope checks for machine clients
+
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const { ApiKeyRepository } = require('../repositories');
+
+const KEY_PREFIX = 'lf_';
+
+// Unknown keys allowed per IP per minute - past that, keys from the IP are refused without a lookup
+const MAX_KEY_MISSES_PER_MINUTE = 20;
+const KEY_MISS_WINDOW_SECONDS = 60;
+
+// Route prefix (under /api) -> scope resource
+// Routes not listed here (users, dev, api-keys, stream...) are never reachable with an API key
+const SCOPE_RESOURCES = {
+  leads: 'leads',
+  tags: 'leads',
+  imports: 'leads',
+  'email-jobs': 'email-jobs',
+  schedule: 'schedule',
+  sequences: 'sequences',
+  templates: 'templates',
+  'conditional-emails': 'templates',
+  analytics: 'analytics',
+  'terminal-states': 'analytics',
+  'rate-limits': 'analytics',
+  settings: 'settings',
+  'sender-identities': 'sender-identities',
+  suppressions: 'suppressions',
+  notifications: 'notifications'
+};
+
+// All assignable scopes ('*' grants everything)
+const SCOPES = [...new Set(Object.values(SCOPE_RESOURCES))]
+  .flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+class ApiKeyService {
+  get SCOPES() {
+    return SCOPES;
+  }
+
+  /**
+   * Hash a plaintext key for storage/lookup
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate a new key
+   * @returns {{key: string, prefix: string, keyHash: string}} - key is only shown once
+   */
+  generateKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+      key,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: this.hashKey(key)
+    };
+  }
+
+  /**
+   * Resolve a plaintext key to an active key record
+   * @returns {Promise<Object|null>} null if unknown, revoked or expired
+   */
+  async verifyKey(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKeyRepository.findByHash(this.hashKey(key));
+    if (!apiKey || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return null;
+
+    return apiKey;
+  }
+
+  /**
+   * Whether an IP has sent too many unknown keys this minute
+   */
+  async isLookupBlocked(ip) {
+    const misses = await redisConnection.get(this._missKey(ip));
+    return parseInt(misses || 0) >= MAX_KEY_MISSES_PER_MINUTE;
+  }
+
+  /**
+   * Count an unknown key against the sender's IP
+   */
+  async recordLookupMiss(ip) {
+    const key = this._missKey(ip);
+    const misses = await redisConnection.incr(key);
+    if (misses === 1) {
+      await redisConnection.expire(key, KEY_MISS_WINDOW_SECONDS);
+    }
+  }
+
+  _missKey(ip) {
+    return `leadflow:api_key_misses:${ip}`;
+  }
+
+  /**
+   * Scope needed for a request, e.g. GET /leads/5 -> 'leads:read'
+   * @param {string} path - Path relative to /api
+   * @returns {string|null} null when the route is not available to API keys
+   */
+  getRequiredScope(method, path) {
+    const segment = path.split('/').filter(Boolean)[0];
+    const resource = SCOPE_RESOURCES[segment];
+    if (!resource) return null;
+
+    const access = ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+    return `${resource}:${access}`;
+  }
+
+  /**
+   * Check a key's scopes ('resource:write' also grants read)
+   */
+  hasScope(apiKey, scope) {
+    const scopes = apiKey.scopes || [];
+    if (scopes.includes('*') || scopes.includes(scope)) return true;
+
+    const [resource, access] = scope.split(':');
+    return access === 'read' && scopes.includes(`${resource}:write`);
+  }
+
+  /**
+   * Validate scopes requested for a new key
+   * @returns {string[]} Unknown scopes
+   */
+  findInvalidScopes(scopes) {
+    return scopes.filter(s => s !== '*' && !SCOPES.includes(s));
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,176 @@
+// services/AuthService.js
+// Password hashing and JWT session tokens for dashboard users
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { UserRepository } = require('../repositories');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+
+// Stream tickets go in the /stream URL (EventSource can't set headers) - short-lived and stream-only
+const STREAM_TICKET_AUDIENCE = 'stream';
+const STREAM_TICKET_TTL = 60; // seconds
+
+class AuthService {
+
+  /**
+   * Hash a password with a random salt
+   * Stored as "scrypt$<salt>$<hash>"
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+  }
+
+  /**
+   * Compare a password with a stored hash (constant time)
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, derived);
+  }
+
+  _getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  /**
+   * Issue a signed session token
+   * The token version lets us revoke every token of a user at once
+   */
+  issueToken(user) {
+    return jwt.sign(
+      { sub: String(user.id), role: user.role, ver: user.tokenVersion },
+      this._getSecret(),
+      { expiresIn: TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Authenticate with email + password
+   * @returns {Promise<{token: string, expiresIn: string, user: Object}|null>}
+   */
+  async login(email, password) {
+    const record = await UserRepository.findByEmailWithPassword(email);
+    if (!record || !record.active) return null;
+
+    const valid = await this.verifyPassword(password, record.passwordHash);
+    if (!valid) return null;
+
+    await UserRepository.touchLastLogin(record.id);
+    const user = UserRepository._transform(record);
+
+    return {
+      token: this.issueToken(user),
+      expiresIn: TOKEN_TTL,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Resolve the user behind a token
+   * @returns {Promise<Object|null>} User or null if invalid/expired/revoked
+   */
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this._getSecret());
+    } catch (error) {
+      return null;
+    }
+
+    // Stream tickets only open the event stream
+    if (payload.aud) return null;
+    return this._findTokenUser(payload);
+  }
+
+  /**
+   * Issue a short-lived ticket for the SSE stream (GET /api/stream?ticket=)
+   * @returns {{ticket: string, expiresIn: number}}
+   */
+  issueStreamTicket(user) {
+    const ticket = jwt.sign(
+      { sub: String(user.id), ver: user.tokenVersion },
+      this._getSecret(),
+      { expiresIn: STREAM_TICKET_TTL, audience: STREAM_TICKET_AUDIENCE }
+    );
+    return { ticket, expiresIn: STREAM_TICKET_TTL };
+  }
+
+  /**
+   * Verify a stream ticket
+   * @returns {Promise<Object|null>} User or null if invalid/expired/revoked
+   */
+  async verifyStreamTicket(ticket) {
+    let payload;
+    try {
+      payload = jwt.verify(ticket, this._getSecret(), { audience: STREAM_TICKET_AUDIENCE });
+    } catch (error) {
+      return null;
+    }
+    return this._findTokenUser(payload);
+  }
+
+  async _findTokenUser(payload) {
+    const user = await UserRepository.findById(payload.sub);
+    if (!user || !user.active || user.tokenVersion !== payload.ver) {
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * Fields safe to return to clients
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      lastLoginAt: user.lastLoginAt
+    };
+  }
+
+  /**
+   * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no users exist
+   */
+  async ensureBootstrapAdmin() {
+    try {
+      const userCount = await UserRepository.count();
+      if (userCount > 0) return null;
+
+      const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+      if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+        console.warn('[Auth] No users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin.');
+        return null;
+      }
+
+      const admin = await UserRepository.create({
+        email: ADMIN_EMAIL,
+        name: 'Administrator',
+        passwordHash: await this.hashPassword(ADMIN_PASSWORD),
+        role: 'admin'
+      });
+      console.log(`[Auth] Created bootstrap admin ${admin.email}`);
+      return admin;
+    } catch (error) {
+      console.error('[Auth] Failed to create bootstrap admin:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -1,27 +1,22 @@
 // services/BrevoEmailService.js
-// Brevo email service using Prisma
-// Supports MOCK_BREVO_URL env var for testing with mock server
+// Email send pipeline: resolves and renders the template, then hands the message
+// to the email providers (EmailProviderService - Brevo, SMTP or local outbox, with failover)
 
-const axios = require('axios');
-const { SettingsRepository } = require('../repositories');
+const { SettingsRepository, TemplatePartialRepository } = require('../repositories');
+const TemplateRenderService = require('./TemplateRenderService');
+const EmailProviderService = require('./EmailProviderService');
+const SenderIdentityService = require('./SenderIdentityService');
+const UnsubscribeService = require('./UnsubscribeService');
+const TrackingService = require('./TrackingService');
 const { loggers } = require('../lib/logger');
 const log = loggers.email;
 require('dotenv').config();
 
 class BrevoEmailService {
   constructor() {
-    // Use MOCK_BREVO_URL if set, otherwise use real Brevo API
-    // To use mock: set MOCK_BREVO_URL=http://localhost:3001
-    this.apiUrl = process.env.MOCK_BREVO_URL 
-      ? `${process.env.MOCK_BREVO_URL}/v3/smtp/email`
-      : "https://api.brevo.com/v3/smtp/email";
     this._cachedCredentials = null;
     this._credentialsCacheTime = null;
     this._cacheDurationMs = 60000; // Cache for 1 minute
-    
-    if (process.env.MOCK_BREVO_URL) {
-      log.warn({ mockUrl: process.env.MOCK_BREVO_URL }, 'MOCK MODE enabled');
-    }
   }
 
   /**
@@ -30,6 +25,7 @@ class BrevoEmailService {
   invalidateCredentialsCache() {
     this._cachedCredentials = null;
     this._credentialsCacheTime = null;
+    EmailProviderService.invalidateCache();
     log.debug('Credentials cache invalidated');
   }
 
@@ -62,7 +58,7 @@ class BrevoEmailService {
       };
       this._credentialsCacheTime = now;
 
-      if (!this._cachedCredentials.apiKey) {
+      if (!this._cachedCredentials.apiKey && EmailProviderService.getActive().name === "brevo") {
         log.error('No Brevo API key configured in DB or .env');
       }
 
@@ -91,12 +87,15 @@ class BrevoEmailService {
       customSubject,
       customHtml,
       templateId,
-      lead;
+      lead,
+      senderIdentity,
+      emailJobId = null;
 
     if (leadOrNothing) {
       // Called as sendEmail(emailJob, lead)
       const emailJob = emailJobOrParams;
       lead = leadOrNothing;
+      emailJobId = emailJob.id || null;
       to = emailJob.email || lead.email;
       name = lead.name || "Valued Customer";
       type = emailJob.type;
@@ -104,6 +103,10 @@ class BrevoEmailService {
       templateId = emailJob.templateId;
       customSubject = emailJob.metadata?.subject;
       customHtml = emailJob.metadata?.htmlContent;
+      // emailWorker passes the identity it resolved (null = Settings sender)
+      senderIdentity = emailJob.senderIdentity !== undefined
+        ? emailJob.senderIdentity
+        : (await SenderIdentityService.resolveForJob(emailJob, lead))?.identity || null;
     } else {
       // Called as sendEmail({ to, name, type, ... })
       to = emailJobOrParams.to;
@@ -114,16 +117,18 @@ class BrevoEmailService {
       customSubject = emailJobOrParams.subject;
       customHtml = emailJobOrParams.htmlContent;
       lead = emailJobOrParams.lead || {}; // Optional lead object for variable replacement
+      senderIdentity = emailJobOrParams.senderIdentity || null;
     }
 
     let subject = customSubject;
     let htmlContent = customHtml;
 
     // If templateId is provided, fetch template from database
+    let template = null;
     if (templateId && !htmlContent) {
       try {
         console.log(`[BrevoEmailService] Fetching template ID: ${templateId}`);
-        const template = await prisma.emailTemplate.findUnique({
+        template = await prisma.emailTemplate.findUnique({
           where: { id: parseInt(templateId) },
         });
 
@@ -131,39 +136,6 @@ class BrevoEmailService {
           console.log(
             `[BrevoEmailService] Found template: "${template.name}" with subject: "${template.subject}"`,
           );
-          subject = template.subject || subject;
-          htmlContent = template.body || template.content;
-
-          // Build variable replacements from lead data
-          const firstName = name.split(" ")[0] || "";
-          const lastName = name.split(" ").slice(1).join(" ") || "";
-          const company = name || name || "";
-          const position = lead?.position || lead?.title || "";
-          const phone = lead?.phone || "";
-          const source = lead?.source || "";
-
-          // Apply ALL personalization variables to htmlContent
-          if (htmlContent) {
-            htmlContent = htmlContent
-              .replace(/\{\{name\}\}/gi, name)
-              .replace(/\{\{firstName\}\}/gi, firstName)
-              .replace(/\{\{lastName\}\}/gi, lastName)
-              .replace(/\{\{email\}\}/gi, to)
-              .replace(/\{\{company\}\}/gi, company)
-              .replace(/\{\{companyName\}\}/gi, company)
-              .replace(/\{\{position\}\}/gi, position)
-              .replace(/\{\{title\}\}/gi, position)
-              .replace(/\{\{phone\}\}/gi, phone)
-              .replace(/\{\{source\}\}/gi, source);
-          }
-          // Apply variables to subject line
-          if (subject) {
-            subject = subject
-              .replace(/\{\{name\}\}/gi, name)
-              .replace(/\{\{firstName\}\}/gi, firstName)
-              .replace(/\{\{lastName\}\}/gi, lastName)
-              .replace(/\{\{company\}\}/gi, company);
-          }
         } else {
           console.warn(
             `[BrevoEmailService] Template ID ${templateId} not found in database`,
@@ -181,6 +153,34 @@ class BrevoEmailService {
       );
     }
 
+    // Personalize with the shared template engine (subject and body get the same variables)
+    // Render errors are thrown - never send a half-rendered template
+    const partials = template || senderIdentity ? await TemplatePartialRepository.getBodies() : {};
+    // {{unsubscribeUrl}} / {{preferencesUrl}} - signed links for the lead (empty without PUBLIC_BASE_URL)
+    const leadContext = TemplateRenderService.buildLeadContext({
+      ...lead,
+      name,
+      email: to,
+    }, {
+      unsubscribeUrl: UnsubscribeService.getUnsubscribeUrl(lead?.id, emailJobId) || "",
+      preferencesUrl: UnsubscribeService.getPreferencesUrl(lead?.id) || "",
+    });
+    // {{sender.name}}, {{sender.email}} and the identity's rendered {{signature}}
+    const senderContext = SenderIdentityService.buildContext(senderIdentity, leadContext, partials);
+
+    if (template) {
+      const rendered = TemplateRenderService.renderEmail(
+        {
+          subject: template.subject || subject,
+          body: template.body || template.content,
+        },
+        { ...leadContext, ...senderContext },
+        { partials },
+      );
+      subject = rendered.subject || subject;
+      htmlContent = rendered.htmlContent || htmlContent;
+    }
+
     // Fallback to default templates
     if (!subject) {
       subject = type?.toLowerCase().includes("initial")
@@ -194,37 +194,41 @@ class BrevoEmailService {
         : this.getFollowUpEmailTemplate(name);
     }
 
-    try {
-      log.debug({ subject, to }, 'Sending email via Brevo');
-      
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          sender: { email: credentials.fromEmail, name: credentials.fromName },
-          to: [{ email: to, name }],
-          subject,
-          htmlContent,
-          headers: {
-            "X-Idempotency-Key": idempotencyKey,
-          },
-        },
-        {
-          headers: {
-            "api-key": credentials.apiKey,
-            "Content-Type": "application/json",
-          },
-        },
-      );
-
-      return {
-        success: true,
-        messageId: response.data.messageId,
-      };
-    } catch (error) {
-      throw new Error(
-        `Brevo API error: ${error.response?.data?.message || error.message}`,
+    if (senderContext.signature) {
+      htmlContent = SenderIdentityService.appendSignature(
+        htmlContent,
+        senderContext.signature,
+        template ? template.body || template.content : customHtml,
       );
     }
+
+    // First-party tracking (when enabled): open pixel + links through the click redirect
+    htmlContent = await TrackingService.instrumentHtml(htmlContent, emailJobId);
+
+    // Provider errors propagate (message prefixed with the provider, e.g. "Brevo API error: ...")
+    const result = await EmailProviderService.send({
+      from: senderIdentity
+        ? { email: senderIdentity.fromEmail, name: senderIdentity.fromName }
+        : { email: credentials.fromEmail, name: credentials.fromName },
+      ...(senderIdentity?.replyTo && { replyTo: { email: senderIdentity.replyTo } }),
+      to: { email: to, name },
+      subject,
+      html: htmlContent,
+      // RFC 8058 one-click unsubscribe (signed per-lead link)
+      headers: UnsubscribeService.buildHeaders(lead?.id, emailJobId),
+      idempotencyKey,
+    });
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      provider: result.provider,
+      ...(result.failedOver && { failedOver: result.failedOver }),
+      senderIdentityId: senderIdentity?.id || null,
+      // Exact template content that went out (null when a default/custom body was used)
+      templateId: template?.id || null,
+      templateVersion: template?.version || null,
+    };
   }
 
   getInitialEmailTemplate(name) {
@@ -91,6 +91,12 @@ class ConditionalEmailService {
     });
     if (!lead) throw new Error(`Lead ${leadId} not found`);
     
+    // No automated mails after a human reply
+    if (lead.repliedAt) {
+      console.log(`[ConditionalEmail] Lead ${leadId} replied - not triggering ${conditional.name}`);
+      return null;
+    }
+    
     // Calculate MINIMUM time (now + delay in hours)
     const delayHours = conditional.delayHours || 0;
     const minTime = moment().add(delayHours, 'hours').toDate();
@@ -99,11 +105,17 @@ class ConditionalEmailService {
     const { SettingsRepository } = require('../repositories');
     const settings = await SettingsRepository.getSettings();
     const EmailSchedulerService = require('./EmailSchedulerService');
+    const SenderIdentityService = require('./SenderIdentityService');
+    
+    // Skip days where the sender identity's warm-up/daily limit is used up, and saturated recipient domains
+    const sender = await SenderIdentityService.resolveForJob({ metadata: { conditionalEmailId: conditional.id } }, lead);
+    const senderIdentity = sender?.identity || null;
     
     const slotResult = await EmailSchedulerService.findNextAvailableSlot(
       lead.timezone || 'UTC',
       minTime,
-      settings
+      settings,
+      { senderIdentity, email: lead.email }
     );
     
     if (!slotResult.success) {
@@ -134,7 +146,7 @@ class ConditionalEmailService {
     });
     
     // Create an actual EmailJob for sending (now with validated scheduledFor)
-    const emailJob = await this._createEmailJob(conditional, lead, scheduledFor, job.id);
+    const emailJob = await this._createEmailJob(conditional, lead, scheduledFor, job.id, senderIdentity);
     
     // Update conditional job with email job reference
     await ConditionalEmailRepository.updateJob(job.id, {
@@ -153,16 +165,17 @@ class ConditionalEmailService {
    * @param {Object} lead - The lead object (already fetched)
    * @param {Date} scheduledFor - The validated scheduled time
    * @param {number} conditionalJobId - The conditional job ID
+   * @param {Object|null} senderIdentity - Identity the email goes out as (its warm-up/daily limit is reserved too)
    */
-  async _createEmailJob(conditional, lead, scheduledFor, conditionalJobId) {
+  async _createEmailJob(conditional, lead, scheduledFor, conditionalJobId, senderIdentity = null) {
     const leadId = lead.id;
     
     // RESERVE THE SLOT (atomic operation to prevent over-scheduling)
     const RateLimitService = require('./RateLimitService');
-    const reservation = await RateLimitService.reserveSlot(lead.timezone || 'UTC', scheduledFor);
+    const reservation = await RateLimitService.reserveSlot(lead.timezone || 'UTC', scheduledFor, { senderIdentity, email: lead.email });
     
     if (!reservation.success) {
-      console.error(`[ConditionalEmail] Slot reservation failed for ${conditional.name}`);
+      console.error(`[ConditionalEmail] Slot reservation failed for ${conditional.name}${reservation.reason ? `: ${reservation.reason}` : ''}`);
       throw new Error('Slot became unavailable during conditional email creation');
     }
     
@@ -170,11 +183,13 @@ class ConditionalEmailService {
       data: {
         leadId: parseInt(leadId),
         email: lead.email,
+        recipientDomain: RateLimitService.getRecipientDomain(lead.email),
         type: `conditional:${conditional.name}`,
         category: "conditional",
         scheduledFor: reservation.reservedTime,
         status: "pending", // EmailJob status is 'pending' for queue/schedule pages
         templateId: conditional.templateId,
+        senderIdentityId: senderIdentity?.id || null,
         metadata: {
           conditionalEmailId: conditional.id,
           conditionalJobId: conditionalJobId,
@@ -462,9 +477,17 @@ class ConditionalEmailService {
     // Parse if string
     const parsed = typeof followups === 'string' ? JSON.parse(followups) : followups;
     
-    return parsed.map(f => ({
-      value: f.name,
-      label: f.name
+    // Include steps from named sequences (deduplicated by name)
+    const sequences = await prisma.sequence.findMany({ select: { steps: true } });
+    const names = new Set(parsed.map(f => f.name));
+    for (const sequence of sequences) {
+      const steps = typeof sequence.steps === 'string' ? JSON.parse(sequence.steps) : (sequence.steps || []);
+      steps.forEach(step => names.add(step.name));
+    }
+    
+    return Array.from(names).map(name => ({
+      value: name,
+      label: name
     }));
   }
   
@@ -22,7 +22,7 @@ class CronService {
       await this.processPendingEmails();
     });
 
-    // Run every 30 minutes - Poll Brevo for analytics updates
+    // Run every 30 minutes - Poll the email provider for analytics updates
     this.scheduleJob('*/30 * * * *', async () => {
       await this.pollAnalytics();
     });
@@ -42,6 +42,23 @@ class CronService {
     this.scheduleJob('*/5 * * * *', async () => {
       await this.processPausedDates();
     });
+
+    // Run every hour at minute 15 - Auto-promote A/B test winners
+    this.scheduleJob('15 * * * *', async () => {
+      await this.evaluateAbTests();
+    });
+  }
+
+  async evaluateAbTests() {
+    try {
+      const ABTestService = require('./ABTestService');
+      const result = await ABTestService.evaluateAutoPromotions();
+      if (result.promoted.length > 0) {
+        console.log(`🏆 Cron: Promoted ${result.promoted.length} A/B test winners`);
+      }
+    } catch (error) {
+      console.error('Cron: Error evaluating A/B tests:', error);
+    }
   }
 
   async processFrozenLeads() {
@@ -99,6 +116,22 @@ class CronService {
 
     this.isProcessingEmails = true;
     try {
+      // GLOBAL SEND HALT: nothing is enqueued until sending resumes (manually or at resumeAt)
+      const SendHaltService = require('./SendHaltService');
+      await SendHaltService.checkAutoResume();
+      const halt = await SendHaltService.getState();
+      if (halt.halted) {
+        console.log(`Cron: Sending halted (${halt.reason}) - not enqueueing due emails`);
+        return;
+      }
+
+      // Bounce/complaint circuit breaker tripped for all senders - waits for an admin to acknowledge
+      const DeliverabilityGuardService = require('./DeliverabilityGuardService');
+      if (await DeliverabilityGuardService.hasGlobalPause()) {
+        console.log('Cron: Sending paused on a bounce/complaint spike - not enqueueing due emails');
+        return;
+      }
+
       const now = new Date();
       
       // Find jobs where scheduledFor <= now (TIME IS DUE)
@@ -184,8 +217,8 @@ class CronService {
 
     this.isPollingAnalytics = true;
     try {
-      console.log('📊 Cron: Polling Brevo for analytics updates...');
-      await AnalyticsPollingService.pollBrevoEvents();
+      console.log('📊 Cron: Polling email provider for analytics updates...');
+      await AnalyticsPollingService.pollEvents();
       console.log('📊 Cron: Analytics polling completed');
     } catch (error) {
       console.error('Cron: Error polling analytics:', error);
@@ -0,0 +1,218 @@
+// services/DeliverabilityGuardService.js
+// Automatic sending circuit breaker on hard bounce and complaint spikes
+//
+// After each hard bounce (EmailBouncedHandler) or complaint (EmailComplaintHandler) the rates over
+// the rolling window are checked overall and for the job's sender identity. When a rate reaches its
+// threshold (with at least minSent sends in the window) a SendingPause is opened for that scope:
+//   global - CronService stops enqueueing and emailWorker requeues every job
+//   sender - emailWorker requeues that identity's jobs
+// A pause stays open until an admin acknowledges it - there is no automatic resume.
+
+const { prisma } = require('../lib/prisma');
+const { SettingsRepository } = require('../repositories');
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  windowHours: 24,
+  minSent: 100,          // Smallest sample that can trip a pause
+  hardBounceRate: 0.05,  // 5%
+  complaintRate: 0.003,  // 0.3%
+  perSender: true        // Also watch each sender identity on its own
+};
+
+// Jobs counted per metric (failedAt is set when they happen)
+// A hard bounce past the retry limit is stored as "dead" - EmailBouncedHandler tags those with metadata.bounceType
+const METRICS = {
+  hard_bounce: {
+    where: { OR: [{ status: 'hard_bounce' }, { status: 'dead', metadata: { path: ['bounceType'], equals: 'hard' } }] },
+    threshold: 'hardBounceRate',
+    label: 'Hard bounce'
+  },
+  complaint: { where: { status: { in: ['complaint', 'spam'] } }, threshold: 'complaintRate', label: 'Complaint' }
+};
+
+class DeliverabilityGuardService {
+
+  async getConfig() {
+    const settings = await SettingsRepository.getSettings();
+    return { ...DEFAULT_CONFIG, ...(settings.deliverabilityGuard || {}) };
+  }
+
+  async updateConfig(updates, updatedBy = 'system') {
+    const config = { ...(await this.getConfig()), ...updates };
+    await SettingsRepository.updateSettings({ deliverabilityGuard: config }, updatedBy);
+    return config;
+  }
+
+  /**
+   * Sends, hard bounces and complaints over the rolling window
+   * @param {number|null} senderIdentityId - null for overall
+   */
+  async getRates(senderIdentityId = null, config = null) {
+    config = config || (await this.getConfig());
+    const since = new Date(Date.now() - config.windowHours * 60 * 60 * 1000);
+    const scope = senderIdentityId ? { senderIdentityId: parseInt(senderIdentityId) } : {};
+
+    const sent = await prisma.emailJob.count({
+      where: { ...scope, sentAt: { gte: since } }
+    });
+
+    const rates = { since, sent };
+    for (const [metric, definition] of Object.entries(METRICS)) {
+      const count = await prisma.emailJob.count({
+        where: { ...scope, ...definition.where, failedAt: { gte: since } }
+      });
+      rates[metric] = {
+        count,
+        rate: sent > 0 ? count / sent : 0,
+        threshold: config[definition.threshold]
+      };
+    }
+    return rates;
+  }
+
+  /**
+   * Check the rates after a hard bounce or complaint and open pauses for tripped scopes
+   * Never throws - called from event handlers
+   * @param {string} metric - 'hard_bounce' or 'complaint'
+   * @param {Object} emailJob - The bounced/complained job (senderIdentityId picks the sender scope)
+   * @returns {Promise<Array>} Pauses opened
+   */
+  async evaluate(metric, emailJob = null) {
+    try {
+      const config = await this.getConfig();
+      if (!config.enabled || !METRICS[metric]) return [];
+
+      const scopes = [null];
+      if (config.perSender && emailJob?.senderIdentityId) {
+        scopes.push(emailJob.senderIdentityId);
+      }
+
+      const opened = [];
+      for (const senderIdentityId of scopes) {
+        const pause = await this._checkScope(metric, senderIdentityId, config);
+        if (pause) opened.push(pause);
+      }
+      return opened;
+    } catch (error) {
+      console.error('[DeliverabilityGuard] Error evaluating rates:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Open pause that stops a job going out: a global one, or one for its sender identity
+   */
+  async getBlockingPause(senderIdentityId = null) {
+    return prisma.sendingPause.findFirst({
+      where: {
+        acknowledgedAt: null,
+        OR: [
+          { scope: 'global' },
+          ...(senderIdentityId ? [{ scope: 'sender', senderIdentityId: parseInt(senderIdentityId) }] : [])
+        ]
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  async hasGlobalPause() {
+    const pause = await prisma.sendingPause.findFirst({
+      where: { scope: 'global', acknowledgedAt: null }
+    });
+    return !!pause;
+  }
+
+  /**
+   * @param {Object} options - { active: true } only open pauses
+   */
+  async listPauses({ active = false, limit = 50 } = {}) {
+    return prisma.sendingPause.findMany({
+      where: active ? { acknowledgedAt: null } : {},
+      include: { senderIdentity: { select: { id: true, name: true, fromEmail: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Acknowledge a pause - sending resumes for its scope (unless another pause still covers it)
+   * @returns {Promise<Object|null>} The pause, null if not found
+   * @throws {Error} If already acknowledged
+   */
+  async acknowledge(id, acknowledgedBy, note = null) {
+    const pause = await prisma.sendingPause.findUnique({ where: { id: parseInt(id) } });
+    if (!pause) return null;
+    if (pause.acknowledgedAt) {
+      throw new Error(`Pause already acknowledged by ${pause.acknowledgedBy}`);
+    }
+
+    const updated = await prisma.sendingPause.update({
+      where: { id: pause.id },
+      data: { acknowledgedAt: new Date(), acknowledgedBy, note },
+      include: { senderIdentity: { select: { id: true, name: true, fromEmail: true } } }
+    });
+
+    // Jobs requeued while paused go out now instead of at their next retry
+    const SendHaltService = require('./SendHaltService');
+    const released = await SendHaltService.releaseRequeuedJobs(SendHaltService.holdTag('pause', pause.id));
+
+    console.log(`[DeliverabilityGuard] Pause ${pause.id} (${this._scopeLabel(updated)}) acknowledged by ${acknowledgedBy}`);
+    const NotificationService = require('./NotificationService');
+    await NotificationService.createNotification({
+      type: 'success',
+      message: `Sending resumed for ${this._scopeLabel(updated)}`,
+      details: `${METRICS[pause.metric]?.label || pause.metric} pause acknowledged by ${acknowledgedBy}${note ? `: ${note}` : ''}. ${released} queued emails released.`,
+      metadata: { event: 'sending_pause_acknowledged', pauseId: pause.id, scope: pause.scope, senderIdentityId: pause.senderIdentityId }
+    });
+
+    return updated;
+  }
+
+  async _checkScope(metric, senderIdentityId, config) {
+    const rates = await this.getRates(senderIdentityId, config);
+    const { count, rate, threshold } = rates[metric];
+    if (rates.sent < config.minSent || rate < threshold) return null;
+
+    const scope = senderIdentityId ? 'sender' : 'global';
+    const open = await prisma.sendingPause.findFirst({
+      where: { scope, senderIdentityId: senderIdentityId ? parseInt(senderIdentityId) : null, acknowledgedAt: null }
+    });
+    if (open) return null;
+
+    const pause = await prisma.sendingPause.create({
+      data: {
+        scope,
+        senderIdentityId: senderIdentityId ? parseInt(senderIdentityId) : null,
+        metric,
+        rate,
+        threshold,
+        count,
+        sent: rates.sent,
+        windowHours: config.windowHours
+      },
+      include: { senderIdentity: { select: { id: true, name: true, fromEmail: true } } }
+    });
+
+    const percent = (value) => `${(value * 100).toFixed(2)}%`;
+    console.warn(`[DeliverabilityGuard] Sending paused for ${this._scopeLabel(pause)}: ${metric} rate ${percent(rate)} >= ${percent(threshold)} (${count}/${rates.sent})`);
+
+    const NotificationService = require('./NotificationService');
+    await NotificationService.createNotification({
+      type: 'error',
+      message: `Sending paused for ${this._scopeLabel(pause)}: ${METRICS[metric].label.toLowerCase()} rate ${percent(rate)}`,
+      details: `${count} of ${rates.sent} emails in the last ${config.windowHours}h (threshold ${percent(threshold)}). An admin must acknowledge the alert before sending resumes.`,
+      metadata: { event: 'sending_paused', pauseId: pause.id, scope, senderIdentityId: pause.senderIdentityId, metric }
+    });
+
+    return pause;
+  }
+
+  _scopeLabel(pause) {
+    return pause.scope === 'global'
+      ? 'all senders'
+      : `sender "${pause.senderIdentity?.name || pause.senderIdentityId}"`;
+  }
+}
+
+module.exports = new DeliverabilityGuardService();
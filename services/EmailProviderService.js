@@ -0,0 +1,220 @@
+// services/EmailProviderService.js
+// Registry of email providers (see services/providers) with failover
+//
+// EMAIL_PROVIDERS sets the order providers are tried in (e.g. "brevo,smtp"); without it only
+// EMAIL_PROVIDER (brevo by default) is used. Each provider has a circuit breaker: after
+// EMAIL_PROVIDER_FAILURE_THRESHOLD consecutive failures (5xx, timeouts) it is skipped
+// for EMAIL_PROVIDER_COOLDOWN_MS and sends go to the next provider in the list.
+// A send only fails over when the provider certainly didn't accept it; after a timeout the
+// error is thrown so the job is retried through the queue instead of possibly sending twice.
+
+const BrevoProvider = require('./providers/BrevoProvider');
+const SmtpProvider = require('./providers/SmtpProvider');
+const OutboxProvider = require('./providers/OutboxProvider');
+const CircuitBreaker = require('./providers/CircuitBreaker');
+const { loggers } = require('../lib/logger');
+const log = loggers.email;
+require('dotenv').config();
+
+const DEFAULT_PROVIDER = 'brevo';
+
+class EmailProviderService {
+  constructor() {
+    this.providers = new Map(
+      [new BrevoProvider(), new SmtpProvider(), new OutboxProvider()].map(p => [p.name, p])
+    );
+    this.breakers = new Map(
+      this.names().map(name => [name, new CircuitBreaker({
+        failureThreshold: parseInt(process.env.EMAIL_PROVIDER_FAILURE_THRESHOLD) || 3,
+        cooldownMs: parseInt(process.env.EMAIL_PROVIDER_COOLDOWN_MS) || 5 * 60 * 1000
+      })])
+    );
+  }
+
+  /**
+   * Get a provider by name
+   * @throws {Error} On unknown provider
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown email provider "${name}" (available: ${this.names().join(', ')})`);
+    }
+    return provider;
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Providers in failover order
+   * @throws {Error} If EMAIL_PROVIDERS names an unknown provider
+   */
+  getOrdered() {
+    const configured = process.env.EMAIL_PROVIDERS || process.env.EMAIL_PROVIDER || DEFAULT_PROVIDER;
+    const names = [...new Set(
+      configured.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)
+    )];
+    return names.map(name => this.get(name));
+  }
+
+  /**
+   * The primary provider (first in the failover order)
+   */
+  getActive() {
+    return this.getOrdered()[0];
+  }
+
+  /**
+   * Send through the first healthy provider, failing over on transient errors
+   * Non-transient errors (bad recipient, rejected content) and errors with an unknown outcome
+   * (timeouts) are thrown without trying the next provider
+   * @returns {Promise<{messageId: string, provider: string, failedOver?: string[]}>}
+   */
+  async send(message) {
+    const candidates = await this._candidates();
+    const failedOver = [];
+    let lastError = null;
+
+    for (const provider of candidates) {
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canAttempt()) continue;
+
+      try {
+        const result = await provider.send(message);
+        breaker.recordSuccess();
+        if (failedOver.length > 0) {
+          log.warn({ provider: provider.name, failedOver, to: message.to.email }, 'Email sent after provider failover');
+        }
+        return { ...result, provider: provider.name, ...(failedOver.length > 0 && { failedOver }) };
+      } catch (error) {
+        if (provider.isOutcomeUnknown(error)) {
+          // Counts against the provider's health, but another provider could deliver a duplicate
+          if (breaker.recordFailure(error)) this._onCircuitOpened(provider.name, breaker);
+          throw error;
+        }
+        if (!provider.isTransientError(error)) throw error;
+
+        lastError = error;
+        failedOver.push(provider.name);
+        if (breaker.recordFailure(error)) {
+          this._onCircuitOpened(provider.name, breaker);
+        } else {
+          log.warn({ provider: provider.name, error: error.message, failures: breaker.consecutiveFailures }, 'Provider send failed, trying next provider');
+        }
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    const unavailable = new Error(`No email provider available (circuit open: ${candidates.map(p => p.name).join(', ')})`);
+    unavailable.transient = true;
+    throw unavailable;
+  }
+
+  /**
+   * Batch send through the first healthy provider (per-message results, no per-message failover)
+   */
+  async sendBatch(messages) {
+    const candidates = await this._candidates();
+    const provider = candidates.find(p => this.breakers.get(p.name).canAttempt()) || candidates[0];
+    const results = await provider.sendBatch(messages);
+    return results.map(result => ({ ...result, provider: provider.name }));
+  }
+
+  /**
+   * Events for the range from every configured provider in the failover order
+   * (AnalyticsService.handleEvent shape, tagged with the provider)
+   */
+  async fetchEvents(range) {
+    const events = [];
+    for (const provider of await this._candidates()) {
+      try {
+        const providerEvents = await provider.fetchEvents(range);
+        events.push(...providerEvents.map(e => ({ ...e, provider: provider.name })));
+      } catch (error) {
+        log.error({ provider: provider.name, error: error.message }, 'Error fetching provider events');
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Normalize a provider's webhook payload to handleEvent-shaped events
+   * @throws {Error} On unknown provider
+   */
+  normalizeWebhook(name, payload) {
+    return this.get(name).normalizeWebhook(payload);
+  }
+
+  /**
+   * Check a webhook request's shared secret for the provider
+   * @returns {boolean|null} null when the provider has no webhook secret configured
+   */
+  verifyWebhookAuth(name, headers) {
+    return this.get(name).verifyWebhookAuth(headers);
+  }
+
+  async verifyCredentials(name, config = {}) {
+    return this.get(name).verifyCredentials(config);
+  }
+
+  /**
+   * Providers with their configuration state, failover position and circuit breaker
+   */
+  async list() {
+    const order = this.getOrdered().map(p => p.name);
+    return Promise.all([...this.providers.values()].map(async (provider) => ({
+      name: provider.name,
+      active: provider.name === order[0],
+      priority: order.includes(provider.name) ? order.indexOf(provider.name) + 1 : null,
+      configured: await provider.isConfigured(),
+      circuit: this.breakers.get(provider.name).toJSON()
+    })));
+  }
+
+  /**
+   * Close a provider's circuit by hand (e.g. after fixing its credentials)
+   */
+  resetCircuit(name) {
+    this.get(name);
+    const breaker = this.breakers.get(name);
+    breaker.reset();
+    return breaker.toJSON();
+  }
+
+  invalidateCache() {
+    for (const provider of this.providers.values()) {
+      provider.invalidateCache();
+    }
+  }
+
+  /**
+   * Ordered providers that are configured (all of them if none are, so the primary's error surfaces)
+   */
+  async _candidates() {
+    const ordered = this.getOrdered();
+    const configured = [];
+    for (const provider of ordered) {
+      if (await provider.isConfigured()) configured.push(provider);
+    }
+    return configured.length > 0 ? configured : ordered;
+  }
+
+  _onCircuitOpened(name, breaker) {
+    const state = breaker.toJSON();
+    log.error({ provider: name, error: state.lastError, retryAt: state.retryAt }, 'Provider circuit opened');
+
+    // Not awaited - the send continues with the next provider (createNotification never throws)
+    const NotificationService = require('./NotificationService');
+    NotificationService.createNotification({
+      type: 'error',
+      message: `Email provider "${name}" is failing - sends are failing over`,
+      details: `${state.consecutiveFailures} consecutive failures (last: ${state.lastError}). Retrying after ${state.retryAt}.`,
+      metadata: { event: 'provider_circuit_opened', provider: name, retryAt: state.retryAt }
+    });
+  }
+}
+
+module.exports = new EmailProviderService();
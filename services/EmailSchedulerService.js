@@ -10,10 +10,14 @@ const {
   LeadRepository,
   EmailJobRepository,
   SettingsRepository,
+  SequenceRepository,
 } = require("../repositories");
 const TimezoneService = require("./TimezoneService");
 const RateLimitService = require("./RateLimitService");
 const UniqueJourneyService = require("./UniqueJourneyService");
+const SenderIdentityService = require("./SenderIdentityService");
+const SuppressionService = require("./SuppressionService");
+const PreferenceService = require("./PreferenceService");
 const RulebookService = require("./RulebookService");
 const DistributedLockService = require("./DistributedLockService");
 const { followupQueue } = require("../queues/emailQueues");
@@ -79,7 +83,9 @@ class EmailSchedulerService {
    * @param {string} timezone - Lead's timezone
    * @param {Date} minTime - Minimum time (e.g., now + delay hours/days)
    * @param {Object} settings - Full settings object
-   * @param {Object} options - Optional: { preferSmartSend: boolean }
+   * @param {Object} options - Optional: { preferSmartSend: boolean, senderIdentity: Object, email: string }
+   *   senderIdentity skips days where the identity's warm-up/daily limit is used up
+   *   email skips windows (and days) where the lead's recipient domain is saturated
    * @returns {Promise<{success: boolean, scheduledTime: Date, reason?: string}>}
    */
   async findNextAvailableSlot(timezone, minTime, settings, options = {}) {
@@ -102,6 +108,7 @@ class EmailSchedulerService {
     
     let currentTime = effectiveMinTime.clone();
     let attempts = 0;
+    const senderDays = new Map(); // UTC date -> remaining sender capacity
 
     // Round to next window boundary
     const minutes = currentTime.minute();
@@ -139,7 +146,42 @@ class EmailSchedulerService {
         continue;
       }
 
-      // CHECK 3: Rate Limit Capacity (DB-backed)
+      // CHECK 3: Sender identity warm-up / daily limit
+      if (options.senderIdentity) {
+        const day = moment(currentTime).utc().format("YYYY-MM-DD");
+        if (!senderDays.has(day)) {
+          const senderCapacity = await SenderIdentityService.getDayCapacity(
+            options.senderIdentity,
+            currentTime.toDate(),
+          );
+          senderDays.set(day, senderCapacity.remaining);
+        }
+        if (senderDays.get(day) === 0) {
+          currentTime.add(1, "day").hour(businessHours.startHour).minute(0);
+          continue;
+        }
+      }
+
+      // CHECK 4: Recipient domain throttle
+      if (options.email) {
+        const domainCapacity = await RateLimitService.getDomainCapacity(
+          options.email,
+          currentTime.valueOf(),
+        );
+        if (domainCapacity && !domainCapacity.available) {
+          if (domainCapacity.day.remaining === 0) {
+            currentTime.add(1, "day").hour(businessHours.startHour).minute(0);
+          } else {
+            currentTime.add(windowMinutes, "minutes");
+            if (currentTime.hour() >= businessHours.endHour) {
+              currentTime.add(1, "day").hour(businessHours.startHour).minute(0);
+            }
+          }
+          continue;
+        }
+      }
+
+      // CHECK 5: Rate Limit Capacity (DB-backed)
       const slotTime = currentTime.toDate();
       const capacity = await RateLimitService.getSlotCapacity(
         slotTime.getTime(),
@@ -334,7 +376,20 @@ class EmailSchedulerService {
         console.log(`Scheduler: ⛔ Lead ${lead.email} is in terminal state (${lead.terminalState}). BLOCKING.`);
         return null;
       }
+
+      // Global suppression list (exact / domain / wildcard entries)
+      const suppression = await SuppressionService.check(lead.email);
+      if (suppression) {
+        console.log(`Scheduler: ⛔ Lead ${lead.email} is on the suppression list (${suppression.type} ${suppression.value}). BLOCKING.`);
+        return null;
+      }
       
+      // The lead answered - a person takes it from here (EmailRepliedHandler)
+      if (lead.repliedAt) {
+        console.log(`Scheduler: ⛔ Lead ${lead.email} replied. BLOCKING automated mails.`);
+        return null;
+      }
+
       // Block if lead is in failure state (requires manual intervention)
       if (lead.isInFailure) {
         console.log(`Scheduler: ⛔ Lead ${lead.email} is in failure state. Manual retry required. BLOCKING.`);
@@ -379,13 +434,28 @@ class EmailSchedulerService {
         return null;
       }
 
+      // Preference center: lead opted out of sequence emails
+      if (PreferenceService.isOptedOut(lead, "followups")) {
+        console.log(`Scheduler: Lead ${lead.email} opted out of followups (preferences). Skipping.`);
+        return null;
+      }
+
       const settings = await SettingsRepository.getSettings();
-      if (!settings.followups || settings.followups.length === 0) {
-        throw new Error("No email sequence configured");
+
+      // Steps come from the lead's sequence (falls back to global followups)
+      const leadSequence = await SequenceRepository.getSequenceForLead(lead);
+      if (!leadSequence.enabled) {
+        console.log(
+          `Scheduler: Sequence "${leadSequence.name}" is disabled for ${lead.email}. Skipping.`,
+        );
+        return null;
+      }
+      if (!leadSequence.steps || leadSequence.steps.length === 0) {
+        throw new Error(`No email steps configured for sequence "${leadSequence.name}"`);
       }
 
       // Get sequence (exclude skipped)
-      const sequence = settings.followups
+      const sequence = leadSequence.steps
         .filter(
           (f) =>
             f.enabled &&
@@ -402,7 +472,19 @@ class EmailSchedulerService {
       // OPTIMIZATION: Batch fetch all jobs for this lead in ONE query
       const allJobsForLead = await prisma.emailJob.findMany({
         where: { leadId: parseInt(leadId) },
-        select: { id: true, type: true, status: true, condition: true },
+        select: {
+          id: true,
+          type: true,
+          status: true,
+          condition: true,
+          metadata: true,
+          scheduledFor: true,
+          sentAt: true,
+          deliveredAt: true,
+          openedAt: true,
+          clickedAt: true,
+          createdAt: true,
+        },
       });
 
       // Create lookup maps for O(1) access
@@ -478,6 +560,46 @@ class EmailSchedulerService {
         return null;
       }
 
+      // BRANCHING SEQUENCES: the next step is chosen by the branches of the
+      // last sent step (engagement-based) instead of step order
+      if (SequenceRepository.isBranching(sequence)) {
+        const resolution = await this._resolveBranch(
+          lead,
+          leadSequence.steps,
+          sequence,
+          allJobsForLead,
+        );
+
+        if (resolution.action === "schedule") {
+          const { step, branch, fromJob } = resolution;
+          return await this._scheduleSequenceStep(
+            lead,
+            step,
+            settings,
+            customStatus,
+            null,
+            {
+              baseTime: fromJob
+                ? fromJob.sentAt || fromJob.deliveredAt || fromJob.scheduledFor
+                : new Date(),
+              delayDays: branch ? this._getBranchDelayDays(branch, leadSequence.steps) : undefined,
+              templateId: branch?.templateId,
+              metadata: branch
+                ? { branch: { branchId: branch.id, fromStep: fromJob.type, when: branch.when } }
+                : undefined,
+            },
+          );
+        }
+
+        if (["stop", "complete"].includes(resolution.action) && pendingJobs.size === 0) {
+          console.log(`Scheduler: Branch path ended (${resolution.action}) for ${lead.email}`);
+          if (lead.status !== "sequence_complete") {
+            await LeadRepository.updateStatus(leadId, "sequence_complete");
+          }
+        }
+        return null;
+      }
+
       // PRIORITY-BASED CONDITIONAL SCHEDULING ALGORITHM
       // 1. Find all steps that are not completed
       // 2. For each step, evaluate if condition is met RIGHT NOW
@@ -564,6 +686,7 @@ class EmailSchedulerService {
             data: {
               leadId: parseInt(leadId),
               email: lead.email,
+              recipientDomain: RateLimitService.getRecipientDomain(lead.email),
               type: step.name,
               category,
               status: "skipped",
@@ -658,69 +781,342 @@ class EmailSchedulerService {
         baseTime = new Date();
       }
 
-      // FCFS SLOT ALLOCATION
-      // Calculate the minimum time (baseTime + delay), then find first available slot
-      // CRITICAL: All time calculations must be in the LEAD'S TIMEZONE
-      const delayDays = stepToSchedule.delayDays || 0;
-      const leadTimezone = lead.timezone || "UTC";
+      return await this._scheduleSequenceStep(
+        lead,
+        stepToSchedule,
+        settings,
+        customStatus,
+        stepCondition,
+        { baseTime },
+      );
+    } finally {
+      // Release distributed lock
+      const lockId = activeLocks.get(leadId.toString());
+      if (lockId) {
+        await DistributedLockService.release(lockKey, lockId);
+        activeLocks.delete(leadId.toString());
+      }
+    }
+  }
 
-      // Calculate minTime in the LEAD'S timezone, not server timezone
-      let minTime = moment(baseTime).tz(leadTimezone).add(delayDays, "days");
+  /**
+   * Find a slot for a sequence step and create its job
+   * Shared by the linear and branching scheduling paths
+   * @param {Object} options - { baseTime, delayDays?, templateId?, metadata? }
+   */
+  async _scheduleSequenceStep(lead, step, settings, customStatus, condition, options = {}) {
+    const { baseTime = new Date(), metadata } = options;
+
+    // FCFS SLOT ALLOCATION
+    // Calculate the minimum time (baseTime + delay), then find first available slot
+    // CRITICAL: All time calculations must be in the LEAD'S TIMEZONE
+    const delayDays = options.delayDays ?? (step.delayDays || 0);
+    const leadTimezone = lead.timezone || "UTC";
+
+    // Calculate minTime in the LEAD'S timezone, not server timezone
+    let minTime = moment(baseTime).tz(leadTimezone).add(delayDays, "days");
+
+    // If delay results in past time (in lead's timezone), start from now in lead's timezone
+    const nowInLeadTz = moment().tz(leadTimezone);
+    if (minTime.isBefore(nowInLeadTz)) {
+      minTime = nowInLeadTz.clone();
+    }
 
-      // If delay results in past time (in lead's timezone), start from now in lead's timezone
-      const nowInLeadTz = moment().tz(leadTimezone);
-      if (minTime.isBefore(nowInLeadTz)) {
-        minTime = nowInLeadTz.clone();
-      }
+    // Start at beginning of business hours in LEAD'S timezone (FCFS)
+    const startHour = settings.businessHours?.startHour || 8;
+    minTime.hour(startHour).minute(0).second(0);
 
-      // Start at beginning of business hours in LEAD'S timezone (FCFS)
-      const startHour = settings.businessHours?.startHour || 8;
-      minTime.hour(startHour).minute(0).second(0);
+    // Preference center: snoozed, or asked for fewer emails (weekly/monthly)
+    const preferredEarliest = await PreferenceService.getEarliestSendTime(lead);
+    if (preferredEarliest && minTime.isBefore(preferredEarliest)) {
+      minTime = moment(preferredEarliest).tz(leadTimezone);
+      console.log(`[Scheduler] Lead ${lead.email} preferences: not before ${minTime.format('YYYY-MM-DD HH:mm')} local`);
+    }
 
-      console.log(`[Scheduler] Lead ${lead.email} (${leadTimezone}): min time = ${minTime.format('YYYY-MM-DD HH:mm')} local`);
+    console.log(`[Scheduler] Lead ${lead.email} (${leadTimezone}): min time = ${minTime.format('YYYY-MM-DD HH:mm')} local`);
 
-      // Use unified FCFS slot finder
-      const slotResult = await this.findNextAvailableSlot(
-        leadTimezone,
-        minTime.toDate(),
-        settings,
+    // Use unified FCFS slot finder (skipping days the sender identity's warm-up is used up
+    // and windows where the lead's recipient domain is saturated)
+    const senderIdentity = (await SenderIdentityService.resolveForJob(
+      { type: step.name, metadata },
+      lead,
+    ))?.identity || null;
+    const slotResult = await this.findNextAvailableSlot(
+      leadTimezone,
+      minTime.toDate(),
+      settings,
+      { senderIdentity, email: lead.email },
+    );
+
+    if (!slotResult.success) {
+      console.error(
+        `Scheduler: Failed to find slot for ${step.name}: ${slotResult.reason}`,
       );
+      throw new Error(`Failed to find scheduling slot: ${slotResult.reason}`);
+    }
 
-      if (!slotResult.success) {
-        console.error(
-          `Scheduler: Failed to find slot for ${stepToSchedule.name}: ${slotResult.reason}`,
+    const targetTime = slotResult.scheduledTime;
+
+    const schedulerSettings = {
+      businessHours: settings.businessHours,
+      windowMinutes: settings.rateLimit?.windowMinutes || 15,
+    };
+
+    console.log(
+      `Scheduler: 📧 Scheduling '${step.name}' for ${lead.email} at ${moment(targetTime).tz(lead.timezone).format("YYYY-MM-DD HH:mm")} ${lead.timezone}`,
+    );
+    return await this.scheduleEmailJob(
+      lead,
+      step.name,
+      targetTime,
+      schedulerSettings,
+      customStatus,
+      0,
+      options.templateId || step.templateId,
+      condition,
+      { metadata, senderIdentity },
+    );
+  }
+
+  /**
+   * Walk a branching sequence and decide what happens next for a lead
+   *
+   * Starting at the first step, each sent step's branches are evaluated in
+   * order against its job status and event history; the first matching
+   * branch is recorded on the job (metadata.branchTaken) so the decision is
+   * never re-evaluated. A step without branches ends the path.
+   *
+   * @returns {Promise<{action: 'schedule'|'wait'|'stop'|'complete', step?, branch?, fromJob?}>}
+   */
+  async _resolveBranch(lead, allSteps, availableSteps, jobs) {
+    const findJob = (type) =>
+      jobs
+        .filter((j) => j.type === type && j.status !== "cancelled")
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+    let current = availableSteps[0];
+    let incoming = null;
+    let fromJob = null;
+    const visited = new Set();
+
+    while (current) {
+      // Edges only point forward, but guard against hand-edited data anyway
+      if (visited.has(current.id)) {
+        console.warn(`[Scheduler] Branch loop detected at '${current.name}' for ${lead.email}`);
+        return { action: "wait" };
+      }
+      visited.add(current.id);
+
+      const job = findJob(current.name);
+      if (!job) {
+        return { action: "schedule", step: current, branch: incoming, fromJob };
+      }
+
+      const passedStatuses = ["sent", "delivered", "opened", "clicked", "skipped"];
+      if (!passedStatuses.includes(job.status)) {
+        // Pending, retrying or failed - nothing to decide yet
+        return { action: "wait" };
+      }
+
+      if (!current.branches || current.branches.length === 0) {
+        return { action: "complete" };
+      }
+
+      let branch = null;
+      const decided = job.metadata?.branchTaken;
+      if (decided) {
+        branch = current.branches.find((b) => b.id === decided.branchId) || decided;
+      } else {
+        const outcome = await this._evaluateBranches(current, job, allSteps, lead.id);
+        if (!outcome.branch) {
+          if (outcome.recheckAt) {
+            await this._queueBranchRecheck(lead.id, job, outcome.recheckAt);
+          }
+          return { action: outcome.waiting ? "wait" : "complete" };
+        }
+
+        branch = outcome.branch;
+        await this._recordBranchTaken(lead, current, job, branch, allSteps);
+      }
+
+      if (!branch.goTo) {
+        return { action: "stop" };
+      }
+
+      const target = allSteps.find((s) => s.id === branch.goTo);
+      if (!target || !availableSteps.some((s) => s.id === target.id)) {
+        console.log(
+          `[Scheduler] Branch target '${target?.name || branch.goTo}' is unavailable for ${lead.email}. Ending path.`,
         );
-        throw new Error(`Failed to find scheduling slot: ${slotResult.reason}`);
+        return { action: "complete" };
       }
 
-      const targetTime = slotResult.scheduledTime;
+      incoming = branch;
+      fromJob = job;
+      current = target;
+    }
 
-      const schedulerSettings = {
-        businessHours: settings.businessHours,
-        windowMinutes: settings.rateLimit?.windowMinutes || 15,
-      };
+    return { action: "complete" };
+  }
 
-      console.log(
-        `Scheduler: 📧 Scheduling '${stepToSchedule.name}' for ${lead.email} at ${moment(targetTime).tz(lead.timezone).format("YYYY-MM-DD HH:mm")} ${lead.timezone}`,
-      );
-      return await this.scheduleEmailJob(
-        lead,
-        stepToSchedule.name,
-        targetTime,
-        schedulerSettings,
-        customStatus,
-        0,
-        stepToSchedule.templateId,
-        stepCondition,
-      );
-    } finally {
-      // Release distributed lock
-      const lockId = activeLocks.get(leadId.toString());
-      if (lockId) {
-        await DistributedLockService.release(lockKey, lockId);
-        activeLocks.delete(leadId.toString());
+  /**
+   * Evaluate a step's branches in order against its job
+   * Positive conditions (opened/clicked) are met as soon as the event arrives.
+   * Negative conditions (not_opened/not_clicked) are only met once the branch
+   * delay has passed since the step was sent without the engagement.
+   * @returns {Promise<{branch: Object|null, waiting: boolean, recheckAt: Date|null}>}
+   */
+  async _evaluateBranches(step, job, allSteps, leadId) {
+    const engagement = await this._getJobEngagement(job, leadId);
+    const wasSkipped = job.status === "skipped";
+    const sentAt = moment(job.sentAt || job.deliveredAt || job.scheduledFor || job.createdAt);
+
+    let waiting = false;
+    let recheckAt = null;
+
+    for (const branch of step.branches) {
+      switch (branch.when) {
+        case "always":
+          return { branch, waiting: false, recheckAt: null };
+
+        case "opened":
+        case "clicked": {
+          const engaged = branch.when === "opened" ? engagement.opened : engagement.clicked;
+          if (engaged) {
+            return { branch, waiting: false, recheckAt: null };
+          }
+          // A skipped step can never be engaged with
+          if (!wasSkipped) waiting = true;
+          break;
+        }
+
+        case "not_opened":
+        case "not_clicked": {
+          const engaged = branch.when === "not_opened" ? engagement.opened : engagement.clicked;
+          if (engaged) break;
+          if (wasSkipped) {
+            return { branch, waiting: false, recheckAt: null };
+          }
+
+          const decideAt = sentAt.clone().add(this._getBranchDelayDays(branch, allSteps), "days");
+          if (!decideAt.isAfter(moment())) {
+            return { branch, waiting: false, recheckAt: null };
+          }
+
+          waiting = true;
+          if (!recheckAt || decideAt.isBefore(recheckAt)) {
+            recheckAt = decideAt;
+          }
+          break;
+        }
+
+        default:
+          console.warn(`[Scheduler] Unknown branch condition: ${branch.when}`);
       }
     }
+
+    return { branch: null, waiting, recheckAt: recheckAt ? recheckAt.toDate() : null };
+  }
+
+  /**
+   * Opened/clicked state of a job from its status, timestamps and event history
+   */
+  async _getJobEngagement(job, leadId) {
+    let opened = !!(job.openedAt || job.clickedAt || ["opened", "clicked"].includes(job.status));
+    let clicked = !!(job.clickedAt || job.status === "clicked");
+
+    if (!clicked) {
+      const events = await prisma.eventHistory.findMany({
+        where: {
+          leadId: parseInt(leadId),
+          emailJobId: job.id,
+          event: { in: ["opened", "unique_opened", "clicked"] },
+        },
+        select: { event: true },
+      });
+      clicked = events.some((e) => e.event === "clicked");
+      opened = opened || clicked || events.length > 0;
+    }
+
+    return { opened, clicked };
+  }
+
+  /**
+   * Delay of a branch, falling back to its target step's delay
+   */
+  _getBranchDelayDays(branch, allSteps) {
+    if (branch.delayDays !== null && branch.delayDays !== undefined) {
+      return branch.delayDays;
+    }
+    const target = allSteps.find((s) => s.id === branch.goTo);
+    return target?.delayDays || 0;
+  }
+
+  /**
+   * Persist the branch decision on the job and in the lead's event history
+   */
+  async _recordBranchTaken(lead, step, job, branch, allSteps) {
+    const target = branch.goTo ? allSteps.find((s) => s.id === branch.goTo) : null;
+
+    await prisma.emailJob.update({
+      where: { id: job.id },
+      data: {
+        metadata: {
+          ...(job.metadata || {}),
+          branchTaken: {
+            branchId: branch.id,
+            when: branch.when,
+            goTo: branch.goTo,
+            at: new Date().toISOString(),
+          },
+        },
+      },
+    });
+
+    await LeadRepository.addEvent(
+      lead.id,
+      "branch_taken",
+      {
+        fromStep: step.name,
+        branchId: branch.id,
+        condition: branch.when,
+        toStep: target?.name || null,
+        action: branch.goTo ? "continue" : "stop",
+      },
+      job.type,
+      job.id,
+    );
+
+    console.log(
+      `[Scheduler] 🔀 ${lead.email}: '${step.name}' took branch '${branch.when}' → ${target ? `'${target.name}'` : "stop"}`,
+    );
+
+    if (branch.notify) {
+      const NotificationService = require("./NotificationService");
+      await NotificationService.createNotification({
+        type: "info",
+        message: `🔀 ${lead.email} ${branch.when.replace("_", " ")} '${step.name}' → ${target ? target.name : "sequence stopped"}`,
+        metadata: { leadId: lead.id, emailJobId: job.id, event: "branch_taken" },
+      });
+    }
+  }
+
+  /**
+   * Re-run scheduling for a lead once a negative branch can be decided
+   */
+  async _queueBranchRecheck(leadId, job, recheckAt) {
+    try {
+      await followupQueue.add(
+        "branchRecheck",
+        { leadId, originalEmailJobId: job.id },
+        {
+          delay: Math.max(0, recheckAt.getTime() - Date.now()),
+          jobId: `branch-recheck-${job.id}-${recheckAt.getTime()}`,
+        },
+      );
+    } catch (error) {
+      console.error(`[Scheduler] Failed to queue branch recheck for lead ${leadId}:`, error.message);
+    }
   }
 
   /**
@@ -884,7 +1280,9 @@ class EmailSchedulerService {
 
   /**
    * Schedule a specific email job with rate limiting
-   * @param {Object} options - { skipDuplicateCheck: boolean } - Set to true for retries
+   * @param {Object} options - { skipDuplicateCheck: boolean, metadata?: Object, senderIdentity?: Object|null }
+   *   skipDuplicateCheck: set to true for retries; metadata: extra job metadata
+   *   senderIdentity: already-resolved identity (resolved here when not given) - its warm-up/daily limit is reserved too
    */
   async scheduleEmailJob(
     lead,
@@ -897,7 +1295,10 @@ class EmailSchedulerService {
     condition = null,
     options = {}
   ) {
-    const { skipDuplicateCheck = false } = options;
+    const { skipDuplicateCheck = false, metadata: extraMetadata = {} } = options;
+    const senderIdentity = options.senderIdentity !== undefined
+      ? options.senderIdentity
+      : (await SenderIdentityService.resolveForJob({ type, metadata: extraMetadata }, lead))?.identity || null;
     
     // ============================================
     // STEP 1: ATOMIC DUPLICATE PREVENTION (FIRST!)
@@ -969,6 +1370,7 @@ class EmailSchedulerService {
         const reservation = await RateLimitService.reserveSlot(
           lead.timezone,
           targetTime,
+          { senderIdentity, email: lead.email },
         );
 
         if (reservation.success) {
@@ -1034,6 +1436,7 @@ class EmailSchedulerService {
         data: {
           leadId: parseInt(lead.id),
           email: lead.email,
+          recipientDomain: RateLimitService.getRecipientDomain(lead.email),
           type,
           category,
           scheduledFor: finalScheduleTime,
@@ -1044,6 +1447,7 @@ class EmailSchedulerService {
           queueName: "followupQueue",
           templateId: resolvedTemplateId,
           condition: condition || undefined,
+          senderIdentityId: senderIdentity?.id || null,
           metadata: {
             timezone: lead.timezone,
             localScheduledTime: moment(finalScheduleTime)
@@ -1053,6 +1457,7 @@ class EmailSchedulerService {
             originalJobId: null,
             conditionalTemplate: resolvedTemplateId ? true : false,
             conditionType: condition?.type,
+            ...extraMetadata,
           },
         },
       });
@@ -1211,7 +1616,10 @@ class EmailSchedulerService {
       nextRetryCount,
       emailJob.templateId,  // Preserve template
       null,                 // No condition
-      { skipDuplicateCheck: true }  // CRITICAL: Skip duplicate check for reschedule operations
+      {
+        skipDuplicateCheck: true,  // CRITICAL: Skip duplicate check for reschedule operations
+        senderIdentity: (await SenderIdentityService.resolveForJob(emailJob, lead))?.identity || null,
+      }
     );
     
     // Handle case where scheduleEmailJob returns null (shouldn't happen with skipDuplicateCheck)
@@ -1253,22 +1661,9 @@ class EmailSchedulerService {
    * CRITICAL: Must cancel the old job BEFORE creating new one to avoid duplicate prevention in scheduleEmailJob
    */
   async moveJobToNextWorkingDay(jobId, reason = "Date paused") {
-    const emailJob = await EmailJobRepository.findById(jobId);
-    if (!emailJob) throw new Error("Job not found");
-
-    if (
-      !["pending", "queued", "scheduled", "rescheduled"].includes(
-        emailJob.status,
-      )
-    ) {
-      console.log(
-        `[MoveJob] Job ${jobId} not movable (${emailJob.status}). Skipping.`,
-      );
-      return null;
-    }
-
-    const lead = await LeadRepository.findById(emailJob.leadId);
-    if (!lead) throw new Error("Lead not found");
+    const movable = await this._loadMovableJob(jobId);
+    if (!movable) return null;
+    const { emailJob, lead } = movable;
 
     const settings = await SettingsRepository.getSettings();
 
@@ -1292,6 +1687,51 @@ class EmailSchedulerService {
       `[MoveJob] Moving job ${jobId} (${emailJob.type}) from ${originalTime.format("YYYY-MM-DD HH:mm")} to ${nextWorkingDay.format("YYYY-MM-DD HH:mm")} ${leadTimezone}`,
     );
 
+    return this._moveJob(emailJob, lead, nextWorkingDay.toDate(), reason, settings);
+  }
+
+  /**
+   * Move a job to the first valid slot at or after a time
+   * Used at dispatch when the recipient domain is saturated for the current window/day
+   */
+  async moveJobToNextSlot(jobId, fromTime, reason) {
+    const movable = await this._loadMovableJob(jobId);
+    if (!movable) return null;
+
+    console.log(
+      `[MoveJob] Moving job ${jobId} (${movable.emailJob.type}) to the next slot from ${moment(fromTime).format("YYYY-MM-DD HH:mm")} UTC`,
+    );
+    return this._moveJob(movable.emailJob, movable.lead, fromTime, reason);
+  }
+
+  async _loadMovableJob(jobId) {
+    const emailJob = await EmailJobRepository.findById(jobId);
+    if (!emailJob) throw new Error("Job not found");
+
+    if (
+      !["pending", "queued", "scheduled", "rescheduled"].includes(
+        emailJob.status,
+      )
+    ) {
+      console.log(
+        `[MoveJob] Job ${jobId} not movable (${emailJob.status}). Skipping.`,
+      );
+      return null;
+    }
+
+    const lead = await LeadRepository.findById(emailJob.leadId);
+    if (!lead) throw new Error("Lead not found");
+
+    return { emailJob, lead };
+  }
+
+  /**
+   * Cancel a job and schedule its replacement from targetTime (first valid, reservable slot)
+   */
+  async _moveJob(emailJob, lead, targetTime, reason, settings = null) {
+    const jobId = emailJob.id;
+    settings = settings || (await SettingsRepository.getSettings());
+
     // CRITICAL FIX: Cancel the old job FIRST before creating new one
     // This prevents duplicate prevention in scheduleEmailJob from blocking the new job
     await prisma.emailJob.update({
@@ -1329,12 +1769,13 @@ class EmailSchedulerService {
     const newJob = await this.scheduleEmailJob(
       lead,
       emailJob.type,
-      nextWorkingDay.toDate(),
+      targetTime,
       schedulerSettings,
       "pending",
       emailJob.retryCount || 0,
       emailJob.templateId || null,
       emailJob.condition || null,
+      { senderIdentity: (await SenderIdentityService.resolveForJob(emailJob, lead))?.identity || null },
     );
 
     if (!newJob) {
@@ -1366,7 +1807,7 @@ class EmailSchedulerService {
     });
 
     console.log(
-      `[MoveJob] ✓ Successfully moved job ${jobId} -> ${newJob.id} to ${nextWorkingDay.format("YYYY-MM-DD HH:mm")} (${reason})`,
+      `[MoveJob] ✓ Successfully moved job ${jobId} -> ${newJob.id} to ${moment(newJob.scheduledFor).format("YYYY-MM-DD HH:mm")} UTC (${reason})`,
     );
     return newJob;
   }
@@ -1470,6 +1911,62 @@ class EmailSchedulerService {
     return await LeadRepository.findById(leadId);
   }
 
+  /**
+   * Move leads into a sequence (null = global followups)
+   * Pending followups from the previous chain are cancelled - the new chain decides what comes next
+   * @returns {Promise<{enrolled: number, cancelledJobs: number, scheduled: number}>}
+   */
+  async enrollLeads(sequence, leadIds, scheduleNext = true) {
+    const sequenceName = sequence ? sequence.name : "Default";
+    const leads = await prisma.lead.findMany({
+      where: { id: { in: leadIds.map((id) => parseInt(id)) } },
+      select: { id: true, status: true },
+    });
+    const ids = leads.map((l) => l.id);
+
+    const { count } = await SequenceRepository.enrollLeads(sequence?.id || null, ids);
+
+    const cancelled = await prisma.emailJob.updateMany({
+      where: {
+        leadId: { in: ids },
+        category: "followup",
+        status: { in: RulebookService.getCancellableStatuses() },
+      },
+      data: {
+        status: "cancelled",
+        lastError: `Enrolled in sequence "${sequenceName}"`,
+      },
+    });
+
+    await prisma.eventHistory.createMany({
+      data: ids.map((leadId) => ({
+        leadId,
+        event: "sequence_enrolled",
+        details: { sequenceId: sequence?.id || null, sequenceName },
+      })),
+    });
+
+    let scheduled = 0;
+    if (scheduleNext) {
+      // Leads still in 'pending' haven't started yet - they are picked up by the normal scheduling flow
+      const startedLeads = leads.filter((l) => l.status !== "pending");
+
+      for (const lead of startedLeads) {
+        try {
+          const job = await this.scheduleNextEmail(lead.id);
+          if (job) scheduled++;
+        } catch (err) {
+          console.error(`[Sequence] Failed to schedule next step for lead ${lead.id}:`, err.message);
+        }
+      }
+    }
+
+    console.log(
+      `[Sequence] Enrolled ${count} leads in "${sequenceName}" (cancelled ${cancelled.count} jobs, scheduled ${scheduled})`,
+    );
+    return { enrolled: count, cancelledJobs: cancelled.count, scheduled };
+  }
+
   /**
    * Get available slots
    */
@@ -1547,6 +2044,12 @@ class EmailSchedulerService {
       console.log(`[ManualSlot] ⛔ Lead ${lead.email} is in terminal state (${lead.terminalState}), BLOCKING schedule`);
       throw new Error(`Cannot schedule mail: lead is in terminal state (${lead.terminalState}). Resurrect lead first.`);
     }
+
+    const suppression = await SuppressionService.check(lead.email);
+    if (suppression) {
+      console.log(`[ManualSlot] ⛔ Lead ${lead.email} is on the suppression list, BLOCKING schedule`);
+      throw new Error(`Cannot schedule mail: ${SuppressionService.describe(suppression)}`);
+    }
     
     // Block if lead is in failure state (requires clearing failure first)
     if (lead.isInFailure) {
@@ -1563,8 +2066,8 @@ class EmailSchedulerService {
 
     let typeToSend = emailType || title;
     if (!typeToSend) {
-      const settings = await SettingsRepository.getSettings();
-      const sequence = settings.followups
+      const steps = await SequenceRepository.getStepsForLead(lead);
+      const sequence = steps
         .filter((f) => f.enabled)
         .sort((a, b) => a.order - b.order);
 
@@ -1663,6 +2166,13 @@ class EmailSchedulerService {
       requestedTime.hour() < businessHours.endHour;
 
     let finalScheduleTime;
+    const isReschedule = !title && emailType;
+
+    // Reschedules go out as the sequence's identity, true manual mails as the owner's
+    const senderIdentity = (await SenderIdentityService.resolveForJob(
+      { type: typeToSend, metadata: { manual: !isReschedule } },
+      lead,
+    ))?.identity || null;
 
     if (!isWorkingDay || !isInBusinessHours) {
       // User selected an invalid time - find the next valid slot
@@ -1673,6 +2183,7 @@ class EmailSchedulerService {
         lead.timezone || "UTC",
         new Date(targetTime),
         settings,
+        { senderIdentity, email: lead.email },
       );
 
       if (!slotResult.success) {
@@ -1690,17 +2201,19 @@ class EmailSchedulerService {
       const reservation = await RateLimitService.reserveSlot(
         lead.timezone,
         new Date(targetTime),
+        { senderIdentity, email: lead.email },
       );
 
       if (!reservation.success) {
-        // Slot is full - find next available
+        // Slot (or the sender's day) is full - find next available
         console.log(
-          `[ManualSlot] Requested slot is full. Finding next available.`,
+          `[ManualSlot] ${reservation.reason || "Requested slot is full"}. Finding next available.`,
         );
         const slotResult = await this.findNextAvailableSlot(
           lead.timezone || "UTC",
           new Date(targetTime),
           settings,
+          { senderIdentity, email: lead.email },
         );
 
         if (!slotResult.success) {
@@ -1719,8 +2232,6 @@ class EmailSchedulerService {
       `[ManualSlot] Final scheduled time: ${moment(finalScheduleTime).format("YYYY-MM-DD HH:mm")}`,
     );
 
-    const isReschedule = !title && emailType;
-
     // Determine category for analytics
     // For reschedules, derive category from the original email type
     // For true manual emails, use 'manual'
@@ -1741,6 +2252,7 @@ class EmailSchedulerService {
       data: {
         leadId: parseInt(leadId),
         email: lead.email,
+        recipientDomain: RateLimitService.getRecipientDomain(lead.email),
         type: typeToSend || emailType || "manual",
         category,
         scheduledFor: finalScheduleTime,
@@ -1748,6 +2260,7 @@ class EmailSchedulerService {
         retryCount: preservedRetryCount,
         idempotencyKey: uuidv4(),
         templateId: resolvedTemplateId,
+        senderIdentityId: senderIdentity?.id || null,
         metadata: {
           timezone: lead.timezone,
           manual: !isReschedule,
@@ -1891,16 +2404,18 @@ class EmailSchedulerService {
 
   /**
    * Schedule a newly added followup for leads that have completed their sequence
-   * Called when a new followup is added in settings
+   * Called when a new followup is added in settings or to a named sequence
    * OPTIMIZED: Uses cursor pagination and batch queries for 10K+ scale
+   * @param {string} newFollowupName - Name of the added step
+   * @param {number|null} sequenceId - Sequence the step was added to (null = global followups)
    */
-  async scheduleNewFollowupForCompletedLeads(newFollowupName) {
+  async scheduleNewFollowupForCompletedLeads(newFollowupName, sequenceId = null) {
     console.log(
       `[Scheduler] Checking for completed/idle leads to schedule new followup: ${newFollowupName}`,
     );
 
-    const settings = await SettingsRepository.getSettings();
-    const followup = settings.followups?.find(
+    const { steps } = await SequenceRepository.getSequenceForLead({ sequenceId });
+    const followup = steps.find(
       (f) => f.name === newFollowupName && f.enabled,
     );
 
@@ -1912,7 +2427,7 @@ class EmailSchedulerService {
     }
 
     // Build the sequence for validation
-    const sequence = settings.followups
+    const sequence = steps
       .filter((f) => f.enabled)
       .sort((a, b) => a.order - b.order);
 
@@ -1950,6 +2465,7 @@ class EmailSchedulerService {
           ],
           followupsPaused: { not: true },
           frozenUntil: null,
+          sequenceId: sequenceId ? parseInt(sequenceId) : null,
           NOT: {
             status: { in: ["frozen", "converted"] },
           },
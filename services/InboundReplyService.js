@@ -0,0 +1,240 @@
+// services/InboundReplyService.js
+// Reply detection from inbound-parse webhooks (POST /api/webhooks/inbound)
+//
+// Accepts parsed inbound messages in the common provider shapes:
+//   Brevo inbound parsing  { items: [{ MessageId, InReplyTo, From: { Address }, Subject, RawTextBody, Headers }] }
+//   Mailgun routes         { sender, subject, 'body-plain', 'Message-Id', 'In-Reply-To', References, 'message-headers' }
+//   SendGrid inbound parse { from, subject, text, headers: 'raw header block' }
+//   Generic JSON           { from, subject, text, messageId, inReplyTo, references, headers }
+//
+// Each message is matched to the email it answers through In-Reply-To/References (our sent
+// Message-IDs are stored as EmailJob.brevoMessageId), falling back to the sender's address.
+// Human replies emit EmailReplied (EmailRepliedHandler runs the rulebook's "replied" actions);
+// auto-replies and out-of-office messages emit EmailAutoReplied and leave the sequence running.
+// Inbound Message-IDs are deduped through ProcessedEvent, so provider retries are harmless.
+
+const crypto = require('crypto');
+const { prisma } = require('../lib/prisma');
+const { LeadRepository, EventStoreRepository } = require('../repositories');
+
+// Subjects that are out-of-office notices on their own
+const OUT_OF_OFFICE_SUBJECT = /out of (the )?office|\bOOO\b|abwesenheitsnotiz|nicht im b(ü|ue)ro|absent du bureau|fuera de la oficina/i;
+
+// Wording that makes an auto-reply an out-of-office one (only checked once headers/subject say "automatic")
+const OUT_OF_OFFICE_WORDING = /out of (the )?office|\bOOO\b|vacation|holiday|annual leave|parental leave|away (from|until)|abwesenheit|absent|fuera de la oficina|ausente/i;
+
+const AUTO_REPLY_SUBJECT = /^\s*(auto(matic|matische)?[ -]?(reply|response|antwort)|autoreply|r[ée]ponse automatique|respuesta autom[áa]tica|risposta automatica)\b/i;
+
+// Delivery failure notices - bounces arrive through the provider webhooks instead
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster)@/i;
+
+class InboundReplyService {
+
+  /**
+   * Turn a webhook payload into messages
+   * @returns {Array<{messageId, inReplyTo, references, from, to, subject, text, headers}>}
+   */
+  normalize(payload = {}) {
+    const items = Array.isArray(payload?.items) ? payload.items : (Array.isArray(payload) ? payload : [payload]);
+
+    return items
+      .filter(item => item && typeof item === 'object')
+      .map(item => {
+        const headers = this._parseHeaders(item.Headers || item.headers || item['message-headers']);
+        const pick = (...values) => values.find(value => typeof value === 'string' && value.trim()) || null;
+
+        return {
+          messageId: this._extractIds(pick(item.MessageId, item.messageId, item['Message-Id'], headers['message-id']))[0] || null,
+          inReplyTo: this._extractIds(pick(item.InReplyTo, item.inReplyTo, item['In-Reply-To'], headers['in-reply-to'])),
+          references: this._extractIds(pick(
+            Array.isArray(item.references) ? item.references.join(' ') : item.references,
+            item.References,
+            headers.references
+          )),
+          from: this._extractAddress(item.From?.Address || pick(item.sender, item.from, item.From, headers.from)),
+          to: this._extractAddress(Array.isArray(item.To) ? item.To[0]?.Address : pick(item.recipient, item.to, item.To, headers.to)),
+          subject: pick(item.Subject, item.subject, headers.subject) || '',
+          text: pick(item.ExtractedMarkdownMessage, item.RawTextBody, item['stripped-text'], item['body-plain'], item.text) || '',
+          headers
+        };
+      });
+  }
+
+  /**
+   * Process every message in a webhook payload
+   * @returns {Promise<Array<{status: string, leadId?: number, emailJobId?: number, kind?: string}>>}
+   */
+  async processPayload(payload) {
+    const results = [];
+    for (const message of this.normalize(payload)) {
+      try {
+        results.push(await this.processMessage(message));
+      } catch (error) {
+        console.error('[InboundReply] Error processing inbound message:', error);
+        results.push({ status: 'error', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Match one message and emit EmailReplied / EmailAutoReplied
+   * @returns {Promise<{status: 'replied'|'auto_replied'|'ignored'|'unmatched'|'duplicate', leadId?, emailJobId?, kind?}>}
+   */
+  async processMessage(message) {
+    if (message.from && BOUNCE_SENDER.test(message.from)) {
+      return { status: 'ignored', reason: 'Delivery status notification' };
+    }
+
+    const match = await this.match(message);
+    if (!match) {
+      console.log(`[InboundReply] No lead matches inbound message from ${message.from || 'unknown'}`);
+      return { status: 'unmatched' };
+    }
+
+    const dedupKey = message.messageId || this._fingerprint(message);
+    const marked = await EventStoreRepository.markProcessed(dedupKey, 'inbound', new Date());
+    if (!marked) {
+      return { status: 'duplicate', leadId: match.lead.id };
+    }
+
+    const autoReply = this.detectAutoReply(message);
+    const eventData = {
+      event: autoReply ? 'auto_replied' : 'replied',
+      from: message.from,
+      subject: message.subject,
+      snippet: message.text.trim().slice(0, 500),
+      messageId: message.messageId,
+      inReplyTo: message.inReplyTo[0] || null,
+      matchedBy: match.matchedBy,
+      ...(autoReply && { kind: autoReply.kind, reason: autoReply.reason })
+    };
+
+    const EventBus = require('../events/EventBus');
+    await EventBus.emit(autoReply ? 'EmailAutoReplied' : 'EmailReplied', {
+      leadId: match.lead.id,
+      emailJobId: match.emailJob?.id || null,
+      email: match.lead.email,
+      type: match.emailJob?.type || null,
+      eventData,
+      source: 'inbound',
+      timestamp: new Date()
+    });
+
+    console.log(`[InboundReply] ${autoReply ? `Auto-reply (${autoReply.kind})` : 'Reply'} from lead ${match.lead.id} matched by ${match.matchedBy}`);
+    return {
+      status: autoReply ? 'auto_replied' : 'replied',
+      leadId: match.lead.id,
+      emailJobId: match.emailJob?.id || null,
+      ...(autoReply && { kind: autoReply.kind })
+    };
+  }
+
+  /**
+   * Find the lead (and the email being answered)
+   * In-Reply-To / References first - they survive forwarding and changed addresses - then the sender address
+   * @returns {Promise<{lead, emailJob, matchedBy: 'message_id'|'address'}|null>}
+   */
+  async match(message) {
+    const ids = [...new Set([...message.inReplyTo, ...message.references])];
+    if (ids.length > 0) {
+      // Providers store Message-IDs with or without angle brackets
+      const candidates = ids.flatMap(id => [id, id.replace(/^<|>$/g, '')]);
+      const emailJob = await prisma.emailJob.findFirst({
+        where: { brevoMessageId: { in: candidates } },
+        orderBy: { sentAt: 'desc' }
+      });
+      if (emailJob) {
+        const lead = await LeadRepository.findById(emailJob.leadId);
+        if (lead) return { lead, emailJob, matchedBy: 'message_id' };
+      }
+    }
+
+    if (!message.from) return null;
+    const lead = await LeadRepository.findByEmail(message.from);
+    if (!lead) return null;
+
+    const emailJob = await prisma.emailJob.findFirst({
+      where: { leadId: lead.id, sentAt: { not: null } },
+      orderBy: { sentAt: 'desc' }
+    });
+    return { lead, emailJob, matchedBy: 'address' };
+  }
+
+  /**
+   * Auto-reply / out-of-office detection (RFC 3834 headers, vendor headers, subject and body wording)
+   * @returns {{kind: 'out_of_office'|'auto_reply', reason: string}|null}
+   */
+  detectAutoReply(message) {
+    const headers = message.headers || {};
+    const reasons = [];
+
+    const autoSubmitted = (headers['auto-submitted'] || '').toLowerCase();
+    if (autoSubmitted && autoSubmitted !== 'no') reasons.push(`Auto-Submitted: ${autoSubmitted}`);
+    for (const header of ['x-autoreply', 'x-autorespond', 'x-autoresponse']) {
+      if (headers[header] !== undefined) reasons.push(header);
+    }
+    const precedence = (headers.precedence || '').toLowerCase();
+    if (['auto_reply', 'bulk', 'junk'].includes(precedence)) reasons.push(`Precedence: ${precedence}`);
+    if (AUTO_REPLY_SUBJECT.test(message.subject)) reasons.push('Auto-reply subject');
+    if (OUT_OF_OFFICE_SUBJECT.test(message.subject)) reasons.push('Out-of-office subject');
+
+    if (reasons.length === 0) return null;
+    const outOfOffice = OUT_OF_OFFICE_WORDING.test(`${message.subject}\n${message.text.slice(0, 1000)}`);
+    return { kind: outOfOffice ? 'out_of_office' : 'auto_reply', reason: reasons.join(', ') };
+  }
+
+  // Lower-cased header map from an object, a raw header block or Mailgun's [[name, value]] list
+  _parseHeaders(raw) {
+    if (!raw) return {};
+
+    let entries = [];
+    if (typeof raw === 'string') {
+      try {
+        entries = JSON.parse(raw);
+      } catch (error) {
+        // Raw block: unfold continuation lines, then split "Name: value"
+        entries = raw.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).map(line => {
+          const index = line.indexOf(':');
+          return index > 0 ? [line.slice(0, index), line.slice(index + 1)] : null;
+        }).filter(Boolean);
+      }
+    } else {
+      entries = raw;
+    }
+
+    if (!Array.isArray(entries)) entries = Object.entries(entries || {});
+    const headers = {};
+    for (const [name, value] of entries) {
+      const key = String(name).trim().toLowerCase();
+      if (key && headers[key] === undefined) headers[key] = String(Array.isArray(value) ? value[0] : value ?? '').trim();
+    }
+    return headers;
+  }
+
+  _extractIds(value) {
+    if (!value) return [];
+    const bracketed = String(value).match(/<[^<>\s]+>/g);
+    if (bracketed) return bracketed;
+    return String(value).split(/\s+/).filter(Boolean).map(id => `<${id}>`);
+  }
+
+  _extractAddress(value) {
+    if (!value) return null;
+    const text = String(value);
+    const bracketed = text.match(/<([^<>\s]+@[^<>\s]+)>/);
+    const bare = text.match(/[^\s<>"',;:]+@[^\s<>"',;]+/);
+    const address = bracketed ? bracketed[1] : bare?.[0];
+    return address ? address.toLowerCase() : null;
+  }
+
+  // Dedup key for messages without a Message-ID
+  _fingerprint(message) {
+    const hash = crypto.createHash('sha256')
+      .update([message.from, message.subject, message.text.slice(0, 1000)].join('\n'))
+      .digest('hex');
+    return `inbound-${hash.slice(0, 32)}`;
+  }
+}
+
+module.exports = new InboundReplyService();
@@ -3,9 +3,33 @@
 
 const Papa = require('papaparse');
 const XLSX = require('xlsx');
-const { LeadRepository } = require('../repositories');
+const { LeadRepository, ImportJobRepository, ImportMappingPresetRepository, SequenceRepository } = require('../repositories');
 const TimezoneService = require('./TimezoneService');
+const SuppressionService = require('./SuppressionService');
+const EmailSchedulerService = require('./EmailSchedulerService');
 const EventBus = require('../events/EventBus');
+const { importQueue } = require('../queues/emailQueues');
+const { ValidationError, NotFoundError } = require('../lib/errors');
+
+// Lead columns an import can map to - anything else is stored in Lead.customFields
+const CORE_FIELDS = ['email', 'name', 'country', 'city', 'tags'];
+const REQUIRED_FIELDS = ['email', 'name', 'country', 'city'];
+
+// Rows per existing-lead lookup and progress broadcast (progress itself is saved per row)
+const IMPORT_BATCH_SIZE = 100;
+
+// Lazy-load WebSocket to avoid circular dependencies
+let websocketService = null;
+const getWebSocket = () => {
+  if (!websocketService) {
+    try {
+      websocketService = require('../lib/websocket');
+    } catch (e) {
+      // WebSocket not available yet
+    }
+  }
+  return websocketService;
+};
 
 class LeadImportService {
   async parseFile(fileBuffer, fileType) {
@@ -44,19 +68,157 @@ class LeadImportService {
     });
   }
 
+  // ==========================================
+  // COLUMN MAPPING
+  // ==========================================
+
+  /**
+   * Normalize a column or custom field name to a template-safe key
+   * e.g. "Job Title" -> "job_title"
+   */
+  toFieldKey(name) {
+    return String(name)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Check a column mapping before it is used or saved
+   * @param {Object} mapping - { "Spreadsheet Column": "email" | "customKey" | null }
+   * @returns {string[]} Problems (empty when valid)
+   */
+  validateColumnMapping(mapping) {
+    const errors = [];
+    const columnsByField = {};
+
+    for (const [column, target] of Object.entries(mapping || {})) {
+      if (target === null) continue; // Ignored column
+      if (typeof target !== 'string' || !this.toFieldKey(target)) {
+        errors.push(`Column "${column}" has an invalid target`);
+        continue;
+      }
+      const field = this.toFieldKey(target);
+      if (columnsByField[field]) {
+        errors.push(`Columns "${columnsByField[field]}" and "${column}" both map to "${field}"`);
+      }
+      columnsByField[field] = column;
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve the mapping for an import from an inline mapping or a saved preset
+   * @param {Object} source - { mapping?: Object|string, mappingPresetId?: number }
+   *   mapping may be a JSON string (multipart form fields)
+   */
+  async resolveColumnMapping({ mapping, mappingPresetId } = {}) {
+    if (mappingPresetId) {
+      const preset = await ImportMappingPresetRepository.findById(mappingPresetId);
+      if (!preset) throw new NotFoundError('Mapping preset');
+      return preset.mapping;
+    }
+    if (!mapping) return {};
+
+    let parsed = mapping;
+    if (typeof mapping === 'string') {
+      try {
+        parsed = JSON.parse(mapping);
+      } catch (e) {
+        throw new ValidationError('mapping must be valid JSON');
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new ValidationError('mapping must be an object of column -> field');
+    }
+
+    const errors = this.validateColumnMapping(parsed);
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid column mapping', errors);
+    }
+    return parsed;
+  }
+
+  /**
+   * Map parsed rows onto lead fields
+   * Unmapped columns keep their own name: core fields by name, everything else as a custom field
+   * @param {Object} mapping - { "Spreadsheet Column": "email" | "customKey" | null } (null ignores the column)
+   * @returns {Object[]} Rows shaped { email, name, country, city, tags?, customFields }
+   */
+  applyColumnMapping(rows, mapping = {}) {
+    const targets = this._mappingTargets(mapping);
+
+    return rows.map(row => {
+      const mapped = { customFields: {} };
+
+      for (const [column, value] of Object.entries(row)) {
+        const field = this._resolveTarget(column, targets);
+        if (!field) continue;
+        if (value === undefined || value === null || String(value).trim() === '') continue;
+
+        if (field === 'tags') {
+          mapped.tags = this._parseTags(value);
+        } else if (CORE_FIELDS.includes(field)) {
+          mapped[field] = value;
+        } else {
+          mapped.customFields[field] = typeof value === 'string' ? value.trim() : value;
+        }
+      }
+
+      return mapped;
+    });
+  }
+
+  /**
+   * Required lead fields no column maps to
+   * Checked once per file so a bad mapping fails fast instead of on every row
+   */
+  findMissingFields(rows, mapping = {}) {
+    const targets = this._mappingTargets(mapping);
+
+    const columns = new Set();
+    for (const row of rows) {
+      for (const column of Object.keys(row)) columns.add(column);
+    }
+
+    const fields = [...columns].map(column => this._resolveTarget(column, targets));
+    return REQUIRED_FIELDS.filter(field => !fields.includes(field));
+  }
+
+  _mappingTargets(mapping) {
+    const targets = {};
+    for (const [column, target] of Object.entries(mapping || {})) {
+      targets[this.toFieldKey(column)] = target === null ? null : this.toFieldKey(target);
+    }
+    return targets;
+  }
+
+  _resolveTarget(column, targets) {
+    const key = this.toFieldKey(column);
+    return key in targets ? targets[key] : key;
+  }
+
+  _parseTags(value) {
+    const tags = Array.isArray(value) ? value : String(value).split(/[,;]/);
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+
   validateLead(row) {
     const errors = [];
+    const isBlank = (value) => value === undefined || value === null || String(value).trim().length === 0;
     
-    if (!row.email || !this.isValidEmail(row.email)) {
+    if (!row.email || !this.isValidEmail(String(row.email).trim())) {
       errors.push('Invalid email');
     }
-    if (!row.name || row.name.trim().length === 0) {
+    if (isBlank(row.name)) {
       errors.push('Name is required');
     }
-    if (!row.country || row.country.trim().length === 0) {
+    if (isBlank(row.country)) {
       errors.push('Country is required');
     }
-    if (!row.city || row.city.trim().length === 0) {
+    if (isBlank(row.city)) {
       errors.push('City is required');
     }
 
@@ -68,71 +230,481 @@ class LeadImportService {
     return emailRegex.test(email);
   }
 
-  async importLeads(fileBuffer, fileType) {
+  /**
+   * Import leads from a CSV/XLSX buffer
+   * @param {Object} options - { sequenceId?: number, mapping?: Object } - Enroll imported leads in a sequence
+   */
+  async importLeads(fileBuffer, fileType, options = {}) {
+    const rows = await this.parseMappedFile(fileBuffer, fileType, options.mapping);
+    return this.importRows(rows, options);
+  }
+
+  /**
+   * Parse a file and apply the column mapping
+   * @throws {ValidationError} When no column provides a required field
+   */
+  async parseMappedFile(fileBuffer, fileType, mapping = {}) {
     const rows = await this.parseFile(fileBuffer, fileType);
-    const results = { success: 0, failed: 0, errors: [] };
+
+    const missing = this.findMissingFields(rows, mapping);
+    if (rows.length > 0 && missing.length > 0) {
+      throw new ValidationError(
+        `No column mapped to required field(s): ${missing.join(', ')}`,
+        { missing, columns: Object.keys(rows[0]) }
+      );
+    }
+
+    return this.applyColumnMapping(rows, mapping);
+  }
+
+  /**
+   * Import already-parsed rows (file import and JSON API share this path)
+   * @param {Object} options - { sequenceId?: number, onConflict?: 'skip'|'update'|'error', dryRun?: boolean, existingByEmail?: Map }
+   *   onConflict decides what happens when the email already exists (default: 'error')
+   *   dryRun runs every check but writes nothing, and adds a per-row report (results.rows)
+   *   existingByEmail is a prefetched email -> lead map shared across calls (background imports)
+   */
+  async importRows(rows, options = {}) {
+    const results = { success: 0, updated: 0, skipped: 0, failed: 0, suppressed: 0, errors: [] };
+    if (options.dryRun) results.rows = [];
 
     const createdLeads = [];
 
-    for (const row of rows) {
+    // One lookup for the whole batch instead of one per row
+    const existingByEmail = options.existingByEmail || await this._findExistingLeads(rows);
+
+    for (const [index, row] of rows.entries()) {
+      let outcome;
       try {
-        const validationErrors = this.validateLead(row);
-        if (validationErrors) {
-          results.failed++;
-          results.errors.push({ row, errors: validationErrors });
-          continue;
-        }
+        outcome = await this.importRow(row, { ...options, existingByEmail, rowNumber: index + 1 });
+      } catch (error) {
+        outcome = { status: 'failed', errors: [error.message] };
+      }
 
-        // Determine timezone
-        const timezone = TimezoneService.getTimezone(row.country, row.city);
-        if (!timezone) {
-          results.failed++;
-          results.errors.push({ 
-            row, 
-            errors: [`Could not determine timezone for ${row.city}, ${row.country}`] 
-          });
-          continue;
-        }
+      if (outcome.status === 'created') {
+        if (outcome.lead) createdLeads.push(outcome.lead);
+        results.success++;
+      } else if (outcome.status === 'updated') {
+        results.updated++;
+      } else if (outcome.status === 'skipped') {
+        results.skipped++;
+      } else {
+        results.failed++;
+        results.errors.push({ row, index, errors: outcome.errors });
+      }
+      if (outcome.suppressed) results.suppressed++;
+
+      if (options.dryRun) {
+        results.rows.push({
+          row: index + 1,
+          email: row.email || null,
+          status: outcome.status === 'conflict' ? 'failed' : outcome.status,
+          timezone: outcome.timezone || null,
+          ...(outcome.errors && { errors: outcome.errors }),
+          ...(outcome.suppressed && { suppressed: outcome.suppressed })
+        });
+      }
+    }
+
+    results.leads = createdLeads; // Return created leads
+    return results;
+  }
+
+  /**
+   * Validate and create (or upsert) a single lead
+   * In dry-run mode nothing is written; earlier rows of the same file stand in
+   * for the leads they would create, so in-file duplicates are still detected
+   * @returns {Promise<{status: 'created'|'updated'|'skipped'|'failed'|'conflict', lead?: Object, timezone?: string, suppressed?: string, errors?: string[]}>}
+   *   'conflict' is only returned for onConflict 'error' so callers can tell it apart from validation failures
+   */
+  async importRow(row, options = {}) {
+    const validationErrors = this.validateLead(row);
+    if (validationErrors) {
+      return { status: 'failed', errors: validationErrors };
+    }
+
+    const email = String(row.email).toLowerCase().trim();
+    const customFields = row.customFields && typeof row.customFields === 'object' && !Array.isArray(row.customFields)
+      ? row.customFields
+      : {};
+    const name = String(row.name).trim();
+    const country = String(row.country).trim();
+    const city = String(row.city).trim();
+
+    // Determine timezone
+    const timezone = TimezoneService.getTimezone(country, city);
+    if (!timezone) {
+      return {
+        status: 'failed',
+        errors: [`Could not determine timezone for ${city}, ${country}`]
+      };
+    }
+
+    // Check if lead already exists (batch imports pass a prefetched map)
+    const existingLead = options.existingByEmail
+      ? options.existingByEmail.get(email) || null
+      : await LeadRepository.findByEmail(email);
+
+    // A resumed import re-runs the row after its checkpoint - the lead may have been created just before the crash
+    if (options.resumedRow && options.importJobId && existingLead?.importJobId === options.importJobId) {
+      return { status: 'created', lead: existingLead, timezone };
+    }
+
+    const suppressed = await this.checkSuppression(email, existingLead);
 
-        // Check if lead already exists
-        const existingLead = await LeadRepository.findByEmail(row.email);
-        if (existingLead) {
-          results.failed++;
-          results.errors.push({ row, errors: ['Email already exists'] });
-          continue;
+    if (existingLead) {
+      return this._importExisting(existingLead, row, { name, country, city, timezone, customFields }, suppressed, options);
+    }
+
+    // Suppressed addresses are never created (the list outlives deleted leads)
+    if (suppressed) {
+      return { status: 'skipped', timezone, suppressed };
+    }
+
+    if (options.dryRun) {
+      options.existingByEmail?.set(email, { email, dryRunRow: options.rowNumber });
+      return { status: 'created', timezone };
+    }
+
+    // Create lead with Prisma
+    let lead;
+    try {
+      lead = await LeadRepository.create({
+        email,
+        name,
+        country,
+        city,
+        timezone,
+        status: 'pending',
+        tags: Array.isArray(row.tags) ? row.tags : [],
+        customFields,
+        sequenceId: options.sequenceId || null,
+        importJobId: options.importJobId || null
+      });
+    } catch (error) {
+      // Created by a concurrent request or import since the lookup - handle it as an existing lead
+      if (error.code !== 'P2002') throw error;
+      const racedLead = await LeadRepository.findByEmail(email);
+      if (!racedLead) throw error;
+
+      options.existingByEmail?.set(email, racedLead);
+      const racedSuppressed = await this.checkSuppression(email, racedLead);
+      return this._importExisting(racedLead, row, { name, country, city, timezone, customFields }, racedSuppressed, options);
+    }
+    options.existingByEmail?.set(email, lead); // Later duplicates in the same batch conflict with it
+
+    // Emit LeadCreated event
+    await EventBus.emit('LeadCreated', {
+      leadId: lead.id.toString(),
+      email: lead.email,
+      name: lead.name,
+      country: lead.country,
+      city: lead.city,
+      timezone: lead.timezone
+    });
+
+    return { status: 'created', lead, timezone };
+  }
+
+  /**
+   * Apply onConflict to a row whose email already belongs to a lead
+   */
+  async _importExisting(existingLead, row, fields, suppressed, options) {
+    const onConflict = options.onConflict || 'error';
+    const { name, country, city, timezone, customFields } = fields;
+
+    if (onConflict === 'skip') {
+      return { status: 'skipped', lead: existingLead, timezone, suppressed };
+    }
+    if (onConflict === 'update') {
+      if (options.dryRun) {
+        return { status: 'updated', timezone, suppressed };
+      }
+      const updates = { name, country, city, timezone };
+      if (Array.isArray(row.tags) && row.tags.length > 0) {
+        updates.tags = [...new Set([...(existingLead.tags || []), ...row.tags])];
+      }
+      if (Object.keys(customFields).length > 0) {
+        updates.customFields = { ...(existingLead.customFields || {}), ...customFields };
+      }
+      const lead = await LeadRepository.update(existingLead.id, updates);
+
+      // Moving to another sequence goes through enrollment, which cancels the old chain's pending jobs
+      if (options.sequenceId && existingLead.sequenceId !== options.sequenceId) {
+        const sequence = await SequenceRepository.findById(options.sequenceId);
+        if (sequence) {
+          await EmailSchedulerService.enrollLeads(sequence, [existingLead.id]);
+          lead.sequenceId = sequence.id;
         }
+      }
+      return { status: 'updated', lead, timezone, suppressed };
+    }
+    return {
+      status: 'conflict',
+      lead: existingLead,
+      timezone,
+      suppressed,
+      errors: [existingLead.dryRunRow
+        ? `Duplicate of row ${existingLead.dryRunRow} in this file`
+        : 'Email already exists']
+    };
+  }
 
-        // Create lead with Prisma
-        const lead = await LeadRepository.create({
-          email: row.email.toLowerCase().trim(),
-          name: row.name.trim(),
-          country: row.country.trim(),
-          city: row.city.trim(),
-          timezone,
-          status: 'pending'
-        });
+  /**
+   * Why an email should not be mailed, if anything
+   * Existing leads in a terminal state (dead, unsubscribed, complaint) and addresses
+   * on the global suppression list are suppressed
+   * @returns {Promise<string|null>}
+   */
+  async checkSuppression(email, existingLead) {
+    if (existingLead?.terminalState) {
+      return `Lead is ${existingLead.terminalState}`;
+    }
+    const entry = await SuppressionService.check(email);
+    return entry ? SuppressionService.describe(entry) : null;
+  }
+
+  /**
+   * Run the whole import pipeline on a file without writing anything
+   * @param {Object} options - { sequenceId, mapping, onConflict }
+   * @returns {Promise<Object>} { summary, rows } - rows holds each row's outcome, timezone and errors
+   */
+  async dryRunImport(fileBuffer, fileType, options = {}) {
+    const rows = await this.parseMappedFile(fileBuffer, fileType, options.mapping);
+    const results = await this.importRows(rows, { ...options, dryRun: true });
+
+    return {
+      summary: {
+        total: rows.length,
+        created: results.success,
+        updated: results.updated,
+        skipped: results.skipped,
+        failed: results.failed,
+        suppressed: results.suppressed
+      },
+      rows: results.rows
+    };
+  }
+
+  /**
+   * Schedule the first email for newly created leads
+   * Scheduling failures are reported, not thrown - the leads are already saved
+   */
+  async scheduleImportedLeads(leads) {
+    let schedulingResults = { scheduled: 0, failed: 0, errors: [] };
+    if (!leads || leads.length === 0) return schedulingResults;
+
+    try {
+      const leadIds = leads.map(l => l.id.toString());
+      schedulingResults = await EmailSchedulerService.scheduleEmailsForLeads(leadIds);
+    } catch (scheduleError) {
+      console.error('Auto-scheduling failed:', scheduleError);
+      schedulingResults.errors.push({
+        error: 'Auto-scheduling failed',
+        details: scheduleError.message
+      });
+    }
+    return schedulingResults;
+  }
+
+  // ==========================================
+  // BACKGROUND IMPORTS
+  // ==========================================
+
+  /**
+   * Parse a file and queue it as a background import
+   * Rows are stored already mapped, so a resumed import doesn't need the mapping again
+   * @param {Object} options - { fileName, sequenceId, mapping, onConflict, createdBy }
+   */
+  async createImportJob(fileBuffer, fileType, options = {}) {
+    const rows = await this.parseMappedFile(fileBuffer, fileType, options.mapping);
+
+    const importJob = await ImportJobRepository.create({
+      fileName: options.fileName,
+      rows,
+      options: {
+        sequenceId: options.sequenceId || null,
+        onConflict: options.onConflict || 'error',
+        mapping: options.mapping || {}
+      },
+      createdBy: options.createdBy
+    });
 
-        createdLeads.push(lead);
+    await this.enqueueImportJob(importJob.id);
+    console.log(`[LeadImport] Queued import ${importJob.id} (${importJob.totalRows} rows)`);
+    return importJob;
+  }
+
+  /**
+   * Add (or re-add) the queue job for an import
+   * The job id is fixed per import so it is never queued twice
+   */
+  async enqueueImportJob(importJobId) {
+    const jobId = `import-${importJobId}`;
+
+    const existing = await importQueue.getJob(jobId);
+    if (existing) {
+      const state = await existing.getState();
+      if (state !== 'completed' && state !== 'failed') {
+        return existing; // Still waiting/active - a worker will pick it up
+      }
+      await existing.remove();
+    }
 
-        // Emit LeadCreated event
-        await EventBus.emit('LeadCreated', {
-          leadId: lead.id.toString(),
-          email: lead.email,
-          name: lead.name,
-          country: lead.country,
-          city: lead.city,
-          timezone: lead.timezone
+    return importQueue.add('importLeads', { importJobId }, { jobId });
+  }
+
+  /**
+   * Process an import from its last checkpoint
+   * Called by the import worker - safe to call again after a crash or restart
+   * Progress is saved after every row, and created leads carry the import's id, so a crash
+   * re-runs at most one row and that row is recognised instead of failing as a duplicate
+   */
+  async processImportJob(importJobId) {
+    let importJob = await ImportJobRepository.findById(importJobId);
+    if (!importJob) {
+      console.warn(`[LeadImport] Import ${importJobId} not found, skipping`);
+      return null;
+    }
+    if (importJob.status === 'completed') return importJob;
+
+    if (importJob.processedRows > 0) {
+      console.log(`[LeadImport] Resuming import ${importJob.id} at row ${importJob.processedRows + 1}/${importJob.totalRows}`);
+    }
+
+    importJob = await ImportJobRepository.update(importJob.id, {
+      status: 'processing',
+      startedAt: importJob.startedAt || new Date(),
+      lastError: null
+    });
+    this._emitImportProgress(importJob);
+
+    const rows = await ImportJobRepository.findRows(importJob.id);
+    const { sequenceId, onConflict } = importJob.options;
+    const resumeRow = importJob.processedRows + 1;
+
+    for (let start = importJob.processedRows; start < rows.length; start += IMPORT_BATCH_SIZE) {
+      const batch = rows.slice(start, start + IMPORT_BATCH_SIZE);
+      const existingByEmail = await this._findExistingLeads(batch);
+
+      for (const [offset, row] of batch.entries()) {
+        const rowNumber = start + offset + 1;
+        const results = await this.importRows([row], {
+          sequenceId,
+          onConflict,
+          importJobId: importJob.id,
+          existingByEmail,
+          resumedRow: rowNumber === resumeRow
         });
+        const scheduling = await this.scheduleImportedLeads(results.leads);
 
-        results.success++;
-      } catch (error) {
-        results.failed++;
-        results.errors.push({ row, errors: [error.message] });
+        importJob = await ImportJobRepository.recordBatch(importJob.id, {
+          processedRows: rowNumber,
+          success: results.success,
+          updated: results.updated,
+          skipped: results.skipped,
+          failed: results.failed,
+          scheduled: scheduling.scheduled || 0,
+          rowErrors: results.errors.map(e => ({
+            rowNumber,
+            data: e.row,
+            errors: e.errors
+          }))
+        });
       }
+      this._emitImportProgress(importJob);
     }
 
-    results.leads = createdLeads; // Return created leads
-    return results;
+    importJob = await ImportJobRepository.update(importJob.id, {
+      status: 'completed',
+      completedAt: new Date()
+    });
+    this._emitImportProgress(importJob);
+
+    console.log(`[LeadImport] Import ${importJob.id} completed: ${importJob.successCount} created, ${importJob.failedCount} failed`);
+    return importJob;
+  }
+
+  /**
+   * Mark an import as failed once the queue has given up on it
+   * Progress is kept so it can be resumed
+   */
+  async markImportFailed(importJobId, errorMessage) {
+    const importJob = await ImportJobRepository.update(importJobId, {
+      status: 'failed',
+      lastError: errorMessage
+    });
+    this._emitImportProgress(importJob);
+    return importJob;
+  }
+
+  /**
+   * Re-queue imports that were queued or running when the process stopped
+   * (covers queue jobs lost from Redis - stalled jobs are retried by BullMQ itself)
+   */
+  async resumeInterruptedImports() {
+    const importJobs = await ImportJobRepository.findResumable();
+    for (const importJob of importJobs) {
+      await this.enqueueImportJob(importJob.id);
+    }
+    if (importJobs.length > 0) {
+      console.log(`[LeadImport] Re-queued ${importJobs.length} interrupted import(s)`);
+    }
+    return importJobs.length;
+  }
+
+  /**
+   * Build the per-row error report as CSV
+   * Columns: row number, the original columns, then the errors
+   */
+  async buildErrorReport(importJobId) {
+    const rowErrors = await ImportJobRepository.findRowErrors(importJobId);
+    const rows = rowErrors.map(rowError => this._flattenRow(rowError.data));
+
+    const columns = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!columns.includes(key)) columns.push(key);
+      }
+    }
+
+    return Papa.unparse({
+      fields: ['row', ...columns, 'errors'],
+      data: rowErrors.map((rowError, index) => [
+        rowError.rowNumber,
+        ...columns.map(key => rows[index][key] ?? ''),
+        rowError.errors.join('; ')
+      ])
+    });
+  }
+
+  /**
+   * Existing leads for the rows' valid emails, keyed by email
+   */
+  async _findExistingLeads(rows) {
+    const emails = rows
+      .filter(row => row.email && this.isValidEmail(String(row.email).trim()))
+      .map(row => String(row.email));
+    return LeadRepository.findByEmails(emails);
+  }
+
+  /**
+   * Mapped row back to flat columns (custom fields become their own columns)
+   */
+  _flattenRow(data) {
+    const { customFields, tags, ...fields } = data || {};
+    return {
+      ...fields,
+      ...(Array.isArray(tags) && { tags: tags.join(', ') }),
+      ...(customFields || {})
+    };
+  }
+
+  _emitImportProgress(importJob) {
+    const ws = getWebSocket();
+    if (!ws || !ws.isInitialized) return;
+
+    ws.emitImportProgress(importJob);
   }
 }
 
@@ -0,0 +1,162 @@
+// services/MachineEventService.js
+// Flags opens and clicks that were most likely made by a machine, not the recipient
+// (Apple Mail Privacy Protection prefetching, corporate link scanners, preview bots)
+//
+// Signals, any one of which flags the event:
+//   userAgent - empty, generic or a known scanner/HTTP client user agent
+//   ipRange   - address in the local list (config/machine-ip-ranges.txt)
+//   timing    - too soon after delivery (sent time when there's no delivery yet) for a person
+//
+// AnalyticsService.handleEvent records flagged events in the lead's history as machine_opened /
+// machine_clicked, without touching the job status, counters, score or conditional triggers -
+// so they stay out of the analytics rates (shown with ?includeMachine=true).
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { SettingsRepository } = require('../repositories');
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  userAgents: true,
+  ipRanges: true,
+  // Events sooner than this after delivery are flagged (0 turns the check off)
+  minSecondsAfterDelivery: { opened: 2, clicked: 10 }
+};
+
+const ENGAGEMENT_EVENTS = ['opened', 'unique_opened', 'clicked'];
+
+const MACHINE_USER_AGENTS = [
+  // Apple MPP proxy sends a bare "Mozilla/5.0" with no platform details
+  /^Mozilla\/5\.0$/i,
+  /bot\b|crawler|spider|scanner|preview/i,
+  /python-requests|python-urllib|curl\/|wget|go-http-client|java\/|okhttp|libwww|httpclient|axios|node-fetch/i,
+  /headlesschrome|phantomjs/i,
+  /barracuda|mimecast|proofpoint|symantec|trend ?micro|forcepoint|sophos|safelinks|microsoft office existence discovery/i
+];
+
+class MachineEventService {
+  constructor() {
+    this._blockList = null;
+  }
+
+  async getConfig() {
+    const settings = await SettingsRepository.getSettings();
+    const stored = settings.machineEventFilter || {};
+    return {
+      ...DEFAULT_CONFIG,
+      ...stored,
+      minSecondsAfterDelivery: { ...DEFAULT_CONFIG.minSecondsAfterDelivery, ...(stored.minSecondsAfterDelivery || {}) }
+    };
+  }
+
+  async updateConfig(updates, updatedBy = 'system') {
+    const current = await this.getConfig();
+    const config = {
+      ...current,
+      ...updates,
+      minSecondsAfterDelivery: { ...current.minSecondsAfterDelivery, ...(updates.minSecondsAfterDelivery || {}) }
+    };
+    await SettingsRepository.updateSettings({ machineEventFilter: config }, updatedBy);
+    return config;
+  }
+
+  /**
+   * Classify an engagement event
+   * @param {Object} rawEvent - handleEvent event (userAgent/ip when the source reports them)
+   * @param {string} eventType - Normalized type (opened, unique_opened, clicked)
+   * @param {Object} emailJob - Job the event belongs to (deliveredAt/sentAt for the timing check)
+   * @returns {Promise<{machine: boolean, reasons: string[]}>}
+   */
+  async classify(rawEvent, eventType, emailJob, config = null) {
+    const result = { machine: false, reasons: [] };
+    if (!ENGAGEMENT_EVENTS.includes(eventType)) return result;
+
+    config = config || (await this.getConfig());
+    if (!config.enabled) return result;
+
+    const userAgent = rawEvent.userAgent ?? rawEvent.user_agent;
+    if (config.userAgents && userAgent !== undefined) {
+      const agent = String(userAgent || '').trim();
+      if (!agent) {
+        result.reasons.push('userAgent:empty');
+      } else if (MACHINE_USER_AGENTS.some(pattern => pattern.test(agent))) {
+        result.reasons.push(`userAgent:${agent.slice(0, 100)}`);
+      }
+    }
+
+    const ip = this._normalizeIp(rawEvent.ip);
+    if (config.ipRanges && ip && this.isMachineIp(ip)) {
+      result.reasons.push(`ipRange:${ip}`);
+    }
+
+    const minSeconds = config.minSecondsAfterDelivery[eventType === 'clicked' ? 'clicked' : 'opened'];
+    const deliveredAt = emailJob?.deliveredAt || emailJob?.sentAt;
+    if (minSeconds > 0 && deliveredAt) {
+      const eventAt = rawEvent.date ? new Date(rawEvent.date) : new Date();
+      const seconds = (eventAt - new Date(deliveredAt)) / 1000;
+      if (seconds >= 0 && seconds < minSeconds) {
+        result.reasons.push(`timing:${Math.round(seconds * 10) / 10}s`);
+      }
+    }
+
+    result.machine = result.reasons.length > 0;
+    return result;
+  }
+
+  /**
+   * Whether an address is in the local machine IP range list
+   */
+  isMachineIp(ip) {
+    const address = this._normalizeIp(ip);
+    const family = net.isIP(address);
+    if (!family) return false;
+    return this._getBlockList().check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  _getBlockList() {
+    if (this._blockList) return this._blockList;
+
+    const blockList = new net.BlockList();
+    const file = path.resolve(process.env.MACHINE_IP_RANGES_FILE || path.join(__dirname, '../config/machine-ip-ranges.txt'));
+    let lines = [];
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n');
+    } catch (error) {
+      console.warn(`[MachineEvents] Could not read IP range list ${file}: ${error.message}`);
+    }
+
+    let count = 0;
+    for (const line of lines) {
+      const entry = line.replace(/#.*/, '').trim();
+      if (!entry) continue;
+
+      const [address, prefix] = entry.split('/');
+      const family = net.isIP(address);
+      if (!family) {
+        console.warn(`[MachineEvents] Ignoring invalid IP range "${entry}"`);
+        continue;
+      }
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      const bits = prefix === undefined ? (family === 6 ? 128 : 32) : parseInt(prefix);
+      try {
+        blockList.addSubnet(address, bits, type);
+        count++;
+      } catch (error) {
+        console.warn(`[MachineEvents] Ignoring invalid IP range "${entry}": ${error.message}`);
+      }
+    }
+
+    console.log(`[MachineEvents] Loaded ${count} machine IP range(s)`);
+    this._blockList = blockList;
+    return blockList;
+  }
+
+  // Express reports IPv4 clients as IPv4-mapped IPv6 (::ffff:1.2.3.4)
+  _normalizeIp(ip) {
+    if (!ip) return null;
+    return String(ip).trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  }
+}
+
+module.exports = new MachineEventService();
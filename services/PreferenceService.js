@@ -0,0 +1,210 @@
+// services/PreferenceService.js
+// Per-lead email preferences (preference center) - a softer alternative to unsubscribing
+//
+// Lead.emailPreferences = { optOut: [category], frequency, snoozedUntil, updatedAt, updatedVia }
+//   optOut        categories the lead no longer receives (jobs are cancelled)
+//   frequency     normal | weekly | monthly - minimum days between two emails (jobs are deferred)
+//   snoozedUntil  no email at all before this time (jobs are deferred)
+//
+// Honored by EmailSchedulerService (sequence steps aren't scheduled/placed too early) and by
+// emailWorker right before sending (covers conditional and manual emails and older jobs).
+
+const moment = require('moment-timezone');
+const { prisma } = require('../lib/prisma');
+const { LeadRepository } = require('../repositories');
+const { ValidationError } = require('../lib/errors');
+
+// Category -> label shown on the preference page
+const CATEGORIES = {
+  followups: 'Follow-up emails',
+  conditional: 'Emails triggered by your activity',
+  newsletters: 'Newsletters and one-off announcements'
+};
+
+// Frequency -> minimum days between two emails
+const FREQUENCIES = {
+  normal: 0,
+  weekly: 7,
+  monthly: 30
+};
+
+const MAX_SNOOZE_WEEKS = 26;
+
+class PreferenceService {
+
+  getCategories() {
+    return CATEGORIES;
+  }
+
+  getFrequencies() {
+    return Object.keys(FREQUENCIES);
+  }
+
+  /**
+   * A lead's preferences with defaults (an expired snooze reads as null)
+   */
+  getPreferences(lead) {
+    const stored = lead?.emailPreferences || {};
+    const snoozedUntil = stored.snoozedUntil && new Date(stored.snoozedUntil) > new Date()
+      ? stored.snoozedUntil
+      : null;
+    return {
+      optOut: Array.isArray(stored.optOut) ? stored.optOut : [],
+      frequency: FREQUENCIES[stored.frequency] !== undefined ? stored.frequency : 'normal',
+      snoozedUntil,
+      updatedAt: stored.updatedAt || null
+    };
+  }
+
+  /**
+   * Preference category of an email job (or { type, metadata })
+   * metadata.category wins; otherwise conditional mails are 'conditional', manual mails are
+   * 'newsletters' (one-off sends) and sequence steps (initial + followups) are 'followups'
+   */
+  getCategory(emailJob) {
+    if (CATEGORIES[emailJob.metadata?.category]) return emailJob.metadata.category;
+    if (emailJob.metadata?.conditionalEmailId) return 'conditional';
+
+    const RulebookService = require('./RulebookService');
+    const mailType = RulebookService.getMailType(emailJob.type);
+    if (mailType.id === 'conditional') return 'conditional';
+    if (mailType.id === 'manual' || emailJob.metadata?.manual === true) return 'newsletters';
+    return 'followups';
+  }
+
+  isOptedOut(lead, category) {
+    return this.getPreferences(lead).optOut.includes(category);
+  }
+
+  /**
+   * Earliest time the lead may get another email (snooze and frequency), null when now is fine
+   * The frequency gap counts whole days in the lead's timezone from the last send
+   */
+  async getEarliestSendTime(lead) {
+    if (!lead?.emailPreferences) return null;
+    const preferences = this.getPreferences(lead);
+    const candidates = [];
+
+    if (preferences.snoozedUntil) {
+      candidates.push(new Date(preferences.snoozedUntil));
+    }
+
+    const gapDays = FREQUENCIES[preferences.frequency];
+    if (gapDays > 0) {
+      const lastSent = await prisma.emailJob.findFirst({
+        where: { leadId: lead.id, sentAt: { not: null } },
+        orderBy: { sentAt: 'desc' },
+        select: { sentAt: true }
+      });
+      if (lastSent) {
+        candidates.push(
+          moment(lastSent.sentAt).tz(lead.timezone || 'UTC').add(gapDays, 'days').startOf('day').toDate()
+        );
+      }
+    }
+
+    const earliest = candidates.sort((a, b) => b - a)[0];
+    return earliest && earliest > new Date() ? earliest : null;
+  }
+
+  /**
+   * Send-time check for a job
+   * @returns {Promise<{action: 'cancel'|'defer', reason: string, until?: Date}|null>} null when the job may go out
+   */
+  async checkSend(lead, emailJob) {
+    if (!lead?.emailPreferences) return null;
+
+    const category = this.getCategory(emailJob);
+    if (this.isOptedOut(lead, category)) {
+      return { action: 'cancel', reason: `Lead opted out of ${category} emails (preference center)` };
+    }
+
+    const until = await this.getEarliestSendTime(lead);
+    if (until) {
+      const preferences = this.getPreferences(lead);
+      const why = preferences.snoozedUntil && new Date(preferences.snoozedUntil) >= until
+        ? 'snoozed'
+        : `${preferences.frequency} frequency`;
+      return { action: 'defer', until, reason: `Lead preferences (${why}) - deferred to ${until.toISOString()}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Update preferences
+   * @param {Object} updates - { optOut?: string[], frequency?: string, snoozeWeeks?: number } (snoozeWeeks 0 clears)
+   * @param {string} updatedVia - 'preference_center' or the staff user's email
+   * @throws {ValidationError}
+   */
+  async update(lead, updates, updatedVia = 'preference_center') {
+    const preferences = this.getPreferences(lead);
+
+    if (updates.optOut !== undefined) {
+      const optOut = [...new Set([].concat(updates.optOut || []))];
+      const unknown = optOut.filter(category => !CATEGORIES[category]);
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown email categories: ${unknown.join(', ')}`);
+      }
+      preferences.optOut = optOut;
+    }
+
+    if (updates.frequency !== undefined) {
+      if (FREQUENCIES[updates.frequency] === undefined) {
+        throw new ValidationError(`Frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+      }
+      preferences.frequency = updates.frequency;
+    }
+
+    if (updates.snoozeWeeks !== undefined && updates.snoozeWeeks !== '') {
+      const weeks = parseInt(updates.snoozeWeeks);
+      if (isNaN(weeks) || weeks < 0 || weeks > MAX_SNOOZE_WEEKS) {
+        throw new ValidationError(`Snooze must be between 0 and ${MAX_SNOOZE_WEEKS} weeks`);
+      }
+      preferences.snoozedUntil = weeks > 0 ? moment().add(weeks, 'weeks').toISOString() : null;
+    }
+
+    const emailPreferences = {
+      ...preferences,
+      updatedAt: new Date().toISOString(),
+      updatedVia
+    };
+    await LeadRepository.update(lead.id, { emailPreferences });
+
+    // Pending jobs in categories the lead just opted out of won't be sent anyway
+    const cancelled = await this._cancelOptedOutJobs(lead.id, emailPreferences.optOut);
+
+    await LeadRepository.addEvent(lead.id, 'preferences_updated', {
+      optOut: emailPreferences.optOut,
+      frequency: emailPreferences.frequency,
+      snoozedUntil: emailPreferences.snoozedUntil,
+      cancelledJobs: cancelled,
+      source: updatedVia
+    });
+
+    console.log(`[Preferences] Lead ${lead.id} updated via ${updatedVia}: optOut=[${emailPreferences.optOut.join(', ')}] frequency=${emailPreferences.frequency} snoozedUntil=${emailPreferences.snoozedUntil || '-'}`);
+    return { ...emailPreferences, cancelledJobs: cancelled };
+  }
+
+  async _cancelOptedOutJobs(leadId, optOut) {
+    if (optOut.length === 0) return 0;
+
+    const RulebookService = require('./RulebookService');
+    const activeJobs = await prisma.emailJob.findMany({
+      where: { leadId, status: { in: RulebookService.getActiveStatuses() } },
+      select: { id: true, type: true, metadata: true }
+    });
+    const ids = activeJobs
+      .filter(job => optOut.includes(this.getCategory(job)))
+      .map(job => job.id);
+    if (ids.length === 0) return 0;
+
+    const result = await prisma.emailJob.updateMany({
+      where: { id: { in: ids } },
+      data: { status: 'cancelled', lastError: 'Lead opted out of this email category (preference center)' }
+    });
+    return result.count;
+  }
+}
+
+module.exports = new PreferenceService();
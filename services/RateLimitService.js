@@ -4,6 +4,10 @@
 const redisConnection = require('../config/redis');
 const { SettingsRepository } = require('../repositories');
 const RulebookService = require('./RulebookService');
+const moment = require('moment-timezone');
+
+// Day keys (sender identity, recipient domain) outlive the day so late reservations still see the count
+const DAY_KEY_TTL = 2 * 24 * 60 * 60;
 
 class RateLimitService {
   constructor() {
@@ -24,7 +28,8 @@ class RateLimitService {
       const settings = await SettingsRepository.getSettings();
       const limits = {
         maxEmails: settings.rateLimit?.emailsPerWindow || 2,
-        windowMs: (settings.rateLimit?.windowMinutes || 15) * 60 * 1000
+        windowMs: (settings.rateLimit?.windowMinutes || 15) * 60 * 1000,
+        domainThrottles: settings.domainThrottles || []
       };
       
       this.cachedSettings = limits;
@@ -33,10 +38,15 @@ class RateLimitService {
     } catch (error) {
       console.error('Error fetching rate limits:', error);
       // Fallback defaults
-      return { maxEmails: 2, windowMs: 15 * 60 * 1000 };
+      return { maxEmails: 2, windowMs: 15 * 60 * 1000, domainThrottles: [] };
     }
   }
 
+  invalidateCache() {
+    this.cachedSettings = null;
+    this.lastCacheTime = 0;
+  }
+
   getRateLimitKey(timezone, windowStart) {
     // Global Rate Limiting: Ignoring timezone to enforce single queue
     return `ratelimit:global:${windowStart}`;
@@ -47,7 +57,14 @@ class RateLimitService {
     return Math.floor(timestamp / limits.windowMs) * limits.windowMs;
   }
 
-  async reserveSlot(timezone, targetTime) {
+  /**
+   * Reserve a send slot in targetTime's window
+   * @param {Object} options - { senderIdentity, email }
+   *   senderIdentity also enforces the identity's daily/warm-up limit
+   *   email (the lead's) also enforces its recipient domain's per-window/per-day limits
+   * @returns {Promise<{success: boolean, reservedTime?: Date, nextWindow?: Date, reason?: string}>}
+   */
+  async reserveSlot(timezone, targetTime, options = {}) {
     const timestamp = targetTime.getTime();
     const limits = await this.getLimits();
     
@@ -85,7 +102,26 @@ class RateLimitService {
       };
     }
 
-    // 2. INCREMENT REDIS (Concurrency Guard)
+    // 2. SENDER DAILY LIMIT (warm-up ramp / daily cap) - full days move to the next UTC day
+    // Keys reserved here are given back if a later check fails
+    const reservedKeys = [];
+    if (options.senderIdentity) {
+      const sender = await this._reserveSenderDay(options.senderIdentity, targetTime);
+      if (!sender.success) return sender;
+      if (sender.key) reservedKeys.push(sender.key);
+    }
+
+    // 3. RECIPIENT DOMAIN (per window / per UTC day)
+    if (options.email) {
+      const domain = await this._reserveDomain(options.email, targetTime);
+      if (!domain.success) {
+        await this._releaseKeys(reservedKeys);
+        return domain;
+      }
+      reservedKeys.push(...domain.keys);
+    }
+
+    // 4. INCREMENT REDIS (Concurrency Guard)
     // We use Redis `incr` to handle race conditions between parallel processes
     // If Redis is empty/expired, we initialize it with current DB count
     const redisCount = await this.redis.get(key);
@@ -104,6 +140,8 @@ class RateLimitService {
     // Double check: if Redis says full (even if DB said available moments ago), trust Redis (safer)
     if (newCount > limits.maxEmails) {
       console.log(`[RateLimit] Slot full (Redis): ${newCount}/${limits.maxEmails}`);
+      // Give back the sender/domain reservations - this job goes to another window
+      await this._releaseKeys(reservedKeys);
       return {
         success: false,
         nextWindow: new Date(windowEnd)
@@ -116,6 +154,217 @@ class RateLimitService {
     };
   }
 
+  /**
+   * Count a job against the sender identity's limit for targetTime's UTC day
+   * Same DB-then-Redis pattern as the global window check
+   */
+  async _reserveSenderDay(identity, targetTime) {
+    const SenderIdentityService = require('./SenderIdentityService');
+    const capacity = await SenderIdentityService.getDayCapacity(identity, targetTime);
+    if (capacity.limit === null) return { success: true, key: null };
+
+    const nextDay = moment.utc(targetTime).startOf('day').add(1, 'day').toDate();
+    const key = this.getSenderKey(identity.id, capacity.date);
+    const full = {
+      success: false,
+      nextWindow: nextDay,
+      reason: `Sender "${identity.name}" reached its ${capacity.warmup && !capacity.warmup.complete ? `warm-up limit (day ${capacity.warmup.day})` : 'daily cap'} of ${capacity.limit} for ${capacity.date}`
+    };
+
+    if (capacity.remaining === 0) {
+      console.log(`[RateLimit] Sender full (DB): ${capacity.used}/${capacity.limit} for ${identity.name} on ${capacity.date}`);
+      await this.redis.set(key, capacity.used, 'EX', DAY_KEY_TTL);
+      return full;
+    }
+
+    if (!(await this.redis.get(key))) {
+      await this.redis.set(key, capacity.used, 'EX', DAY_KEY_TTL);
+    }
+    const newCount = await this.redis.incr(key);
+    if (newCount > capacity.limit) {
+      console.log(`[RateLimit] Sender full (Redis): ${newCount}/${capacity.limit} for ${identity.name} on ${capacity.date}`);
+      await this.redis.decr(key);
+      return full;
+    }
+
+    return { success: true, key };
+  }
+
+  // ==========================================
+  // PER-RECIPIENT-DOMAIN THROTTLING
+  // Settings.domainThrottles: [{ domain, perWindow, perDay }] - "*" applies to every other domain,
+  // each counted on its own. Reservations count scheduled jobs; dispatch (emailWorker) counts sends.
+  // Counts use the indexed EmailJob.recipientDomain column (set from getRecipientDomain on create).
+  // ==========================================
+
+  getRecipientDomain(email) {
+    const at = (email || '').lastIndexOf('@');
+    return at === -1 ? null : email.slice(at + 1).trim().toLowerCase();
+  }
+
+  getDomainRule(domain, throttles = []) {
+    if (!domain) return null;
+    return throttles.find(t => t.domain === domain) || throttles.find(t => t.domain === '*') || null;
+  }
+
+  getDomainKey(domain, period) {
+    return `ratelimit:domain:${domain}:${period}`;
+  }
+
+  /**
+   * Recipient domain usage for the window and UTC day containing timestamp (email may be "@domain")
+   * @param {Object} options - { sent: true } counts sends (dispatch) instead of scheduled jobs (reservation)
+   * @returns {Promise<Object|null>} { domain, rule, window, day, available, nextWindow } - null when not throttled
+   */
+  async getDomainCapacity(email, timestamp, options = {}) {
+    const limits = await this.getLimits();
+    const domain = this.getRecipientDomain(email);
+    const rule = this.getDomainRule(domain, limits.domainThrottles);
+    if (!rule) return null;
+
+    const windowStart = Math.floor(timestamp / limits.windowMs) * limits.windowMs;
+    const windowEnd = windowStart + limits.windowMs;
+    const dayStart = moment.utc(timestamp).startOf('day');
+    const dayEnd = dayStart.clone().add(1, 'day');
+
+    const windowUsed = rule.perWindow
+      ? await this._countDomainJobs(domain, new Date(windowStart), new Date(windowEnd), options.sent)
+      : 0;
+    const dayUsed = rule.perDay
+      ? await this._countDomainJobs(domain, dayStart.toDate(), dayEnd.toDate(), options.sent)
+      : 0;
+    const usage = (used, limit) => ({
+      used,
+      limit: limit || null,
+      remaining: limit ? Math.max(0, limit - used) : null
+    });
+
+    const window = { start: new Date(windowStart), ...usage(windowUsed, rule.perWindow) };
+    const day = { date: dayStart.format('YYYY-MM-DD'), ...usage(dayUsed, rule.perDay) };
+    return {
+      domain,
+      rule: rule.domain,
+      window,
+      day,
+      available: window.remaining !== 0 && day.remaining !== 0,
+      nextWindow: day.remaining === 0 ? dayEnd.toDate() : new Date(windowEnd)
+    };
+  }
+
+  async _countDomainJobs(domain, start, end, sent = false) {
+    const { prisma } = require('../lib/prisma');
+    const where = { recipientDomain: domain };
+    if (sent) {
+      where.sentAt = { gte: start, lt: end };
+    } else {
+      where.scheduledFor = { gte: start, lt: end };
+      where.status = { in: RulebookService.getInProgressStatuses() };
+    }
+    return prisma.emailJob.count({ where });
+  }
+
+  /**
+   * Count a job against its recipient domain's window and day limits
+   * Same DB-then-Redis pattern as the global window check
+   */
+  async _reserveDomain(email, targetTime) {
+    const capacity = await this.getDomainCapacity(email, targetTime.getTime());
+    if (!capacity) return { success: true, keys: [] };
+
+    const limits = await this.getLimits();
+    const full = (period) => ({
+      success: false,
+      nextWindow: period === 'day'
+        ? moment.utc(targetTime).startOf('day').add(1, 'day').toDate()
+        : new Date(capacity.window.start.getTime() + limits.windowMs),
+      reason: `Recipient domain ${capacity.domain} reached its ${period === 'day' ? 'daily' : 'per-window'} limit`
+    });
+
+    if (!capacity.available) {
+      const period = capacity.day.remaining === 0 ? 'day' : 'window';
+      console.log(`[RateLimit] Domain full (DB): ${capacity.domain} ${period} ${capacity[period].used}/${capacity[period].limit}`);
+      return full(period);
+    }
+
+    const checks = [
+      ['window', this.getDomainKey(capacity.domain, capacity.window.start.getTime()), Math.ceil(limits.windowMs / 1000) * 2],
+      ['day', this.getDomainKey(capacity.domain, capacity.day.date), DAY_KEY_TTL]
+    ].filter(([period]) => capacity[period].limit !== null);
+
+    const keys = [];
+    for (const [period, key, ttl] of checks) {
+      if (!(await this.redis.get(key))) {
+        await this.redis.set(key, capacity[period].used, 'EX', ttl);
+      }
+      keys.push(key);
+      const newCount = await this.redis.incr(key);
+      if (newCount > capacity[period].limit) {
+        console.log(`[RateLimit] Domain full (Redis): ${capacity.domain} ${period} ${newCount}/${capacity[period].limit}`);
+        await this._releaseKeys(keys);
+        return full(period);
+      }
+    }
+
+    return { success: true, keys };
+  }
+
+  async _releaseKeys(keys) {
+    for (const key of keys) {
+      await this.redis.decr(key);
+    }
+  }
+
+  getSenderKey(identityId, date) {
+    return `ratelimit:sender:${identityId}:${date}`;
+  }
+
+  getSenderSentKey(identityId, date) {
+    return `ratelimit:sender:sent:${identityId}:${date}`;
+  }
+
+  /**
+   * Claim one of the sender identity's sends for today at dispatch (emailWorker)
+   * Counts sends rather than scheduled jobs; the DB count seeds the Redis counter and INCR
+   * makes the claim atomic across workers
+   * @returns {Promise<{success: boolean, key: string|null, usage: Object}>} release the key if the email doesn't go out
+   */
+  async reserveSenderSend(identity, now = new Date()) {
+    const SenderIdentityService = require('./SenderIdentityService');
+    const usage = await SenderIdentityService.getDailyUsage(identity, now);
+    if (usage.cap === null) return { success: true, key: null, usage };
+
+    const key = this.getSenderSentKey(identity.id, moment.utc(now).format('YYYY-MM-DD'));
+    // NX - only the first claim of the day seeds the counter
+    await this.redis.set(key, usage.sent, 'EX', DAY_KEY_TTL, 'NX');
+    const newCount = await this.redis.incr(key);
+    if (newCount > usage.cap) {
+      console.log(`[RateLimit] Sender sends full (Redis): ${newCount}/${usage.cap} for ${identity.name}`);
+      await this.redis.decr(key);
+      return { success: false, key: null, usage };
+    }
+
+    return { success: true, key, usage };
+  }
+
+  /**
+   * Give back a reserveSenderSend claim (the email was not sent)
+   */
+  async releaseSenderSend(key) {
+    if (key) await this._releaseKeys([key]);
+  }
+
+  /**
+   * Sender identity's capacity for a UTC day (schedule view) - syncs the Redis guard like getSlotCapacity
+   */
+  async getSenderCapacity(identity, date) {
+    const SenderIdentityService = require('./SenderIdentityService');
+    const capacity = await SenderIdentityService.getDayCapacity(identity, date);
+    if (capacity.limit !== null) {
+      await this.redis.set(this.getSenderKey(identity.id, capacity.date), capacity.used, 'EX', DAY_KEY_TTL);
+    }
+    return capacity;
+  }
+
   async getSlotCapacity(timestamp) {
     const limits = await this.getLimits();
     const windowStart = Math.floor(timestamp / limits.windowMs) * limits.windowMs;
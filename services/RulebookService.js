@@ -453,6 +453,7 @@ const DEFAULT_RULEBOOK = {
       "idle",
       "sequence_complete",
       "unsubscribed",
+      "replied",
     ],
 
     // DEFAULT STATUS: When no other status applies
@@ -467,6 +468,7 @@ const DEFAULT_RULEBOOK = {
       // Terminal statuses - highest priority
       converted: 100,
       unsubscribed: 99,
+      replied: 98,
 
       // Frozen state
       frozen: 95,
@@ -980,6 +982,27 @@ const DEFAULT_RULEBOOK = {
       requiresConfirmation: true,
     },
 
+    // REPLY EVENTS: The lead answered (inbound webhook) - the sequence has done its job
+    // Handler: EmailRepliedHandler runs these actions in order
+    replied: {
+      events: ["replied"],
+      description: "Human reply - stop automated mails and hand over to a person",
+      scoreAdjustments: {
+        replied: 20,
+      },
+      actions: ["cancelFollowups", "setRepliedStatus", "incrementScore", "notify"],
+      // Manual mails are written by a person and are left alone
+      keepMailTypes: ["manual"],
+    },
+
+    // AUTO-REPLY EVENTS: Out-of-office and other automatic answers - not engagement
+    // Handler: EmailAutoRepliedHandler records them, the sequence carries on
+    autoReply: {
+      events: ["auto_replied"],
+      description: "Auto-replies and out-of-office - recorded only, followups continue",
+      actions: ["recordEvent"],
+    },
+
     // FAILED EVENTS: Delivery failed - manual retry only
     // Handler: pauseAll, addToFailedOutreach
     failed: {
@@ -1501,7 +1524,7 @@ class RulebookService {
   /**
    * Update rulebook with user configuration
    */
-  async updateRulebook(updates) {
+  async updateRulebook(updates, updatedBy = "system") {
     try {
       const currentRulebook = await this.getRulebook();
       const newRulebook = this._deepMerge(currentRulebook, updates);
@@ -1509,7 +1532,7 @@ class RulebookService {
 
       // Update in settings
       await prisma.settings.updateMany({
-        data: { rulebook: newRulebook },
+        data: { rulebook: newRulebook, updatedBy },
       });
 
       // Clear cache
@@ -1526,13 +1549,13 @@ class RulebookService {
   /**
    * Reset rulebook to defaults
    */
-  async resetRulebook() {
+  async resetRulebook(updatedBy = "system") {
     try {
       const defaultCopy = JSON.parse(JSON.stringify(DEFAULT_RULEBOOK));
       defaultCopy.lastUpdated = new Date().toISOString();
 
       await prisma.settings.updateMany({
-        data: { rulebook: defaultCopy },
+        data: { rulebook: defaultCopy, updatedBy },
       });
 
       // Clear cache
@@ -2825,6 +2848,7 @@ class RulebookService {
         status: true,
         frozenUntil: true,
         followupsPaused: true,
+        sequenceId: true,
       },
     });
 
@@ -2842,6 +2866,11 @@ class RulebookService {
       return { status: "converted", reason: "Lead is converted" };
     }
 
+    // Check replied state (followups were cancelled by the reply)
+    if (lead.status === "replied") {
+      return { status: "replied", reason: "Lead replied" };
+    }
+
     // Priority 2: Find next scheduled job
     if (!skipJobLookup) {
       const nextJob = await this.findNextScheduledJob(leadId);
@@ -2894,8 +2923,12 @@ class RulebookService {
 
     if (lastSentJob) {
       // Check if sequence is complete
-      const settings = await prisma.settings.findFirst();
-      const sequence = (settings?.followups || []).filter(
+      const SequenceRepository = require("../repositories/SequenceRepository");
+      const steps = await SequenceRepository.getStepsForLead({
+        id: parseInt(leadId),
+        sequenceId: lead?.sequenceId,
+      });
+      const sequence = steps.filter(
         (f) => f.enabled && !f.globallySkipped,
       );
 
@@ -3857,7 +3890,7 @@ class RulebookService {
     }
 
     // Resume jobs - reschedule with fresh times
-    const { SettingsRepository } = require("../repositories");
+    const { SettingsRepository, SenderIdentityRepository } = require("../repositories");
     const EmailSchedulerService = require("./EmailSchedulerService");
     const settings = await SettingsRepository.getSettings();
 
@@ -3871,11 +3904,15 @@ class RulebookService {
         });
         if (!lead) continue;
 
-        // Find next available slot from now
+        // Find next available slot from now (within the job's sender identity and recipient domain limits)
+        const senderIdentity = job.senderIdentityId
+          ? await SenderIdentityRepository.findById(job.senderIdentityId)
+          : null;
         const slotResult = await EmailSchedulerService.findNextAvailableSlot(
           lead.timezone || "UTC",
           new Date(), // Start from now
           settings,
+          { senderIdentity, email: lead.email },
         );
 
         if (!slotResult.success) {
@@ -3959,7 +3996,7 @@ class RulebookService {
     const s = (status || '').toLowerCase();
     
     // Terminal states - highest priority (never overwrite)
-    if (['converted', 'unsubscribed'].includes(s)) return 100;
+    if (['converted', 'unsubscribed', 'replied'].includes(s)) return 100;
     
     // Frozen/Dead - very high priority
     if (['frozen', 'dead'].includes(s)) return 95;
@@ -8,6 +8,7 @@ const WorkingDaysService = require('./WorkingDaysService');
 const SmartSendTimeService = require('./SmartSendTimeService');
 const RateLimitService = require('./RateLimitService');
 const UniqueJourneyService = require('./UniqueJourneyService');
+const SenderIdentityService = require('./SenderIdentityService');
 const { SettingsRepository, LeadRepository } = require('../repositories');
 
 class SchedulingRulesService {
@@ -81,9 +82,13 @@ class SchedulingRulesService {
       }
       
       // ============================================
-      // RULE 4: Check rate limit slot availability
+      // RULE 4: Check rate limit slot availability (plus sender identity and recipient domain limits)
       // ============================================
-      const reservation = await RateLimitService.reserveSlot(lead.timezone, time.toDate());
+      const sender = await SenderIdentityService.resolveForJob({ type: emailType }, lead);
+      const reservation = await RateLimitService.reserveSlot(lead.timezone, time.toDate(), {
+        senderIdentity: sender?.identity || null,
+        email: lead.email
+      });
       if (reservation.success) {
         if (reservation.reservedTime.getTime() !== time.valueOf()) {
           adjustments.push({
@@ -101,7 +106,7 @@ class SchedulingRulesService {
           rule: 'rate_limit',
           from: requestedTime.toString(),
           to: time.toISOString(),
-          reason: 'Moved to next available rate limit window'
+          reason: reservation.reason || 'Moved to next available rate limit window'
         });
       }
       
@@ -0,0 +1,167 @@
+// services/SendHaltService.js
+// Global "halt all sending" switch (kill switch) with an optional auto-resume time
+//
+// While halted:
+//   - CronService.processPendingEmails enqueues nothing (due jobs stay pending)
+//   - emailWorker moves jobs already in the send queue back to delayed instead of sending
+// Scheduling carries on as normal - only sending stops.
+//
+// State lives on Settings.sendHalt so a restart keeps the halt; the last halt is kept after resuming:
+//   { halted, reason, haltedAt, haltedBy, resumeAt, resumedAt, resumedBy }
+
+const { SettingsRepository } = require('../repositories');
+
+// Requeued jobs are retried after this long (or at resumeAt if sooner); resume promotes them at once
+const REQUEUE_DELAY_MS = 5 * 60 * 1000;
+
+class SendHaltService {
+
+  /**
+   * Current halt state (a halt whose resumeAt has passed counts as resumed)
+   */
+  async getState() {
+    const settings = await SettingsRepository.getSettings();
+    const state = settings.sendHalt || { halted: false };
+    return {
+      ...state,
+      halted: state.halted === true && !this._resumeDue(state)
+    };
+  }
+
+  async isHalted() {
+    return (await this.getState()).halted;
+  }
+
+  /**
+   * Halt all sending
+   * @param {Object} options - { reason, resumeAt? }
+   */
+  async halt({ reason, resumeAt = null }, haltedBy = 'system') {
+    const state = {
+      halted: true,
+      reason,
+      haltedAt: new Date().toISOString(),
+      haltedBy,
+      resumeAt: resumeAt ? new Date(resumeAt).toISOString() : null,
+      resumedAt: null,
+      resumedBy: null
+    };
+    await SettingsRepository.updateSettings({ sendHalt: state }, haltedBy);
+
+    console.warn(`[SendHalt] Sending halted by ${haltedBy}: ${reason}${state.resumeAt ? ` (auto-resume ${state.resumeAt})` : ''}`);
+    await this._broadcast(state, {
+      type: 'warning',
+      message: 'All email sending has been halted',
+      details: `${reason}${state.resumeAt ? ` - resumes automatically at ${state.resumeAt}` : ' - resume manually when resolved'}`
+    });
+    return state;
+  }
+
+  /**
+   * Resume sending and release jobs the worker requeued while halted
+   */
+  async resume(resumedBy = 'system') {
+    const settings = await SettingsRepository.getSettings();
+    const current = settings.sendHalt;
+    if (!current?.halted) {
+      return { ...(current || {}), halted: false };
+    }
+
+    const state = {
+      ...current,
+      halted: false,
+      resumedAt: new Date().toISOString(),
+      resumedBy
+    };
+    await SettingsRepository.updateSettings({ sendHalt: state }, resumedBy);
+
+    const released = await this.releaseRequeuedJobs(this.holdTag('halt', current.haltedAt));
+    console.log(`[SendHalt] Sending resumed by ${resumedBy} (${released} requeued jobs released)`);
+    await this._broadcast(state, {
+      type: 'success',
+      message: 'Email sending has resumed',
+      details: `Halted since ${current.haltedAt} (${current.reason}). ${released} queued emails released.`
+    });
+    return { ...state, released };
+  }
+
+  /**
+   * Resume once resumeAt has passed (called every minute from CronService)
+   * @returns {Promise<boolean>} true if sending was resumed
+   */
+  async checkAutoResume() {
+    const settings = await SettingsRepository.getSettings();
+    const state = settings.sendHalt;
+    if (!state?.halted || !this._resumeDue(state)) return false;
+
+    await this.resume('auto-resume');
+    return true;
+  }
+
+  /**
+   * When the worker should retry a job it requeued while halted
+   */
+  getRequeueTime(state) {
+    const retryAt = Date.now() + REQUEUE_DELAY_MS;
+    const resumeAt = state.resumeAt ? new Date(state.resumeAt).getTime() : null;
+    return resumeAt && resumeAt < retryAt ? resumeAt : retryAt;
+  }
+
+  _resumeDue(state) {
+    return !!state.resumeAt && new Date(state.resumeAt) <= new Date();
+  }
+
+  /**
+   * Tag the worker stores on a job it requeues (job.data.heldBy) - one per halt or deliverability pause
+   * @param {'halt'|'pause'} type
+   * @param {string|number} id - haltedAt of the halt, id of the SendingPause
+   */
+  holdTag(type, id) {
+    return `${type}:${id}`;
+  }
+
+  /**
+   * Promote send-queue jobs the worker delayed for one halt (or pause by DeliverabilityGuardService)
+   * Jobs held by anything else, or delayed by BullMQ retry backoff, are left alone
+   * @param {string} heldBy - holdTag() of the halt or pause that ended
+   */
+  async releaseRequeuedJobs(heldBy) {
+    const { emailSendQueue } = require('../queues/emailQueues');
+    let released = 0;
+    try {
+      const delayed = await emailSendQueue.getDelayed();
+      for (const job of delayed) {
+        if (job.data?.heldBy !== heldBy) continue;
+        await job.promote();
+        released++;
+      }
+    } catch (error) {
+      console.error('[SendHalt] Error releasing requeued jobs:', error.message);
+    }
+    return released;
+  }
+
+  /**
+   * Websocket event for open dashboards + notification (pushed via FCM)
+   */
+  async _broadcast(state, notification) {
+    try {
+      const websocket = require('../lib/websocket');
+      websocket.emitSendHaltChanged(state);
+    } catch (error) {
+      console.warn('[SendHalt] WebSocket broadcast failed:', error.message);
+    }
+
+    const NotificationService = require('./NotificationService');
+    await NotificationService.createNotification({
+      ...notification,
+      metadata: {
+        event: state.halted ? 'send_halted' : 'send_resumed',
+        reason: state.reason,
+        resumeAt: state.resumeAt
+      }
+    });
+  }
+}
+
+module.exports = new SendHaltService();
@@ -0,0 +1,227 @@
+// services/SenderIdentityService.js
+// Picks the sender identity an email goes out as, and tracks identity daily caps
+//
+// Resolution order (first active identity wins):
+//   1. Conditional email's identity (conditional jobs)
+//   2. Lead's sequence identity (sequence steps - not manual emails)
+//   3. Lead owner's identity (User.senderIdentityId)
+//   4. None - BrevoEmailService falls back to the Settings/env sender
+//
+// Daily caps and warm-up ramps count per UTC day: reservations count scheduled jobs
+// (RateLimitService.reserveSlot), the send-time guard counts sends (EmailJob.senderIdentityId + sentAt)
+
+const moment = require('moment-timezone');
+const { prisma } = require('../lib/prisma');
+const TemplateRenderService = require('./TemplateRenderService');
+
+// {{signature}} anywhere in a template means it places the signature itself
+const SIGNATURE_TAG_REGEX = /\{\{\s*signature\b/;
+
+const WARMUP_CURVES = ['linear', 'exponential'];
+
+class SenderIdentityService {
+
+  /**
+   * Identity for an email job
+   * @param {Object} emailJob - Needs type and metadata (conditionalEmailId, manual)
+   * @param {Object} lead - Needs sequenceId and ownerId
+   * @returns {Promise<{identity: Object, source: string}|null>}
+   */
+  async resolveForJob(emailJob, lead) {
+    const { SequenceRepository, UserRepository } = require('../repositories');
+    const candidates = [];
+
+    if (emailJob.metadata?.conditionalEmailId) {
+      const conditional = await prisma.conditionalEmail.findUnique({
+        where: { id: parseInt(emailJob.metadata.conditionalEmailId) },
+        select: { senderIdentityId: true }
+      });
+      candidates.push(['conditional', conditional?.senderIdentityId]);
+    } else if (!this._isManual(emailJob) && lead?.sequenceId) {
+      const sequence = await SequenceRepository.getSequenceForLead(lead);
+      candidates.push(['sequence', sequence.senderIdentityId]);
+    }
+
+    if (lead?.ownerId) {
+      const owner = await UserRepository.findById(lead.ownerId);
+      candidates.push(['owner', owner?.active ? owner.senderIdentityId : null]);
+    }
+
+    for (const [source, identityId] of candidates) {
+      if (!identityId) continue;
+      const identity = await this._findActive(identityId);
+      if (identity) return { identity, source };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an identity id before assigning it (sequence, conditional email, user)
+   * @returns {Promise<string|null>} Error message, or null when assignable (null/undefined clears)
+   */
+  async checkAssignable(id) {
+    if (id === null || id === undefined) return null;
+    const { SenderIdentityRepository } = require('../repositories');
+    const identity = await SenderIdentityRepository.findById(id);
+    return identity ? null : `Sender identity ${id} not found`;
+  }
+
+  /**
+   * Sends today against the identity's limit for today (daily cap, or the warm-up ramp while warming)
+   * @returns {Promise<{sent: number, cap: number|null, remaining: number|null}>} remaining is null when uncapped
+   */
+  async getDailyUsage(identity, date = new Date()) {
+    const { SenderIdentityRepository } = require('../repositories');
+    const sent = await SenderIdentityRepository.countSentSince(identity.id, this.startOfDay(date));
+    const cap = this.getDailyLimit(identity, date);
+    return {
+      sent,
+      cap,
+      remaining: cap === null ? null : Math.max(0, cap - sent)
+    };
+  }
+
+  startOfDay(date = new Date()) {
+    return moment(date).utc().startOf('day').toDate();
+  }
+
+  // ==========================================
+  // WARM-UP
+  // New sending domains ramp from startVolume on day 1 up to targetCap (defaults to dailyCap):
+  //   linear       startVolume + step * (day - 1)        step = extra sends per day (default 10)
+  //   exponential  startVolume * step ^ (day - 1)        step = daily growth factor (default 1.5)
+  // Days are UTC days counted from startDate; once the ramp reaches targetCap only dailyCap applies
+  // ==========================================
+
+  /**
+   * Validate a warm-up plan and fill in defaults
+   * @returns {Object|null} null when warmup is empty (no ramp)
+   * @throws {Error} On invalid plans
+   */
+  normalizeWarmup(warmup, dailyCap = null) {
+    if (!warmup) return null;
+
+    const curve = warmup.curve || 'linear';
+    if (!WARMUP_CURVES.includes(curve)) {
+      throw new Error(`Warm-up curve must be one of: ${WARMUP_CURVES.join(', ')}`);
+    }
+
+    const startVolume = parseInt(warmup.startVolume ?? 20);
+    const step = Number(warmup.step ?? (curve === 'linear' ? 10 : 1.5));
+    const targetCap = parseInt(warmup.targetCap ?? dailyCap);
+
+    if (!(startVolume >= 1)) throw new Error('Warm-up startVolume must be at least 1');
+    if (!(targetCap >= 1)) throw new Error('Warm-up needs a targetCap (or a dailyCap on the identity)');
+    if (curve === 'linear' && !(step > 0)) throw new Error('Linear warm-up step must be greater than 0');
+    if (curve === 'exponential' && !(step > 1)) throw new Error('Exponential warm-up step (growth factor) must be greater than 1');
+
+    const startDate = moment.utc(warmup.startDate || new Date());
+    if (!startDate.isValid()) throw new Error('Warm-up startDate is not a valid date');
+
+    return {
+      startDate: startDate.format('YYYY-MM-DD'),
+      startVolume,
+      curve,
+      step,
+      targetCap
+    };
+  }
+
+  /**
+   * The warm-up ramp on a date
+   * @returns {{day: number, limit: number, complete: boolean}|null} null when the identity has no warm-up
+   */
+  getWarmupLimit(identity, date = new Date()) {
+    const warmup = identity.warmup;
+    if (!warmup) return null;
+
+    // Days before the start count as day 1
+    const day = Math.max(1, moment.utc(date).startOf('day').diff(moment.utc(warmup.startDate), 'days') + 1);
+    const ramp = warmup.curve === 'exponential'
+      ? Math.floor(warmup.startVolume * Math.pow(warmup.step, day - 1))
+      : Math.floor(warmup.startVolume + warmup.step * (day - 1));
+
+    return {
+      day,
+      limit: Math.min(ramp, warmup.targetCap),
+      complete: ramp >= warmup.targetCap
+    };
+  }
+
+  /**
+   * Sends allowed on a date: the lower of the warm-up ramp and dailyCap (null = unlimited)
+   */
+  getDailyLimit(identity, date = new Date()) {
+    const warmup = this.getWarmupLimit(identity, date);
+    const limits = [identity.dailyCap, warmup && !warmup.complete ? warmup.limit : null]
+      .filter(limit => limit !== null && limit !== undefined);
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Scheduled + sent jobs against the identity's limit for a UTC day (used by reservations and the schedule view)
+   * @returns {Promise<{date, limit, used, remaining, warmup}>} limit/remaining are null when unlimited
+   */
+  async getDayCapacity(identity, date = new Date()) {
+    const { SenderIdentityRepository } = require('../repositories');
+    const dayStart = this.startOfDay(date);
+    const dayEnd = moment(dayStart).add(1, 'day').toDate();
+    const limit = this.getDailyLimit(identity, date);
+    const used = await SenderIdentityRepository.countScheduledBetween(identity.id, dayStart, dayEnd);
+
+    return {
+      date: moment.utc(dayStart).format('YYYY-MM-DD'),
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      warmup: this.getWarmupLimit(identity, date)
+    };
+  }
+
+  /**
+   * Template variables for the sender: {{sender.name}}, {{sender.email}}, {{signature | raw}}
+   * The signature partial is rendered with the lead's variables; templates place it with {{signature | raw}}
+   */
+  buildContext(identity, context, partials = {}) {
+    if (!identity) return {};
+
+    const sender = {
+      name: identity.fromName,
+      email: identity.fromEmail,
+      replyTo: identity.replyTo || identity.fromEmail
+    };
+    const signatureBody = identity.signaturePartial ? partials[identity.signaturePartial] : null;
+    return {
+      sender,
+      signature: signatureBody
+        ? TemplateRenderService.render(signatureBody, { ...context, sender }, { escapeHtml: true, partials })
+        : ''
+    };
+  }
+
+  /**
+   * Append the signature to bodies that don't place {{signature}} themselves
+   */
+  appendSignature(html, signature, templateBody = '') {
+    if (!signature || SIGNATURE_TAG_REGEX.test(templateBody || '')) return html;
+    if (/<\/body>/i.test(html)) {
+      return html.replace(/<\/body>/i, `${signature}</body>`);
+    }
+    return `${html}${signature}`;
+  }
+
+  async _findActive(id) {
+    const { SenderIdentityRepository } = require('../repositories');
+    const identity = await SenderIdentityRepository.findById(id);
+    return identity?.active ? identity : null;
+  }
+
+  _isManual(emailJob) {
+    return emailJob.type === 'manual' ||
+      emailJob.type?.startsWith('manual:') ||
+      emailJob.metadata?.manual === true;
+  }
+}
+
+module.exports = new SenderIdentityService();
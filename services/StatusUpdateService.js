@@ -145,6 +145,11 @@ class StatusUpdateService {
       console.log(`[StatusUpdateService] Lead ${leadId} is converted, keeping status`);
       return 'converted';
     }
+
+    if (lead.status === 'replied') {
+      console.log(`[StatusUpdateService] Lead ${leadId} replied, keeping status`);
+      return 'replied';
+    }
     
     if (lead.frozenUntil && new Date(lead.frozenUntil) > new Date()) {
       console.log(`[StatusUpdateService] Lead ${leadId} is frozen, setting status to frozen`);
@@ -168,7 +173,7 @@ class StatusUpdateService {
     const getStatusPriority = (status) => {
       const s = (status || '').toLowerCase();
       // Terminal states - highest priority
-      if (['converted', 'unsubscribed'].includes(s)) return 100;
+      if (['converted', 'unsubscribed', 'replied'].includes(s)) return 100;
       // Frozen/Paused - high priority
       if (['frozen', 'paused'].includes(s)) return 90;
       // Scheduled/Rescheduled - HIGHER than failure to allow retries to update status
@@ -360,8 +365,9 @@ class StatusUpdateService {
       }
     } else {
       // For other events, check if sequence is complete
-      const settings = await require('../repositories/SettingsRepository').getSettings();
-      const sequence = (settings.followups || []).filter(f => f.enabled && !f.globallySkipped);
+      const lead = await LeadRepository.findById(leadId);
+      const steps = await require('../repositories/SequenceRepository').getStepsForLead(lead);
+      const sequence = steps.filter(f => f.enabled && !f.globallySkipped);
       
       const completedStatuses = RulebookService.getSuccessfullySentStatuses();
       const allCompleted = await Promise.all(sequence.map(async step => {
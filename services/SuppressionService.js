@@ -0,0 +1,184 @@
+// services/SuppressionService.js
+// Global suppression list - addresses that must never be mailed, even after their lead is deleted
+//
+// Entry types:
+//   exact     jane@acme.com   the address only
+//   domain    acme.com        every address at the domain and its subdomains
+//   wildcard  *@*.gov         * = any characters, ? = one character, matched against the whole address
+//
+// Checked by LeadImportService (suppressed rows are not created), EmailSchedulerService (nothing is
+// scheduled) and emailWorker right before sending (the job is cancelled).
+// Unsubscribe, complaint and hard-bounce handlers add exact entries automatically.
+
+const Papa = require('papaparse');
+const { SuppressionRepository } = require('../repositories');
+const { ValidationError } = require('../lib/errors');
+
+const ENTRY_TYPES = ['exact', 'domain', 'wildcard'];
+const SOURCES = ['manual', 'import', 'unsubscribe', 'complaint', 'hard_bounce'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_REGEX = /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+class SuppressionService {
+
+  /**
+   * The entry that suppresses an address, if any (exact, then domain, then wildcard)
+   * @returns {Promise<Object|null>}
+   */
+  async check(email) {
+    if (!email) return null;
+    const address = String(email).toLowerCase().trim();
+    const domain = address.split('@')[1];
+    if (!domain) return null;
+
+    const matches = await SuppressionRepository.findExactOrDomain(address, this._parentDomains(domain));
+    const exact = matches.find(entry => entry.type === 'exact');
+    if (exact) return exact;
+    // Most specific domain first (mail.acme.com before acme.com)
+    const domainEntry = matches.sort((a, b) => b.value.length - a.value.length)[0];
+    if (domainEntry) return domainEntry;
+
+    const wildcards = await SuppressionRepository.findWildcards();
+    return wildcards.find(entry => this._wildcardRegex(entry.value).test(address)) || null;
+  }
+
+  /**
+   * Human-readable reason for an entry (logs, job lastError, import reports)
+   */
+  describe(entry) {
+    return `Suppressed (${entry.type} ${entry.value}): ${entry.reason}`;
+  }
+
+  /**
+   * Validate and normalize an entry - type is inferred from the value when missing
+   * @throws {ValidationError}
+   */
+  normalizeEntry({ type, value, reason, source = 'manual' }) {
+    let normalized = String(value || '').toLowerCase().trim();
+    const entryType = type || this._inferType(normalized);
+
+    if (!ENTRY_TYPES.includes(entryType)) {
+      throw new ValidationError(`Suppression type must be one of: ${ENTRY_TYPES.join(', ')}`);
+    }
+    if (!SOURCES.includes(source)) {
+      throw new ValidationError(`Suppression source must be one of: ${SOURCES.join(', ')}`);
+    }
+
+    if (entryType === 'exact' && !EMAIL_REGEX.test(normalized)) {
+      throw new ValidationError(`"${value}" is not a valid email address`);
+    }
+    if (entryType === 'domain') {
+      normalized = normalized.replace(/^@/, '');
+      if (!DOMAIN_REGEX.test(normalized)) {
+        throw new ValidationError(`"${value}" is not a valid domain`);
+      }
+    }
+    if (entryType === 'wildcard' && (!/[*?]/.test(normalized) || /\s/.test(normalized))) {
+      throw new ValidationError(`Wildcard pattern "${value}" needs * or ? and no spaces`);
+    }
+
+    return {
+      type: entryType,
+      value: normalized,
+      reason: String(reason || '').trim() || 'Added manually',
+      source
+    };
+  }
+
+  /**
+   * Add an entry (an existing entry for the same value is left as it was)
+   * @returns {Promise<{entry: Object, created: boolean}>}
+   * @throws {ValidationError}
+   */
+  async add(data, createdBy = null) {
+    const entry = this.normalizeEntry(data);
+    return SuppressionRepository.add({ ...entry, createdBy });
+  }
+
+  /**
+   * Suppress an address from an event handler - never throws
+   * @param {string} source - 'unsubscribe', 'complaint' or 'hard_bounce'
+   */
+  async suppressAddress(email, reason, source) {
+    try {
+      if (!email) return null;
+      const { entry, created } = await this.add({ type: 'exact', value: email, reason, source }, 'system');
+      if (created) console.log(`[Suppression] ${entry.value} suppressed (${source})`);
+      return entry;
+    } catch (error) {
+      console.error(`[Suppression] Failed to suppress ${email}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Import entries from parsed rows (columns: value or email, type?, reason?, source?)
+   * @returns {Promise<{added: number, existing: number, failed: number, errors: Array}>}
+   */
+  async importEntries(rows, createdBy = null) {
+    const results = { added: 0, existing: 0, failed: 0, errors: [] };
+
+    for (const [index, row] of rows.entries()) {
+      try {
+        const { created } = await this.add({
+          type: row.type || undefined,
+          value: row.value || row.email || row.domain || row.pattern,
+          reason: row.reason || 'Imported',
+          source: row.source || 'import'
+        }, createdBy);
+        created ? results.added++ : results.existing++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ row: index + 1, value: row.value || row.email || null, error: error.message });
+      }
+    }
+
+    console.log(`[Suppression] Import: ${results.added} added, ${results.existing} already listed, ${results.failed} failed`);
+    return results;
+  }
+
+  /**
+   * The whole list as CSV (same columns the import reads)
+   */
+  async exportCsv() {
+    const entries = await SuppressionRepository.findAll();
+    return Papa.unparse({
+      fields: ['type', 'value', 'reason', 'source', 'createdBy', 'createdAt'],
+      data: entries.map(entry => [
+        entry.type,
+        entry.value,
+        entry.reason,
+        entry.source,
+        entry.createdBy || '',
+        new Date(entry.createdAt).toISOString()
+      ])
+    });
+  }
+
+  _inferType(value) {
+    if (/[*?]/.test(value)) return 'wildcard';
+    if (value.includes('@') && !value.startsWith('@')) return 'exact';
+    return 'domain';
+  }
+
+  // mail.acme.com -> ['mail.acme.com', 'acme.com']
+  _parentDomains(domain) {
+    const labels = domain.split('.');
+    const domains = [];
+    for (let i = 0; i < labels.length - 1; i++) {
+      domains.push(labels.slice(i).join('.'));
+    }
+    return domains;
+  }
+
+  _wildcardRegex(pattern) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,432 @@
+// services/TemplateRenderService.js
+// Email template language shared by the send path and template previews
+//
+// Syntax:
+//   {{firstName}}                          variable (dot paths work: {{customFields.industry}})
+//   {{firstName | default: "there"}}       filters, chained left to right
+//   {{#if city}}...{{else}}...{{/if}}      conditionals ({{#unless}} is the inverse)
+//   {{#each tags}}{{this}}{{/each}}        loops ({{@index}}, {{@first}}, {{@last}} inside)
+//   {{> footer}}                           partial (TemplatePartial), rendered with the same variables
+//   {{! comment }}                         ignored
+//
+// Filters: default, capitalize, titlecase, upcase, downcase, trim, date, raw
+
+const moment = require("moment-timezone");
+
+const TAG_REGEX = /\{\{([\s\S]+?)\}\}/g;
+const PARTIAL_NAME_REGEX = /^[A-Za-z0-9_-]+$/;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+class TemplateRenderService {
+  constructor() {
+    // Filters get (value, args, scope) and return the new value
+    this.filters = {
+      default: (value, [fallback = ""]) => (this._isEmpty(value) ? fallback : value),
+      capitalize: (value) => {
+        const str = this._toString(value);
+        return str.charAt(0).toUpperCase() + str.slice(1);
+      },
+      titlecase: (value) =>
+        this._toString(value)
+          .toLowerCase()
+          .replace(/(^|[\s\-'])\S/g, (match) => match.toUpperCase()),
+      upcase: (value) => this._toString(value).toUpperCase(),
+      downcase: (value) => this._toString(value).toLowerCase(),
+      trim: (value) => this._toString(value).trim(),
+      date: (value, [format = "MMMM D, YYYY"], scope) => {
+        if (this._isEmpty(value)) return "";
+        const date = value === "now" ? moment() : moment(value);
+        if (!date.isValid()) return value;
+        const timezone = this._lookup("timezone", scope);
+        return (timezone ? date.tz(timezone) : date).format(format);
+      },
+      // Marker only - skips HTML escaping for this output
+      raw: (value) => value,
+    };
+  }
+
+  /**
+   * Render a template string
+   * @param {string} template
+   * @param {Object} context - Variables (see buildLeadContext)
+   * @param {Object} options - { escapeHtml: boolean, partials: { name: body } }
+   *   escapeHtml escapes output values (use for HTML bodies); partials are needed for {{> name}}
+   * @returns {string}
+   */
+  render(template, context = {}, options = {}) {
+    if (!template) return "";
+    const nodes = this.parse(template);
+    return this._renderNodes(nodes, [context], options);
+  }
+
+  /**
+   * Render a template's subject and body for a lead
+   * @returns {{subject: string, htmlContent: string}}
+   */
+  renderEmail({ subject, body }, context, { partials = {} } = {}) {
+    return {
+      subject: this.render(subject, context, { partials }),
+      htmlContent: this.render(body, context, { escapeHtml: true, partials }),
+    };
+  }
+
+  /**
+   * Variables available to templates for a lead
+   * Custom fields are available both as {{customFields.key}} and {{key}} (core fields win)
+   * @param {Object} lead - Lead record (or partial, e.g. preview data)
+   * @param {Object} extras - Additional variables, override everything
+   */
+  buildLeadContext(lead = {}, extras = {}) {
+    const customFields = lead.customFields || {};
+    const name = (lead.name || "").trim();
+    const [firstName = "", ...rest] = name.split(/\s+/);
+    const company = customFields.company || customFields.company_name || "";
+    const position = customFields.position || customFields.title || "";
+
+    return {
+      ...customFields,
+      name,
+      firstName,
+      lastName: rest.join(" "),
+      email: lead.email || "",
+      company,
+      companyName: company,
+      position,
+      title: position,
+      phone: customFields.phone || "",
+      source: customFields.source || "",
+      city: lead.city || "",
+      country: lead.country || "",
+      timezone: lead.timezone || null,
+      tags: lead.tags || [],
+      createdAt: lead.createdAt || null,
+      customFields,
+      now: new Date().toISOString(),
+      ...extras,
+    };
+  }
+
+  /**
+   * Check a template for syntax errors without rendering it
+   * @returns {string|null} Error message, or null when valid
+   */
+  validate(template) {
+    try {
+      this.parse(template || "");
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Names of the partials a template includes directly ({{> name}})
+   * @returns {string[]}
+   */
+  findPartials(template) {
+    const names = new Set();
+    for (const match of (template || "").matchAll(TAG_REGEX)) {
+      const tag = match[1].trim();
+      if (tag.startsWith(">")) names.add(tag.slice(1).trim());
+    }
+    return [...names];
+  }
+
+  // ==========================================
+  // PARSING
+  // ==========================================
+
+  /**
+   * Parse a template into a node tree
+   * @throws {Error} On unbalanced or unknown blocks
+   */
+  parse(template) {
+    const root = { type: "root", children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    const current = () => stack[stack.length - 1];
+    const target = () => {
+      const node = current();
+      return node.inElse ? node.elseChildren : node.children;
+    };
+
+    for (const match of template.matchAll(TAG_REGEX)) {
+      if (match.index > lastIndex) {
+        target().push({ type: "text", value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = match.index + match[0].length;
+
+      const tag = match[1].trim();
+
+      if (tag.startsWith("!")) continue;
+
+      if (tag.startsWith("#")) {
+        const [, blockType, expression = ""] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+        if (!["if", "unless", "each"].includes(blockType)) {
+          throw new Error(`Unknown block "{{${tag}}}"`);
+        }
+        if (!expression.trim()) {
+          throw new Error(`{{#${blockType}}} needs a variable`);
+        }
+        const node = {
+          type: blockType,
+          expression: this._parseExpression(expression),
+          children: [],
+          elseChildren: [],
+          inElse: false,
+        };
+        target().push(node);
+        stack.push(node);
+        continue;
+      }
+
+      if (tag.startsWith(">")) {
+        const name = tag.slice(1).trim();
+        if (!PARTIAL_NAME_REGEX.test(name)) {
+          throw new Error(`Invalid partial name "{{${tag}}}"`);
+        }
+        target().push({ type: "partial", name });
+        continue;
+      }
+
+      if (tag === "else") {
+        const node = current();
+        if (node.type === "root" || node.inElse) {
+          throw new Error("{{else}} outside of a block");
+        }
+        node.inElse = true;
+        continue;
+      }
+
+      if (tag.startsWith("/")) {
+        const blockType = tag.slice(1).trim();
+        const node = current();
+        if (node.type !== blockType) {
+          throw new Error(
+            node.type === "root"
+              ? `Unexpected {{/${blockType}}}`
+              : `Expected {{/${node.type}}} but found {{/${blockType}}}`,
+          );
+        }
+        stack.pop();
+        continue;
+      }
+
+      target().push({ type: "output", expression: this._parseExpression(tag) });
+    }
+
+    if (lastIndex < template.length) {
+      target().push({ type: "text", value: template.slice(lastIndex) });
+    }
+    if (stack.length > 1) {
+      throw new Error(`Unclosed {{#${current().type}}}`);
+    }
+
+    return root.children;
+  }
+
+  /**
+   * "firstName | default: \"there\" | capitalize" -> { path, filters: [{ name, args }] }
+   */
+  _parseExpression(expression) {
+    const [path, ...filterParts] = this._splitOutsideQuotes(expression, "|");
+
+    const filters = filterParts.map((part) => {
+      const colon = part.indexOf(":");
+      const name = (colon === -1 ? part : part.slice(0, colon)).trim();
+      const args = colon === -1
+        ? []
+        : this._splitOutsideQuotes(part.slice(colon + 1), ",").map((arg) => this._parseArgument(arg));
+
+      if (!this.filters[name]) {
+        throw new Error(`Unknown filter "${name}"`);
+      }
+      return { name, args };
+    });
+
+    return { path: path.trim(), filters };
+  }
+
+  _parseArgument(arg) {
+    const trimmed = arg.trim();
+    const quoted = trimmed.match(/^"([\s\S]*)"$|^'([\s\S]*)'$/);
+    if (quoted) return { literal: quoted[1] ?? quoted[2] };
+    if (trimmed !== "" && !isNaN(Number(trimmed))) return { literal: Number(trimmed) };
+    return { path: trimmed };
+  }
+
+  _splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let currentPart = "";
+    let quote = null;
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === separator) {
+        parts.push(currentPart);
+        currentPart = "";
+        continue;
+      }
+      currentPart += char;
+    }
+    parts.push(currentPart);
+    return parts;
+  }
+
+  // ==========================================
+  // RENDERING
+  // ==========================================
+
+  _renderNodes(nodes, scope, options) {
+    let output = "";
+
+    for (const node of nodes) {
+      if (node.type === "text") {
+        output += node.value;
+      } else if (node.type === "output") {
+        output += this._renderOutput(node.expression, scope, options);
+      } else if (node.type === "if" || node.type === "unless") {
+        const truthy = !this._isEmpty(this._evaluate(node.expression, scope));
+        const branch = truthy === (node.type === "if") ? node.children : node.elseChildren;
+        output += this._renderNodes(branch, scope, options);
+      } else if (node.type === "each") {
+        output += this._renderEach(node, scope, options);
+      } else if (node.type === "partial") {
+        output += this._renderPartial(node.name, scope, options);
+      }
+    }
+
+    return output;
+  }
+
+  _renderOutput(expression, scope, options) {
+    const value = this._evaluate(expression, scope);
+    if (value === undefined || value === null) return "";
+
+    const str = Array.isArray(value) ? value.join(", ") : String(value);
+    const isRaw = expression.filters.some((filter) => filter.name === "raw");
+    return options.escapeHtml && !isRaw ? this._escapeHtml(str) : str;
+  }
+
+  _renderEach(node, scope, options) {
+    const items = this._evaluate(node.expression, scope);
+    const list = Array.isArray(items)
+      ? items
+      : items && typeof items === "object"
+        ? Object.values(items)
+        : [];
+
+    if (list.length === 0) {
+      return this._renderNodes(node.elseChildren, scope, options);
+    }
+
+    return list
+      .map((item, index) => {
+        const itemScope = {
+          ...(item && typeof item === "object" ? item : {}),
+          this: item,
+          "@index": index,
+          "@first": index === 0,
+          "@last": index === list.length - 1,
+        };
+        return this._renderNodes(node.children, [...scope, itemScope], options);
+      })
+      .join("");
+  }
+
+  /**
+   * Partials render in the caller's scope (so {{this}} works inside {{#each}})
+   * and may include other partials, but not themselves
+   */
+  _renderPartial(name, scope, options) {
+    const partials = options.partials || {};
+    const key = this._findKey(partials, name);
+    if (key === undefined) {
+      throw new Error(`Unknown partial "${name}"`);
+    }
+
+    const stack = options.partialStack || [];
+    if (stack.includes(key)) {
+      throw new Error(`Partial "${key}" includes itself (${[...stack, key].join(" > ")})`);
+    }
+
+    const nodes = this.parse(partials[key] || "");
+    return this._renderNodes(nodes, scope, { ...options, partialStack: [...stack, key] });
+  }
+
+  _evaluate({ path, filters }, scope) {
+    let value = this._lookup(path, scope);
+
+    for (const { name, args } of filters) {
+      const resolvedArgs = args.map((arg) =>
+        "literal" in arg ? arg.literal : this._lookup(arg.path, scope),
+      );
+      value = this.filters[name](value, resolvedArgs, scope);
+    }
+
+    return value;
+  }
+
+  /**
+   * Resolve a dot path, innermost scope first (loop items shadow lead fields)
+   * Names match case-insensitively, like the old {{firstName}} replacements did
+   */
+  _lookup(path, scope) {
+    const segments = path.split(".");
+
+    for (let i = scope.length - 1; i >= 0; i--) {
+      let value = scope[i];
+      let found = true;
+
+      for (const segment of segments) {
+        const key = this._findKey(value, segment);
+        if (key === undefined) {
+          found = false;
+          break;
+        }
+        value = value[key];
+      }
+
+      if (found) return value;
+    }
+
+    return undefined;
+  }
+
+  // Own keys only - inherited members ({{constructor}}, {{__proto__}}) never resolve
+  _findKey(obj, segment) {
+    if (!obj || typeof obj !== "object") return undefined;
+    if (Object.prototype.hasOwnProperty.call(obj, segment)) return segment;
+
+    const lower = segment.toLowerCase();
+    return Object.keys(obj).find((key) => key.toLowerCase() === lower);
+  }
+
+  _isEmpty(value) {
+    if (value === undefined || value === null || value === false) return true;
+    if (typeof value === "string") return value.trim() === "";
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+  }
+
+  _toString(value) {
+    return value === undefined || value === null ? "" : String(value);
+  }
+
+  _escapeHtml(str) {
+    return str.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
+}
+
+module.exports = new TemplateRenderService();
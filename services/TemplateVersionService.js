@@ -0,0 +1,79 @@
+// services/TemplateVersionService.js
+// Compares template versions (line-based diff of each versioned field)
+
+const FIELDS = ['name', 'subject', 'body', 'variables'];
+
+class TemplateVersionService {
+
+  /**
+   * Diff two version snapshots
+   * @returns {Object} { from, to, changed: string[], fields: { [field]: { changed, lines } } }
+   *   lines: [{ type: 'equal'|'added'|'removed', text }]
+   */
+  diffVersions(fromVersion, toVersion) {
+    const fields = {};
+    const changed = [];
+
+    for (const field of FIELDS) {
+      const before = this._toLines(fromVersion[field]);
+      const after = this._toLines(toVersion[field]);
+      const lines = this.diffLines(before, after);
+      const fieldChanged = lines.some(line => line.type !== 'equal');
+
+      if (fieldChanged) changed.push(field);
+      fields[field] = { changed: fieldChanged, lines };
+    }
+
+    return {
+      from: fromVersion.version,
+      to: toVersion.version,
+      changed,
+      fields
+    };
+  }
+
+  /**
+   * Longest-common-subsequence line diff
+   */
+  diffLines(before, after) {
+    const n = before.length;
+    const m = after.length;
+
+    // lcs[i][j] = LCS length of before[i..] and after[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = before[i] === after[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (before[i] === after[j]) {
+        lines.push({ type: 'equal', text: before[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        lines.push({ type: 'removed', text: before[i++] });
+      } else {
+        lines.push({ type: 'added', text: after[j++] });
+      }
+    }
+    while (i < n) lines.push({ type: 'removed', text: before[i++] });
+    while (j < m) lines.push({ type: 'added', text: after[j++] });
+
+    return lines;
+  }
+
+  _toLines(value) {
+    if (Array.isArray(value)) return value.map(String);
+    if (value === undefined || value === null || value === '') return [];
+    return String(value).split(/\r?\n/);
+  }
+}
+
+module.exports = new TemplateVersionService();
@@ -0,0 +1,176 @@
+// services/TrackingService.js
+// Optional first-party open/click tracking (Settings.tracking, off by default)
+//
+// When enabled, outgoing HTML is instrumented at render time (BrevoEmailService):
+//   - every http(s) link is rewritten to /api/t/c/TOKEN, which records the click and redirects
+//   - a 1x1 pixel pointing at /api/t/o/TOKEN is added for opens
+// Links back to this server (unsubscribe, preferences) and links marked data-no-track are left alone.
+//
+// TOKEN is signed like unsubscribe tokens (UNSUBSCRIBE_SECRET, JWT_SECRET when unset):
+// payload = base64url(JSON { t: 'o'|'c', j: emailJobId, u?: url, i?: link index }). The target URL
+// is inside the signed payload, so the redirect can't be used to send people anywhere else.
+// t is the token's purpose (open or click; unsubscribe tokens use 'u') and must match the route.
+//
+// Recorded events go through AnalyticsService.handleEvent keyed by the job's provider message id,
+// so they dedupe (ProcessedEvent) against the provider's own open/click webhooks.
+
+const crypto = require('crypto');
+const { SettingsRepository, EmailJobRepository } = require('../repositories');
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  opens: true,   // Add the tracking pixel
+  clicks: true   // Rewrite links through the click redirect
+};
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+class TrackingService {
+
+  async getConfig() {
+    const settings = await SettingsRepository.getSettings();
+    return { ...DEFAULT_CONFIG, ...(settings.tracking || {}) };
+  }
+
+  async updateConfig(updates, updatedBy = 'system') {
+    const config = { ...(await this.getConfig()), ...updates };
+    await SettingsRepository.updateSettings({ tracking: config }, updatedBy);
+    return config;
+  }
+
+  getPixel() {
+    return PIXEL;
+  }
+
+  /**
+   * Add the open pixel and rewrite links in a rendered email
+   * Returns the HTML untouched when tracking is off or links can't be built (no PUBLIC_BASE_URL / secret)
+   * @param {string} html - Rendered body
+   * @param {number|null} emailJobId - Job being sent (nothing is tracked without one)
+   */
+  async instrumentHtml(html, emailJobId) {
+    if (!html || !emailJobId || !this._getBaseUrl() || !this._getSecret()) return html;
+
+    const config = await this.getConfig();
+    if (!config.enabled) return html;
+
+    let instrumented = html;
+    if (config.clicks) {
+      instrumented = this.rewriteLinks(instrumented, emailJobId);
+    }
+    if (config.opens) {
+      const pixel = `<img src="${this._url('o', { j: parseInt(emailJobId) })}" width="1" height="1" alt="" style="display:none;border:0;width:1px;height:1px">`;
+      instrumented = /<\/body>/i.test(instrumented)
+        ? instrumented.replace(/<\/body>/i, `${pixel}</body>`)
+        : instrumented + pixel;
+    }
+    return instrumented;
+  }
+
+  /**
+   * Point every trackable <a href> at the click redirect (links are numbered in document order)
+   */
+  rewriteLinks(html, emailJobId) {
+    const baseUrl = this._getBaseUrl();
+    let index = 0;
+
+    return html.replace(/<a\b[^>]*>/gi, (tag) => {
+      if (/\sdata-no-track\b/i.test(tag)) return tag;
+
+      return tag.replace(/(\shref\s*=\s*)(["'])(.*?)\2/i, (attribute, prefix, quote, href) => {
+        const url = href.trim().replace(/&amp;/g, '&');
+        if (!/^https?:\/\//i.test(url) || url.startsWith(baseUrl)) return attribute;
+
+        const token = { j: parseInt(emailJobId), u: url, i: index++ };
+        return `${prefix}${quote}${this._url('c', token)}${quote}`;
+      });
+    });
+  }
+
+  /**
+   * @param {string} kind - 'o' (open pixel) or 'c' (click redirect) - tokens of another kind are rejected
+   * @returns {{emailJobId: number, url: string|null, linkIndex: number|null}|null} null when malformed or the signature doesn't match
+   */
+  verifyToken(token, kind) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !this._getSecret()) return null;
+
+    const expected = Buffer.from(this._sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { t, j, u, i } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (t !== kind || !Number.isInteger(j)) return null;
+      return {
+        emailJobId: j,
+        url: typeof u === 'string' && /^https?:\/\//i.test(u) ? u : null,
+        linkIndex: Number.isInteger(i) ? i : null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record an open from the pixel
+   * @param {Object} verified - verifyToken() result
+   * @param {Object} client - { userAgent, ip } of the request
+   * @returns {Promise<boolean>} true when the event was new
+   */
+  async recordOpen(verified, client = {}) {
+    return this._record('opened', verified, client);
+  }
+
+  /**
+   * Record a click from the redirect, including which link it was
+   * @returns {Promise<boolean>} true when the event was new
+   */
+  async recordClick(verified, client = {}) {
+    return this._record('click', verified, client, {
+      link: verified.url,
+      linkIndex: verified.linkIndex
+    });
+  }
+
+  async _record(event, verified, client, extra = {}) {
+    const emailJob = await EmailJobRepository.findById(verified.emailJobId);
+    if (!emailJob) return false;
+
+    const AnalyticsService = require('./AnalyticsService');
+    return AnalyticsService.handleEvent({
+      event,
+      email: emailJob.email,
+      // Same key as the provider's webhooks so the two sources dedupe against each other
+      messageId: emailJob.brevoMessageId || `job-${emailJob.id}`,
+      emailJobId: emailJob.id,
+      date: new Date().toISOString(),
+      ...extra,
+      userAgent: client.userAgent || null,
+      ip: client.ip || null
+    }, 'first_party');
+  }
+
+  _url(kind, data) {
+    const payload = Buffer.from(JSON.stringify({ t: kind, ...data })).toString('base64url');
+    return `${this._getBaseUrl()}/api/t/${kind}/${payload}.${this._sign(payload)}`;
+  }
+
+  _sign(payload) {
+    return crypto.createHmac('sha256', this._getSecret()).update(payload).digest('base64url');
+  }
+
+  _getBaseUrl() {
+    return (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  }
+
+  // Same secret as unsubscribe links - changing it breaks tracking in sent emails
+  _getSecret() {
+    return process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || '';
+  }
+}
+
+module.exports = new TrackingService();
@@ -0,0 +1,147 @@
+// services/UnsubscribeService.js
+// Signed unsubscribe links and RFC 8058 one-click unsubscribe
+//
+// Every outgoing message carries (when PUBLIC_BASE_URL is set):
+//   List-Unsubscribe: <https://api.example.com/api/unsubscribe/TOKEN>
+//   List-Unsubscribe-Post: List-Unsubscribe=One-Click
+//
+// TOKEN is <payload>.<signature>: payload = base64url(JSON { t: 'u', l: leadId, j: emailJobId }),
+// signature = HMAC-SHA256 of the payload with UNSUBSCRIBE_SECRET (JWT_SECRET when unset).
+// Tracking tokens (TrackingService) share the secret - the t field keeps one kind from passing as the other.
+// Tokens don't expire - links in old emails must keep working. The same token opens the
+// lead's preference center (/api/preferences/TOKEN, PreferenceService).
+//
+// Unsubscribing emits EmailUnsubscribed, so it goes through EmailUnsubscribedHandler exactly
+// like a provider webhook (terminal state, cancelled jobs, suppression entry, notification).
+
+const crypto = require('crypto');
+const { LeadRepository, EmailJobRepository } = require('../repositories');
+
+// Token purpose (tracking tokens use 'o' and 'c')
+const TOKEN_TYPE = 'u';
+
+class UnsubscribeService {
+
+  /**
+   * Signed token for a lead (and the email the link was sent in)
+   */
+  createToken(leadId, emailJobId = null) {
+    const payload = Buffer.from(JSON.stringify({
+      t: TOKEN_TYPE,
+      l: parseInt(leadId),
+      ...(emailJobId && { j: parseInt(emailJobId) })
+    })).toString('base64url');
+    return `${payload}.${this._sign(payload)}`;
+  }
+
+  /**
+   * @returns {{leadId: number, emailJobId: number|null}|null} null when malformed or the signature doesn't match
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !this._getSecret()) return null;
+
+    const expected = Buffer.from(this._sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { t, l, j } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (t !== TOKEN_TYPE || !Number.isInteger(l)) return null;
+      return { leadId: l, emailJobId: Number.isInteger(j) ? j : null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Public unsubscribe URL, null when PUBLIC_BASE_URL or the secret is not configured
+   */
+  getUnsubscribeUrl(leadId, emailJobId = null) {
+    return this._publicUrl('unsubscribe', leadId, emailJobId);
+  }
+
+  /**
+   * Public preference center URL, null when PUBLIC_BASE_URL or the secret is not configured
+   */
+  getPreferencesUrl(leadId) {
+    return this._publicUrl('preferences', leadId);
+  }
+
+  /**
+   * List-Unsubscribe headers for an outgoing message (empty when links can't be built)
+   */
+  buildHeaders(leadId, emailJobId = null) {
+    const url = this.getUnsubscribeUrl(leadId, emailJobId);
+    if (!url) return {};
+    return {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Lead a token belongs to (for the confirmation page)
+   * @returns {Promise<{lead: Object, emailJobId: number|null}|null>}
+   */
+  async resolve(token) {
+    const verified = this.verifyToken(token);
+    if (!verified) return null;
+
+    const lead = await LeadRepository.findById(verified.leadId);
+    return lead ? { lead, emailJobId: verified.emailJobId } : null;
+  }
+
+  /**
+   * Unsubscribe the token's lead
+   * @param {string} method - 'one_click' (List-Unsubscribe-Post) or 'link' (confirmation page)
+   * @returns {Promise<{status: 'unsubscribed'|'already_unsubscribed'|'invalid', lead?: Object}>}
+   */
+  async unsubscribe(token, method = 'link') {
+    const resolved = await this.resolve(token);
+    if (!resolved) return { status: 'invalid' };
+
+    const { lead } = resolved;
+    if (lead.terminalState === 'unsubscribed') {
+      return { status: 'already_unsubscribed', lead };
+    }
+
+    // The job may have been deleted since - the handler only updates jobs that exist
+    const emailJob = resolved.emailJobId ? await EmailJobRepository.findById(resolved.emailJobId) : null;
+
+    const EventBus = require('../events/EventBus');
+    await EventBus.emit('EmailUnsubscribed', {
+      emailJobId: emailJob?.leadId === lead.id ? emailJob.id : null,
+      leadId: lead.id,
+      email: lead.email,
+      eventData: {
+        event: 'unsubscribed',
+        reason: method === 'one_click' ? 'One-click unsubscribe (List-Unsubscribe)' : 'Unsubscribed via link',
+        method
+      },
+      source: 'unsubscribe_link',
+      timestamp: new Date()
+    });
+
+    console.log(`[Unsubscribe] Lead ${lead.id} unsubscribed via ${method}`);
+    return { status: 'unsubscribed', lead };
+  }
+
+  _publicUrl(path, leadId, emailJobId = null) {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!baseUrl || !leadId || !this._getSecret()) return null;
+    return `${baseUrl.replace(/\/+$/, '')}/api/${path}/${this.createToken(leadId, emailJobId)}`;
+  }
+
+  _sign(payload) {
+    return crypto.createHmac('sha256', this._getSecret()).update(payload).digest('base64url');
+  }
+
+  _getSecret() {
+    return process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || '';
+  }
+}
+
+module.exports = new UnsubscribeService();
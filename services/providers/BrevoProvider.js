@@ -0,0 +1,247 @@
+// services/providers/BrevoProvider.js
+// Brevo transactional email API (/v3/smtp/email) and event statistics
+// Supports MOCK_BREVO_URL env var for testing with mock server
+
+const axios = require('axios');
+const EmailProvider = require('./EmailProvider');
+const { SettingsRepository } = require('../../repositories');
+const { loggers } = require('../../lib/logger');
+const log = loggers.email;
+require('dotenv').config();
+
+// Event types fetched when polling (Brevo only filters one type per request)
+const EVENT_TYPES = ['delivered', 'opened', 'uniqueOpened', 'clicks', 'hardBounces', 'softBounces', 'deferred', 'blocked', 'spam', 'requests', 'unsubscribed', 'error', 'invalid'];
+
+// Brevo accepts up to 1000 message versions per batch request
+const BATCH_LIMIT = 1000;
+
+class BrevoProvider extends EmailProvider {
+  constructor() {
+    super('brevo');
+    // Use MOCK_BREVO_URL if set, otherwise use real Brevo API
+    // Mock URL needs /v3 appended since mock server routes are at /v3/*
+    this.baseUrl = process.env.MOCK_BREVO_URL
+      ? `${process.env.MOCK_BREVO_URL}/v3`
+      : 'https://api.brevo.com/v3';
+    this._cachedApiKey = null;
+    this._cacheTime = null;
+    this._cacheDurationMs = 60000; // 1 minute
+    this.timeoutMs = parseInt(process.env.EMAIL_PROVIDER_TIMEOUT_MS) || 30000;
+
+    if (process.env.MOCK_BREVO_URL) {
+      log.warn({ mockUrl: process.env.MOCK_BREVO_URL }, 'MOCK MODE enabled');
+    }
+  }
+
+  /**
+   * Get Brevo API key from Settings DB with fallback to .env
+   */
+  async getApiKey() {
+    const now = Date.now();
+    if (this._cachedApiKey !== null && this._cacheTime && (now - this._cacheTime) < this._cacheDurationMs) {
+      return this._cachedApiKey;
+    }
+
+    try {
+      const settings = await SettingsRepository.getSettings();
+      this._cachedApiKey = settings.brevo?.apiKey || process.env.BREVO_API_KEY || '';
+      this._cacheTime = now;
+      return this._cachedApiKey;
+    } catch (error) {
+      log.error({ error: error.message }, 'Error loading Brevo API key from DB');
+      return process.env.BREVO_API_KEY || '';
+    }
+  }
+
+  invalidateCache() {
+    this._cachedApiKey = null;
+    this._cacheTime = null;
+  }
+
+  async isConfigured() {
+    return !!(process.env.MOCK_BREVO_URL || await this.getApiKey());
+  }
+
+  async send(message) {
+    const apiKey = await this.getApiKey();
+
+    try {
+      log.debug({ subject: message.subject, to: message.to.email }, 'Sending email via Brevo');
+
+      const response = await axios.post(
+        `${this.baseUrl}/smtp/email`,
+        {
+          sender: message.from,
+          ...(message.replyTo && { replyTo: message.replyTo }),
+          to: [message.to],
+          subject: message.subject,
+          htmlContent: message.html,
+          headers: {
+            ...message.headers,
+            'X-Idempotency-Key': message.idempotencyKey,
+          },
+        },
+        { headers: this._headers(apiKey), timeout: this.timeoutMs },
+      );
+
+      return { messageId: response.data.messageId };
+    } catch (error) {
+      throw this._apiError(error);
+    }
+  }
+
+  /**
+   * One API call per 1000 messages when they share a sender and carry no custom headers
+   * (message versions can't set headers); otherwise sends one by one
+   */
+  async sendBatch(messages) {
+    const sameSender = messages.every(m => m.from.email === messages[0]?.from.email);
+    const hasHeaders = messages.some(m => m.headers && Object.keys(m.headers).length > 0);
+    if (messages.length < 2 || !sameSender || hasHeaders) {
+      return super.sendBatch(messages);
+    }
+
+    const apiKey = await this.getApiKey();
+    const results = [];
+
+    for (let i = 0; i < messages.length; i += BATCH_LIMIT) {
+      const chunk = messages.slice(i, i + BATCH_LIMIT);
+      try {
+        const response = await axios.post(
+          `${this.baseUrl}/smtp/email`,
+          {
+            sender: chunk[0].from,
+            subject: chunk[0].subject,
+            htmlContent: chunk[0].html,
+            messageVersions: chunk.map(m => ({
+              to: [m.to],
+              ...(m.replyTo && { replyTo: m.replyTo }),
+              subject: m.subject,
+              htmlContent: m.html,
+            })),
+          },
+          { headers: this._headers(apiKey), timeout: this.timeoutMs },
+        );
+
+        const messageIds = response.data.messageIds || [];
+        chunk.forEach((m, index) => results.push({ messageId: messageIds[index] }));
+      } catch (error) {
+        const apiError = this._apiError(error);
+        chunk.forEach(() => results.push({ error: apiError.message }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch all event types for the range
+   */
+  async fetchEvents({ startDate, endDate }) {
+    const allEvents = [];
+
+    for (const eventType of EVENT_TYPES) {
+      try {
+        const events = await this.fetchEventsByType(eventType, startDate, endDate);
+        allEvents.push(...events);
+      } catch (error) {
+        log.debug({ eventType, error: error.message }, 'No Brevo events or error');
+      }
+    }
+
+    return allEvents;
+  }
+
+  /**
+   * Fetch events of a specific type from Brevo
+   */
+  async fetchEventsByType(eventType, startDate, endDate) {
+    try {
+      const apiKey = await this.getApiKey();
+
+      const response = await axios.get(
+        `${this.baseUrl}/smtp/statistics/events`,
+        {
+          params: {
+            event: eventType,
+            startDate: startDate.toISOString().split('T')[0],
+            endDate: endDate.toISOString().split('T')[0],
+            limit: 500,
+            offset: 0
+          },
+          headers: this._headers(apiKey)
+        }
+      );
+
+      const events = response.data.events || [];
+      return events.map(e => ({ ...e, fetchedEventType: eventType }));
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Brevo transactional webhooks: one event or an array, with "message-id" and
+   * ts_event (unix seconds - "date" is local time without a zone)
+   */
+  normalizeWebhook(payload) {
+    return super.normalizeWebhook(payload).map(event => ({
+      ...event,
+      date: event.ts_event ? new Date(event.ts_event * 1000).toISOString() : event.date
+    }));
+  }
+
+  /**
+   * Check the API key against the account endpoint
+   * @param {Object} config - { apiKey } to test a key before saving it (defaults to the configured one)
+   */
+  async verifyCredentials(config = {}) {
+    const key = config.apiKey || await this.getApiKey();
+    if (!key) {
+      return { ok: false, error: 'No API key provided or configured' };
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/account`, { headers: this._headers(key) });
+      return {
+        ok: true,
+        details: {
+          email: response.data.email,
+          firstName: response.data.firstName,
+          lastName: response.data.lastName,
+          company: response.data.companyName,
+          plan: response.data.plan?.[0]?.type || 'Unknown'
+        }
+      };
+    } catch (error) {
+      return { ok: false, error: error.response?.data?.message || error.message };
+    }
+  }
+
+  _headers(apiKey) {
+    return {
+      'api-key': apiKey,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  _apiError(error) {
+    const apiError = new Error(`Brevo API error: ${error.response?.data?.message || error.message}`);
+    apiError.statusCode = error.response?.status || null;
+    if (apiError.statusCode) {
+      // Rate limited or a server error - Brevo answered without accepting the message
+      apiError.transient = apiError.statusCode === 429 || apiError.statusCode >= 500;
+    } else if (this._isConnectError(error)) {
+      apiError.transient = true;
+    } else {
+      // Timeout or dropped connection - Brevo may already have accepted the message
+      apiError.outcomeUnknown = true;
+    }
+    return apiError;
+  }
+}
+
+module.exports = BrevoProvider;
@@ -0,0 +1,83 @@
+// services/providers/CircuitBreaker.js
+// Per-provider health tracking used by EmailProviderService for failover
+//
+//   closed    - sending normally
+//   open      - `failureThreshold` consecutive transient failures; skipped until `cooldownMs` has passed
+//   half_open - cooldown over; the next send is a trial (success closes, failure re-opens)
+//
+// State is in memory - the app runs as a single process (see ecosystem.config.js)
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.reset();
+  }
+
+  reset() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Whether a send may be attempted now (moves open -> half_open once the cooldown is over)
+   */
+  canAttempt(now = Date.now()) {
+    if (this.state === STATES.OPEN && now - this.openedAt >= this.cooldownMs) {
+      this.state = STATES.HALF_OPEN;
+    }
+    return this.state !== STATES.OPEN;
+  }
+
+  recordSuccess(now = Date.now()) {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastSuccessAt = now;
+  }
+
+  /**
+   * @returns {boolean} true if this failure opened the circuit
+   */
+  recordFailure(error, now = Date.now()) {
+    this.consecutiveFailures++;
+    this.lastFailureAt = now;
+    this.lastError = error?.message || String(error);
+
+    const shouldOpen = this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold;
+    if (shouldOpen && this.state !== STATES.OPEN) {
+      this.state = STATES.OPEN;
+      this.openedAt = now;
+      return true;
+    }
+    return false;
+  }
+
+  toJSON() {
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: iso(this.openedAt),
+      retryAt: this.state === STATES.OPEN ? iso(this.openedAt + this.cooldownMs) : null,
+      lastFailureAt: iso(this.lastFailureAt),
+      lastError: this.lastError,
+      lastSuccessAt: iso(this.lastSuccessAt)
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,148 @@
+// services/providers/EmailProvider.js
+// Interface every email transport implements (Brevo, SMTP, local outbox)
+//
+// Messages are provider-neutral:
+//   { to: { email, name }, from: { email, name }, replyTo?: { email }, subject, html, headers, idempotencyKey }
+// Events returned by fetchEvents and normalizeWebhook use the shape AnalyticsService.handleEvent expects:
+//   { event, email, messageId, date, reason?, link?, userAgent?, ip? }
+//
+// Send errors set `transient = true` when the provider is failing and certainly did not accept
+// the message (429/5xx, connection refused, DNS failure) - EmailProviderService counts those
+// against the provider's circuit breaker and fails over. Errors after the request went out with
+// no answer (timeouts, dropped connections) set `outcomeUnknown = true` instead: the provider may
+// have accepted the message, so they count against the breaker but are thrown without failover
+// and the job is retried through the queue. Other errors (bad recipient, rejected content) are thrown as-is.
+
+const crypto = require('crypto');
+
+// Network errors raised before anything reached the provider
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class EmailProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has what it needs to send (API key, host...)
+   */
+  async isConfigured() {
+    return true;
+  }
+
+  /**
+   * Send one message
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    throw new Error(`${this.name} provider does not implement send`);
+  }
+
+  /**
+   * Send several messages - providers with a batch API override this
+   * @returns {Promise<Array<{messageId: string}|{error: string}>>} One result per message, in order
+   */
+  async sendBatch(messages) {
+    const results = [];
+    for (const message of messages) {
+      try {
+        results.push(await this.send(message));
+      } catch (error) {
+        results.push({ error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Delivery/engagement events since startDate (providers without an events API return [])
+   * @param {Object} range - { startDate, endDate }
+   */
+  async fetchEvents(range) {
+    return [];
+  }
+
+  /**
+   * Turn a webhook payload into events (handleEvent shape)
+   * Default accepts one event or an array with event/email/messageId (or message-id, message_id)/date
+   * and optionally link, userAgent (or user_agent) and ip
+   * @returns {Array<Object>}
+   */
+  normalizeWebhook(payload) {
+    const items = Array.isArray(payload) ? payload : [payload];
+    return items
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({
+        ...item,
+        event: item.event || item.type,
+        email: item.email || item.recipient,
+        messageId: item.messageId || item['message-id'] || item.message_id,
+        date: item.date || item.timestamp,
+        // Opener/clicker details when reported (MachineEventService uses them)
+        userAgent: item.userAgent ?? item.user_agent ?? item['user-agent'],
+        ip: item.ip ?? item.ip_address,
+        provider: this.name
+      }));
+  }
+
+  /**
+   * Check a webhook request against the provider's shared secret (<NAME>_WEBHOOK_SECRET, e.g.
+   * BREVO_WEBHOOK_SECRET), sent as "Authorization: Bearer <secret>" or an X-Webhook-Token header
+   * @param {Object} headers - Request headers (lower-cased, as Express gives them)
+   * @returns {boolean|null} null when no secret is configured for the provider
+   */
+  verifyWebhookAuth(headers = {}) {
+    const secret = process.env[`${this.name.toUpperCase()}_WEBHOOK_SECRET`];
+    if (!secret) return null;
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1];
+    const provided = Buffer.from(String(bearer || headers['x-webhook-token'] || ''));
+    const expected = Buffer.from(secret);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Check the configured credentials against the provider
+   * @param {Object} config - Unsaved credentials to test instead (provider specific)
+   * @returns {Promise<{ok: boolean, error?: string, details?: Object}>}
+   */
+  async verifyCredentials(config = {}) {
+    return { ok: await this.isConfigured() };
+  }
+
+  /**
+   * Drop cached credentials (called when settings change)
+   */
+  invalidateCache() {}
+
+  /**
+   * Whether a send error means the provider is unhealthy (see header)
+   */
+  isTransientError(error) {
+    return error?.transient === true;
+  }
+
+  /**
+   * The request may have reached the provider - retrying elsewhere could send twice
+   */
+  isOutcomeUnknown(error) {
+    return error?.outcomeUnknown === true;
+  }
+
+  /**
+   * Whether a network error happened while connecting (nothing was sent)
+   */
+  _isConnectError(error) {
+    return CONNECT_ERROR_CODES.includes(error?.code);
+  }
+
+  /**
+   * RFC 5322 Message-IDs are stored with angle brackets; relays often report them without
+   */
+  _withAngleBrackets(messageId) {
+    if (!messageId || typeof messageId !== 'string') return messageId;
+    return messageId.startsWith('<') ? messageId : `<${messageId}>`;
+  }
+}
+
+module.exports = EmailProvider;
@@ -0,0 +1,149 @@
+// services/providers/OutboxProvider.js
+// Local "outbox" transport - nothing leaves the machine
+// Rendered messages are written to disk (OUTBOX_DIR, default ./outbox) or to the
+// outbox_messages table (OUTBOX_STORAGE=database), so development and CI can run
+// the whole pipeline offline. Every stored message reports a "delivered" event on poll.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const EmailProvider = require('./EmailProvider');
+const { prisma } = require('../../lib/prisma');
+const { loggers } = require('../../lib/logger');
+const log = loggers.email;
+require('dotenv').config();
+
+class OutboxProvider extends EmailProvider {
+  constructor() {
+    super('outbox');
+  }
+
+  get storage() {
+    return process.env.OUTBOX_STORAGE === 'database' ? 'database' : 'file';
+  }
+
+  get directory() {
+    return path.resolve(process.env.OUTBOX_DIR || 'outbox');
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@outbox.local>`;
+    const record = {
+      messageId,
+      date: new Date().toISOString(),
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      headers: {
+        ...message.headers,
+        ...(message.replyTo && { 'Reply-To': message.replyTo.email }),
+        ...(message.idempotencyKey && { 'X-Idempotency-Key': message.idempotencyKey })
+      },
+      html: message.html
+    };
+
+    try {
+      if (this.storage === 'database') {
+        await prisma.outboxMessage.create({
+          data: {
+            messageId,
+            to: record.to.email,
+            toName: record.to.name || null,
+            from: record.from.email,
+            fromName: record.from.name || null,
+            subject: record.subject,
+            html: record.html,
+            headers: record.headers
+          }
+        });
+      } else {
+        await fs.mkdir(this.directory, { recursive: true });
+        const baseName = `${record.date.replace(/[:.]/g, '-')}-${messageId.slice(1, 9)}`;
+        await fs.writeFile(path.join(this.directory, `${baseName}.json`), JSON.stringify(record, null, 2));
+        await fs.writeFile(path.join(this.directory, `${baseName}.html`), record.html || '');
+      }
+    } catch (error) {
+      const outboxError = new Error(`Outbox error: ${error.message}`);
+      outboxError.transient = true;
+      throw outboxError;
+    }
+
+    log.info({ to: record.to.email, subject: record.subject, storage: this.storage }, 'Email written to outbox');
+    return { messageId };
+  }
+
+  /**
+   * A "delivered" event for every message stored in the range
+   */
+  async fetchEvents({ startDate, endDate }) {
+    const messages = this.storage === 'database'
+      ? await this._readDatabase(startDate, endDate)
+      : await this._readDirectory(startDate, endDate);
+
+    return messages.map(m => ({
+      event: 'delivered',
+      email: m.email,
+      messageId: m.messageId,
+      date: m.date
+    }));
+  }
+
+  /**
+   * Simulated events posted to /webhooks/outbox (generic shape, bracketed Message-IDs)
+   */
+  normalizeWebhook(payload) {
+    return super.normalizeWebhook(payload).map(event => ({
+      ...event,
+      messageId: this._withAngleBrackets(event.messageId)
+    }));
+  }
+
+  async verifyCredentials() {
+    try {
+      if (this.storage === 'database') {
+        const count = await prisma.outboxMessage.count();
+        return { ok: true, details: { storage: 'database', messages: count } };
+      }
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.access(this.directory, fs.constants.W_OK);
+      return { ok: true, details: { storage: 'file', directory: this.directory } };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async _readDatabase(startDate, endDate) {
+    const rows = await prisma.outboxMessage.findMany({
+      where: { createdAt: { gte: startDate, lte: endDate } },
+      select: { messageId: true, to: true, createdAt: true }
+    });
+    return rows.map(r => ({ messageId: r.messageId, email: r.to, date: r.createdAt }));
+  }
+
+  async _readDirectory(startDate, endDate) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        const date = new Date(record.date);
+        if (date >= startDate && date <= endDate) {
+          messages.push({ messageId: record.messageId, email: record.to?.email, date });
+        }
+      } catch (error) {
+        log.warn({ file, error: error.message }, 'Skipping unreadable outbox file');
+      }
+    }
+    return messages;
+  }
+}
+
+module.exports = OutboxProvider;
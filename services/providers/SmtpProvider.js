@@ -0,0 +1,127 @@
+// services/providers/SmtpProvider.js
+// Generic SMTP transport (nodemailer)
+// Config: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS/465), SMTP_USER, SMTP_PASS
+// SMTP has no events API - delivery/engagement events arrive via webhooks only (POST /webhooks/smtp)
+
+const nodemailer = require('nodemailer');
+const EmailProvider = require('./EmailProvider');
+const { loggers } = require('../../lib/logger');
+const log = loggers.email;
+require('dotenv').config();
+
+class SmtpProvider extends EmailProvider {
+  constructor() {
+    super('smtp');
+    this._transport = null;
+  }
+
+  getConfig() {
+    return {
+      host: process.env.SMTP_HOST || '',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || ''
+    };
+  }
+
+  async isConfigured() {
+    return !!this.getConfig().host;
+  }
+
+  invalidateCache() {
+    if (this._transport) this._transport.close();
+    this._transport = null;
+  }
+
+  async send(message) {
+    if (!(await this.isConfigured())) {
+      throw new Error('SMTP error: SMTP_HOST is not configured');
+    }
+
+    try {
+      log.debug({ subject: message.subject, to: message.to.email }, 'Sending email via SMTP');
+
+      const info = await this._getTransport().sendMail({
+        from: { address: message.from.email, name: message.from.name },
+        to: { address: message.to.email, name: message.to.name || '' },
+        ...(message.replyTo && { replyTo: message.replyTo.email }),
+        subject: message.subject,
+        html: message.html,
+        headers: {
+          ...message.headers,
+          ...(message.idempotencyKey && { 'X-Idempotency-Key': message.idempotencyKey })
+        }
+      });
+
+      return { messageId: info.messageId };
+    } catch (error) {
+      const smtpError = new Error(`SMTP error: ${error.message}`);
+      smtpError.statusCode = error.responseCode || null;
+      if (smtpError.statusCode) {
+        // 4xx temporary failure; 5xx replies are permanent
+        smtpError.transient = smtpError.statusCode >= 400 && smtpError.statusCode < 500;
+      } else if (this._isConnectError(error) || error.command === 'CONN') {
+        smtpError.transient = true;
+      } else {
+        // Timeout or dropped connection mid-transaction - the relay may already have the message
+        smtpError.outcomeUnknown = true;
+      }
+      throw smtpError;
+    }
+  }
+
+  /**
+   * Relays report Message-IDs without angle brackets; nodemailer returns them with
+   */
+  normalizeWebhook(payload) {
+    return super.normalizeWebhook(payload).map(event => ({
+      ...event,
+      messageId: this._withAngleBrackets(event.messageId)
+    }));
+  }
+
+  /**
+   * Connect and authenticate without sending
+   * @param {Object} config - Unsaved { host, port, secure, user, pass } to test instead
+   */
+  async verifyCredentials(config = {}) {
+    const merged = { ...this.getConfig(), ...config };
+    if (!merged.host) {
+      return { ok: false, error: 'SMTP_HOST is not configured' };
+    }
+
+    const transport = config.host ? this._createTransport(merged) : this._getTransport();
+    try {
+      await transport.verify();
+      return { ok: true, details: { host: merged.host, port: merged.port, secure: merged.secure } };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    } finally {
+      if (transport !== this._transport) transport.close();
+    }
+  }
+
+  _getTransport() {
+    if (!this._transport) {
+      this._transport = this._createTransport(this.getConfig());
+    }
+    return this._transport;
+  }
+
+  _createTransport({ host, port, secure, user, pass }) {
+    const timeoutMs = parseInt(process.env.EMAIL_PROVIDER_TIMEOUT_MS) || 30000;
+    return nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      pool: true,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+      ...(user && { auth: { user, pass } })
+    });
+  }
+}
+
+module.exports = SmtpProvider;
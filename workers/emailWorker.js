@@ -1,13 +1,14 @@
 // workers/emailWorker.js
 // Email send worker using BullMQ
 
-const { Worker } = require('bullmq');
+const { Worker, DelayedError } = require('bullmq');
 const redisConnection = require('../config/redis');
 const BrevoEmailService = require('../services/BrevoEmailService');
 const { EmailJobRepository, LeadRepository } = require('../repositories');
 const { prisma } = require('../lib/prisma');
 const UniqueJourneyService = require('../services/UniqueJourneyService');
 const RulebookService = require('../services/RulebookService');
+const SendHaltService = require('../services/SendHaltService');
 const { loggers } = require('../lib/logger');
 const log = loggers.worker;
 
@@ -18,11 +19,30 @@ const startWorker = () => {
 
   worker = new Worker(
     "email-send-queue",
-    async (job) => {
+    async (job, token) => {
       const { emailJobId, leadId, leadEmail, emailType } = job.data;
       const parsedJobId = parseInt(emailJobId);
       const parsedLeadId = parseInt(leadId);
 
+      // ============================================
+      // GLOBAL SEND HALT
+      // Requeue instead of sending: back to delayed, released when sending resumes
+      // (outside the try - DelayedError must reach BullMQ, not the failure handling below)
+      // ============================================
+      const halt = await SendHaltService.getState();
+      if (halt.halted) {
+        log.info(
+          { jobId: parsedJobId, reason: halt.reason },
+          "Sending halted, requeueing job",
+        );
+        await job.updateData({ ...job.data, heldBy: SendHaltService.holdTag("halt", halt.haltedAt) });
+        await job.moveToDelayed(SendHaltService.getRequeueTime(halt), token);
+        throw new DelayedError();
+      }
+
+      // Sender daily send claimed before dispatch - given back when the email doesn't go out
+      let senderClaim = null;
+
       try {
         // Get the email job
         const emailJob = await EmailJobRepository.findById(parsedJobId);
@@ -92,16 +112,65 @@ const startWorker = () => {
           return { status: "cancelled", reason: "Duplicate - already sent" };
         }
 
+        // ============================================
+        // GLOBAL SUPPRESSION LIST
+        // Entries added after scheduling (or matching by domain/pattern) still stop the send
+        // ============================================
+        const SuppressionService = require("../services/SuppressionService");
+        const suppression = await SuppressionService.check(emailJob.email);
+        if (suppression) {
+          const reason = SuppressionService.describe(suppression);
+          log.warn(
+            { jobId: parsedJobId, suppressionId: suppression.id },
+            "SUPPRESSED: Address is on the suppression list",
+          );
+          await prisma.emailJob.update({
+            where: { id: parsedJobId },
+            data: { status: "cancelled", lastError: reason },
+          });
+          return { status: "cancelled", reason };
+        }
+
+        // ============================================
+        // LEAD PREFERENCES (preference center)
+        // Opted-out category -> cancel; snoozed / reduced frequency -> next slot after the wait
+        // ============================================
+        const PreferenceService = require("../services/PreferenceService");
+        const preference = await PreferenceService.checkSend(lead, emailJob);
+        if (preference?.action === "cancel") {
+          log.info({ jobId: parsedJobId }, preference.reason);
+          await prisma.emailJob.update({
+            where: { id: parsedJobId },
+            data: { status: "cancelled", lastError: preference.reason },
+          });
+          return { status: "cancelled", reason: preference.reason };
+        }
+        if (preference?.action === "defer") {
+          log.info({ jobId: parsedJobId, until: preference.until }, preference.reason);
+          const EmailSchedulerService = require("../services/EmailSchedulerService");
+          const movedJob = await EmailSchedulerService.moveJobToNextSlot(
+            parsedJobId,
+            preference.until,
+            preference.reason,
+          );
+          return {
+            status: "deferred",
+            reason: preference.reason,
+            movedTo: movedJob?.id || null,
+          };
+        }
+
         // ============================================
         // LATE-BINDING TEMPLATE RESOLUTION
-        // Fetch the CURRENT template from settings at send time
+        // Fetch the CURRENT template from the lead's sequence at send time
+        // (global followups in settings when not enrolled)
         // This ensures user's latest template changes take effect
         // even for already-scheduled emails
         //
         // SKIP for manual emails - they use their stored templateId
         // because they are fully user-managed
         // ============================================
-        const { SettingsRepository } = require("../repositories");
+        const { SequenceRepository } = require("../repositories");
         let effectiveTemplateId = emailJob.templateId; // Default to stored value
 
         // Check if this is a manual email (skip late-binding for manual)
@@ -114,29 +183,31 @@ const startWorker = () => {
         // For followups/initial ONLY (not manual), get the latest templateId from current settings
         if (!isManualEmail) {
           try {
-            const settings = await SettingsRepository.getSettings();
-            const followups = settings.followups || [];
-            const matchingFollowup = followups.find(
-              (f) => f.name === emailJob.type,
+            const followups = await SequenceRepository.getStepsForLead(lead);
+            // Branch template overrides win over the step template
+            const latestTemplateId = SequenceRepository.resolveStepTemplateId(
+              followups,
+              emailJob.type,
+              emailJob.metadata?.branch?.branchId,
             );
 
-            if (matchingFollowup && matchingFollowup.templateId) {
-              if (matchingFollowup.templateId !== emailJob.templateId) {
+            if (latestTemplateId) {
+              if (latestTemplateId !== emailJob.templateId) {
                 log.info(
                   {
                     emailType: emailJob.type,
                     oldTemplateId: emailJob.templateId,
-                    newTemplateId: matchingFollowup.templateId,
+                    newTemplateId: latestTemplateId,
                   },
                   "LATE-BINDING: Template changed",
                 );
               }
-              effectiveTemplateId = matchingFollowup.templateId;
+              effectiveTemplateId = latestTemplateId;
             }
           } catch (err) {
             log.warn(
               { error: err.message },
-              "Could not fetch settings for late-binding",
+              "Could not fetch sequence for late-binding",
             );
             // Continue with stored templateId
           }
@@ -147,6 +218,123 @@ const startWorker = () => {
           );
         }
 
+        // ============================================
+        // A/B TEST VARIANT
+        // Steps/conditional emails with variants send the lead's assigned variant
+        // (the promoted winner once a test is decided)
+        // ============================================
+        let abAssignment = null;
+        if (!isManualEmail) {
+          try {
+            const ABTestService = require("../services/ABTestService");
+            abAssignment = await ABTestService.resolveVariant(emailJob, lead);
+            if (abAssignment) {
+              effectiveTemplateId = abAssignment.variant.templateId;
+              log.debug(
+                {
+                  jobId: parsedJobId,
+                  testKey: abAssignment.testKey,
+                  variantId: abAssignment.variant.id,
+                },
+                "A/B: Variant assigned",
+              );
+            }
+          } catch (err) {
+            log.warn(
+              { error: err.message },
+              "Could not resolve A/B variant, using step template",
+            );
+          }
+        }
+
+        // ============================================
+        // SENDER IDENTITY
+        // Conditional email / sequence / lead owner identity (Settings sender when none)
+        // Its daily limit is claimed just before sending (SENDER DAILY LIMIT below)
+        // ============================================
+        const SenderIdentityService = require("../services/SenderIdentityService");
+        const senderAssignment = await SenderIdentityService.resolveForJob(
+          emailJob,
+          lead,
+        );
+        const senderIdentity = senderAssignment?.identity || null;
+
+        // ============================================
+        // DELIVERABILITY PAUSE
+        // Bounce/complaint circuit breaker open for all senders or this identity:
+        // requeue like a send halt until an admin acknowledges the pause
+        // ============================================
+        const DeliverabilityGuardService = require("../services/DeliverabilityGuardService");
+        const pause = await DeliverabilityGuardService.getBlockingPause(
+          senderIdentity?.id,
+        );
+        if (pause) {
+          log.info(
+            { jobId: parsedJobId, pauseId: pause.id, scope: pause.scope },
+            "Sending paused on bounce/complaint rate, requeueing job",
+          );
+          await job.updateData({ ...job.data, heldBy: SendHaltService.holdTag("pause", pause.id) });
+          await job.moveToDelayed(SendHaltService.getRequeueTime({}), token);
+          throw new DelayedError();
+        }
+
+        // Past the halt and pause checks - a later retry backoff must not look held
+        if (job.data.heldBy) {
+          const data = { ...job.data };
+          delete data.heldBy;
+          await job.updateData(data);
+        }
+
+        // ============================================
+        // RECIPIENT DOMAIN THROTTLE
+        // Sends to the lead's domain already at its per-window/per-day limit
+        // (e.g. jobs delayed by retries piling into one window) move to the next free slot
+        // ============================================
+        const RateLimitService = require("../services/RateLimitService");
+        const domainCapacity = await RateLimitService.getDomainCapacity(
+          emailJob.email,
+          Date.now(),
+          { sent: true },
+        );
+        if (domainCapacity && !domainCapacity.available) {
+          const period = domainCapacity.day.remaining === 0 ? "day" : "window";
+          const reason = `Recipient domain ${domainCapacity.domain} ${period === "day" ? "daily" : "per-window"} limit (${domainCapacity[period].limit}) reached`;
+          log.info(
+            { jobId: parsedJobId, domain: domainCapacity.domain, period },
+            reason,
+          );
+          const EmailSchedulerService = require("../services/EmailSchedulerService");
+          const movedJob = await EmailSchedulerService.moveJobToNextSlot(
+            parsedJobId,
+            domainCapacity.nextWindow,
+            reason,
+          );
+          return { status: "deferred", reason, movedTo: movedJob?.id || null };
+        }
+
+        // ============================================
+        // SENDER DAILY LIMIT
+        // Atomic claim against the identity's sends today (daily cap or warm-up ramp);
+        // an identity that already sent its quota moves the job to the next working day
+        // ============================================
+        if (senderIdentity) {
+          senderClaim = await RateLimitService.reserveSenderSend(senderIdentity);
+          if (!senderClaim.success) {
+            const reason = `Sender "${senderIdentity.name}" daily limit (${senderClaim.usage.cap}) reached`;
+            log.info(
+              { jobId: parsedJobId, senderIdentityId: senderIdentity.id },
+              reason,
+            );
+            senderClaim = null;
+            const EmailSchedulerService = require("../services/EmailSchedulerService");
+            const movedJob = await EmailSchedulerService.moveJobToNextWorkingDay(
+              parsedJobId,
+              reason,
+            );
+            return { status: "deferred", reason, movedTo: movedJob?.id || null };
+          }
+        }
+
         // ============================================
         // CRITICAL: ATOMIC SEND ATTEMPT MARKING
         // Use atomic updateMany to claim this job before sending
@@ -160,6 +348,7 @@ const startWorker = () => {
             { jobId: parsedJobId },
             "Job already being processed by another worker, skipping",
           );
+          await RateLimitService.releaseSenderSend(senderClaim?.key);
           return {
             status: "skipped",
             reason: "Already being processed by another worker",
@@ -181,11 +370,13 @@ const startWorker = () => {
         const jobWithLatestTemplate = {
           ...emailJob,
           templateId: effectiveTemplateId,
+          senderIdentity,
         };
         const result = await BrevoEmailService.sendEmail(
           jobWithLatestTemplate,
           lead,
         );
+        senderClaim = null; // Sent - the claim is used
 
         // Update job status to sent
         await prisma.emailJob.update({
@@ -194,7 +385,22 @@ const startWorker = () => {
             status: "sent",
             sentAt: new Date(),
             brevoMessageId: result.messageId,
-            metadata: { ...emailJob.metadata, sentVia: "worker" },
+            provider: result.provider,
+            senderIdentityId: result.senderIdentityId,
+            // Record the (late-bound) template and version that actually went out
+            ...(result.templateId && {
+              templateId: result.templateId,
+              templateVersion: result.templateVersion,
+            }),
+            ...(abAssignment && {
+              abTestKey: abAssignment.testKey,
+              variantId: abAssignment.variant.id,
+            }),
+            metadata: {
+              ...emailJob.metadata,
+              sentVia: "worker",
+              ...(result.failedOver && { failedOver: result.failedOver }),
+            },
           },
         });
 
@@ -241,11 +447,20 @@ const startWorker = () => {
 
         return { status: "sent", messageId: result.messageId };
       } catch (error) {
+        // Requeued (deliverability pause) - not a failure
+        if (error instanceof DelayedError) throw error;
+
         log.error(
           { jobId: parsedJobId, error: error.message, stack: error.stack },
           "Error processing email job",
         );
 
+        // Not sent - give the sender's claim back (unless the provider may have accepted it)
+        if (senderClaim?.key && !error.outcomeUnknown) {
+          const RateLimitService = require("../services/RateLimitService");
+          await RateLimitService.releaseSenderSend(senderClaim.key).catch(() => {});
+        }
+
         // Update job with error - wrap in try-catch to handle non-existent records
         try {
           await prisma.emailJob.update({
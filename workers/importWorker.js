@@ -0,0 +1,79 @@
+// workers/importWorker.js
+// Background lead import worker using BullMQ
+// Imports checkpoint after every batch, so a restarted worker resumes where it stopped
+
+const { Worker } = require('bullmq');
+const redisConnection = require('../config/redis');
+const LeadImportService = require('../services/LeadImportService');
+const { loggers } = require("../lib/logger");
+const log = loggers.worker;
+
+let worker = null;
+
+const startImportWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(
+    "lead-import-queue",
+    async (job) => {
+      const { importJobId } = job.data;
+
+      log.info({ importJobId }, "Processing lead import");
+
+      const importJob = await LeadImportService.processImportJob(importJobId);
+
+      return { status: importJob?.status || "not_found", importJobId };
+    },
+    {
+      connection: redisConnection,
+      // One import at a time - each one already writes in batches
+      concurrency: 1,
+      removeOnComplete: { count: 200 },
+      removeOnFail: { count: 500 },
+    },
+  );
+
+  worker.on("completed", (job, result) => {
+    log.debug({ bullJobId: job.id, result }, "Import job completed");
+  });
+
+  worker.on("failed", async (job, error) => {
+    log.error(
+      { bullJobId: job?.id, error: error.message },
+      "Import job failed",
+    );
+
+    // Out of retries - surface it on the import (progress is kept for a manual resume)
+    if (job && job.attemptsMade >= (job.opts.attempts || 1)) {
+      try {
+        await LeadImportService.markImportFailed(job.data.importJobId, error.message);
+      } catch (markError) {
+        log.error({ error: markError.message }, "Failed to mark import as failed");
+      }
+    }
+  });
+
+  // Pick up imports whose queue job was lost while the process was down
+  LeadImportService.resumeInterruptedImports().catch((error) => {
+    log.error({ error: error.message }, "Failed to resume interrupted imports");
+  });
+
+  log.info("Import worker started");
+  return worker;
+};
+
+const importWorker = {
+  start: startImportWorker,
+  close: async () => {
+    if (worker) {
+      await worker.close();
+      worker = null;
+    }
+  },
+  isRunning: () => !!worker && !worker.closing
+};
+
+// Auto-start
+startImportWorker();
+
+module.exports = importWorker;